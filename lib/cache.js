@@ -0,0 +1,132 @@
+'use strict';
+
+var LRU = require('lru-cache');
+var bitcore = require('bitcore-lib-zen');
+var _ = bitcore.deps._;
+var $ = bitcore.util.preconditions;
+
+/**
+ * An LRU cache bounded by the total size of its values, that counts the hits, misses and
+ * evictions of the cache.
+ * @param {Object} options
+ * @param {Number} options.maxSize - The total size of the values
+ * @param {Function=} options.length - Will give the size of a value, each value has a size of 1
+ * when not given
+ * @constructor
+ */
+function Cache(options) {
+  $.checkArgument(options && options.maxSize > 0, 'Please specify a positive "maxSize" for the cache');
+  this.maxSize = options.maxSize;
+  this.lru = LRU({max: options.maxSize, length: options.length});
+  this.hits = 0;
+  this.misses = 0;
+  this.evictions = 0;
+}
+
+/**
+ * Will give the size of a buffer in bytes.
+ * @param {Buffer} value
+ * @returns {Number}
+ */
+Cache.bufferLength = function(value) {
+  return value.length;
+};
+
+/**
+ * Will give the serialized size in bytes of a bitcore block or transaction.
+ * @param {Block|Transaction} value
+ * @returns {Number}
+ */
+Cache.serializedLength = function(value) {
+  return value.toBuffer().length;
+};
+
+/**
+ * Will give an estimate of the size in bytes of a value as JSON, as an estimate of the memory
+ * used by objects. The items of an array are estimated with the size of its first item, so that
+ * the estimate doesn't depend on the number of items.
+ * @param {*} value
+ * @returns {Number}
+ */
+Cache.estimateLength = function(value) {
+  if (_.isString(value)) {
+    return value.length + 2;
+  } else if (_.isArray(value)) {
+    return value.length ? 2 + value.length * (Cache.estimateLength(value[0]) + 1) : 2;
+  } else if (_.isObject(value)) {
+    return _.reduce(value, function(length, item, key) {
+      return length + key.length + 4 + Cache.estimateLength(item);
+    }, 2);
+  }
+  return 8;
+};
+
+Cache.prototype.get = function(key) {
+  var value = this.lru.get(key);
+  if (value === undefined) {
+    this.misses++;
+  } else {
+    this.hits++;
+  }
+  return value;
+};
+
+/**
+ * Will give a value without counting a hit or miss and without updating the recently used order.
+ * @param {String} key
+ */
+Cache.prototype.peek = function(key) {
+  return this.lru.peek(key);
+};
+
+/**
+ * Will set a value and evict the least recently used values over the size of the cache, a value
+ * larger than the cache isn't kept and doesn't evict other values.
+ * @param {String} key
+ * @param {*} value
+ * @returns {Boolean} - If the value was kept
+ */
+Cache.prototype.set = function(key, value) {
+  var count = this.lru.itemCount + (this.lru.has(key) ? 0 : 1);
+  var kept = this.lru.set(key, value);
+  if (kept && this.lru.itemCount < count) {
+    this.evictions += count - this.lru.itemCount;
+  }
+  return kept;
+};
+
+Cache.prototype.has = function(key) {
+  return this.lru.has(key);
+};
+
+Cache.prototype.del = function(key) {
+  this.lru.del(key);
+};
+
+Cache.prototype.keys = function() {
+  return this.lru.keys();
+};
+
+/**
+ * Will remove every value, the statistics are kept.
+ */
+Cache.prototype.reset = function() {
+  this.lru.reset();
+};
+
+/**
+ * Will give the statistics of the cache.
+ * @returns {Object} - With "hits", "misses", "evictions", "items", "size" and "maxSize"
+ */
+Cache.prototype.getStats = function() {
+  return {
+    hits: this.hits,
+    misses: this.misses,
+    evictions: this.evictions,
+    items: this.lru.itemCount,
+    size: this.lru.length,
+    maxSize: this.maxSize
+  };
+};
+
+module.exports = Cache;
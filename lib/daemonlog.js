@@ -0,0 +1,173 @@
+'use strict';
+
+var fs = require('fs');
+var bitcore = require('bitcore-lib-zen');
+var _ = bitcore.deps._;
+var $ = bitcore.util.preconditions;
+
+var index = require('./');
+var log = index.log;
+
+/**
+ * Writes the lines of the stdout and stderr streams of a child process to a file that is
+ * rotated by size or by time, and optionally mirrors the lines to a logger. When the file
+ * can't be written, such as when the disk is full, the error is logged and the lines are no
+ * longer written to the file.
+ * @param {Object} options
+ * @param {String} options.file - The absolute path of the log file
+ * @param {Number=} options.maxSize - The size in bytes before the file is rotated
+ * @param {Number=} options.interval - The time in milliseconds before the file is rotated
+ * @param {Number=} options.maxFiles - The number of rotated files to keep
+ * @param {Object=} options.logger - The logger to mirror lines to
+ * @param {String=} options.prefix - The prefix of mirrored lines
+ * @constructor
+ */
+function DaemonLog(options) {
+  $.checkArgument(options && options.file, 'Please specify "file" for the daemon log');
+  this.file = options.file;
+  this.maxSize = _.isUndefined(options.maxSize) ? DaemonLog.DEFAULT_MAX_SIZE : options.maxSize;
+  this.interval = options.interval || null;
+  this.maxFiles = _.isUndefined(options.maxFiles) ? DaemonLog.DEFAULT_MAX_FILES : options.maxFiles;
+  this.logger = options.logger || null;
+  this.prefix = options.prefix || '';
+  this.partial = {stdout: '', stderr: ''};
+  this.fd = null;
+  this.size = 0;
+  this.openedAt = null;
+  this.error = null;
+}
+
+DaemonLog.DEFAULT_MAX_SIZE = 10 * 1024 * 1024; // 10MB
+DaemonLog.DEFAULT_MAX_FILES = 5;
+
+DaemonLog.prototype._open = function() {
+  this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+  this.openedAt = Date.now();
+  this.fd = fs.openSync(this.file, 'a');
+};
+
+DaemonLog.prototype._shouldRotate = function(length) {
+  if (this.maxSize && this.size > 0 && this.size + length > this.maxSize) {
+    return true;
+  }
+  return !!(this.interval && Date.now() - this.openedAt >= this.interval);
+};
+
+/**
+ * Will move the file to "<file>.1", and each rotated file to the next number, the oldest
+ * file is removed when there are more than "maxFiles".
+ */
+DaemonLog.prototype.rotate = function() {
+  this.close();
+  for (var i = this.maxFiles - 1; i > 0; i--) {
+    if (fs.existsSync(this.file + '.' + i)) {
+      fs.renameSync(this.file + '.' + i, this.file + '.' + (i + 1));
+    }
+  }
+  if (!fs.existsSync(this.file)) {
+    return;
+  }
+  if (this.maxFiles > 0) {
+    fs.renameSync(this.file, this.file + '.1');
+  } else {
+    fs.unlinkSync(this.file);
+  }
+};
+
+DaemonLog.prototype._writeFile = function(data) {
+  if (this.fd === null) {
+    this._open();
+  }
+  if (this._shouldRotate(data.length)) {
+    this.rotate();
+    this._open();
+  }
+  fs.writeSync(this.fd, data, 0, data.length);
+  this.size += data.length;
+};
+
+DaemonLog.prototype._writeLine = function(name, line) {
+  if (!this.error) {
+    try {
+      this._writeFile(new Buffer(line + '\n'));
+    } catch(err) {
+      this.error = err;
+      log.error('Unable to write zend output to ' + this.file + ', it is no longer written:', err.message);
+      if (this.fd !== null) {
+        fs.close(this.fd, function() {});
+        this.fd = null;
+      }
+    }
+  }
+  if (this.logger) {
+    var level = name === 'stderr' ? 'warn' : 'info';
+    this.logger[level](this.prefix ? this.prefix + ' ' + line : line);
+  }
+};
+
+/**
+ * Will write the complete lines of a chunk of output, a partial line is written with the
+ * next chunk of the stream.
+ * @param {String} name - "stdout" or "stderr"
+ * @param {Buffer|String} chunk
+ */
+DaemonLog.prototype.write = function(name, chunk) {
+  var lines = (this.partial[name] + chunk.toString()).split(/\r?\n/);
+  this.partial[name] = lines.pop();
+  for (var i = 0; i < lines.length; i++) {
+    this._writeLine(name, lines[i]);
+  }
+};
+
+/**
+ * Will write the partial lines of the streams, such as when the process has exited.
+ */
+DaemonLog.prototype.flush = function() {
+  for (var name in this.partial) {
+    if (this.partial[name]) {
+      this._writeLine(name, this.partial[name]);
+      this.partial[name] = '';
+    }
+  }
+};
+
+DaemonLog.prototype.close = function() {
+  if (this.fd !== null) {
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+};
+
+/**
+ * Will give the last lines of the file, continuing with the rotated files.
+ * @param {Number} count - The number of lines
+ * @param {Function} callback
+ */
+DaemonLog.prototype.tail = function(count, callback) {
+  var self = this;
+  var lines = [];
+
+  function readFile(index) {
+    var file = index ? self.file + '.' + index : self.file;
+    if (lines.length >= count || index > self.maxFiles) {
+      return callback(null, lines.slice(-count));
+    }
+    fs.readFile(file, 'utf8', function(err, data) {
+      if (err && err.code === 'ENOENT') {
+        return callback(null, lines.slice(-count));
+      } else if (err) {
+        return callback(err);
+      }
+      var fileLines = data.split('\n');
+      if (fileLines[fileLines.length - 1] === '') {
+        fileLines.pop();
+      }
+      lines = fileLines.concat(lines);
+      readFile(index + 1);
+    });
+  }
+
+  readFile(0);
+};
+
+module.exports = DaemonLog;
@@ -0,0 +1,278 @@
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var async = require('async');
+var mkdirp = require('mkdirp');
+var LRU = require('lru-cache');
+var bitcore = require('bitcore-lib-zen');
+var $ = bitcore.util.preconditions;
+
+var index = require('./');
+var log = index.log;
+
+/**
+ * A cache of buffers stored as a file for each key in a directory, bounded by the total size of
+ * the files. The least recently used files are removed over the size. The keys and sizes of the
+ * files are appended to an index file, so that the files of a previous run are used in the order
+ * they were written without reading the directory.
+ * @param {Object} options
+ * @param {String} options.dir - The absolute path of the directory
+ * @param {Number} options.maxSize - The total size of the files in bytes
+ * @constructor
+ */
+function DiskCache(options) {
+  $.checkArgument(options && options.dir, 'Please specify "dir" for the disk cache');
+  $.checkArgument(options.maxSize > 0, 'Please specify a positive "maxSize" for the disk cache');
+  var self = this;
+  this.dir = options.dir;
+  this.maxSize = options.maxSize;
+  // the size of the file of each key, files are removed when they are dropped from the index
+  this.index = LRU({
+    max: options.maxSize,
+    length: function(size) {
+      return size;
+    },
+    dispose: function(key) {
+      self._removeFile(key);
+      self._writeIndex('-' + key);
+    }
+  });
+  this.indexStream = null;
+  this.indexLines = 0;
+  this.hits = 0;
+  this.misses = 0;
+  this.evictions = 0;
+}
+
+DiskCache.KEY_REGEXP = /^[A-Za-z0-9_-]+$/;
+DiskCache.INDEX_FILE = 'index';
+DiskCache.TEMPORARY_DIR = 'tmp';
+// the index file is rewritten with the current keys when it has more lines than this and twice the keys
+DiskCache.MIN_COMPACT_LINES = 10000;
+
+/**
+ * Will give the file of a key, files are in a directory by the last two characters of the key
+ * so that keys that are hashes are spread between directories.
+ * @param {String} key
+ * @returns {String}
+ */
+DiskCache.prototype._getPath = function(key) {
+  $.checkArgument(DiskCache.KEY_REGEXP.test(key), 'Invalid disk cache key: ' + key);
+  return path.resolve(this.dir, key.slice(-2), key);
+};
+
+DiskCache.prototype._removeFile = function(key) {
+  fs.unlink(this._getPath(key), function() {
+    // the file may not exist
+  });
+};
+
+DiskCache.prototype._setIndex = function(key, size) {
+  var count = this.index.itemCount + 1;
+  this.index.set(key, size);
+  this.evictions += count - this.index.itemCount;
+};
+
+/**
+ * Will append a line to the index file, "+<key> <size>" for a file that has been written and
+ * "-<key>" for a file that has been removed.
+ * @param {String} line
+ */
+DiskCache.prototype._writeIndex = function(line) {
+  if (!this.indexStream) {
+    return;
+  }
+  this.indexStream.write(line + '\n');
+  this.indexLines++;
+  if (this.indexLines > Math.max(DiskCache.MIN_COMPACT_LINES, this.index.itemCount * 2)) {
+    this._compactIndex(function(err) {
+      if (err) {
+        log.warn('Unable to compact disk cache index:', err.message);
+      }
+    });
+  }
+};
+
+/**
+ * Will give the sizes of the keys of an index file in the order they were written.
+ * @param {String} text - The contents of the index file
+ * @returns {Object}
+ */
+DiskCache.parseIndex = function(text) {
+  var sizes = {};
+  text.split('\n').forEach(function(line) {
+    var key = line.slice(1).split(' ')[0];
+    if (line[0] === '+') {
+      delete sizes[key];
+      sizes[key] = Number(line.split(' ')[1]);
+    } else if (line[0] === '-') {
+      delete sizes[key];
+    }
+  });
+  return sizes;
+};
+
+/**
+ * Will rewrite the index file with the current keys, from the least recently used, and append
+ * the next lines to it.
+ * @param {Function} callback
+ */
+DiskCache.prototype._compactIndex = function(callback) {
+  var indexFile = path.resolve(this.dir, DiskCache.INDEX_FILE);
+  var tmpFile = path.resolve(this.dir, DiskCache.TEMPORARY_DIR, DiskCache.INDEX_FILE);
+  var lines = [];
+  this.index.rforEach(function(size, key) {
+    lines.push('+' + key + ' ' + size + '\n');
+  });
+  if (this.indexStream) {
+    this.indexStream.end();
+  }
+  // lines written while the file is renamed are appended to the same file
+  this.indexStream = fs.createWriteStream(tmpFile);
+  this.indexLines = lines.length;
+  this.indexStream.write(lines.join(''), function(err) {
+    if (err) {
+      return callback(err);
+    }
+    fs.rename(tmpFile, indexFile, callback);
+  });
+};
+
+/**
+ * Will remove the temporary files of a previous run.
+ * @param {Function} callback
+ */
+DiskCache.prototype._removeTemporaryFiles = function(callback) {
+  var tmpDir = path.resolve(this.dir, DiskCache.TEMPORARY_DIR);
+  mkdirp(tmpDir, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    fs.readdir(tmpDir, function(err, names) {
+      if (err) {
+        return callback(err);
+      }
+      async.eachSeries(names, function(name, next) {
+        fs.unlink(path.resolve(tmpDir, name), next);
+      }, callback);
+    });
+  });
+};
+
+/**
+ * Will create the directory and index the files of a previous run from the index file, removing
+ * the least recently written files over the size.
+ * @param {Function} callback
+ */
+DiskCache.prototype.open = function(callback) {
+  var self = this;
+  var indexFile = path.resolve(self.dir, DiskCache.INDEX_FILE);
+  self._removeTemporaryFiles(function(err) {
+    if (err) {
+      return callback(err);
+    }
+    fs.readFile(indexFile, 'utf8', function(err, text) {
+      if (err && err.code !== 'ENOENT') {
+        return callback(err);
+      }
+      var sizes = DiskCache.parseIndex(text || '');
+      Object.keys(sizes).forEach(function(key) {
+        self.index.set(key, sizes[key]);
+      });
+      self._compactIndex(callback);
+    });
+  });
+};
+
+/**
+ * Will close the index file.
+ * @param {Function} callback
+ */
+DiskCache.prototype.close = function(callback) {
+  if (!this.indexStream) {
+    return setImmediate(callback);
+  }
+  this.indexStream.end(callback);
+  this.indexStream = null;
+};
+
+/**
+ * Will give the buffer of a key, or null when the key isn't cached.
+ * @param {String} key
+ * @param {Function} callback
+ */
+DiskCache.prototype.get = function(key, callback) {
+  var self = this;
+  var file = self._getPath(key);
+  if (self.index.get(key) === undefined) {
+    self.misses++;
+    return setImmediate(function() {
+      callback(null, null);
+    });
+  }
+  fs.readFile(file, function(err, buffer) {
+    if (err) {
+      self.misses++;
+      self.index.del(key);
+      return err.code === 'ENOENT' ? callback(null, null) : callback(err);
+    }
+    self.hits++;
+    callback(null, buffer);
+  });
+};
+
+/**
+ * Will write the buffer of a key, the buffer of a key is expected to never change so a key
+ * that is cached isn't written again.
+ * @param {String} key
+ * @param {Buffer} buffer
+ * @param {Function} callback
+ */
+DiskCache.prototype.set = function(key, buffer, callback) {
+  var self = this;
+  var file = self._getPath(key);
+  if (self.index.has(key)) {
+    return setImmediate(callback);
+  }
+  // written to a temporary file first so that a file is never read partially written
+  var tmpFile = path.resolve(self.dir, DiskCache.TEMPORARY_DIR, key + '.' + crypto.randomBytes(4).toString('hex'));
+  async.series([
+    mkdirp.bind(null, path.dirname(file)),
+    fs.writeFile.bind(fs, tmpFile, buffer),
+    fs.rename.bind(fs, tmpFile, file)
+  ], function(err) {
+    if (err) {
+      fs.unlink(tmpFile, function() {
+        callback(err);
+      });
+      return;
+    }
+    // the same key may have been written concurrently, setting it again would remove the file
+    if (!self.index.has(key)) {
+      self._setIndex(key, buffer.length);
+      if (self.index.has(key)) {
+        self._writeIndex('+' + key + ' ' + buffer.length);
+      }
+    }
+    callback();
+  });
+};
+
+/**
+ * Will give the statistics of the cache.
+ * @returns {Object} - With "hits", "misses", "evictions", "items", "size" and "maxSize"
+ */
+DiskCache.prototype.getStats = function() {
+  return {
+    hits: this.hits,
+    misses: this.misses,
+    evictions: this.evictions,
+    items: this.index.itemCount,
+    size: this.index.length,
+    maxSize: this.maxSize
+  };
+};
+
+module.exports = DiskCache;
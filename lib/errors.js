@@ -6,7 +6,13 @@ var BitcoreNodeError = createError('BitcoreNodeError');
 
 var RPCError = createError('RPCError', BitcoreNodeError);
 
+var TimeoutError = createError('TimeoutError', BitcoreNodeError);
+
+var CancelledError = createError('CancelledError', BitcoreNodeError);
+
 module.exports = {
   Error: BitcoreNodeError,
-  RPCError: RPCError
+  RPCError: RPCError,
+  TimeoutError: TimeoutError,
+  CancelledError: CancelledError
 };
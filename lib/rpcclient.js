@@ -0,0 +1,191 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var BitcoinRPC = require('bitcoind-rpc');
+var bitcore = require('bitcore-lib-zen');
+var _ = bitcore.deps._;
+
+var errors = require('./errors');
+
+/**
+ * A request of an RpcClient, its callback is called once, with a TimeoutError when it's aborted
+ * after its timeout and with a CancelledError when it's cancelled.
+ * @param {Function} callback
+ * @constructor
+ */
+function RpcRequest(callback) {
+  this.callback = callback;
+  this.req = null;
+  this.reqError = null;
+  this.timer = null;
+  this.completed = false;
+}
+
+RpcRequest.prototype._setRequest = function(req) {
+  var self = this;
+  this.req = req;
+  // the error of the connection, bitcoind-rpc gives it as a message
+  req.on('error', function(err) {
+    self.reqError = err;
+  });
+};
+
+RpcRequest.prototype._complete = function(err, response) {
+  if (this.completed) {
+    return;
+  }
+  this.completed = true;
+  clearTimeout(this.timer);
+  if (err instanceof Error && _.isUndefined(err.code) && this.reqError) {
+    err.code = this.reqError.code;
+  }
+  this.callback(err, response);
+};
+
+RpcRequest.prototype._abort = function(err) {
+  if (this.completed) {
+    return;
+  }
+  this._complete(err);
+  if (this.req) {
+    this.req.abort();
+  }
+};
+
+/**
+ * Will abort the request, it's called back with a CancelledError.
+ */
+RpcRequest.prototype.cancel = function() {
+  this._abort(new errors.CancelledError('RPC request was cancelled'));
+};
+
+/**
+ * A bitcoind-rpc client of zend with the Horizen methods of HORIZEN_METHODS. The methods give an
+ * RpcRequest, that can be cancelled, and a request that doesn't complete within the timeout of its
+ * methods is aborted and gives a TimeoutError.
+ * @param {Object} options - The options of bitcoind-rpc
+ * @param {Function=} options.getTimeout - Will give the timeout in milliseconds for the method
+ * names of a request, 0 for no timeout
+ * @constructor
+ */
+function RpcClient(options) {
+  BitcoinRPC.call(this, options);
+  this.getTimeout = options.getTimeout || function() {
+    return 0;
+  };
+  this.pendingRequests = [];
+  this.sendingRequest = null;
+  // the requests of bitcoind-rpc are created with "protocol"
+  this.httpProtocol = this.protocol;
+  this.protocol = {
+    request: this._createRequest.bind(this)
+  };
+}
+inherits(RpcClient, BitcoinRPC);
+
+/**
+ * The Horizen methods that bitcoind-rpc doesn't have.
+ */
+RpcClient.HORIZEN_METHODS = ['getScInfo'];
+
+RpcClient.prototype._createRequest = function(options, callback) {
+  var req = this.httpProtocol.request(options, callback);
+  this.sendingRequest._setRequest(req);
+  return req;
+};
+
+/**
+ * Will send a request with bitcoind-rpc and abort it after the timeout of its methods.
+ * @param {Function} send - Will send the request with a callback, and give the method names
+ * @param {Function} callback
+ * @returns {RpcRequest}
+ */
+RpcClient.prototype._send = function(send, callback) {
+  var self = this;
+  var request = new RpcRequest(function(err, response) {
+    _.pull(self.pendingRequests, request);
+    callback(err, response);
+  });
+  self.pendingRequests.push(request);
+  self.sendingRequest = request;
+  var methods = send(request._complete.bind(request));
+  self.sendingRequest = null;
+  var timeout = self.getTimeout(methods);
+  if (timeout && !request.completed) {
+    request.timer = setTimeout(function() {
+      var err = new errors.TimeoutError('RPC request "' + methods.join(', ') + '" timed out after ' + timeout + 'ms');
+      err.timeout = timeout;
+      request._abort(err);
+    }, timeout);
+  }
+  return request;
+};
+
+/**
+ * Will send the requests of the methods called by "batchCallback" as a single request, the
+ * methods are called without a callback.
+ * @param {Function} batchCallback
+ * @param {Function} resultCallback
+ * @returns {RpcRequest}
+ */
+RpcClient.prototype.batch = function(batchCallback, resultCallback) {
+  var self = this;
+  return self._send(function(done) {
+    var methods;
+    BitcoinRPC.prototype.batch.call(self, function() {
+      batchCallback();
+      methods = _.map(self.batchedCalls, 'method');
+    }, done);
+    return methods;
+  }, resultCallback);
+};
+
+/**
+ * Will cancel the requests that haven't completed.
+ */
+RpcClient.prototype.cancelRequests = function() {
+  this.pendingRequests.slice().forEach(function(request) {
+    request.cancel();
+  });
+};
+
+_.each(BitcoinRPC.callspec, function(spec, name) {
+  var method = name.toLowerCase();
+  RpcClient.prototype[name] = RpcClient.prototype[method] = function() {
+    var self = this;
+    var params = Array.prototype.slice.call(arguments);
+    if (self.batchedCalls) {
+      return BitcoinRPC.prototype[name].apply(self, params);
+    }
+    var callback = params.pop();
+    return self._send(function(done) {
+      BitcoinRPC.prototype[name].apply(self, params.concat(done));
+      return [method];
+    }, callback);
+  };
+});
+
+RpcClient.HORIZEN_METHODS.forEach(function(name) {
+  var method = name.toLowerCase();
+  RpcClient.prototype[name] = RpcClient.prototype[method] = function() {
+    var self = this;
+    var params = Array.prototype.slice.call(arguments);
+    var callback = self.batchedCalls ? null : params.pop();
+    var call = {jsonrpc: '2.0', method: method, params: params, id: 0};
+    if (self.batchedCalls) {
+      call.id = self.batchedCalls.length;
+      return self.batchedCalls.push(call);
+    }
+    // bitcoind-rpc only sends the requests of its own methods, so it's sent as a batch of one call
+    return self.batch(function() {
+      self.batchedCalls.push(call);
+    }, function(err, responses) {
+      if (err) {
+        return callback(err);
+      }
+      callback(responses[0].error, responses[0]);
+    });
+  };
+});
+
+module.exports = RpcClient;
@@ -1,15 +1,17 @@
 'use strict';
 
+var crypto = require('crypto');
 var fs = require('fs');
 var path = require('path');
+var tls = require('tls');
 var spawn = require('child_process').spawn;
+var execFile = require('child_process').execFile;
 var util = require('util');
 var mkdirp = require('mkdirp');
 var bitcore = require('bitcore-lib-zen');
 var zmq = require('zeromq');
 var async = require('async');
 var LRU = require('lru-cache');
-var BitcoinRPC = require('bitcoind-rpc');
 var $ = bitcore.util.preconditions;
 var _  = bitcore.deps._;
 var Transaction = bitcore.Transaction;
@@ -18,6 +20,11 @@ var index = require('../');
 var errors = index.errors;
 var log = index.log;
 var utils = require('../utils');
+var zenconf = require('../zenconf');
+var DaemonLog = require('../daemonlog');
+var RpcClient = require('../rpcclient');
+var Cache = require('../cache');
+var DiskCache = require('../diskcache');
 var Service = require('../service');
 
 /**
@@ -37,22 +44,25 @@ function Bitcoin(options) {
   Service.call(this, options);
   this.options = options;
 
-  this._initCaches();
+  this._initCaches(options);
 
   // bitcoind child process
   this.spawn = false;
 
   // event subscribers
-  this.subscriptions = {};
-  this.subscriptions.rawtransaction = [];
-  this.subscriptions.hashblock = [];
-  this.subscriptions.address = {};
+  this._initSubscriptions();
 
   // set initial settings
   this._initDefaults(options);
 
   // available bitcoind nodes
-  this._initClients();
+  this._initClients(options);
+
+  // recent block headers of the active chain for reorg detection
+  this._initChainHeaders();
+
+  // transactions in the mempool indexed by txid and address
+  this._initMempool(options);
 
   // for testing purposes
   this._process = options.process || process;
@@ -71,12 +81,96 @@ Bitcoin.DEFAULT_SHUTDOWN_TIMEOUT = 15000;
 Bitcoin.DEFAULT_ZMQ_SUBSCRIBE_PROGRESS = 0.9999;
 Bitcoin.DEFAULT_MAX_ADDRESSES_QUERY = 10000;
 Bitcoin.DEFAULT_SPAWN_RESTART_TIME = 5000;
-Bitcoin.DEFAULT_SPAWN_STOP_TIME = 10000;
+Bitcoin.DEFAULT_SPAWN_STOP_TIME = 1000;
+Bitcoin.DEFAULT_SHUTDOWN_TERM_TIMEOUT = 10000;
+Bitcoin.DEFAULT_SHUTDOWN_KILL_TIMEOUT = 5000;
 Bitcoin.DEFAULT_TRY_ALL_INTERVAL = 1000;
 Bitcoin.DEFAULT_REINDEX_INTERVAL = 10000;
 Bitcoin.DEFAULT_START_RETRY_INTERVAL = 5000;
 Bitcoin.DEFAULT_TIP_UPDATE_INTERVAL = 15000;
+Bitcoin.DEFAULT_MEMPOOL_SYNC_INTERVAL = 60000;
 Bitcoin.DEFAULT_TRANSACTION_CONCURRENCY = 5;
+Bitcoin.DEFAULT_MAX_BATCH_SIZE = 50;
+Bitcoin.DEFAULT_MAX_REORG_DEPTH = 100;
+Bitcoin.DEFAULT_PERSISTENT_CACHE_DIR = 'bitcore-cache';
+Bitcoin.DEFAULT_PERSISTENT_CACHE_SIZE = 1024 * 1024 * 1024; // 1GB
+Bitcoin.DEFAULT_PERSISTENT_CACHE_CONFIRMATIONS = 100;
+Bitcoin.DEFAULT_XPUB_GAP_LIMIT = 20;
+Bitcoin.DEFAULT_MAX_SIDECHAIN_BLOCKS = 100;
+Bitcoin.CLIENT_STRATEGIES = ['roundrobin', 'latency', 'primary'];
+Bitcoin.DEFAULT_CLIENT_STRATEGY = 'roundrobin';
+Bitcoin.DEFAULT_QUARANTINE_FAILURES = 3;
+Bitcoin.DEFAULT_QUARANTINE_INTERVAL = 5000;
+Bitcoin.DEFAULT_MAX_QUARANTINE_INTERVAL = 60000;
+Bitcoin.DEFAULT_MAX_NODE_LAG = 3;
+Bitcoin.DEFAULT_TRANSACTION_PIN_TIME = 60000;
+Bitcoin.DEFAULT_DIVERGENCE_CHECK_INTERVAL = 30000;
+Bitcoin.DEFAULT_MAX_DIVERGENCE_DEPTH = 2;
+Bitcoin.DEFAULT_MAX_DIVERGENCE_TIME = 300000;
+Bitcoin.DEFAULT_HEALTH_CHECK_INTERVAL = 60000;
+Bitcoin.DEFAULT_TARGET_SPACING = 150;
+Bitcoin.DEFAULT_STALE_TIP_FACTOR = 6;
+Bitcoin.DEFAULT_MIN_PEERS = 1;
+Bitcoin.DEFAULT_MAX_CATCH_UP_BLOCKS = 144;
+Bitcoin.DEFAULT_MAX_SPAWN_RESTART_TIME = 300000;
+Bitcoin.DEFAULT_MAX_SPAWN_RESTARTS = 5;
+Bitcoin.DEFAULT_SPAWN_RESTART_WINDOW = 600000;
+Bitcoin.MAX_SPAWN_RESTART_HISTORY = 50;
+Bitcoin.SPAWN_EXIT_TAIL_LINES = 50;
+
+// reasons of zend exiting that are detected from its output, zend is not restarted after a fatal exit
+Bitcoin.SPAWN_EXIT_REASONS = [
+  {reason: 'corrupted-database', fatal: true, pattern: /corrupt|Error (opening|loading) block database/i},
+  {reason: 'invalid-configuration', fatal: true,
+   pattern: /Error parsing command line|Error reading configuration file|Invalid (parameter|amount)/i},
+  {reason: 'missing-parameters', fatal: true, pattern: /zcash-params|network parameters/i},
+  {reason: 'datadir-locked', fatal: false, pattern: /Cannot obtain a lock on data directory/i},
+  {reason: 'port-in-use', fatal: false, pattern: /Unable to bind|Address already in use|Unable to start HTTP server/i},
+  {reason: 'disk-space', fatal: false, pattern: /Disk space is low|No space left/i}
+];
+Bitcoin.DEFAULT_DAEMON_LOG_FILE = 'zend.log';
+Bitcoin.DEFAULT_DAEMON_LOG_LINES = 100;
+Bitcoin.MAX_DAEMON_LOG_LINES = 10000;
+// errors of the RPC connection that are caused by verifying the TLS certificate and won't resolve by retrying
+Bitcoin.RPC_TLS_ERROR_REGEXP = /certificate|altnames|fingerprint/i;
+Bitcoin.DEFAULT_RPC_TIMEOUT = 30000;
+// timeouts of RPC methods that can take longer, by lowercase method name, 0 is no timeout
+Bitcoin.DEFAULT_RPC_TIMEOUTS = {
+  getaddresstxids: 120000,
+  getaddressdeltas: 120000,
+  getaddressutxos: 120000,
+  getaddressbalance: 120000,
+  getblockhashes: 120000,
+  generate: 0
+};
+// RPC error codes that can be retried with another node: misc errors such as reading from disk,
+// in warmup, not connected to peers, in initial block download and work queue depth exceeded
+Bitcoin.RETRIABLE_RPC_ERROR_CODES = [-1, -28, -9, -10, 429];
+// errors of the connection to a node that can be retried with another node
+Bitcoin.RETRIABLE_CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT'];
+// caches by name with the property of the service, the default size in bytes and the size of a value,
+// caches that are "reset" are valid until there is a new block
+Bitcoin.CACHES = {
+  utxos: {property: 'utxosCache', maxSize: 64 * 1024 * 1024, length: Cache.estimateLength, reset: true},
+  txids: {property: 'txidsCache', maxSize: 32 * 1024 * 1024, length: Cache.estimateLength, reset: true},
+  balance: {property: 'balanceCache', maxSize: 8 * 1024 * 1024, length: Cache.estimateLength, reset: true},
+  summary: {property: 'summaryCache', maxSize: 32 * 1024 * 1024, length: Cache.estimateLength, reset: true},
+  blockOverview: {property: 'blockOverviewCache', maxSize: 16 * 1024 * 1024, length: Cache.estimateLength, reset: true},
+  transactionDetailed: {
+    property: 'transactionDetailedCache',
+    maxSize: 128 * 1024 * 1024,
+    length: Cache.estimateLength,
+    reset: true
+  },
+  transaction: {property: 'transactionCache', maxSize: 64 * 1024 * 1024, length: Cache.serializedLength},
+  rawTransaction: {property: 'rawTransactionCache', maxSize: 32 * 1024 * 1024, length: Cache.bufferLength},
+  block: {property: 'blockCache', maxSize: 64 * 1024 * 1024, length: Cache.serializedLength},
+  rawBlock: {property: 'rawBlockCache', maxSize: 64 * 1024 * 1024, length: Cache.bufferLength},
+  blockHeader: {property: 'blockHeaderCache', maxSize: 1024 * 1024, length: Cache.estimateLength, reset: true},
+  sidechainBlock: {property: 'sidechainBlockCache', maxSize: 16 * 1024 * 1024, length: Cache.estimateLength}
+};
+// caches of address results by key of the addresses, see _getAddressesCacheKey
+Bitcoin.ADDRESS_CACHES = ['utxos', 'txids', 'balance', 'summary'];
 Bitcoin.DEFAULT_CONFIG_SETTINGS = {
   server: 1,
   whitelist: '127.0.0.1',
@@ -87,11 +181,22 @@ Bitcoin.DEFAULT_CONFIG_SETTINGS = {
   zmqpubrawtx: 'tcp://127.0.0.1:28332',
   zmqpubhashblock: 'tcp://127.0.0.1:28332',
   rpcallowip: '127.0.0.1',
-  rpcuser: 'bitcoin',
-  rpcpassword: 'local321',
   uacomment: 'bitcore'
 };
 
+Bitcoin.prototype._initSubscriptions = function() {
+  this.subscriptions = {};
+  this.subscriptions.rawtransaction = [];
+  this.subscriptions.hashblock = [];
+  this.subscriptions.reorg = [];
+  this.subscriptions.address = {};
+  this.subscriptions.txconfirmed = {};
+  this.subscriptions.sidechaincreated = [];
+  this.subscriptions.certificate = [];
+  this.subscriptions.nodedivergence = [];
+  this.subscriptions.health = [];
+};
+
 Bitcoin.prototype._initDefaults = function(options) {
   /* jshint maxcomplexity: 15 */
 
@@ -99,11 +204,11 @@ Bitcoin.prototype._initDefaults = function(options) {
   this.maxTxids = options.maxTxids || Bitcoin.DEFAULT_MAX_TXIDS;
   this.maxTransactionHistory = options.maxTransactionHistory || Bitcoin.DEFAULT_MAX_HISTORY;
   this.maxAddressesQuery = options.maxAddressesQuery || Bitcoin.DEFAULT_MAX_ADDRESSES_QUERY;
+  this.xpubGapLimit = options.xpubGapLimit || Bitcoin.DEFAULT_XPUB_GAP_LIMIT;
+  this.maxSidechainBlocks = options.maxSidechainBlocks || Bitcoin.DEFAULT_MAX_SIDECHAIN_BLOCKS;
   this.shutdownTimeout = options.shutdownTimeout || Bitcoin.DEFAULT_SHUTDOWN_TIMEOUT;
 
-  // spawn restart setting
-  this.spawnRestartTime = options.spawnRestartTime || Bitcoin.DEFAULT_SPAWN_RESTART_TIME;
-  this.spawnStopTime = options.spawnStopTime || Bitcoin.DEFAULT_SPAWN_STOP_TIME;
+  this._initSpawnDefaults(options);
 
   // try all interval
   this.tryAllInterval = options.tryAllInterval || Bitcoin.DEFAULT_TRY_ALL_INTERVAL;
@@ -111,47 +216,188 @@ Bitcoin.prototype._initDefaults = function(options) {
 
   // rpc limits
   this.transactionConcurrency = options.transactionConcurrency || Bitcoin.DEFAULT_TRANSACTION_CONCURRENCY;
+  this.maxBatchSize = options.maxBatchSize || Bitcoin.DEFAULT_MAX_BATCH_SIZE;
+
+  // number of recent headers kept to detect chain reorganizations
+  this.maxReorgDepth = options.maxReorgDepth || Bitcoin.DEFAULT_MAX_REORG_DEPTH;
 
   // sync progress level when zmq subscribes to events
   this.zmqSubscribeProgress = options.zmqSubscribeProgress || Bitcoin.DEFAULT_ZMQ_SUBSCRIBE_PROGRESS;
+
+  // number of recent blocks replayed after missed zmq messages
+  this.maxCatchUpBlocks = options.maxCatchUpBlocks || Bitcoin.DEFAULT_MAX_CATCH_UP_BLOCKS;
+
+  this._initWatchdogDefaults(options);
+};
+
+Bitcoin.prototype._initSpawnDefaults = function(options) {
+  // spawn restart setting, the delay doubles with each restart within the window
+  this.spawnRestartTime = options.spawnRestartTime || Bitcoin.DEFAULT_SPAWN_RESTART_TIME;
+  this.maxSpawnRestartTime = options.maxSpawnRestartTime || Bitcoin.DEFAULT_MAX_SPAWN_RESTART_TIME;
+  this.maxSpawnRestarts = options.maxSpawnRestarts || Bitcoin.DEFAULT_MAX_SPAWN_RESTARTS;
+  this.spawnRestartWindow = options.spawnRestartWindow || Bitcoin.DEFAULT_SPAWN_RESTART_WINDOW;
+  this.spawnStopTime = options.spawnStopTime || Bitcoin.DEFAULT_SPAWN_STOP_TIME;
+  this.shutdownSteps = options.shutdownSteps || null;
+  if (this.shutdownSteps) {
+    this._checkShutdownSteps(this.shutdownSteps);
+  }
+  this.spawnRestarts = [];
+  this.spawnRestartsStopped = false;
+};
+
+Bitcoin.prototype._checkShutdownSteps = function(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new TypeError('"shutdownSteps" is expected to be an array of steps');
+  }
+  steps.forEach(function(step) {
+    if (!_.isString(step.signal) || !utils.isSafeNatural(step.timeout)) {
+      throw new TypeError('Shutdown steps are expected to have a "signal" and a "timeout"');
+    }
+  });
+};
+
+/**
+ * Will give the signals that are sent to stop zend, each with the time to wait for zend to
+ * exit before the next signal is sent.
+ * @returns {Array}
+ */
+Bitcoin.prototype._getShutdownSteps = function() {
+  return this.shutdownSteps || [
+    {signal: 'SIGINT', timeout: this.shutdownTimeout},
+    {signal: 'SIGTERM', timeout: Bitcoin.DEFAULT_SHUTDOWN_TERM_TIMEOUT},
+    {signal: 'SIGKILL', timeout: Bitcoin.DEFAULT_SHUTDOWN_KILL_TIMEOUT}
+  ];
+};
+
+Bitcoin.prototype._initWatchdogDefaults = function(options) {
+  // tips of the nodes are compared to detect nodes behind or on a fork
+  this.divergenceCheckInterval = options.divergenceCheckInterval || Bitcoin.DEFAULT_DIVERGENCE_CHECK_INTERVAL;
+  this.maxDivergenceDepth = options.maxDivergenceDepth || Bitcoin.DEFAULT_MAX_DIVERGENCE_DEPTH;
+  this.maxDivergenceTime = options.maxDivergenceTime || Bitcoin.DEFAULT_MAX_DIVERGENCE_TIME;
+  this.divergenceInterval = null;
+
+  // the tip is stale when no block has arrived for "staleTipFactor" times the target spacing (seconds)
+  this.healthCheckInterval = options.healthCheckInterval || Bitcoin.DEFAULT_HEALTH_CHECK_INTERVAL;
+  this.targetSpacing = options.targetSpacing || Bitcoin.DEFAULT_TARGET_SPACING;
+  this.staleTipFactor = options.staleTipFactor || Bitcoin.DEFAULT_STALE_TIP_FACTOR;
+  this.minPeers = _.isUndefined(options.minPeers) ? Bitcoin.DEFAULT_MIN_PEERS : options.minPeers;
+  this.healthInterval = null;
+  this.healthDegraded = false;
+  this.lastBlockTime = null;
 };
 
-Bitcoin.prototype._initCaches = function() {
-  // caches valid until there is a new block
-  this.utxosCache = LRU(50000);
-  this.txidsCache = LRU(50000);
-  this.balanceCache = LRU(50000);
-  this.summaryCache = LRU(50000);
-  this.blockOverviewCache = LRU(144);
-  this.transactionDetailedCache = LRU(100000);
-
-  // caches valid indefinitely
-  this.transactionCache = LRU(100000);
-  this.rawTransactionCache = LRU(50000);
-  this.blockCache = LRU(144);
-  this.rawBlockCache = LRU(72);
-  this.blockHeaderCache = LRU(288);
+Bitcoin.prototype._initCaches = function(options) {
+  this._initMemoryCaches(options);
+
+  // results that change with the chain are only cached if the tip is the same, see _setChainCache
+  this.cacheGeneration = 0;
+  // the keys of address caches with several addresses by address, see _invalidateAddressCaches
+  this.multiAddressCacheKeys = {};
+
+  // blocks, block headers and transactions buried by confirmations are kept on disk, see _initPersistentCache
+  this.persistentCache = null;
+  var persistentOptions = options.persistentCache || {};
+  this.persistentCacheConfirmations = persistentOptions.confirmations || Bitcoin.DEFAULT_PERSISTENT_CACHE_CONFIRMATIONS;
+
   this.zmqKnownTransactions = LRU(5000);
   this.zmqKnownBlocks = LRU(50);
+
+  // callbacks of requests in flight by key, see _coalesce
+  this.inFlightRequests = {};
   this.lastTip = 0;
   this.lastTipTimeout = false;
 };
 
-Bitcoin.prototype._initClients = function() {
+/**
+ * Will create the caches of Bitcoin.CACHES with the sizes of the "caches" option.
+ * @param {Object} options
+ */
+Bitcoin.prototype._initMemoryCaches = function(options) {
+  var cachesOptions = options.caches || {};
+  for (var name in cachesOptions) {
+    if (!Bitcoin.CACHES[name]) {
+      throw new TypeError('Unknown cache "' + name + '" in "caches" option');
+    }
+  }
+  for (name in Bitcoin.CACHES) {
+    var maxSize = (cachesOptions[name] || {}).maxSize || Bitcoin.CACHES[name].maxSize;
+    if (!_.isNumber(maxSize) || maxSize <= 0) {
+      throw new TypeError('"caches.' + name + '.maxSize" is expected to be a positive number of bytes');
+    }
+    this[Bitcoin.CACHES[name].property] = new Cache({maxSize: maxSize, length: Bitcoin.CACHES[name].length});
+  }
+};
+
+Bitcoin.prototype._initClients = function(options) {
   var self = this;
   this.nodes = [];
   this.nodesIndex = 0;
+
+  // how requests are balanced between healthy nodes
+  this.clientStrategy = options.clientStrategy || Bitcoin.DEFAULT_CLIENT_STRATEGY;
+  if (Bitcoin.CLIENT_STRATEGIES.indexOf(this.clientStrategy) === -1) {
+    throw new TypeError('Unknown "clientStrategy" option: ' + this.clientStrategy);
+  }
+
+  // consecutive failures before a node is quarantined, and the re-probe backoff
+  this.quarantineFailures = options.quarantineFailures || Bitcoin.DEFAULT_QUARANTINE_FAILURES;
+  this.quarantineInterval = options.quarantineInterval || Bitcoin.DEFAULT_QUARANTINE_INTERVAL;
+  this.maxQuarantineInterval = options.maxQuarantineInterval || Bitcoin.DEFAULT_MAX_QUARANTINE_INTERVAL;
+
+  // number of blocks a node can be behind the tip before it's considered lagging
+  this.maxNodeLag = options.maxNodeLag || Bitcoin.DEFAULT_MAX_NODE_LAG;
+
+  // broadcast transactions are read from the accepting node until they have propagated
+  this.transactionPinTime = options.transactionPinTime || Bitcoin.DEFAULT_TRANSACTION_PIN_TIME;
+  this.pinnedTransactions = LRU({max: 10000, maxAge: this.transactionPinTime});
+
+  this._initRPCTimeouts(options);
+
+  // send transactions to every node instead of a single node, by default when there are several nodes
+  this.broadcastTransactions = options.broadcastTransactions;
+
   Object.defineProperty(this, 'client', {
     get: function() {
-      var client = self.nodes[self.nodesIndex].client;
-      self.nodesIndex = (self.nodesIndex + 1) % self.nodes.length;
-      return client;
+      return self._getNextNode().client;
     },
     enumerable: true,
     configurable: false
   });
 };
 
+/**
+ * Will set the timeouts of RPC requests in milliseconds from "rpcTimeout" and the "rpcTimeouts"
+ * of methods by name.
+ * @param {Object} options
+ */
+Bitcoin.prototype._initRPCTimeouts = function(options) {
+  var self = this;
+  this.rpcTimeout = _.isUndefined(options.rpcTimeout) ? Bitcoin.DEFAULT_RPC_TIMEOUT : options.rpcTimeout;
+  this.rpcTimeouts = {};
+  _.each(_.extend({}, Bitcoin.DEFAULT_RPC_TIMEOUTS, options.rpcTimeouts), function(timeout, method) {
+    self.rpcTimeouts[method.toLowerCase()] = timeout;
+  });
+};
+
+Bitcoin.prototype._initChainHeaders = function() {
+  this.chainHeaders = [];
+  this.chainHeadersQueue = async.queue(this._trackChainHeader.bind(this), 1);
+};
+
+Bitcoin.prototype._initMempool = function(options) {
+  this.mempool = {
+    transactions: {},
+    addresses: {}
+  };
+  this.mempoolQueue = async.queue(this._loadMempoolEntryDetails.bind(this), this.transactionConcurrency);
+
+  // the index is reconciled with "getrawmempool" for transactions evicted, expired or conflicted
+  this.mempoolSyncInterval = options.mempoolSyncInterval || Bitcoin.DEFAULT_MEMPOOL_SYNC_INTERVAL;
+  this.mempoolInterval = null;
+  this.mempoolSyncing = false;
+  this.mempoolSynced = false;
+};
+
 /**
  * Called by Node to determine the available API methods.
  */
@@ -178,6 +424,19 @@ Bitcoin.prototype.getAPIMethods = function() {
     ['getAddressUnspentOutputs', this, this.getAddressUnspentOutputs, 2],
     ['getAddressHistory', this, this.getAddressHistory, 2],
     ['getAddressSummary', this, this.getAddressSummary, 1],
+    ['getXpubSummary', this, this.getXpubSummary, 2],
+    ['getXpubUtxos', this, this.getXpubUtxos, 2],
+    ['getXpubHistory', this, this.getXpubHistory, 2],
+    ['getMempoolInfo', this, this.getMempoolInfo, 0],
+    ['getMempoolTransactions', this, this.getMempoolTransactions, 0],
+    ['getMempoolTxidsForAddress', this, this.getMempoolTxidsForAddress, 1],
+    ['getSidechains', this, this.getSidechains, 1],
+    ['getSidechain', this, this.getSidechain, 1],
+    ['getSidechainForwardTransfers', this, this.getSidechainForwardTransfers, 2],
+    ['getNodesStatus', this, this.getNodesStatus, 0],
+    ['getCacheStats', this, this.getCacheStats, 0],
+    ['getDaemonLogTail', this, this.getDaemonLogTail, 1],
+    ['getDaemonRestarts', this, this.getDaemonRestarts, 0],
     ['generateBlock', this, this.generateBlock, 1]
   ];
   return methods;
@@ -205,6 +464,42 @@ Bitcoin.prototype.getPublishEvents = function() {
       scope: this,
       subscribe: this.subscribeAddress.bind(this),
       unsubscribe: this.unsubscribeAddress.bind(this)
+    },
+    {
+      name: 'bitcoind/reorg',
+      scope: this,
+      subscribe: this.subscribe.bind(this, 'reorg'),
+      unsubscribe: this.unsubscribe.bind(this, 'reorg')
+    },
+    {
+      name: 'bitcoind/txconfirmed',
+      scope: this,
+      subscribe: this.subscribeConfirmations.bind(this),
+      unsubscribe: this.unsubscribeConfirmations.bind(this)
+    },
+    {
+      name: 'bitcoind/sidechaincreated',
+      scope: this,
+      subscribe: this.subscribe.bind(this, 'sidechaincreated'),
+      unsubscribe: this.unsubscribe.bind(this, 'sidechaincreated')
+    },
+    {
+      name: 'bitcoind/certificate',
+      scope: this,
+      subscribe: this.subscribe.bind(this, 'certificate'),
+      unsubscribe: this.unsubscribe.bind(this, 'certificate')
+    },
+    {
+      name: 'bitcoind/nodedivergence',
+      scope: this,
+      subscribe: this.subscribe.bind(this, 'nodedivergence'),
+      unsubscribe: this.unsubscribe.bind(this, 'nodedivergence')
+    },
+    {
+      name: 'bitcoind/health',
+      scope: this,
+      subscribe: this.subscribe.bind(this, 'health'),
+      unsubscribe: this.unsubscribe.bind(this, 'health')
     }
   ];
 };
@@ -291,33 +586,144 @@ Bitcoin.prototype.unsubscribeAddressAll = function(emitter) {
   log.info(emitter.remoteAddress, 'unsubscribe:', 'bitcoind/addresstxid', 'total:', _.size(this.subscriptions.address));
 };
 
-Bitcoin.prototype._getDefaultConfig = function() {
-  var config = '';
-  var defaults = Bitcoin.DEFAULT_CONFIG_SETTINGS;
-  for(var key in defaults) {
-    config += key + '=' + defaults[key] + '\n';
+/**
+ * Will subscribe to the confirmations of a transaction. The emitter is notified each time
+ * the depth of the transaction changes until the target number of confirmations is reached,
+ * or only once the target is reached if "onlyTarget" is set.
+ * @param {EventEmitter} emitter - An instance of an event emitter
+ * @param {String} txid - The transaction hash
+ * @param {Number=} confirmations - The target number of confirmations (defaults to 1)
+ * @param {Boolean=} onlyTarget - Only notify once the target is reached
+ */
+Bitcoin.prototype.subscribeConfirmations = function(emitter, txid, confirmations, onlyTarget) {
+  var target = _.isUndefined(confirmations) ? 1 : confirmations;
+  if (!utils.isHash(txid) || !utils.isSafeNatural(target) || target === 0) {
+    return log.warn(emitter.remoteAddress, 'subscribe:', 'bitcoind/txconfirmed', 'invalid arguments');
+  }
+
+  var watch = this.subscriptions.txconfirmed[txid];
+  if (!watch) {
+    watch = this.subscriptions.txconfirmed[txid] = {
+      height: null,
+      blockHash: null,
+      subscribers: []
+    };
+  }
+  watch.subscribers.push({
+    emitter: emitter,
+    confirmations: target,
+    onlyTarget: !!onlyTarget,
+    lastConfirmations: null
+  });
+
+  log.info(emitter.remoteAddress, 'subscribe:', 'bitcoind/txconfirmed',
+           'total:', _.size(this.subscriptions.txconfirmed));
+
+  if (this.height > 0) {
+    this._checkTransactionConfirmations([txid]);
   }
-  return config;
 };
 
-Bitcoin.prototype._parseBitcoinConf = function(configPath) {
-  var options = {};
-  var file = fs.readFileSync(configPath);
-  var unparsed = file.toString().split('\n');
-  for(var i = 0; i < unparsed.length; i++) {
-    var line = unparsed[i];
-    if (!line.match(/^\#/) && line.match(/\=/)) {
-      var option = line.split('=');
-      var value;
-      if (!Number.isNaN(Number(option[1]))) {
-        value = Number(option[1]);
-      } else {
-        value = option[1];
+/**
+ * Will unsubscribe from the confirmations of a transaction, or of all transactions if
+ * the txid is not given.
+ * @param {EventEmitter} emitter - An instance of an event emitter
+ * @param {String=} txid - The transaction hash
+ */
+Bitcoin.prototype.unsubscribeConfirmations = function(emitter, txid) {
+  var txids = txid ? [txid] : Object.keys(this.subscriptions.txconfirmed);
+
+  function isOtherEmitter(subscriber) {
+    return subscriber.emitter !== emitter;
+  }
+
+  for (var i = 0; i < txids.length; i++) {
+    var watch = this.subscriptions.txconfirmed[txids[i]];
+    if (watch) {
+      watch.subscribers = watch.subscribers.filter(isOtherEmitter);
+      if (watch.subscribers.length === 0) {
+        delete this.subscriptions.txconfirmed[txids[i]];
       }
-      options[option[0]] = value;
     }
   }
-  return options;
+  log.info(emitter.remoteAddress, 'unsubscribe:', 'bitcoind/txconfirmed',
+           'total:', _.size(this.subscriptions.txconfirmed));
+};
+
+/**
+ * Will give the contents of a new zen.conf file with random RPC credentials.
+ * @returns {String}
+ */
+Bitcoin.prototype._getDefaultConfig = function() {
+  var settings = _.extend({}, Bitcoin.DEFAULT_CONFIG_SETTINGS, {
+    rpcuser: 'bitcore-' + crypto.randomBytes(8).toString('hex'),
+    rpcpassword: crypto.randomBytes(32).toString('hex')
+  });
+  return zenconf.stringify(settings);
+};
+
+/**
+ * Will read the options of a zen.conf file followed by the options of the files it includes
+ * with "includeconf" for every network or for the network section, relative paths are relative
+ * to the datadir.
+ * @param {String} configPath
+ * @param {String} section - The network section
+ * @param {Array=} included - The paths of the files that have already been read
+ * @returns {Array} - The options as given by `zenconf.parse`
+ */
+Bitcoin.prototype._readBitcoinConf = function(configPath, section, included) {
+  var self = this;
+  included = included || [];
+  included.push(configPath);
+  var entries = zenconf.parse(fs.readFileSync(configPath).toString());
+  var includes = entries.filter(function(entry) {
+    return entry.key === 'includeconf' && (!entry.section || entry.section === section);
+  });
+  includes.forEach(function(entry) {
+    var includePath = path.resolve(self.spawn.datadir, entry.value);
+    if (included.indexOf(includePath) !== -1) {
+      log.warn('Configuration file is included more than once:', includePath);
+      return;
+    }
+    if (!fs.existsSync(includePath)) {
+      throw new Error('Unable to find included configuration file: ' + includePath);
+    }
+    entries = entries.concat(self._readBitcoinConf(includePath, section, included));
+  });
+  return entries;
+};
+
+/**
+ * Will give the options of a zen.conf file for the network. Network sections and "includeconf"
+ * are only read by bitcore-node, zend doesn't read them and a warning is logged when they're used.
+ * @param {String} configPath
+ * @returns {Object}
+ */
+Bitcoin.prototype._parseBitcoinConf = function(configPath) {
+  var section = this._getNetworkSection();
+  var entries = this._readBitcoinConf(configPath, section);
+  var unsupported = entries.some(function(entry) {
+    return entry.section || entry.key === 'includeconf';
+  });
+  if (unsupported) {
+    log.warn('Network sections and "includeconf" of ' + configPath + ' are only read by bitcore-node, ' +
+             'zend ignores them');
+  }
+  return zenconf.getOptions(entries, section);
+};
+
+/**
+ * Will update options of a zen.conf file, keeping the other options and comments of the file.
+ * @param {String} configPath
+ * @param {Object} options - The values to set, an array for multiple values or null to remove
+ * @param {String=} section - The network section, defaults to the options for every network
+ */
+Bitcoin.prototype._updateBitcoinConf = function(configPath, options, section) {
+  var text = fs.existsSync(configPath) ? fs.readFileSync(configPath).toString() : '';
+  for (var key in options) {
+    text = zenconf.set(text, key, options[key], section);
+  }
+  fs.writeFileSync(configPath, text);
 };
 
 Bitcoin.prototype._expandRelativeDatadir = function() {
@@ -374,50 +780,45 @@ Bitcoin.prototype._loadSpawnConfiguration = function(node) {
 
 Bitcoin.prototype._checkConfigIndexes = function(spawnConfig, node) {
   $.checkState(
-    spawnConfig.txindex && spawnConfig.txindex === 1,
+    Number(spawnConfig.txindex) === 1,
     '"txindex" option is required in order to use transaction query features of bitcore-node. ' +
       'Please add "txindex=1" to your configuration and reindex an existing database if ' +
       'necessary with reindex=1'
   );
 
   $.checkState(
-    spawnConfig.addressindex && spawnConfig.addressindex === 1,
+    Number(spawnConfig.addressindex) === 1,
     '"addressindex" option is required in order to use address query features of bitcore-node. ' +
       'Please add "addressindex=1" to your configuration and reindex an existing database if ' +
       'necessary with reindex=1'
   );
 
   $.checkState(
-    spawnConfig.spentindex && spawnConfig.spentindex === 1,
+    Number(spawnConfig.spentindex) === 1,
     '"spentindex" option is required in order to use spent info query features of bitcore-node. ' +
       'Please add "spentindex=1" to your configuration and reindex an existing database if ' +
       'necessary with reindex=1'
   );
 
   $.checkState(
-    spawnConfig.server && spawnConfig.server === 1,
+    Number(spawnConfig.server) === 1,
     '"server" option is required to communicate to zend from bitcore. ' +
       'Please add "server=1" to your configuration and restart'
   );
 
   $.checkState(
-    spawnConfig.zmqpubrawtx,
+    spawnConfig.zmqpubrawtx || spawnConfig.zmqpubhashtx,
     '"zmqpubrawtx" option is required to get event updates from zend. ' +
       'Please add "zmqpubrawtx=tcp://127.0.0.1:<port>" to your configuration and restart'
   );
 
   $.checkState(
-    spawnConfig.zmqpubhashblock,
+    spawnConfig.zmqpubhashblock || spawnConfig.zmqpubrawblock,
     '"zmqpubhashblock" option is required to get event updates from zend. ' +
       'Please add "zmqpubhashblock=tcp://127.0.0.1:<port>" to your configuration and restart'
   );
 
-  $.checkState(
-    (spawnConfig.zmqpubhashblock === spawnConfig.zmqpubrawtx),
-    '"zmqpubrawtx" and "zmqpubhashblock" are expected to the same host and port in zen.conf'
-  );
-
-  if (spawnConfig.reindex && spawnConfig.reindex === 1) {
+  if (Number(spawnConfig.reindex) === 1) {
     log.warn('Reindex option is currently enabled. This means that zend is undergoing a reindex. ' +
              'The reindex flag will start the index from beginning every time the node is started, so it ' +
              'should be removed after the reindex has been initiated. Once the reindex is complete, the rest ' +
@@ -427,1586 +828,4860 @@ Bitcoin.prototype._checkConfigIndexes = function(spawnConfig, node) {
 };
 
 Bitcoin.prototype._resetCaches = function() {
-  this.transactionDetailedCache.reset();
-  this.utxosCache.reset();
-  this.txidsCache.reset();
-  this.balanceCache.reset();
-  this.summaryCache.reset();
-  this.blockOverviewCache.reset();
+  for (var name in Bitcoin.CACHES) {
+    if (Bitcoin.CACHES[name].reset) {
+      this[Bitcoin.CACHES[name].property].reset();
+    }
+  }
+  this.multiAddressCacheKeys = {};
+  this.cacheGeneration += 1;
 };
 
-Bitcoin.prototype._tryAllClients = function(func, callback) {
+/**
+ * Will open the persistent cache of the "persistentCache" option, in "dir" or in the datadir of
+ * the spawned zend process.
+ * @param {Function} callback
+ */
+Bitcoin.prototype._initPersistentCache = function(callback) {
   var self = this;
-  var nodesIndex = this.nodesIndex;
-  var retry = function(done) {
-    var client = self.nodes[nodesIndex].client;
-    nodesIndex = (nodesIndex + 1) % self.nodes.length;
-    func(client, done);
-  };
-  async.retry({times: this.nodes.length, interval: this.tryAllInterval || 1000}, retry, callback);
+  var options = self.options.persistentCache;
+  if (!options) {
+    return callback();
+  }
+  var dir;
+  if (options.dir) {
+    dir = self._resolveConfigPath(options.dir);
+  } else if (self.options.spawn) {
+    dir = path.resolve(self.options.spawn.datadir, Bitcoin.DEFAULT_PERSISTENT_CACHE_DIR);
+  } else {
+    return callback(new TypeError('"persistentCache.dir" is expected without "spawn"'));
+  }
+  var maxSize = options.maxSize || Bitcoin.DEFAULT_PERSISTENT_CACHE_SIZE;
+  if (!_.isNumber(maxSize) || maxSize <= 0) {
+    return callback(new TypeError('"persistentCache.maxSize" is expected to be a positive number of bytes'));
+  }
+  var persistentCache = new DiskCache({dir: dir, maxSize: maxSize});
+  persistentCache.open(function(err) {
+    if (err) {
+      return callback(err);
+    }
+    log.info('Using persistent cache at:', dir);
+    self.persistentCache = persistentCache;
+    callback();
+  });
 };
 
-Bitcoin.prototype._wrapRPCError = function(errObj) {
-  var err = new errors.RPCError(errObj.message);
-  err.code = errObj.code;
-  return err;
+/**
+ * Will give if a block at a height is buried by enough confirmations to be kept in the
+ * persistent cache.
+ * @param {Number} height
+ * @returns {Boolean}
+ */
+Bitcoin.prototype._isBuried = function(height) {
+  if (!_.isNumber(height) || height < 0 || !_.isNumber(this.height)) {
+    return false;
+  }
+  return this.height - height + 1 >= this.persistentCacheConfirmations;
 };
 
-Bitcoin.prototype._initChain = function(callback) {
-  var self = this;
-
-  self.client.getBestBlockHash(function(err, response) {
+/**
+ * Will read a value of the persistent cache, the value is null when it isn't cached, when the
+ * persistent cache isn't used, or when it can't be read.
+ * @param {String} name - The kind of value: "rawBlock", "blockHeader" or "rawTransaction"
+ * @param {String} key - The block hash or txid
+ * @param {Function} callback
+ */
+Bitcoin.prototype._readPersistentCache = function(name, key, callback) {
+  if (!this.persistentCache) {
+    return callback(null, null);
+  }
+  this.persistentCache.get(name + '-' + key, function(err, buffer) {
     if (err) {
-      return callback(self._wrapRPCError(err));
+      log.warn('Unable to read from persistent cache:', err.message);
+      return callback(null, null);
     }
+    callback(null, buffer);
+  });
+};
 
-    self.client.getBlock(response.result, function(err, response) {
-      if (err) {
-        return callback(self._wrapRPCError(err));
-      }
-
-      self.height = response.result.height;
-
-      self.client.getBlockHash(0, function(err, response) {
-        if (err) {
-          return callback(self._wrapRPCError(err));
-        }
-        var blockhash = response.result;
-        self.getRawBlock(blockhash, function(err, blockBuffer) {
-          if (err) {
-            return callback(err);
-          }
-          self.genesisBuffer = blockBuffer;
-          self.emit('ready');
-          log.info('Horizen Daemon Ready');
-          callback();
-        });
-      });
-
-    });
+Bitcoin.prototype._writePersistentCache = function(name, key, buffer) {
+  this.persistentCache.set(name + '-' + key, buffer, function(err) {
+    if (err) {
+      log.warn('Unable to write to persistent cache:', err.message);
+    }
   });
 };
 
-Bitcoin.prototype._getDefaultConf = function() {
-  var networkOptions = {
-    rpcport: 8231
-  };
-  if (this.node.network === bitcore.Networks.testnet) {
-    networkOptions.rpcport = 18231;
+/**
+ * Will give the height of a block of the main chain from the tracked chain headers or the cached
+ * block headers, null when it isn't known.
+ * @param {String} blockhash
+ * @returns {Number|null}
+ */
+Bitcoin.prototype._getKnownBlockHeight = function(blockhash) {
+  var index = this._getChainHeaderIndex(blockhash);
+  if (index !== -1) {
+    return this.chainHeaders[index].height;
   }
-  return networkOptions;
+  var header = this.blockHeaderCache.peek(blockhash);
+  return header && header.confirmations >= 0 ? header.height : null;
 };
 
-Bitcoin.prototype._getNetworkConfigPath = function() {
-  var networkPath;
-  if (this.node.network === bitcore.Networks.testnet) {
-    networkPath = 'testnet3/zen.conf';
-    if (this.node.network.regtestEnabled) {
-      networkPath = 'regtest/zen.conf';
-    }
+/**
+ * Will write a block that is buried to the persistent cache with its transactions, a block is
+ * only written when its height is given or known, see _getKnownBlockHeight.
+ * @param {String} blockhash
+ * @param {Number=} height
+ * @param {Buffer} buffer - The serialized block
+ */
+Bitcoin.prototype._persistBlock = function(blockhash, height, buffer) {
+  var self = this;
+  if (!self.persistentCache) {
+    return;
   }
-  return networkPath;
+  if (!_.isNumber(height)) {
+    height = self._getKnownBlockHeight(blockhash);
+  }
+  if (!self._isBuried(height)) {
+    return;
+  }
+  self._writePersistentCache('rawBlock', blockhash, buffer);
+  var block = bitcore.Block.fromBuffer(buffer);
+  block.transactions.forEach(function(tx) {
+    self._writePersistentCache('rawTransaction', tx.hash, tx.toBuffer());
+  });
 };
 
-Bitcoin.prototype._getNetworkOption = function() {
-  var networkOption;
-  if (this.node.network === bitcore.Networks.testnet) {
-    networkOption = '--testnet';
-    if (this.node.network.regtestEnabled) {
-      networkOption = '--regtest';
-    }
+/**
+ * Will write a transaction to the persistent cache when it's buried.
+ * @param {String} txid
+ * @param {Number=} height - The height of the block of the transaction
+ * @param {Buffer} buffer - The serialized transaction
+ */
+Bitcoin.prototype._persistTransaction = function(txid, height, buffer) {
+  if (this.persistentCache && this._isBuried(height)) {
+    this._writePersistentCache('rawTransaction', txid, buffer);
   }
-  return networkOption;
 };
 
-Bitcoin.prototype._zmqBlockHandler = function(node, message) {
-  var self = this;
-
-  // Update the current chain tip
-  self._rapidProtectedUpdateTip(node, message);
+/**
+ * Will give a block header or overview that has been cached with the confirmations from the
+ * current height, blocks that aren't in the main chain keep -1 confirmations.
+ * @param {Object} result
+ * @returns {Object}
+ */
+Bitcoin.prototype._updateConfirmations = function(result) {
+  if (result.confirmations >= 0 && _.isNumber(this.height)) {
+    return _.extend({}, result, {confirmations: this.height - result.height + 1});
+  }
+  return result;
+};
 
-  // Notify block subscribers
-  var id = message.toString('binary');
-  if (!self.zmqKnownBlocks.get(id)) {
-    self.zmqKnownBlocks.set(id, true);
-    self.emit('block', message);
+/**
+ * Will give the key of the address caches for addresses, the key is the same for any order
+ * of the addresses.
+ * @param {Array} addresses
+ * @returns {String}
+ */
+Bitcoin.prototype._getAddressesCacheKey = function(addresses) {
+  return _.uniq(addresses).sort().join(',');
+};
 
-    for (var i = 0; i < this.subscriptions.hashblock.length; i++) {
-      this.subscriptions.hashblock[i].emit('bitcoind/hashblock', message.toString('hex'));
-    }
+/**
+ * Will cache a result that changes with the chain, unless the tip has changed since the result
+ * was requested, as the result may be from before the new tip and its cached results have
+ * already been removed.
+ * @param {Cache} cache
+ * @param {String} key
+ * @param {*} value
+ * @param {Number} generation - The "cacheGeneration" when the result was requested
+ * @returns {Boolean} - If the result was cached
+ */
+Bitcoin.prototype._setChainCache = function(cache, key, value, generation) {
+  if (generation !== this.cacheGeneration) {
+    return false;
   }
-
+  cache.set(key, value);
+  return true;
 };
 
-Bitcoin.prototype._rapidProtectedUpdateTip = function(node, message) {
+Bitcoin.prototype._setAddressCache = function(cache, cacheKey, value, generation) {
   var self = this;
+  var addresses = cacheKey.split(',');
+  if (self._setChainCache(cache, cacheKey, value, generation) && addresses.length > 1) {
+    addresses.forEach(function(address) {
+      self.multiAddressCacheKeys[address] = self.multiAddressCacheKeys[address] || {};
+      self.multiAddressCacheKeys[address][cacheKey] = true;
+    });
+  }
+};
 
-  // Prevent a rapid succession of tip updates
-  if (new Date() - self.lastTip > 1000) {
-    self.lastTip = new Date();
-    self._updateTip(node, message);
-  } else {
-    clearTimeout(self.lastTipTimeout);
-    self.lastTipTimeout = setTimeout(function() {
-      self._updateTip(node, message);
-    }, 1000);
+/**
+ * Will remove the key of several addresses from the keys by address when none of the address
+ * caches has it, as after it has been removed or evicted.
+ * @param {String} cacheKey
+ */
+Bitcoin.prototype._pruneAddressCacheKey = function(cacheKey) {
+  var self = this;
+  var isCached = Bitcoin.ADDRESS_CACHES.some(function(name) {
+    return self[Bitcoin.CACHES[name].property].has(cacheKey);
+  });
+  if (isCached) {
+    return;
   }
+  cacheKey.split(',').forEach(function(address) {
+    var keys = self.multiAddressCacheKeys[address];
+    if (keys) {
+      delete keys[cacheKey];
+      if (_.isEmpty(keys)) {
+        delete self.multiAddressCacheKeys[address];
+      }
+    }
+  });
 };
 
-Bitcoin.prototype._updateTip = function(node, message) {
+/**
+ * Will remove the cached results of addresses, including the results of several addresses
+ * that include any of the addresses.
+ * @param {Array} addresses
+ * @param {Array=} names - The names of the address caches (defaults to every address cache)
+ */
+Bitcoin.prototype._invalidateAddressCaches = function(addresses, names) {
   var self = this;
+  var caches = (names || Bitcoin.ADDRESS_CACHES).map(function(name) {
+    return self[Bitcoin.CACHES[name].property];
+  });
 
-  var hex = message.toString('hex');
-  if (hex !== self.tiphash) {
-    self.tiphash = message.toString('hex');
-
-    // reset block valid caches
-    self._resetCaches();
-
-    node.client.getBlock(self.tiphash, function(err, response) {
-      if (err) {
-        var error = self._wrapRPCError(err);
-        self.emit('error', error);
-      } else {
-        self.height = response.result.height;
-        $.checkState(self.height >= 0);
-        self.emit('tip', self.height);
-      }
+  addresses.forEach(function(address) {
+    caches.forEach(function(cache) {
+      cache.del(address);
     });
-
-    if(!self.node.stopping) {
-      self.syncPercentage(function(err, percentage) {
-        if (err) {
-          self.emit('error', err);
-        } else {
-          if (Math.round(percentage) >= 100) {
-            self.emit('synced', self.height);
-          }
-          log.info('Horizen Height:', self.height, 'Percentage:', percentage.toFixed(2));
-        }
+    Object.keys(self.multiAddressCacheKeys[address] || {}).forEach(function(cacheKey) {
+      caches.forEach(function(cache) {
+        cache.del(cacheKey);
       });
-    }
+      self._pruneAddressCacheKey(cacheKey);
+    });
+  });
+};
+
+/**
+ * Will give the address of the output spent by an input, from the script of the input or from
+ * the spent transaction when it's cached, null when it isn't known.
+ * @param {Input} input
+ * @returns {String|null}
+ */
+Bitcoin.prototype._getInputAddress = function(input) {
+  var address = input.script ? input.script.toAddress(this.node.network) : null;
+  if (address) {
+    return address.toString();
+  }
+  var prevTxId = input.prevTxId.toString('hex');
+  var detailedTx = this.transactionDetailedCache.peek(prevTxId);
+  if (detailedTx && detailedTx.outputs[input.outputIndex]) {
+    return detailedTx.outputs[input.outputIndex].address || null;
   }
+  var prevTx = this.transactionCache.peek(prevTxId);
+  var output = prevTx ? prevTx.outputs[input.outputIndex] : null;
+  address = output && output.script ? output.script.toAddress(this.node.network) : null;
+  return address ? address.toString() : null;
 };
 
-Bitcoin.prototype._getAddressesFromTransaction = function(transaction) {
+/**
+ * Will remove the cached results that change with the transactions of a block: the detailed
+ * transactions of the block and the transactions they spend, and the results of the addresses
+ * of the outputs and of the spent outputs. The addresses of spent outputs that aren't known are
+ * queried with getrawtransaction.
+ * @param {Block} block
+ * @param {Function} callback
+ */
+Bitcoin.prototype._invalidateBlockTransactionsCaches = function(block, callback) {
+  var self = this;
   var addresses = [];
-
-  for (var i = 0; i < transaction.inputs.length; i++) {
-    var input = transaction.inputs[i];
-    if (input.script) {
-      var inputAddress = input.script.toAddress(this.node.network);
-      if (inputAddress) {
-        addresses.push(inputAddress.toString());
+  var unknownInputs = [];
+  block.transactions.forEach(function(tx) {
+    self.transactionDetailedCache.del(tx.hash);
+    tx.outputs.forEach(function(output) {
+      var address = output.script ? output.script.toAddress(self.node.network) : null;
+      if (address) {
+        addresses.push(address.toString());
       }
+    });
+    if (tx.isCoinbase()) {
+      return;
     }
-  }
-
-  for (var j = 0; j < transaction.outputs.length; j++) {
-    var output = transaction.outputs[j];
-    if (output.script) {
-      var outputAddress = output.script.toAddress(this.node.network);
-      if (outputAddress) {
-        addresses.push(outputAddress.toString());
+    tx.inputs.forEach(function(input) {
+      var address = self._getInputAddress(input);
+      self.transactionDetailedCache.del(input.prevTxId.toString('hex'));
+      if (address) {
+        addresses.push(address);
+      } else {
+        unknownInputs.push(input);
       }
-    }
+    });
+  });
+  self._invalidateAddressCaches(_.uniq(addresses));
+  if (!unknownInputs.length) {
+    return setImmediate(callback);
   }
-
-  return _.uniq(addresses);
+  self._getSpentAddresses(unknownInputs, function(err, spentAddresses) {
+    if (err) {
+      return callback(err);
+    }
+    self._invalidateAddressCaches(spentAddresses);
+    callback();
+  });
 };
 
-Bitcoin.prototype._notifyAddressTxidSubscribers = function(txid, transaction) {
-  var addresses = this._getAddressesFromTransaction(transaction);
-  for (var i = 0; i < addresses.length; i++) {
-    var address = addresses[i];
-    if(this.subscriptions.address[address]) {
-      var emitters = this.subscriptions.address[address];
-      for(var j = 0; j < emitters.length; j++) {
-        emitters[j].emit('bitcoind/addresstxid', {
-          address: address,
-          txid: txid
-        });
-      }
+/**
+ * Will give the addresses of the outputs spent by inputs, queried with getrawtransaction.
+ * @param {Array} inputs
+ * @param {Function} callback
+ */
+Bitcoin.prototype._getSpentAddresses = function(inputs, callback) {
+  var txids = _.uniq(inputs.map(function(input) {
+    return input.prevTxId.toString('hex');
+  }));
+  var params = txids.map(function(txid) {
+    return [txid, 1];
+  });
+  this._batchRPC('getrawtransaction', params, {txids: txids}, function(err, results) {
+    if (err) {
+      return callback(err);
     }
-  }
+    var addresses = [];
+    inputs.forEach(function(input) {
+      var result = results[txids.indexOf(input.prevTxId.toString('hex'))];
+      var out = result.vout[input.outputIndex];
+      if (out && out.scriptPubKey && out.scriptPubKey.addresses) {
+        addresses = addresses.concat(out.scriptPubKey.addresses);
+      }
+    });
+    callback(null, _.uniq(addresses));
+  });
 };
 
-Bitcoin.prototype._zmqTransactionHandler = function(node, message) {
+/**
+ * Will remove the cached results that change when a block is connected to or disconnected from
+ * the chain: the headers and overviews of the block and of its previous block, and the results
+ * of its transactions, see _invalidateBlockTransactionsCaches.
+ * @param {String} blockhash
+ * @param {Function} callback
+ */
+Bitcoin.prototype._invalidateBlockCaches = function(blockhash, callback) {
   var self = this;
-  var hash = bitcore.crypto.Hash.sha256sha256(message);
-  var id = hash.toString('binary');
-  if (!self.zmqKnownTransactions.get(id)) {
-    self.zmqKnownTransactions.set(id, true);
-    self.emit('tx', message);
+  self.blockHeaderCache.del(blockhash);
+  self.blockOverviewCache.del(blockhash);
+  self.getBlock(blockhash, function(err, block) {
+    if (err) {
+      return callback(err);
+    }
+    var prevHash = bitcore.util.buffer.reverse(block.header.prevHash).toString('hex');
+    self.blockHeaderCache.del(prevHash);
+    self.blockOverviewCache.del(prevHash);
+    self._invalidateBlockTransactionsCaches(block, callback);
+  });
+};
 
-    // Notify transaction subscribers
-    for (var i = 0; i < this.subscriptions.rawtransaction.length; i++) {
-      this.subscriptions.rawtransaction[i].emit('bitcoind/rawtransaction', message.toString('hex'));
+/**
+ * Will remove the cached results that change with the blocks connected to and disconnected from
+ * the chain, every cache valid until there is a new block is reset when that isn't possible.
+ * @param {Array} connected - The chain headers of the connected blocks
+ * @param {Array} disconnected - The chain headers of the disconnected blocks
+ */
+Bitcoin.prototype._invalidateChainCaches = function(connected, disconnected) {
+  var self = this;
+  var blockhashes = _.map(disconnected.concat(connected), 'hash');
+  async.eachSeries(blockhashes, self._invalidateBlockCaches.bind(self), function(err) {
+    if (err) {
+      log.warn('Unable to remove cached results of a block, resetting caches:', err.message);
+      self._resetCaches();
     }
+  });
+};
 
-    var tx = bitcore.Transaction();
-    tx.fromString(message);
-    var txid = bitcore.util.buffer.reverse(hash).toString('hex');
-    self._notifyAddressTxidSubscribers(txid, tx);
+Bitcoin.prototype._getNodeHealth = function(node) {
+  if (!node.health) {
+    node.health = {
+      failures: 0,
+      quarantined: false,
+      quarantineCount: 0,
+      quarantinedUntil: null,
+      latency: null,
+      height: null,
+      lastError: null,
+      lastSuccess: null,
+      probeTimeout: null,
+      divergedSince: null,
+      divergenceNotified: false
+    };
+  }
+  return node.health;
+};
 
+/**
+ * Will give the state of a node, either "healthy", "lagging" when the node is more than
+ * "maxNodeLag" blocks behind the tip, or "quarantined" after consecutive failures.
+ * @param {Object} node
+ */
+Bitcoin.prototype._getNodeState = function(node) {
+  var health = this._getNodeHealth(node);
+  if (health.quarantined) {
+    return 'quarantined';
   }
+  if (health.height !== null && this.height && health.height + this.maxNodeLag < this.height) {
+    return 'lagging';
+  }
+  return 'healthy';
 };
 
-Bitcoin.prototype._checkSyncedAndSubscribeZmqEvents = function(node) {
+/**
+ * Will give the nodes in the order they should be used by the client strategy. Healthy nodes
+ * are first, and unhealthy nodes are last so that they're only used when all others fail.
+ */
+Bitcoin.prototype._getStrategyNodesOrder = function() {
   var self = this;
-  var interval;
-
-  function checkAndSubscribe(callback) {
-    // update tip
-    node.client.getBestBlockHash(function(err, response) {
-      if (err) {
-        return callback(self._wrapRPCError(err));
-      }
-      var blockhash = new Buffer(response.result, 'hex');
-      self.emit('block', blockhash);
-      self._updateTip(node, blockhash);
+  var rotated = [];
+  for (var i = 0; i < self.nodes.length; i++) {
+    rotated.push(self.nodes[(self.nodesIndex + i) % self.nodes.length]);
+  }
+  function isHealthy(node) {
+    return self._getNodeState(node) === 'healthy';
+  }
+  var healthy = rotated.filter(isHealthy);
+  var unhealthy = rotated.filter(function(node) {
+    return !isHealthy(node);
+  });
 
-      // check if synced
-      node.client.getBlockchainInfo(function(err, response) {
-        if (err) {
-          return callback(self._wrapRPCError(err));
-        }
-        var progress = response.result.verificationprogress;
-        if (progress >= self.zmqSubscribeProgress) {
-          // subscribe to events for further updates
-          self._subscribeZmqEvents(node);
-          clearInterval(interval);
-          callback(null, true);
-        } else {
-          callback(null, false);
-        }
-      });
+  if (self.clientStrategy === 'latency') {
+    healthy.sort(function(a, b) {
+      return (self._getNodeHealth(a).latency || 0) - (self._getNodeHealth(b).latency || 0);
     });
+  } else if (self.clientStrategy === 'primary') {
+    healthy = self.nodes.filter(isHealthy);
   }
 
-  checkAndSubscribe(function(err, synced) {
-    if (err) {
-      log.error(err);
-    }
-    if (!synced) {
-      interval = setInterval(function() {
-        if (self.node.stopping) {
-          return clearInterval(interval);
-        }
-        checkAndSubscribe(function(err) {
-          if (err) {
-            log.error(err);
-          }
-        });
-      }, node._tipUpdateInterval || Bitcoin.DEFAULT_TIP_UPDATE_INTERVAL);
-    }
-  });
-
+  return healthy.concat(unhealthy);
 };
 
-Bitcoin.prototype._subscribeZmqEvents = function(node) {
+/**
+ * Will give the nodes in the order of the client strategy, with nodes that are known to be
+ * behind the required height moved after the others, and nodes that a transaction is pinned
+ * to moved first.
+ * @param {Object=} options
+ * @param {Number=} options.height - The height that the tip of the node is required to be at
+ * @param {String=} options.txid - The transaction that is being read
+ * @param {Array=} options.txids - The transactions that are being read
+ */
+Bitcoin.prototype._getNodesOrder = function(options) {
   var self = this;
-  node.zmqSubSocket.subscribe('hashblock');
-  node.zmqSubSocket.subscribe('rawtx');
-  node.zmqSubSocket.on('message', function(topic, message) {
-    var topicString = topic.toString('utf8');
-    if (topicString === 'rawtx') {
-      self._zmqTransactionHandler(node, message);
-    } else if (topicString === 'hashblock') {
-      self._zmqBlockHandler(node, message);
-    }
-  });
+  options = options || {};
+  var ordered = self._getStrategyNodesOrder();
+  if (_.isNumber(options.height)) {
+    ordered = self._prioritizeNodes(ordered, function(node) {
+      var height = self._getNodeHealth(node).height;
+      return height === null || height >= options.height;
+    });
+  }
+  var txids = options.txids || (options.txid ? [options.txid] : []);
+  var pinned = _.flatten(txids.map(function(txid) {
+    return self.pinnedTransactions.get(txid) || [];
+  }));
+  if (pinned.length) {
+    ordered = self._prioritizeNodes(ordered, function(node) {
+      return pinned.indexOf(node) !== -1;
+    });
+  }
+  return ordered;
 };
 
-Bitcoin.prototype._initZmqSubSocket = function(node, zmqUrl) {
-  var self = this;
-  node.zmqSubSocket = zmq.socket('sub');
+Bitcoin.prototype._prioritizeNodes = function(nodes, filter) {
+  return nodes.filter(filter).concat(nodes.filter(function(node) {
+    return !filter(node);
+  }));
+};
 
-  node.zmqSubSocket.on('connect', function(fd, endPoint) {
-    log.info('ZMQ connected to:', endPoint);
-  });
+Bitcoin.prototype._getNextNode = function() {
+  var node = this._getNodesOrder()[0];
+  this.nodesIndex = (this.nodes.indexOf(node) + 1) % this.nodes.length;
+  return node;
+};
 
-  node.zmqSubSocket.on('connect_delay', function(fd, endPoint) {
-    log.warn('ZMQ connection delay:', endPoint);
-  });
+/**
+ * Will pin reads of a transaction to the nodes that accepted it, the transaction is unpinned
+ * once it has been seen from every node or after "transactionPinTime".
+ * @param {String} txid - The transaction hash
+ * @param {Array} nodes - The nodes that accepted the transaction
+ */
+Bitcoin.prototype._pinTransaction = function(txid, nodes) {
+  if (nodes.length < this.nodes.length) {
+    this.pinnedTransactions.set(txid, nodes.slice());
+  }
+};
 
-  node.zmqSubSocket.on('disconnect', function(fd, endPoint) {
-    log.warn('ZMQ disconnect:', endPoint);
-  });
+Bitcoin.prototype._updatePinnedTransaction = function(txid, node) {
+  var pinned = this.pinnedTransactions.get(txid);
+  if (!pinned || pinned.indexOf(node) !== -1) {
+    return;
+  }
+  pinned.push(node);
+  if (pinned.length >= this.nodes.length) {
+    this.pinnedTransactions.del(txid);
+  }
+};
 
-  node.zmqSubSocket.on('monitor_error', function(err) {
-    log.error('Error in monitoring: %s, will restart monitoring in 5 seconds', err);
-    setTimeout(function() {
-      self.zmqSubSocket.monitor(500, 0);
-    }, 5000);
-  });
+/**
+ * Errors given by the daemon, other than warming up, are not failures of the node.
+ * @param {Error} err
+ */
+Bitcoin.prototype._isNodeFailure = function(err) {
+  return !(_.isNumber(err.code) && err.code < 0 && err.code !== -28);
+};
 
-  node.zmqSubSocket.monitor(500, 0);
-  node.zmqSubSocket.connect(zmqUrl);
+Bitcoin.prototype._updateNodeHealth = function(node, err, latency) {
+  var health = this._getNodeHealth(node);
+  if (err && this._isNodeFailure(err)) {
+    health.failures += 1;
+    health.lastError = err.message;
+    if (!health.quarantined && health.failures >= this.quarantineFailures) {
+      this._quarantineNode(node);
+    }
+    return;
+  }
+  health.failures = 0;
+  health.lastSuccess = Date.now();
+  health.latency = health.latency === null ? latency : Math.round(health.latency * 0.7 + latency * 0.3);
 };
 
-Bitcoin.prototype._checkReindex = function(node, callback) {
+Bitcoin.prototype._quarantineNode = function(node) {
+  var health = this._getNodeHealth(node);
+  health.quarantined = true;
+  health.quarantineCount += 1;
+  var interval = Math.min(
+    this.quarantineInterval * Math.pow(2, health.quarantineCount - 1),
+    this.maxQuarantineInterval
+  );
+  health.quarantinedUntil = Date.now() + interval;
+  log.warn('Horizen node quarantined:', this._getNodeName(node), 'probing again in', interval + 'ms');
+  health.probeTimeout = setTimeout(this._probeNode.bind(this, node), interval);
+  health.probeTimeout.unref();
+};
+
+Bitcoin.prototype._probeNode = function(node) {
   var self = this;
-  var interval;
-  function finish(err) {
-    clearInterval(interval);
-    callback(err);
+  var health = self._getNodeHealth(node);
+  var start = Date.now();
+  health.probeTimeout = null;
+  if (self.node.stopping) {
+    return;
   }
-  if (node._reindex) {
-    interval = setInterval(function() {
-      node.client.getBlockchainInfo(function(err, response) {
-        if (err) {
-          return finish(self._wrapRPCError(err));
-        }
-        var percentSynced = response.result.verificationprogress * 100;
-
-        log.info('Horizen Daemon Reindex Percentage: ' + percentSynced.toFixed(2));
+  node.client.getBlockCount(function(err, response) {
+    if (err && self._isNodeFailure(err)) {
+      health.lastError = err.message;
+      return self._quarantineNode(node);
+    }
+    health.quarantined = false;
+    health.quarantineCount = 0;
+    health.quarantinedUntil = null;
+    if (response) {
+      health.height = response.result;
+    }
+    self._updateNodeHealth(node, null, Date.now() - start);
+    log.info('Horizen node restored:', self._getNodeName(node));
+  });
+};
 
-        if (Math.round(percentSynced) >= 100) {
-          node._reindex = false;
-          finish();
-        }
-      });
-    }, node._reindexWait || Bitcoin.DEFAULT_REINDEX_INTERVAL);
-  } else {
-    callback();
+Bitcoin.prototype._clearNodeProbes = function() {
+  for (var i = 0; i < this.nodes.length; i++) {
+    var health = this._getNodeHealth(this.nodes[i]);
+    if (health.probeTimeout) {
+      clearTimeout(health.probeTimeout);
+      health.probeTimeout = null;
+    }
   }
 };
 
-Bitcoin.prototype._loadTipFromNode = function(node, callback) {
-  var self = this;
-  node.client.getBestBlockHash(function(err, response) {
-    if (err && err.code === -28) {
-      log.warn(err.message);
-      return callback(self._wrapRPCError(err));
-    } else if (err) {
-      return callback(self._wrapRPCError(err));
-    }
-    node.client.getBlock(response.result, function(err, response) {
-      if (err) {
-        return callback(self._wrapRPCError(err));
-      }
-      self.height = response.result.height;
-      $.checkState(self.height >= 0);
-      self.emit('tip', self.height);
-      callback();
-    });
-  });
+Bitcoin.prototype._getNodeName = function(node) {
+  return node.client.host + ':' + node.client.port;
 };
 
-Bitcoin.prototype._stopSpawnedBitcoin = function(callback) {
-  var self = this;
-  var spawnOptions = this.options.spawn;
-  var pidPath = spawnOptions.datadir + '/zend.pid';
-
-  function stopProcess() {
-    fs.readFile(pidPath, 'utf8', function(err, pid) {
-      if (err && err.code === 'ENOENT') {
-        // pid file doesn't exist we can continue
-        return callback(null);
-      } else if (err) {
-        return callback(err);
-      }
-      pid = parseInt(pid);
-      if (!Number.isFinite(pid)) {
-        // pid doesn't exist we can continue
-        return callback(null);
-      }
-      try {
-        log.warn('Stopping existing spawned zen process with pid: ' + pid);
-        self._process.kill(pid, 'SIGINT');
-      } catch(err) {
-        if (err && err.code === 'ESRCH') {
-          log.warn('Unclean zen process shutdown, process not found with pid: ' + pid);
-          return callback(null);
-        } else if(err) {
-          return callback(err);
-        }
-      }
-      setTimeout(function() {
-        stopProcess();
-      }, self.spawnStopTime);
-    });
+/**
+ * Errors that may not be given by another node are retriable: timeouts, the connection errors of
+ * RETRIABLE_CONNECTION_ERROR_CODES, the transient error codes of RETRIABLE_RPC_ERROR_CODES, and a
+ * block or transaction that isn't found, which another node may have. Other errors, such as an
+ * invalid address or parameter, a rejected authentication or an unverified TLS certificate, are fatal.
+ * @param {Error} err
+ * @returns {Boolean}
+ */
+Bitcoin.prototype._isRetriableError = function(err) {
+  if (err instanceof errors.TimeoutError) {
+    return true;
   }
-
-  stopProcess();
+  if (_.isString(err.code)) {
+    return Bitcoin.RETRIABLE_CONNECTION_ERROR_CODES.indexOf(err.code) !== -1;
+  }
+  if (Bitcoin.RETRIABLE_RPC_ERROR_CODES.indexOf(err.code) !== -1) {
+    return true;
+  }
+  return err.code === -5 && !/invalid/i.test(err.message);
 };
 
-Bitcoin.prototype._spawnChildProcess = function(callback) {
+/**
+ * Will call a function with the client of each node in turn until it succeeds, or gives an
+ * error that isn't retriable. The function can give the request of the client, so that it's
+ * aborted when trying is cancelled.
+ * @param {Function} func - Called with the client and a callback
+ * @param {Object=} options - The requirements for the order of the nodes, see _getNodesOrder
+ * @param {Function} callback
+ * @returns {Object} - With "cancel" to stop trying, the callback is called with a CancelledError
+ */
+Bitcoin.prototype._tryAllClients = function(func, options, callback) {
   var self = this;
-
-  var node = {};
-  node._reindex = false;
-  node._reindexWait = 10000;
-
-  try {
-    self._loadSpawnConfiguration(node);
-  } catch(e) {
-    return callback(e);
-  }
-
-  var options = [
-    '--conf=' + this.spawn.configPath,
-    '--datadir=' + this.spawn.datadir,
-  ];
-
-  if (self._getNetworkOption()) {
-    options.push(self._getNetworkOption());
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
   }
-
-  self._stopSpawnedBitcoin(function(err) {
-    if (err) {
-      return callback(err);
+  var nodes = this._getNodesOrder(options);
+  var index = 0;
+  var request = null;
+  var retryTimeout = null;
+  var completed = false;
+  var complete = function() {
+    if (!completed) {
+      completed = true;
+      callback.apply(null, arguments);
     }
-
-    log.info('Starting zen process');
-    self.spawn.process = spawn(self.spawn.exec, options, {stdio: 'inherit'});
-
-    self.spawn.process.on('error', function(err) {
-      self.emit('error', err);
-    });
-
-    self.spawn.process.once('exit', function(code) {
-      if (!self.node.stopping) {
-        log.warn('Horizen process unexpectedly exited with code:', code);
-        log.warn('Restarting zen child process in ' + self.spawnRestartTime + 'ms');
-        setTimeout(function() {
-          self._spawnChildProcess(function(err) {
-            if (err) {
-              return self.emit('error', err);
-            }
-            log.warn('Horizen process restarted');
-          });
-        }, self.spawnRestartTime);
-      }
-    });
-
-    var exitShutdown = false;
-
-    async.retry({times: 60, interval: self.startRetryInterval}, function(done) {
-      if (self.node.stopping) {
-        exitShutdown = true;
-        return done();
+  };
+  var next = function() {
+    var node = nodes[index];
+    var start = Date.now();
+    index += 1;
+    request = func(node.client, function(err) {
+      if (completed || err instanceof errors.CancelledError) {
+        return complete(err);
       }
-
-      node.client = new BitcoinRPC({
-        protocol: 'http',
-        host: '127.0.0.1',
-        port: self.spawn.config.rpcport,
-        user: self.spawn.config.rpcuser,
-        pass: self.spawn.config.rpcpassword
-      });
-
-      self._loadTipFromNode(node, done);
-
-    }, function(err) {
-      if (err) {
-        return callback(err);
+      self._updateNodeHealth(node, err, Date.now() - start);
+      if (err && index < nodes.length && self._isRetriableError(err)) {
+        retryTimeout = setTimeout(next, self.tryAllInterval || 1000);
+        return;
       }
-      if (exitShutdown) {
-        return callback(new Error('Stopping while trying to spawn zend.'));
+      complete.apply(null, arguments);
+    });
+  };
+  next();
+  return {
+    cancel: function() {
+      clearTimeout(retryTimeout);
+      if (request && request.cancel) {
+        request.cancel();
       }
+      complete(new errors.CancelledError('RPC request was cancelled'));
+    }
+  };
+};
 
-      self._initZmqSubSocket(node, self.spawn.config.zmqpubrawtx);
-
-      self._checkReindex(node, function(err) {
-        if (err) {
-          return callback(err);
-        }
-        self._checkSyncedAndSubscribeZmqEvents(node);
-        callback(null, node);
-      });
-
-    });
+/**
+ * Will call an RPC method with _tryAllClients, so that the health of the nodes is updated and a
+ * retriable error is tried with the next node.
+ * @param {String} method - The RPC method name
+ * @param {Array} params - The params of the method
+ * @param {Function} callback - Called with the error and the response of the client
+ * @returns {Object} - With "cancel", see _tryAllClients
+ */
+Bitcoin.prototype._callClients = function(method, params, callback) {
+  return this._tryAllClients(function(client, done) {
+    return client[method].apply(client, params.concat(done));
+  }, callback);
+};
 
+/**
+ * Will cancel the RPC requests of the nodes that haven't completed.
+ */
+Bitcoin.prototype._cancelRPCRequests = function() {
+  this.nodes.forEach(function(node) {
+    node.client.cancelRequests();
   });
-
 };
 
-Bitcoin.prototype._connectProcess = function(config, callback) {
-  var self = this;
-  var node = {};
-  var exitShutdown = false;
-
-  async.retry({times: 60, interval: self.startRetryInterval}, function(done) {
-    if (self.node.stopping) {
-      exitShutdown = true;
-      return done();
-    }
-
-    node.client = new BitcoinRPC({
-      protocol: config.rpcprotocol || 'http',
-      host: config.rpchost || '127.0.0.1',
-      port: config.rpcport,
-      user: config.rpcuser,
-      pass: config.rpcpassword,
-      rejectUnauthorized: _.isUndefined(config.rpcstrict) ? true : config.rpcstrict
-    });
-
-    self._loadTipFromNode(node, done);
-
-  }, function(err) {
-    if (err) {
-      return callback(err);
-    }
-    if (exitShutdown) {
-      return callback(new Error('Stopping while trying to connect to zend.'));
-    }
+/**
+ * Will give the timeout of an RPC method in milliseconds, 0 for no timeout.
+ * @param {String} method - The method name
+ * @returns {Number}
+ */
+Bitcoin.prototype._getRPCTimeout = function(method) {
+  var timeout = this.rpcTimeouts[method.toLowerCase()];
+  return _.isUndefined(timeout) ? this.rpcTimeout : timeout;
+};
 
-    self._initZmqSubSocket(node, config.zmqpubrawtx);
-    self._subscribeZmqEvents(node);
+/**
+ * Will give the timeout of the RPC methods of a request, the longest of the methods.
+ * @param {Array} methods - The method names
+ * @returns {Number}
+ */
+Bitcoin.prototype._getRequestTimeout = function(methods) {
+  var timeouts = methods.map(this._getRPCTimeout.bind(this));
+  return timeouts.indexOf(0) === -1 ? _.max(timeouts) : 0;
+};
 
-    callback(null, node);
-  });
+/**
+ * Will give an RPCError for the error of a JSON-RPC response, the errors of the client, such as a
+ * TimeoutError or a connection error, are given unchanged.
+ * @param {Object|Error} errObj - The error with "code" and "message"
+ * @returns {Error}
+ */
+Bitcoin.prototype._wrapRPCError = function(errObj) {
+  if (errObj instanceof Error) {
+    return errObj;
+  }
+  var err = new errors.RPCError(errObj.message);
+  err.code = errObj.code;
+  return err;
 };
 
 /**
- * Called by Node to start the service
- * @param {Function} callback
+ * Will send RPC requests of a method as a single JSON-RPC batch request.
+ * @param {RpcClient} client - The client to use
+ * @param {String} method - The RPC method name
+ * @param {Array} paramsList - The params of each request
+ * @param {Function} callback - Called with the results in the order of the params, an error of
+ * any request is given as the error of the batch
+ * @returns {RpcRequest}
  */
-Bitcoin.prototype.start = function(callback) {
+Bitcoin.prototype._sendBatch = function(client, method, paramsList, callback) {
   var self = this;
-
-  async.series([
-    function(next) {
-      if (self.options.spawn) {
-        self._spawnChildProcess(function(err, node) {
-          if (err) {
-            return next(err);
-          }
-          self.nodes.push(node);
-          next();
-        });
-      } else {
-        next();
-      }
-    },
-    function(next) {
-      if (self.options.connect) {
-        async.map(self.options.connect, self._connectProcess.bind(self), function(err, nodes) {
-          if (err) {
-            return callback(err);
-          }
-          for(var i = 0; i < nodes.length; i++) {
-            self.nodes.push(nodes[i]);
-          }
-          next();
-        });
-      } else {
-        next();
-      }
-    }
-  ], function(err) {
+  return client.batch(function() {
+    paramsList.forEach(function(params) {
+      client[method].apply(client, params);
+    });
+  }, function(err, responses) {
     if (err) {
-      return callback(err);
+      return callback(self._wrapRPCError(err));
     }
-    if (self.nodes.length === 0) {
-      return callback(new Error('Horizen configuration options "spawn" or "connect" are expected'));
+    var results = [];
+    for (var i = 0; i < responses.length; i++) {
+      if (responses[i].error) {
+        return callback(self._wrapRPCError(responses[i].error));
+      }
+      results.push(responses[i].result);
     }
-    self._initChain(callback);
+    callback(null, results);
   });
-
 };
 
 /**
- * Helper to determine the state of the database.
- * @param {Function} callback
+ * Will send RPC requests of a method in batches of at most "maxBatchSize" requests, each batch
+ * is tried with the nodes in turn.
+ * @param {String} method - The RPC method name
+ * @param {Array} paramsList - The params of each request
+ * @param {Object=} options - The requirements for the order of the nodes, see _getNodesOrder
+ * @param {Function} callback - Called with the results in the order of the params
  */
-Bitcoin.prototype.isSynced = function(callback) {
-  this.syncPercentage(function(err, percentage) {
+Bitcoin.prototype._batchRPC = function(method, paramsList, options, callback) {
+  var self = this;
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+  var batches = _.chunk(paramsList, self.maxBatchSize);
+  async.mapLimit(batches, self.transactionConcurrency, function(batch, next) {
+    self._tryAllClients(function(client, done) {
+      return self._sendBatch(client, method, batch, done);
+    }, options, next);
+  }, function(err, results) {
     if (err) {
       return callback(err);
     }
-    if (Math.round(percentage) >= 100) {
-      callback(null, true);
-    } else {
-      callback(null, false);
-    }
+    callback(null, Array.prototype.concat.apply([], results));
   });
 };
 
 /**
- * Helper to determine the progress of the database.
+ * Will call a function to make a request once for concurrent calls with the same key, the
+ * callbacks of every call are given the result of the request in flight.
+ * @param {String} key - The kind of request and its key, such as "rawBlock:<blockhash>"
+ * @param {Function} func - Called with a callback to make the request
  * @param {Function} callback
  */
-Bitcoin.prototype.syncPercentage = function(callback) {
+Bitcoin.prototype._coalesce = function(key, func, callback) {
   var self = this;
-  this.client.getBlockchainInfo(function(err, response) {
-    if (err) {
-      return callback(self._wrapRPCError(err));
-    }
-    var percentSynced = response.result.verificationprogress * 100;
-    callback(null, percentSynced);
+  if (self.inFlightRequests[key]) {
+    return self.inFlightRequests[key].push(callback);
+  }
+  self.inFlightRequests[key] = [callback];
+  func(function() {
+    self._finishRequest(key, arguments);
   });
 };
 
-Bitcoin.prototype._normalizeAddressArg = function(addressArg) {
-  var addresses = [addressArg];
-  if (Array.isArray(addressArg)) {
-    addresses = addressArg;
+Bitcoin.prototype._finishRequest = function(key, args) {
+  var callbacks = this.inFlightRequests[key];
+  delete this.inFlightRequests[key];
+  for (var i = 0; i < callbacks.length; i++) {
+    callbacks[i].apply(null, args);
   }
-  return addresses;
 };
 
 /**
- * Will get the balance for an address or multiple addresses
- * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
- * @param {Object} options
- * @param {Function} callback
+ * Will make a request for several keys, sharing the requests in flight for any of the keys
+ * and making a single request for the other keys.
+ * @param {String} prefix - The kind of request, such as "detailedTransaction:"
+ * @param {Array} keys - The keys of the request
+ * @param {Function} func - Called with the keys that aren't in flight and a callback with the
+ * results in the order of the keys
+ * @param {Function} callback - Called with the results in the order of the keys
  */
-Bitcoin.prototype.getAddressBalance = function(addressArg, options, callback) {
+Bitcoin.prototype._coalesceMany = function(prefix, keys, func, callback) {
   var self = this;
-  var addresses = self._normalizeAddressArg(addressArg);
-  var cacheKey = addresses.join('');
-  var balance = self.balanceCache.get(cacheKey);
-  if (balance) {
-    return setImmediate(function() {
-      callback(null, balance);
+  var requestKeys = keys.filter(function(key) {
+    return !self.inFlightRequests[prefix + key];
+  });
+  requestKeys.forEach(function(key) {
+    self.inFlightRequests[prefix + key] = [];
+  });
+  async.map(keys, function(key, next) {
+    self.inFlightRequests[prefix + key].push(next);
+  }, callback);
+  if (!requestKeys.length) {
+    return;
+  }
+  func(requestKeys, function(err, results) {
+    requestKeys.forEach(function(key, index) {
+      self._finishRequest(prefix + key, err ? [err] : [null, results[index]]);
     });
-  } else {
-    this.client.getAddressBalance({addresses: addresses}, function(err, response) {
+  });
+};
+
+Bitcoin.prototype._initChain = function(callback) {
+  var self = this;
+
+  self._callClients('getBestBlockHash', [], function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+
+    self._callClients('getBlock', [response.result], function(err, response) {
       if (err) {
         return callback(self._wrapRPCError(err));
       }
-      self.balanceCache.set(cacheKey, response.result);
-      callback(null, response.result);
-    });
-  }
-};
 
-/**
- * Will get the unspent outputs for an address or multiple addresses
- * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
- * @param {Object} options
- * @param {Function} callback
- */
-Bitcoin.prototype.getAddressUnspentOutputs = function(addressArg, options, callback) {
-  var self = this;
-  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
-  var addresses = self._normalizeAddressArg(addressArg);
-  var cacheKey = addresses.join('');
-  var utxos = self.utxosCache.get(cacheKey);
-
-  function transformUnspentOutput(delta) {
-    var script = bitcore.Script.fromAddress(delta.address);
-    return {
-      address: delta.address,
-      txid: delta.txid,
-      outputIndex: delta.index,
-      script: script.toHex(),
-      satoshis: delta.satoshis,
-      timestamp: delta.timestamp
-    };
-  }
-
-  function updateWithMempool(confirmedUtxos, mempoolDeltas) {
-    /* jshint maxstatements: 20 */
-    if (!mempoolDeltas || !mempoolDeltas.length) {
-      return confirmedUtxos;
-    }
-    var isSpentOutputs = false;
-    var mempoolUnspentOutputs = [];
-    var spentOutputs = [];
-
-    for (var i = 0; i < mempoolDeltas.length; i++) {
-      var delta = mempoolDeltas[i];
-      if (delta.prevtxid && delta.satoshis <= 0) {
-        if (!spentOutputs[delta.prevtxid]) {
-          spentOutputs[delta.prevtxid] = [delta.prevout];
-        } else {
-          spentOutputs[delta.prevtxid].push(delta.prevout);
-        }
-        isSpentOutputs = true;
-      } else {
-        mempoolUnspentOutputs.push(transformUnspentOutput(delta));
-      }
-    }
-
-    var utxos = mempoolUnspentOutputs.reverse().concat(confirmedUtxos);
-
-    if (isSpentOutputs) {
-      return utxos.filter(function(utxo) {
-        if (!spentOutputs[utxo.txid]) {
-          return true;
-        } else {
-          return (spentOutputs[utxo.txid].indexOf(utxo.outputIndex) === -1);
-        }
-      });
-    }
-
-    return utxos;
-  }
+      self.height = response.result.height;
 
-  function finish(mempoolDeltas) {
-    if (utxos) {
-      return setImmediate(function() {
-        callback(null, updateWithMempool(utxos, mempoolDeltas));
-      });
-    } else {
-      self.client.getAddressUtxos({addresses: addresses}, function(err, response) {
+      self._callClients('getBlockHash', [0], function(err, response) {
         if (err) {
           return callback(self._wrapRPCError(err));
         }
-        var utxos = response.result.reverse();
-        self.utxosCache.set(cacheKey, utxos);
-        callback(null, updateWithMempool(utxos, mempoolDeltas));
+        var blockhash = response.result;
+        self.getRawBlock(blockhash, function(err, blockBuffer) {
+          if (err) {
+            return callback(err);
+          }
+          self.genesisBuffer = blockBuffer;
+          self.emit('ready');
+          log.info('Horizen Daemon Ready');
+          callback();
+        });
       });
-    }
-  }
 
-  if (queryMempool) {
-    self.client.getAddressMempool({addresses: addresses}, function(err, response) {
-      if (err) {
-        return callback(self._wrapRPCError(err));
-      }
-      finish(response.result);
     });
-  } else {
-    finish();
-  }
-
+  });
 };
 
-Bitcoin.prototype._getBalanceFromMempool = function(deltas) {
-  var satoshis = 0;
-  for (var i = 0; i < deltas.length; i++) {
-    satoshis += deltas[i].satoshis;
+Bitcoin.prototype._getDefaultConf = function() {
+  var networkOptions = {
+    rpcport: 8231
+  };
+  if (this.node.network === bitcore.Networks.testnet) {
+    networkOptions.rpcport = 18231;
   }
-  return satoshis;
+  return networkOptions;
 };
 
-Bitcoin.prototype._getTxidsFromMempool = function(deltas) {
-  var mempoolTxids = [];
-  var mempoolTxidsKnown = {};
-  for (var i = 0; i < deltas.length; i++) {
-    var txid = deltas[i].txid;
-    if (!mempoolTxidsKnown[txid]) {
-      mempoolTxids.push(txid);
-      mempoolTxidsKnown[txid] = true;
+Bitcoin.prototype._getNetworkConfigPath = function() {
+  var networkPath;
+  if (this.node.network === bitcore.Networks.testnet) {
+    networkPath = 'testnet3/zen.conf';
+    if (this.node.network.regtestEnabled) {
+      networkPath = 'regtest/zen.conf';
     }
   }
-  return mempoolTxids;
+  return networkPath;
 };
 
-Bitcoin.prototype._getHeightRangeQuery = function(options, clone) {
-  if (options.start >= 0 && options.end >= 0) {
-    if (options.end > options.start) {
-      throw new TypeError('"end" is expected to be less than or equal to "start"');
-    }
-    if (clone) {
-      // reverse start and end as the order in bitcore is most recent to less recent
-      clone.start = options.end;
-      clone.end = options.start;
+/**
+ * Will give the zen.conf section of the network.
+ * @returns {String}
+ */
+Bitcoin.prototype._getNetworkSection = function() {
+  var section = 'main';
+  if (this.node.network === bitcore.Networks.testnet) {
+    section = this.node.network.regtestEnabled ? 'regtest' : 'test';
+  }
+  return section;
+};
+
+Bitcoin.prototype._getNetworkOption = function() {
+  var networkOption;
+  if (this.node.network === bitcore.Networks.testnet) {
+    networkOption = '--testnet';
+    if (this.node.network.regtestEnabled) {
+      networkOption = '--regtest';
     }
-    return true;
   }
-  return false;
+  return networkOption;
 };
 
 /**
- * Will get the txids for an address or multiple addresses
- * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
- * @param {Object} options
- * @param {Function} callback
+ * Will handle a block hash from zmq, the block is given when it's published with "rawblock".
+ * @param {Object} node
+ * @param {Buffer} message - The block hash
+ * @param {Block=} block - The block
  */
-Bitcoin.prototype.getAddressTxids = function(addressArg, options, callback) {
-  /* jshint maxstatements: 16 */
+Bitcoin.prototype._zmqBlockHandler = function(node, message, block) {
   var self = this;
-  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
-  var rangeQuery = false;
-  try {
-    rangeQuery = self._getHeightRangeQuery(options);
-  } catch(err) {
-    return callback(err);
-  }
-  if (rangeQuery) {
-    queryMempool = false;
-  }
-  var addresses = self._normalizeAddressArg(addressArg);
-  var cacheKey = addresses.join('');
-  var mempoolTxids = [];
-  var txids = self.txidsCache.get(cacheKey);
 
-  function finish() {
-    if (txids && !rangeQuery) {
-      var allTxids = mempoolTxids.reverse().concat(txids);
-      return setImmediate(function() {
-        callback(null, allTxids);
-      });
-    } else {
-      var txidOpts = {
-        addresses: addresses
-      };
-      if (rangeQuery) {
-        self._getHeightRangeQuery(options, txidOpts);
-      }
-      self.client.getAddressTxids(txidOpts, function(err, response) {
-        if (err) {
-          return callback(self._wrapRPCError(err));
-        }
-        response.result.reverse();
-        if (!rangeQuery) {
-          self.txidsCache.set(cacheKey, response.result);
-        }
-        var allTxids = mempoolTxids.reverse().concat(response.result);
-        return callback(null, allTxids);
-      });
+  // Update the current chain tip
+  self._rapidProtectedUpdateTip(node, message, block);
+
+  // Notify block subscribers
+  var id = message.toString('binary');
+  if (!self.zmqKnownBlocks.get(id)) {
+    self.zmqKnownBlocks.set(id, true);
+    self.emit('block', message);
+
+    // Remove the confirmed transactions from the mempool
+    self._removeMempoolBlockTransactions(message.toString('hex'));
+
+    // Notify sidechain creation and certificate subscribers
+    if (self._hasSidechainSubscribers()) {
+      self._notifySidechainEvents(message.toString('hex'));
     }
-  }
 
-  if (queryMempool) {
-    self.client.getAddressMempool({addresses: addresses}, function(err, response) {
-      if (err) {
-        return callback(self._wrapRPCError(err));
-      }
-      mempoolTxids = self._getTxidsFromMempool(response.result);
-      finish();
-    });
-  } else {
-    finish();
+    for (var i = 0; i < this.subscriptions.hashblock.length; i++) {
+      this.subscriptions.hashblock[i].emit('bitcoind/hashblock', message.toString('hex'));
+    }
   }
 
 };
 
-Bitcoin.prototype._getConfirmationsDetail = function(transaction) {
-  $.checkState(this.height > 0, 'current height is unknown');
-  var confirmations = 0;
-  if (transaction.height >= 0) {
-    confirmations = this.height - transaction.height + 1;
-  }
-  if (confirmations < 0) {
-    log.warn('Negative confirmations calculated for transaction:', transaction.hash);
-  }
-  return Math.max(0, confirmations);
+/**
+ * Will handle a block from the zmq "rawblock" topic, the block is cached so that it
+ * doesn't need to be queried and then handled the same as a block hash.
+ * @param {Object} node
+ * @param {Buffer} message - The serialized block
+ */
+Bitcoin.prototype._zmqRawBlockHandler = function(node, message) {
+  var block = bitcore.Block.fromBuffer(message);
+  var blockhash = block.hash;
+  this.rawBlockCache.set(blockhash, message);
+  this.blockCache.set(blockhash, block);
+  this._zmqBlockHandler(node, new Buffer(blockhash, 'hex'), block);
 };
 
-Bitcoin.prototype._getAddressDetailsForInput = function(input, inputIndex, result, addressStrings) {
-  if (!input.address) {
+/**
+ * Will handle a transaction hash from the zmq "hashtx" topic by querying the transaction,
+ * and then handled the same as a transaction from "rawtx".
+ * @param {Object} node
+ * @param {Buffer} message - The transaction hash
+ */
+Bitcoin.prototype._zmqHashTransactionHandler = function(node, message) {
+  var self = this;
+  var txid = message.toString('hex');
+  var id = bitcore.util.buffer.reverse(message).toString('binary');
+  if (self.zmqKnownTransactions.get(id)) {
     return;
   }
-  var address = input.address;
-  if (addressStrings.indexOf(address) >= 0) {
-    if (!result.addresses[address]) {
-      result.addresses[address] = {
-        inputIndexes: [inputIndex],
-        outputIndexes: []
-      };
-    } else {
-      result.addresses[address].inputIndexes.push(inputIndex);
+  node.client.getRawTransaction(txid, function(err, response) {
+    if (err) {
+      return log.error('Unable to get transaction from hashtx:', txid, err.message);
     }
-    result.satoshis -= input.satoshis;
-  }
+    self._zmqTransactionHandler(node, new Buffer(response.result, 'hex'));
+  });
 };
 
-Bitcoin.prototype._getAddressDetailsForOutput = function(output, outputIndex, result, addressStrings) {
-  if (!output.address) {
-    return;
-  }
-  var address = output.address;
-  if (addressStrings.indexOf(address) >= 0) {
-    if (!result.addresses[address]) {
-      result.addresses[address] = {
-        inputIndexes: [],
-        outputIndexes: [outputIndex]
-      };
-    } else {
-      result.addresses[address].outputIndexes.push(outputIndex);
-    }
-    result.satoshis += output.satoshis;
+Bitcoin.prototype._rapidProtectedUpdateTip = function(node, message, block) {
+  var self = this;
+
+  // Prevent a rapid succession of tip updates
+  if (new Date() - self.lastTip > 1000) {
+    self.lastTip = new Date();
+    self._updateTip(node, message, block);
+  } else {
+    clearTimeout(self.lastTipTimeout);
+    self.lastTipTimeout = setTimeout(function() {
+      self._updateTip(node, message, block);
+    }, 1000);
   }
 };
 
-Bitcoin.prototype._getAddressDetailsForTransaction = function(transaction, addressStrings) {
-  var result = {
-    addresses: {},
-    satoshis: 0
-  };
-
-  for (var inputIndex = 0; inputIndex < transaction.inputs.length; inputIndex++) {
-    var input = transaction.inputs[inputIndex];
-    this._getAddressDetailsForInput(input, inputIndex, result, addressStrings);
+/**
+ * Will give the hash, previous hash and height of a new tip. The block from "rawblock" is used
+ * when it builds on the last tracked chain header, otherwise the block is queried.
+ * @param {Object} node
+ * @param {Block=} block - The block of the new tip
+ * @param {Function} callback
+ */
+Bitcoin.prototype._getTipBlock = function(node, block, callback) {
+  var blockhash = this.tiphash;
+  var lastHeader = this.chainHeaders[this.chainHeaders.length - 1];
+  if (block && lastHeader) {
+    var prevHash = bitcore.util.buffer.reverse(block.header.prevHash).toString('hex');
+    if (prevHash === lastHeader.hash) {
+      return callback(null, {
+        hash: blockhash,
+        previousblockhash: prevHash,
+        height: lastHeader.height + 1
+      });
+    }
   }
+  node.client.getBlock(blockhash, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, response.result);
+  });
+};
 
-  for (var outputIndex = 0; outputIndex < transaction.outputs.length; outputIndex++) {
-    var output = transaction.outputs[outputIndex];
-    this._getAddressDetailsForOutput(output, outputIndex, result, addressStrings);
-  }
+Bitcoin.prototype._updateTip = function(node, message, block) {
+  var self = this;
 
-  $.checkState(Number.isFinite(result.satoshis));
+  var hex = message.toString('hex');
+  var health = self._getNodeHealth(node);
+  if (hex === self.tiphash) {
+    health.height = self.height;
+  } else {
+    self.tiphash = message.toString('hex');
+    self.cacheGeneration += 1;
+    self.lastBlockTime = Date.now();
+    if (self.healthDegraded) {
+      self._checkHealth(self._logHealthError);
+    }
 
-  return result;
+    self._getTipBlock(node, block, function(err, result) {
+      if (err) {
+        var error = self._wrapRPCError(err);
+        self.emit('error', error);
+      } else {
+        self.height = result.height;
+        health.height = self.height;
+        $.checkState(self.height >= 0);
+        self.emit('tip', self.height);
+        // confirmations are checked once a reorg has reset the transactions of disconnected blocks
+        self.chainHeadersQueue.push({node: node, block: result}, function() {
+          self._checkTransactionConfirmations();
+        });
+      }
+    });
+
+    if(!self.node.stopping) {
+      self.syncPercentage(function(err, percentage) {
+        if (err) {
+          self.emit('error', err);
+        } else {
+          if (Math.round(percentage) >= 100) {
+            self.emit('synced', self.height);
+          }
+          log.info('Horizen Height:', self.height, 'Percentage:', percentage.toFixed(2));
+        }
+      });
+    }
+  }
+};
+
+Bitcoin.prototype._getChainHeaderIndex = function(hash) {
+  for (var i = this.chainHeaders.length - 1; i >= 0; i--) {
+    if (this.chainHeaders[i].hash === hash) {
+      return i;
+    }
+  }
+  return -1;
 };
 
 /**
- * Will expand into a detailed transaction from a txid
- * @param {Object} txid - A bitcoin transaction id
+ * Will keep the list of recent chain headers up to date with a new tip, and will emit
+ * a "reorg" event when the new tip does not build upon the previous tip.
+ * @param {Object} task
+ * @param {Object} task.node - The node that reported the new tip
+ * @param {Object} task.block - The verbose block result of the new tip
  * @param {Function} callback
  */
-Bitcoin.prototype._getAddressDetailedTransaction = function(txid, options, next) {
+Bitcoin.prototype._trackChainHeader = function(task, callback) {
   var self = this;
+  var header = {
+    hash: task.block.hash,
+    prevHash: task.block.previousblockhash,
+    height: task.block.height
+  };
+  var lastHeader = self.chainHeaders[self.chainHeaders.length - 1];
+
+  if (!lastHeader || header.prevHash === lastHeader.hash) {
+    self._appendChainHeaders([header]);
+    self._invalidateChainCaches([header], []);
+    return callback();
+  }
 
-  self.getDetailedTransaction(
-    txid,
-    function(err, transaction) {
+  self._findForkIndex(task.node, function(err, forkIndex) {
+    if (err) {
+      self.chainHeaders = [header];
+      self._resetCaches();
+      self.emit('error', err);
+      return callback();
+    }
+    var fork = self.chainHeaders[forkIndex];
+    var disconnected = self.chainHeaders.splice(forkIndex + 1).reverse();
+    self._getConnectedHeaders(task.node, header, fork, function(err, connected, complete) {
       if (err) {
-        return next(err);
+        self.chainHeaders = [header];
+        self._resetCaches();
+        self.emit('error', err);
+        return callback();
       }
+      if (!complete) {
+        self.chainHeaders = [];
+        self._resetCaches();
+      } else {
+        self._invalidateChainCaches(connected, disconnected);
+      }
+      self._appendChainHeaders(connected);
+      if (disconnected.length) {
+        self._notifyReorg(fork, disconnected, connected);
+        self._updateMempool(function(err) {
+          if (err) {
+            log.error('Unable to sync mempool after reorg:', err.message);
+          }
+        });
+      }
+      callback();
+    });
+  });
+};
 
-      var addressDetails = self._getAddressDetailsForTransaction(transaction, options.addressStrings);
-
-      var details = {
-        addresses: addressDetails.addresses,
-        satoshis: addressDetails.satoshis,
-        confirmations: self._getConfirmationsDetail(transaction),
-        tx: transaction
-      };
-      next(null, details);
-    }
-  );
+Bitcoin.prototype._appendChainHeaders = function(headers) {
+  this.chainHeaders = this.chainHeaders.concat(headers);
+  if (this.chainHeaders.length > this.maxReorgDepth) {
+    this.chainHeaders.splice(0, this.chainHeaders.length - this.maxReorgDepth);
+  }
 };
 
-Bitcoin.prototype._getAddressStrings = function(addresses) {
-  var addressStrings = [];
-  for (var i = 0; i < addresses.length; i++) {
-    var address = addresses[i];
-    if (address instanceof bitcore.Address) {
-      addressStrings.push(address.toString());
-    } else if (_.isString(address)) {
-      addressStrings.push(address);
-    } else {
-      throw new TypeError('Addresses are expected to be strings');
+/**
+ * Will walk back the recent chain headers to find the most recent one that is still
+ * part of the main chain. Blocks that are not in the main chain have -1 confirmations.
+ * @param {Object} node - The node to query
+ * @param {Function} callback
+ */
+Bitcoin.prototype._findForkIndex = function(node, callback) {
+  var self = this;
+  var index = self.chainHeaders.length - 1;
+
+  function next() {
+    if (index < 0) {
+      return callback(new Error(
+        'Chain reorganization is deeper than the ' + self.chainHeaders.length + ' tracked headers'
+      ));
     }
+    node.client.getBlockHeader(self.chainHeaders[index].hash, function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      if (response.result.confirmations >= 0) {
+        return callback(null, index);
+      }
+      index--;
+      next();
+    });
   }
-  return addressStrings;
-};
 
-Bitcoin.prototype._paginateTxids = function(fullTxids, fromArg, toArg) {
-  var txids;
-  var from = parseInt(fromArg);
-  var to = parseInt(toArg);
-  $.checkState(from < to, '"from" (' + from + ') is expected to be less than "to" (' + to + ')');
-  txids = fullTxids.slice(from, to);
-  return txids;
+  next();
 };
 
 /**
- * Will detailed transaction history for an address or multiple addresses
- * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
- * @param {Object} options
+ * Will walk back from the new tip to the fork point to get the connected headers in
+ * ascending order. The walk is limited to "maxReorgDepth" headers, and will give false
+ * for "complete" if the fork point was not reached.
+ * @param {Object} node - The node to query
+ * @param {Object} header - The header of the new tip
+ * @param {Object} fork - The header of the fork point
  * @param {Function} callback
  */
-Bitcoin.prototype.getAddressHistory = function(addressArg, options, callback) {
+Bitcoin.prototype._getConnectedHeaders = function(node, header, fork, callback) {
   var self = this;
-  var addresses = self._normalizeAddressArg(addressArg);
-  if (addresses.length > this.maxAddressesQuery) {
-    return callback(new TypeError('Maximum number of addresses (' + this.maxAddressesQuery + ') exceeded'));
+  var connected = [];
+
+  function next(current) {
+    if (current.hash === fork.hash) {
+      return callback(null, connected.reverse(), true);
+    }
+    connected.push(current);
+    if (connected.length >= self.maxReorgDepth || !current.prevHash) {
+      return callback(null, connected.reverse(), false);
+    }
+    node.client.getBlockHeader(current.prevHash, function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      next({
+        hash: response.result.hash,
+        prevHash: response.result.previousblockhash,
+        height: response.result.height
+      });
+    });
   }
 
-  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
-  var addressStrings = this._getAddressStrings(addresses);
+  next(header);
+};
 
-  var fromArg = parseInt(options.from || 0);
-  var toArg = parseInt(options.to || self.maxTransactionHistory);
+Bitcoin.prototype._notifyReorg = function(fork, disconnected, connected) {
+  var reorg = {
+    forkHash: fork.hash,
+    forkHeight: fork.height,
+    disconnected: _.map(disconnected, 'hash'),
+    connected: _.map(connected, 'hash')
+  };
 
-  if ((toArg - fromArg) > self.maxTransactionHistory) {
-    return callback(new Error(
-      '"from" (' + options.from + ') and "to" (' + options.to + ') range should be less than or equal to ' +
-        self.maxTransactionHistory
-    ));
+  log.warn('Horizen chain reorganization at height:', fork.height,
+           'disconnected:', reorg.disconnected.length, 'connected:', reorg.connected.length);
+
+  this.emit('reorg', reorg);
+
+  this._resetTransactionConfirmations(reorg.disconnected);
+
+  for (var i = 0; i < this.subscriptions.reorg.length; i++) {
+    this.subscriptions.reorg[i].emit('bitcoind/reorg', reorg);
   }
+};
 
-  self.getAddressTxids(addresses, options, function(err, txids) {
-    if (err) {
+/**
+ * Will check the confirmations of watched transactions and notify subscribers.
+ * @param {Array=} txids - The txids to check, defaults to all watched transactions
+ */
+Bitcoin.prototype._checkTransactionConfirmations = function(txids) {
+  var self = this;
+  txids = txids || Object.keys(self.subscriptions.txconfirmed);
+  async.eachLimit(txids, self.transactionConcurrency, function(txid, next) {
+    self._checkTransactionConfirmation(txid, function(err) {
+      if (err) {
+        log.error('Unable to check confirmations for transaction:', txid, err.message);
+      }
+      next();
+    });
+  });
+};
+
+Bitcoin.prototype._checkTransactionConfirmation = function(txid, callback) {
+  var self = this;
+  var watch = self.subscriptions.txconfirmed[txid];
+  if (!watch) {
+    return callback();
+  }
+  if (watch.height !== null) {
+    self._notifyTransactionConfirmation(txid, watch);
+    return callback();
+  }
+  self.getDetailedTransaction(txid, function(err, transaction) {
+    if (err && err.code === -5) {
+      // not yet known by zend
+      return callback();
+    } else if (err) {
       return callback(err);
     }
-
-    var totalCount = txids.length;
-    try {
-      txids = self._paginateTxids(txids, fromArg, toArg);
-    } catch(e) {
-      return callback(e);
+    if (transaction.height >= 0) {
+      watch.height = transaction.height;
+      watch.blockHash = transaction.blockHash;
     }
+    self._notifyTransactionConfirmation(txid, watch);
+    callback();
+  });
+};
 
-    async.mapLimit(
-      txids,
-      self.transactionConcurrency,
-      function(txid, next) {
-        self._getAddressDetailedTransaction(txid, {
-          queryMempool: queryMempool,
-          addressStrings: addressStrings
-        }, next);
-      },
-      function(err, transactions) {
-        if (err) {
-          return callback(err);
-        }
-        callback(null, {
-          totalCount: totalCount,
-          items: transactions
-        });
-      }
-    );
+Bitcoin.prototype._notifyTransactionConfirmation = function(txid, watch) {
+  var confirmations = 0;
+  if (watch.height !== null) {
+    confirmations = this._getConfirmationsDetail({hash: txid, height: watch.height});
+  }
+  watch.subscribers = watch.subscribers.filter(function(subscriber) {
+    if (subscriber.lastConfirmations === confirmations) {
+      return true;
+    }
+    subscriber.lastConfirmations = confirmations;
+    var reached = confirmations >= subscriber.confirmations;
+    if (!subscriber.onlyTarget || reached) {
+      subscriber.emitter.emit('bitcoind/txconfirmed', {
+        txid: txid,
+        confirmations: confirmations,
+        targetConfirmations: subscriber.confirmations,
+        height: watch.height,
+        blockHash: watch.blockHash
+      });
+    }
+    return !reached;
   });
+  if (watch.subscribers.length === 0) {
+    delete this.subscriptions.txconfirmed[txid];
+  }
 };
 
-/**
- * Will get the summary including txids and balance for an address or multiple addresses
- * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
- * @param {Object} options
- * @param {Function} callback
- */
-Bitcoin.prototype.getAddressSummary = function(addressArg, options, callback) {
+Bitcoin.prototype._resetTransactionConfirmations = function(blockHashes) {
+  var txids = [];
+  for (var txid in this.subscriptions.txconfirmed) {
+    var watch = this.subscriptions.txconfirmed[txid];
+    if (watch.blockHash && blockHashes.indexOf(watch.blockHash) > -1) {
+      watch.height = null;
+      watch.blockHash = null;
+      txids.push(txid);
+    }
+  }
+  if (txids.length) {
+    this._checkTransactionConfirmations(txids);
+  }
+};
+
+Bitcoin.prototype._hasSidechainSubscribers = function() {
+  return this.subscriptions.sidechaincreated.length > 0 ||
+    this.subscriptions.certificate.length > 0 ||
+    this.listeners('sidechaincreated').length > 0 ||
+    this.listeners('certificate').length > 0;
+};
+
+Bitcoin.prototype._notifySidechainEvents = function(blockhash) {
   var self = this;
-  var summary = {};
-  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
-  var summaryTxids = [];
-  var mempoolTxids = [];
-  var addresses = self._normalizeAddressArg(addressArg);
-  var cacheKey = addresses.join('');
+  self._getBlockSidechainData(blockhash, function(err, data) {
+    if (err) {
+      return log.error('Unable to get sidechain data for block:', blockhash, err.message);
+    }
+    var i;
+    var j;
+    for (i = 0; i < data.sidechainCreations.length; i++) {
+      self.emit('sidechaincreated', data.sidechainCreations[i]);
+      for (j = 0; j < self.subscriptions.sidechaincreated.length; j++) {
+        self.subscriptions.sidechaincreated[j].emit('bitcoind/sidechaincreated', data.sidechainCreations[i]);
+      }
+    }
+    for (i = 0; i < data.certificates.length; i++) {
+      self.emit('certificate', data.certificates[i]);
+      for (j = 0; j < self.subscriptions.certificate.length; j++) {
+        self.subscriptions.certificate[j].emit('bitcoind/certificate', data.certificates[i]);
+      }
+    }
+  });
+};
 
-  function finishWithTxids() {
-    if (!options.noTxList) {
-      var allTxids = mempoolTxids.reverse().concat(summaryTxids);
-      var fromArg = parseInt(options.from || 0);
-      var toArg = parseInt(options.to || self.maxTxids);
+Bitcoin.prototype._getAddressesFromTransaction = function(transaction) {
+  var addresses = [];
 
-      if ((toArg - fromArg) > self.maxTxids) {
-        return callback(new Error(
-          '"from" (' + fromArg + ') and "to" (' + toArg + ') range should be less than or equal to ' +
-            self.maxTxids
-        ));
+  for (var i = 0; i < transaction.inputs.length; i++) {
+    var input = transaction.inputs[i];
+    if (input.script) {
+      var inputAddress = input.script.toAddress(this.node.network);
+      if (inputAddress) {
+        addresses.push(inputAddress.toString());
       }
-      var paginatedTxids;
-      try {
-        paginatedTxids = self._paginateTxids(allTxids, fromArg, toArg);
-      } catch(e) {
-        return callback(e);
+    }
+  }
+
+  for (var j = 0; j < transaction.outputs.length; j++) {
+    var output = transaction.outputs[j];
+    if (output.script) {
+      var outputAddress = output.script.toAddress(this.node.network);
+      if (outputAddress) {
+        addresses.push(outputAddress.toString());
       }
+    }
+  }
 
-      var allSummary = _.clone(summary);
-      allSummary.txids = paginatedTxids;
-      callback(null, allSummary);
-    } else {
-      callback(null, summary);
+  return _.uniq(addresses);
+};
+
+Bitcoin.prototype._notifyAddressTxidSubscribers = function(txid, transaction) {
+  var addresses = this._getAddressesFromTransaction(transaction);
+  for (var i = 0; i < addresses.length; i++) {
+    var address = addresses[i];
+    if(this.subscriptions.address[address]) {
+      var emitters = this.subscriptions.address[address];
+      for(var j = 0; j < emitters.length; j++) {
+        emitters[j].emit('bitcoind/addresstxid', {
+          address: address,
+          txid: txid
+        });
+      }
     }
   }
+};
 
-  function querySummary() {
-    async.parallel([
-      function getTxList(done) {
-        self.getAddressTxids(addresses, {queryMempool: false}, function(err, txids) {
-          if (err) {
-            return done(err);
-          }
-          summaryTxids = txids;
-          summary.appearances = txids.length;
-          done();
-        });
-      },
-      function getBalance(done) {
-        self.getAddressBalance(addresses, options, function(err, data) {
+/**
+ * Will handle a transaction from zmq, transactions of a block that are replayed after missed
+ * zmq messages are "confirmed" and are not added to the mempool.
+ * @param {Object} node
+ * @param {Buffer} message - The serialized transaction
+ * @param {Boolean=} confirmed - The transaction is included in a block
+ */
+Bitcoin.prototype._zmqTransactionHandler = function(node, message, confirmed) {
+  var self = this;
+  var hash = bitcore.crypto.Hash.sha256sha256(message);
+  var id = hash.toString('binary');
+  var txid = bitcore.util.buffer.reverse(hash).toString('hex');
+
+  // The node has the transaction, for reads that are pinned to the broadcasting node
+  self._updatePinnedTransaction(txid, node);
+
+  if (!self.zmqKnownTransactions.get(id)) {
+    self.zmqKnownTransactions.set(id, true);
+    self.emit('tx', message);
+
+    // Notify transaction subscribers
+    for (var i = 0; i < this.subscriptions.rawtransaction.length; i++) {
+      this.subscriptions.rawtransaction[i].emit('bitcoind/rawtransaction', message.toString('hex'));
+    }
+
+    var tx = bitcore.Transaction();
+    tx.fromString(message);
+    self._notifyAddressTxidSubscribers(txid, tx);
+
+    if (!tx.isCoinbase() && !confirmed) {
+      self._addMempoolTransaction(txid, tx);
+    }
+
+  }
+};
+
+/**
+ * Will add a transaction to the mempool index. Fees and input addresses are loaded from
+ * the detailed transaction, which is queried if it's not given.
+ * @param {String} txid - The transaction hash
+ * @param {Transaction} tx - The bitcore transaction
+ * @param {Object=} detailedTx - The result of getDetailedTransaction
+ */
+Bitcoin.prototype._addMempoolTransaction = function(txid, tx, detailedTx) {
+  if (this.mempool.transactions[txid]) {
+    return;
+  }
+  var entry = {
+    txid: txid,
+    tx: tx,
+    size: tx.toBuffer().length,
+    feeSatoshis: null,
+    time: Math.round(Date.now() / 1000),
+    addresses: [],
+    inputs: null,
+    outputs: this._getMempoolEntryOutputs(tx)
+  };
+  this.mempool.transactions[txid] = entry;
+  this._addMempoolEntryAddresses(entry, this._getAddressesFromTransaction(tx));
+  this._invalidateSpentTransactions(tx);
+
+  if (detailedTx) {
+    this._setMempoolEntryDetails(entry, detailedTx);
+  } else {
+    this.mempoolQueue.push(txid);
+  }
+};
+
+Bitcoin.prototype._getMempoolEntryOutputs = function(tx) {
+  var outputs = [];
+  for (var i = 0; i < tx.outputs.length; i++) {
+    var output = tx.outputs[i];
+    var address = output.script ? output.script.toAddress(this.node.network) : null;
+    outputs.push({
+      address: address ? address.toString() : null,
+      satoshis: output.satoshis
+    });
+  }
+  return outputs;
+};
+
+Bitcoin.prototype._addMempoolEntryAddresses = function(entry, addresses) {
+  for (var i = 0; i < addresses.length; i++) {
+    var address = addresses[i];
+    if (entry.addresses.indexOf(address) === -1) {
+      entry.addresses.push(address);
+      if (!this.mempool.addresses[address]) {
+        this.mempool.addresses[address] = [];
+      }
+      this.mempool.addresses[address].push(entry.txid);
+    }
+  }
+  // only the summaries include the mempool
+  this._invalidateAddressCaches(addresses, ['summary']);
+};
+
+/**
+ * Will remove the detailed transactions that a mempool transaction spends, as the spent
+ * outputs of these change with the mempool.
+ * @param {Transaction} tx - The bitcore transaction
+ */
+Bitcoin.prototype._invalidateSpentTransactions = function(tx) {
+  for (var i = 0; i < tx.inputs.length; i++) {
+    this.transactionDetailedCache.del(tx.inputs[i].prevTxId.toString('hex'));
+  }
+};
+
+Bitcoin.prototype._setMempoolEntryDetails = function(entry, detailedTx) {
+  entry.feeSatoshis = detailedTx.feeSatoshis;
+  entry.inputs = detailedTx.inputs.map(function(input) {
+    return _.pick(input, ['address', 'satoshis', 'prevTxId', 'outputIndex']);
+  });
+  this._addMempoolEntryAddresses(entry, _.compact(_.map(entry.inputs, 'address')));
+};
+
+Bitcoin.prototype._loadMempoolEntryDetails = function(txid, callback) {
+  var self = this;
+  if (!self.mempool.transactions[txid]) {
+    return callback();
+  }
+  self.getDetailedTransaction(txid, function(err, detailedTx) {
+    if (err) {
+      log.warn('Unable to get details for mempool transaction:', txid, err.message);
+      return callback();
+    }
+    // the transaction may have been removed while querying
+    var entry = self.mempool.transactions[txid];
+    if (entry) {
+      self._setMempoolEntryDetails(entry, detailedTx);
+    }
+    callback();
+  });
+};
+
+Bitcoin.prototype._removeMempoolTransaction = function(txid) {
+  var entry = this.mempool.transactions[txid];
+  if (!entry) {
+    return;
+  }
+  delete this.mempool.transactions[txid];
+  this._invalidateAddressCaches(entry.addresses, ['summary']);
+  this._invalidateSpentTransactions(entry.tx);
+  for (var i = 0; i < entry.addresses.length; i++) {
+    var address = entry.addresses[i];
+    var txids = this.mempool.addresses[address];
+    var index = txids.indexOf(txid);
+    if (index > -1) {
+      txids.splice(index, 1);
+    }
+    if (txids.length === 0) {
+      delete this.mempool.addresses[address];
+    }
+  }
+};
+
+Bitcoin.prototype._removeMempoolBlockTransactions = function(blockhash) {
+  var self = this;
+  self.getBlockOverview(blockhash, function(err, blockOverview) {
+    if (err) {
+      return log.error('Unable to remove block transactions from mempool:', err.message);
+    }
+    for (var i = 0; i < blockOverview.txids.length; i++) {
+      self._removeMempoolTransaction(blockOverview.txids[i]);
+    }
+  });
+};
+
+/**
+ * Will synchronize the mempool index unless it's already synchronizing. The mempool of
+ * addresses is given from the index once it has been synchronized, see _getAddressMempool.
+ * @param {Function} callback
+ */
+Bitcoin.prototype._updateMempool = function(callback) {
+  var self = this;
+  if (self.mempoolSyncing) {
+    return setImmediate(callback);
+  }
+  self.mempoolSyncing = true;
+  self._syncMempool(function(err) {
+    self.mempoolSyncing = false;
+    if (!err) {
+      self.mempoolSynced = true;
+    }
+    callback(err);
+  });
+};
+
+/**
+ * Will synchronize the mempool index with the txids from "getrawmempool", removing
+ * transactions that are no longer in the mempool and adding those that are missing.
+ * Transactions added to the index while querying are kept, and transactions that leave
+ * the mempool before they are queried are skipped.
+ * @param {Function} callback
+ */
+Bitcoin.prototype._syncMempool = function(callback) {
+  var self = this;
+  var startTime = Math.floor(Date.now() / 1000);
+  self._callClients('getRawMemPool', [], function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var txids = response.result;
+    var known = {};
+    for (var i = 0; i < txids.length; i++) {
+      known[txids[i]] = true;
+    }
+    for (var txid in self.mempool.transactions) {
+      if (!known[txid] && self.mempool.transactions[txid].time < startTime) {
+        self._removeMempoolTransaction(txid);
+      }
+    }
+    var missing = txids.filter(function(txid) {
+      return !self.mempool.transactions[txid];
+    });
+    async.eachLimit(missing, self.transactionConcurrency, function(txid, next) {
+      self.getDetailedTransaction(txid, function(err, detailedTx) {
+        if (err && err.code === -5) {
+          return next();
+        } else if (err) {
+          return next(err);
+        }
+        var tx = Transaction();
+        tx.fromString(detailedTx.hex);
+        self._addMempoolTransaction(txid, tx, detailedTx);
+        next();
+      });
+    }, callback);
+  });
+};
+
+Bitcoin.prototype._checkSyncedAndSubscribeZmqEvents = function(node) {
+  var self = this;
+  var interval;
+
+  function checkAndSubscribe(callback) {
+    // update tip
+    node.client.getBestBlockHash(function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      var blockhash = new Buffer(response.result, 'hex');
+      self.emit('block', blockhash);
+      self._updateTip(node, blockhash);
+
+      // check if synced
+      node.client.getBlockchainInfo(function(err, response) {
+        if (err) {
+          return callback(self._wrapRPCError(err));
+        }
+        var progress = response.result.verificationprogress;
+        if (progress >= self.zmqSubscribeProgress) {
+          // subscribe to events for further updates
+          self._subscribeZmqEvents(node);
+          clearInterval(interval);
+          callback(null, true);
+        } else {
+          callback(null, false);
+        }
+      });
+    });
+  }
+
+  checkAndSubscribe(function(err, synced) {
+    if (err) {
+      log.error(err);
+    }
+    if (!synced) {
+      interval = setInterval(function() {
+        if (self.node.stopping) {
+          return clearInterval(interval);
+        }
+        checkAndSubscribe(function(err) {
           if (err) {
-            return done(err);
+            log.error(err);
           }
-          summary.totalReceived = data.received;
-          summary.totalSpent = data.received - data.balance;
-          summary.balance = data.balance;
-          done();
         });
-      },
-      function getMempool(done) {
-        if (!queryMempool) {
-          return done();
+      }, node._tipUpdateInterval || Bitcoin.DEFAULT_TIP_UPDATE_INTERVAL);
+    }
+  });
+
+};
+
+Bitcoin.prototype._subscribeZmqEvents = function(node) {
+  var self = this;
+  node.zmqSubSockets.forEach(function(zmqSub) {
+    zmqSub.topics.forEach(function(topic) {
+      zmqSub.socket.subscribe(topic);
+    });
+    zmqSub.socket.on('message', function(topic, message, sequence) {
+      self._zmqMessageHandler(node, topic, message, sequence);
+    });
+  });
+};
+
+Bitcoin.prototype._zmqMessageHandler = function(node, topic, message, sequence) {
+  var topicString = topic.toString('utf8');
+  this._checkZmqSequence(node, topicString, sequence);
+  if (topicString === 'rawtx') {
+    this._zmqTransactionHandler(node, message);
+  } else if (topicString === 'hashblock') {
+    this._zmqBlockHandler(node, message);
+  } else if (topicString === 'rawblock') {
+    this._zmqRawBlockHandler(node, message);
+  } else if (topicString === 'hashtx') {
+    this._zmqHashTransactionHandler(node, message);
+  }
+};
+
+/**
+ * Will keep the last sequence number of each topic, zend increments the number with each
+ * message so that a gap means that messages were missed and will start a catch up.
+ * @param {Object} node
+ * @param {String} topic
+ * @param {Buffer=} sequence - The sequence number as a little-endian 32-bit integer
+ */
+Bitcoin.prototype._checkZmqSequence = function(node, topic, sequence) {
+  if (!sequence || sequence.length < 4) {
+    return;
+  }
+  var number = sequence.readUInt32LE(0);
+  node.zmqSequences = node.zmqSequences || {};
+  var last = node.zmqSequences[topic];
+  node.zmqSequences[topic] = number;
+  if (!_.isUndefined(last) && number !== (last + 1) >>> 0) {
+    log.warn('ZMQ sequence gap for topic:', topic, 'from', last, 'to', number);
+    this._catchUpZmq(node);
+  }
+};
+
+/**
+ * Will replay the blocks since the tip at the time the zmq messages were missed, and the
+ * transactions in the mempool that aren't known, emitting the events that were missed.
+ * A catch up that is requested while one is running is started once it completes.
+ * @param {Object} node
+ * @param {Number=} fromHeight - Defaults to the current height
+ */
+Bitcoin.prototype._catchUpZmq = function(node, fromHeight) {
+  var self = this;
+  var height = _.isUndefined(fromHeight) ? self.height : fromHeight;
+  if (node.zmqCatchUp) {
+    var pending = node.zmqCatchUp.pendingHeight;
+    node.zmqCatchUp.pendingHeight = _.isNumber(pending) ? Math.min(pending, height) : height;
+    return;
+  }
+  node.zmqCatchUp = {pendingHeight: null};
+  log.info('Catching up on missed ZMQ messages from height:', height);
+
+  function finish(err) {
+    if (err) {
+      log.error('Unable to catch up on missed ZMQ messages:', err.message);
+    }
+    var pendingHeight = node.zmqCatchUp.pendingHeight;
+    node.zmqCatchUp = null;
+    if (pendingHeight !== null) {
+      self._catchUpZmq(node, pendingHeight);
+    }
+  }
+
+  function catchUpMempool(err) {
+    if (err) {
+      return finish(err);
+    }
+    self._catchUpMempool(node, finish);
+  }
+
+  if (_.isNumber(height)) {
+    self._catchUpBlocks(node, height, catchUpMempool);
+  } else {
+    catchUpMempool();
+  }
+};
+
+Bitcoin.prototype._catchUpBlocks = function(node, fromHeight, callback) {
+  var self = this;
+  node.client.getBlockCount(function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var bestHeight = response.result;
+    var start = Math.max(fromHeight + 1, bestHeight - self.maxCatchUpBlocks + 1);
+    async.eachSeries(_.range(start, bestHeight + 1), function(height, next) {
+      node.client.getBlockHash(height, function(err, response) {
+        if (err) {
+          return next(self._wrapRPCError(err));
+        }
+        self._catchUpBlock(node, response.result, next);
+      });
+    }, callback);
+  });
+};
+
+Bitcoin.prototype._catchUpBlock = function(node, blockhash, callback) {
+  var self = this;
+  var hashBuffer = new Buffer(blockhash, 'hex');
+  if (self.zmqKnownBlocks.get(hashBuffer.toString('binary'))) {
+    return callback();
+  }
+  self.getRawBlock(blockhash, function(err, blockBuffer) {
+    if (err) {
+      return callback(err);
+    }
+    var block = bitcore.Block.fromBuffer(blockBuffer);
+    for (var i = 0; i < block.transactions.length; i++) {
+      self._zmqTransactionHandler(node, block.transactions[i].toBuffer(), true);
+    }
+    self._zmqBlockHandler(node, hashBuffer, block);
+    callback();
+  });
+};
+
+Bitcoin.prototype._catchUpMempool = function(node, callback) {
+  var self = this;
+  node.client.getRawMemPool(function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var missing = response.result.filter(function(txid) {
+      return !self.mempool.transactions[txid];
+    });
+    async.eachLimit(missing, self.transactionConcurrency, function(txid, next) {
+      node.client.getRawTransaction(txid, function(err, response) {
+        if (err && err.code === -5) {
+          // the transaction is no longer in the mempool
+          return next();
+        } else if (err) {
+          return next(self._wrapRPCError(err));
         }
-        self.client.getAddressMempool({'addresses': addresses}, function(err, response) {
+        self._zmqTransactionHandler(node, new Buffer(response.result, 'hex'));
+        next();
+      });
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      self._updateMempool(callback);
+    });
+  });
+};
+
+/**
+ * Will give the zmq topics by endpoint. Blocks use "rawblock" when it's configured and
+ * otherwise "hashblock", which defaults to the "zmqpubrawtx" endpoint. Transactions use
+ * "rawtx" when it's configured and otherwise "hashtx".
+ * @param {Object} config - The zen.conf or connect configuration
+ */
+Bitcoin.prototype._getZmqEndpoints = function(config) {
+  var endpoints = {};
+  function addTopic(topic, url) {
+    if (url) {
+      endpoints[url] = endpoints[url] || [];
+      endpoints[url].push(topic);
+    }
+  }
+  if (config.zmqpubrawblock) {
+    addTopic('rawblock', config.zmqpubrawblock);
+  } else {
+    addTopic('hashblock', config.zmqpubhashblock || config.zmqpubrawtx);
+  }
+  if (config.zmqpubrawtx) {
+    addTopic('rawtx', config.zmqpubrawtx);
+  } else {
+    addTopic('hashtx', config.zmqpubhashtx);
+  }
+  return endpoints;
+};
+
+Bitcoin.prototype._initZmqSubSockets = function(node, config) {
+  var endpoints = this._getZmqEndpoints(config);
+  for (var url in endpoints) {
+    this._initZmqSubSocket(node, url, endpoints[url]);
+  }
+};
+
+/**
+ * Will setup a zmq subscriber socket for an endpoint, topics are subscribed to once
+ * the node is synced.
+ * @param {Object} node
+ * @param {String} zmqUrl - The zmq endpoint
+ * @param {Array=} topics - The topics published at the endpoint
+ */
+Bitcoin.prototype._initZmqSubSocket = function(node, zmqUrl, topics) {
+  var self = this;
+  var socket = zmq.socket('sub');
+  var disconnected = false;
+  node.zmqSubSockets = node.zmqSubSockets || [];
+  node.zmqSubSockets.push({
+    url: zmqUrl,
+    topics: topics || ['hashblock', 'rawtx'],
+    socket: socket
+  });
+
+  socket.on('connect', function(fd, endPoint) {
+    log.info('ZMQ connected to:', endPoint);
+    if (disconnected) {
+      // messages published while disconnected were missed
+      disconnected = false;
+      self._catchUpZmq(node);
+    }
+  });
+
+  socket.on('connect_delay', function(fd, endPoint) {
+    log.warn('ZMQ connection delay:', endPoint);
+  });
+
+  socket.on('disconnect', function(fd, endPoint) {
+    log.warn('ZMQ disconnect:', endPoint);
+    disconnected = true;
+  });
+
+  socket.on('monitor_error', function(err) {
+    log.error('Error in monitoring: %s, will restart monitoring in 5 seconds', err);
+    setTimeout(function() {
+      socket.monitor(500, 0);
+    }, 5000);
+  });
+
+  socket.monitor(500, 0);
+  socket.connect(zmqUrl);
+};
+
+Bitcoin.prototype._checkReindex = function(node, callback) {
+  var self = this;
+  var interval;
+  function finish(err) {
+    clearInterval(interval);
+    callback(err);
+  }
+  if (node._reindex) {
+    interval = setInterval(function() {
+      node.client.getBlockchainInfo(function(err, response) {
+        if (err) {
+          return finish(self._wrapRPCError(err));
+        }
+        var percentSynced = response.result.verificationprogress * 100;
+
+        log.info('Horizen Daemon Reindex Percentage: ' + percentSynced.toFixed(2));
+
+        if (Math.round(percentSynced) >= 100) {
+          node._reindex = false;
+          finish();
+        }
+      });
+    }, node._reindexWait || Bitcoin.DEFAULT_REINDEX_INTERVAL);
+  } else {
+    callback();
+  }
+};
+
+Bitcoin.prototype._loadTipFromNode = function(node, callback) {
+  var self = this;
+  node.client.getBestBlockHash(function(err, response) {
+    if (err && err.code === -28) {
+      log.warn(err.message);
+      return callback(self._wrapRPCError(err));
+    } else if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    node.client.getBlock(response.result, function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      self.height = response.result.height;
+      self._getNodeHealth(node).height = self.height;
+      $.checkState(self.height >= 0);
+      self.emit('tip', self.height);
+      callback();
+    });
+  });
+};
+
+/**
+ * Will send the signals of the shutdown steps in order until the process has exited.
+ * @param {Function} sendSignal - Will send a signal, throws an error with the code "ESRCH" when
+ * the process doesn't exist
+ * @param {Function} waitForExit - Will wait for the timeout, and is given true when the process exited
+ * @param {Function} callback - Is given true when the process exited
+ */
+Bitcoin.prototype._escalateShutdown = function(sendSignal, waitForExit, callback) {
+  var steps = this._getShutdownSteps();
+
+  function runStep(index) {
+    if (index >= steps.length) {
+      return callback(null, false);
+    }
+    var step = steps[index];
+    try {
+      sendSignal(step.signal);
+    } catch(err) {
+      if (err.code === 'ESRCH') {
+        return callback(null, true);
+      }
+      return callback(err);
+    }
+    waitForExit(step.timeout, function(exited) {
+      if (exited) {
+        return callback(null, true);
+      }
+      log.warn('Horizen process did not exit within ' + step.timeout + 'ms of ' + step.signal);
+      runStep(index + 1);
+    });
+  }
+
+  runStep(0);
+};
+
+Bitcoin.prototype._isProcessRunning = function(pid) {
+  try {
+    this._process.kill(pid, 0);
+    return true;
+  } catch(err) {
+    // the process exists when it can't be signalled
+    return err.code === 'EPERM';
+  }
+};
+
+/**
+ * Will check if the process has exited every "spawnStopTime" until the timeout.
+ * @param {Number} pid
+ * @param {Number} timeout
+ * @param {Function} callback - Is given true when the process exited
+ */
+Bitcoin.prototype._waitForPidExit = function(pid, timeout, callback) {
+  var self = this;
+  var start = Date.now();
+
+  function check() {
+    if (!self._isProcessRunning(pid)) {
+      return callback(true);
+    }
+    var remaining = timeout - (Date.now() - start);
+    if (remaining <= 0) {
+      return callback(false);
+    }
+    setTimeout(check, Math.min(self.spawnStopTime, remaining));
+  }
+
+  setTimeout(check, Math.min(self.spawnStopTime, timeout));
+};
+
+/**
+ * Will give the arguments of the command of a process, from "/proc" or else from "ps".
+ * @param {Number} pid
+ * @param {Function} callback - Is given null when the process is not found
+ */
+Bitcoin.prototype._getProcessArgs = function(pid, callback) {
+  fs.readFile('/proc/' + pid + '/cmdline', function(err, cmdline) {
+    if (!err) {
+      return callback(null, cmdline.toString().split('\u0000').filter(Boolean));
+    }
+    execFile('ps', ['-p', String(pid), '-o', 'command='], function(err, stdout) {
+      if (err) {
+        return callback(null, null);
+      }
+      callback(null, stdout.toString().trim().split(/\s+/));
+    });
+  });
+};
+
+/**
+ * Will check that a process is zend, and that it uses the datadir when it's given, so that a pid
+ * of a stale pid file that has been reused by another process is not signalled.
+ * @param {Number} pid
+ * @param {Function} callback
+ */
+Bitcoin.prototype._isZendProcess = function(pid, callback) {
+  var spawnOptions = this.options.spawn;
+  this._getProcessArgs(pid, function(err, args) {
+    if (err) {
+      return callback(err);
+    }
+    if (!args || !args.length) {
+      return callback(null, false);
+    }
+    var exec = path.basename(args[0]);
+    if (exec !== path.basename(spawnOptions.exec) && !/zend/.test(exec)) {
+      return callback(null, false);
+    }
+    var datadirArg = _.find(args, function(arg) {
+      return /^--?datadir=/.test(arg);
+    });
+    if (datadirArg) {
+      var datadir = datadirArg.slice(datadirArg.indexOf('=') + 1);
+      return callback(null, path.resolve(datadir) === path.resolve(spawnOptions.datadir));
+    }
+    callback(null, true);
+  });
+};
+
+/**
+ * Will stop a zend process from a previous run that is still running with the datadir, as given
+ * by "zend.pid", by escalating the shutdown signals.
+ * @param {Function} callback
+ */
+Bitcoin.prototype._stopSpawnedBitcoin = function(callback) {
+  var self = this;
+  var spawnOptions = this.options.spawn;
+  var pidPath = spawnOptions.datadir + '/zend.pid';
+
+  fs.readFile(pidPath, 'utf8', function(err, pid) {
+    if (err && err.code === 'ENOENT') {
+      // pid file doesn't exist we can continue
+      return callback(null);
+    } else if (err) {
+      return callback(err);
+    }
+    pid = parseInt(pid);
+    if (!Number.isFinite(pid)) {
+      // pid doesn't exist we can continue
+      return callback(null);
+    }
+    self._isZendProcess(pid, function(err, isZend) {
+      if (err) {
+        return callback(err);
+      }
+      if (!isZend) {
+        log.warn('Unclean zen process shutdown, process with pid: ' + pid + ' is not zend');
+        return callback(null);
+      }
+      log.warn('Stopping existing spawned zen process with pid: ' + pid);
+      self._escalateShutdown(function(signal) {
+        self._process.kill(pid, signal);
+      }, function(timeout, done) {
+        self._waitForPidExit(pid, timeout, done);
+      }, function(err, exited) {
+        if (err) {
+          return callback(err);
+        } else if (!exited) {
+          return callback(new Error('Unable to stop zen process with pid: ' + pid));
+        }
+        callback(null);
+      });
+    });
+  });
+};
+
+Bitcoin.prototype._spawnChildProcess = function(callback) {
+  var self = this;
+
+  var node = {};
+  node.spawned = true;
+  node._reindex = false;
+  node._reindexWait = 10000;
+
+  try {
+    self._loadSpawnConfiguration(node);
+  } catch(e) {
+    return callback(e);
+  }
+
+  var options = [
+    '--conf=' + this.spawn.configPath,
+    '--datadir=' + this.spawn.datadir,
+  ];
+
+  if (self._getNetworkOption()) {
+    options.push(self._getNetworkOption());
+  }
+
+  self._stopSpawnedBitcoin(function(err) {
+    if (err) {
+      return callback(err);
+    }
+
+    log.info('Starting zen process');
+    self._initDaemonLog();
+    var stdio = self.daemonLog ? ['ignore', 'pipe', 'pipe'] : 'inherit';
+    self.spawn.process = spawn(self.spawn.exec, options, {stdio: stdio});
+    if (self.daemonLog) {
+      self._captureDaemonLog(self.spawn.process);
+    }
+
+    self.spawn.process.on('error', function(err) {
+      self.emit('error', err);
+    });
+
+    self.spawn.process.once('exit', function(code, signal) {
+      if (!self.node.stopping) {
+        self._onSpawnExit(code, signal);
+      }
+    });
+
+    var exitShutdown = false;
+
+    async.retry({times: 60, interval: self.startRetryInterval}, function(done) {
+      if (self.node.stopping) {
+        exitShutdown = true;
+        return done();
+      }
+
+      var credentials;
+      try {
+        credentials = self._getRPCCredentials(self.spawn.config, self._getCookiePath());
+      } catch(err) {
+        return done(err);
+      }
+
+      node.client = new RpcClient({
+        protocol: 'http',
+        host: '127.0.0.1',
+        port: Number(self.spawn.config.rpcport),
+        user: credentials.user,
+        pass: credentials.pass,
+        getTimeout: self._getRequestTimeout.bind(self)
+      });
+
+      self._loadTipFromNode(node, done);
+
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      if (exitShutdown) {
+        return callback(new Error('Stopping while trying to spawn zend.'));
+      }
+
+      // a restarted process is used with the zmq sockets of the spawned node, see _updateSpawnedNode
+      var restarted = _.some(self.nodes, 'spawned');
+      if (!restarted) {
+        self._initZmqSubSockets(node, self.spawn.config);
+      }
+
+      self._checkReindex(node, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        if (!restarted) {
+          self._checkSyncedAndSubscribeZmqEvents(node);
+        }
+        callback(null, node);
+      });
+
+    });
+
+  });
+
+};
+
+/**
+ * Will update the spawned node with the port and credentials of the restarted process, as zend
+ * writes a new cookie file each time it starts, and with its height. The zmq sockets of the
+ * spawned node reconnect to the restarted process, and its sequence numbers start again.
+ * @param {Object} node - The node of the restarted process, that has no zmq sockets
+ */
+Bitcoin.prototype._updateSpawnedNode = function(node) {
+  var spawned = _.find(this.nodes, 'spawned');
+  if (spawned) {
+    spawned.client.port = node.client.port;
+    spawned.client.user = node.client.user;
+    spawned.client.pass = node.client.pass;
+    this._getNodeHealth(spawned).height = this._getNodeHealth(node).height;
+    spawned.zmqSequences = {};
+  }
+};
+
+/**
+ * Will restart the spawned zend process after it unexpectedly exited, the delay doubles with
+ * each exit within "spawnRestartWindow" up to "maxSpawnRestartTime". Restarts stop after a
+ * fatal exit reason, or after "maxSpawnRestarts" within the window.
+ * @param {Number} code - The exit code
+ * @param {String} signal - The signal that terminated the process
+ */
+Bitcoin.prototype._onSpawnExit = function(code, signal) {
+  var self = this;
+  log.warn('Horizen process unexpectedly exited with code:', code);
+
+  self._getSpawnExitReason(function(exit) {
+    var now = Date.now();
+    var entry = {
+      time: now,
+      code: code,
+      signal: signal || null,
+      reason: exit.reason,
+      message: exit.message,
+      delay: null
+    };
+    self.spawnRestarts.push(entry);
+    self.spawnRestarts = self.spawnRestarts.slice(-Bitcoin.MAX_SPAWN_RESTART_HISTORY);
+
+    var recent = self.spawnRestarts.filter(function(restart) {
+      return now - restart.time < self.spawnRestartWindow;
+    });
+    if (exit.fatal) {
+      return self._stopSpawnRestarts('Horizen process exited with a fatal error (' + exit.reason + '): ' +
+                                     exit.message);
+    } else if (recent.length > self.maxSpawnRestarts) {
+      return self._stopSpawnRestarts('Horizen process exited ' + recent.length + ' times within ' +
+                                     self.spawnRestartWindow + 'ms');
+    }
+
+    entry.delay = Math.min(self.spawnRestartTime * Math.pow(2, recent.length - 1), self.maxSpawnRestartTime);
+    log.warn('Restarting zen child process in ' + entry.delay + 'ms');
+    setTimeout(function() {
+      self._spawnChildProcess(function(err, node) {
+        if (err) {
+          return self.emit('error', err);
+        }
+        self._updateSpawnedNode(node);
+        log.warn('Horizen process restarted');
+      });
+    }, entry.delay);
+  });
+};
+
+/**
+ * Will give the reason of zend exiting from the last lines of its output, when captured.
+ * @param {Function} callback - Called with "reason", "fatal" and "message"
+ */
+Bitcoin.prototype._getSpawnExitReason = function(callback) {
+  var unknown = {reason: 'unknown', fatal: false, message: null};
+  if (!this.daemonLog) {
+    return callback(unknown);
+  }
+  this.daemonLog.tail(Bitcoin.SPAWN_EXIT_TAIL_LINES, function(err, lines) {
+    if (err) {
+      return callback(unknown);
+    }
+    for (var i = lines.length - 1; i >= 0; i--) {
+      for (var j = 0; j < Bitcoin.SPAWN_EXIT_REASONS.length; j++) {
+        var exitReason = Bitcoin.SPAWN_EXIT_REASONS[j];
+        if (exitReason.pattern.test(lines[i])) {
+          return callback({reason: exitReason.reason, fatal: exitReason.fatal, message: lines[i]});
+        }
+      }
+    }
+    var errorLines = lines.filter(function(line) {
+      return /error/i.test(line);
+    });
+    unknown.message = errorLines.length ? errorLines[errorLines.length - 1] : null;
+    callback(unknown);
+  });
+};
+
+Bitcoin.prototype._stopSpawnRestarts = function(message) {
+  this.spawnRestartsStopped = true;
+  var error = new errors.Error(message + ', it will not be restarted');
+  error.restarts = this.spawnRestarts.slice();
+  this.emit('error', error);
+  if (_.isFunction(this.node.emit)) {
+    this.node.emit('error', error);
+  }
+};
+
+/**
+ * Will create the log of the output of the spawned zend process when "spawn.logs" is
+ * given, the file is relative to the datadir.
+ */
+Bitcoin.prototype._initDaemonLog = function() {
+  var logs = this.options.spawn.logs;
+  if (!logs || this.daemonLog) {
+    return;
+  }
+  if (logs === true) {
+    logs = {};
+  }
+  this.daemonLog = new DaemonLog({
+    file: path.resolve(this.spawn.datadir, logs.file || Bitcoin.DEFAULT_DAEMON_LOG_FILE),
+    maxSize: logs.maxSize,
+    interval: logs.interval,
+    maxFiles: logs.maxFiles,
+    logger: logs.mirror ? log : null,
+    prefix: logs.prefix
+  });
+};
+
+Bitcoin.prototype._captureDaemonLog = function(child) {
+  var self = this;
+  child.stdout.on('data', function(chunk) {
+    self.daemonLog.write('stdout', chunk);
+  });
+  child.stderr.on('data', function(chunk) {
+    self.daemonLog.write('stderr', chunk);
+  });
+  child.once('close', function() {
+    self.daemonLog.flush();
+    if (self.node.stopping) {
+      self.daemonLog.close();
+    }
+  });
+};
+
+/**
+ * Will give the RPC credentials of a configuration from "rpcuser" and "rpcpassword", else from
+ * the environment variables named by "rpcuserenv" and "rpcpasswordenv", else from the JSON file
+ * "rpcsecrets", else from the cookie file of zend. The files are read each time, so that a new
+ * cookie is used when zend restarts.
+ * @param {Object} config - The zen.conf or connect configuration
+ * @param {String=} cookiePath - The default cookie file
+ * @returns {Object} - With "user" and "pass"
+ */
+Bitcoin.prototype._getRPCCredentials = function(config, cookiePath) {
+  var env = this._process.env;
+  if (config.rpcpassword) {
+    return {user: config.rpcuser, pass: config.rpcpassword};
+  } else if (config.rpcpasswordenv) {
+    if (!env[config.rpcpasswordenv]) {
+      throw new Error('Environment variable "' + config.rpcpasswordenv + '" for the RPC password is not set');
+    }
+    return {
+      user: config.rpcuserenv ? env[config.rpcuserenv] : config.rpcuser,
+      pass: env[config.rpcpasswordenv]
+    };
+  } else if (config.rpcsecrets) {
+    var secrets = JSON.parse(fs.readFileSync(this._resolveConfigPath(config.rpcsecrets), 'utf8'));
+    return {user: secrets.rpcuser, pass: secrets.rpcpassword};
+  } else if (config.rpccookiefile || cookiePath) {
+    return this._readCookieFile(config.rpccookiefile ? this._resolveConfigPath(config.rpccookiefile) : cookiePath);
+  }
+  return {user: config.rpcuser, pass: config.rpcpassword};
+};
+
+/**
+ * Will resolve a path relative to the directory of the bitcore-node.json configuration.
+ * @param {String} filePath
+ * @returns {String}
+ */
+Bitcoin.prototype._resolveConfigPath = function(filePath) {
+  if (utils.isAbsolutePath(filePath) || !this.node.configPath) {
+    return path.resolve(filePath);
+  }
+  return path.resolve(path.dirname(this.node.configPath), filePath);
+};
+
+/**
+ * Will give the cookie file of the spawned zend process, from "rpccookiefile" in zen.conf or in
+ * the network directory of the datadir.
+ * @returns {String}
+ */
+Bitcoin.prototype._getCookiePath = function() {
+  var networkConfigPath = this._getNetworkConfigPath();
+  var networkDir = path.resolve(this.spawn.datadir, networkConfigPath ? path.dirname(networkConfigPath) : '');
+  return path.resolve(networkDir, this.spawn.config.rpccookiefile || '.cookie');
+};
+
+/**
+ * Will read the "user:password" of a cookie file.
+ * @param {String} cookiePath
+ * @returns {Object} - With "user" and "pass"
+ */
+Bitcoin.prototype._readCookieFile = function(cookiePath) {
+  var cookie = fs.readFileSync(cookiePath, 'utf8').trim();
+  var index = cookie.indexOf(':');
+  if (index === -1) {
+    throw new Error('Invalid RPC cookie file: ' + cookiePath);
+  }
+  return {user: cookie.slice(0, index), pass: cookie.slice(index + 1)};
+};
+
+/**
+ * Will read a file of the TLS options of a connect configuration.
+ * @param {Object} config - The connect configuration
+ * @param {String} name - The option with the path of the file
+ * @returns {Buffer|Array}
+ */
+Bitcoin.prototype._readRPCTLSFile = function(config, name) {
+  var self = this;
+  var files = [].concat(config[name]).map(function(filePath) {
+    var resolvedPath = self._resolveConfigPath(filePath);
+    try {
+      return fs.readFileSync(resolvedPath);
+    } catch(err) {
+      throw new Error('Unable to read "' + name + '" file "' + resolvedPath + '" for zend RPC: ' + err.message);
+    }
+  });
+  return _.isArray(config[name]) ? files : files[0];
+};
+
+/**
+ * Will give a function to verify the certificate of zend RPC with a SHA-256 or SHA-1 fingerprint,
+ * in addition to verifying the hostname.
+ * @param {String} fingerprint - The hex fingerprint, optionally separated by colons
+ * @returns {Function}
+ */
+Bitcoin.prototype._checkRPCFingerprint = function(fingerprint) {
+  var expected = fingerprint.replace(/[:\s]/g, '').toLowerCase();
+  var algorithm = expected.length === 64 ? 'sha256' : 'sha1';
+  if (!/^[0-9a-f]+$/.test(expected) || (expected.length !== 64 && expected.length !== 40)) {
+    throw new TypeError('"rpcfingerprint" is expected to be a SHA-256 or SHA-1 fingerprint in hex');
+  }
+  return function(host, cert) {
+    var err = tls.checkServerIdentity(host, cert);
+    if (err) {
+      return err;
+    }
+    var actual = crypto.createHash(algorithm).update(cert.raw).digest('hex');
+    if (actual !== expected) {
+      return new Error('Certificate fingerprint ' + actual + ' does not match "rpcfingerprint" ' + expected);
+    }
+  };
+};
+
+/**
+ * Will give the https options of a connect configuration with "rpcca", "rpccert", "rpckey" and
+ * "rpcfingerprint", files are relative to the directory of bitcore-node.json.
+ * @param {Object} config - The connect configuration
+ * @returns {Object|null}
+ */
+Bitcoin.prototype._getRPCTLSOptions = function(config) {
+  if (!config.rpcca && !config.rpccert && !config.rpckey && !config.rpcfingerprint) {
+    return null;
+  }
+  if (config.rpcprotocol !== 'https') {
+    throw new TypeError('"rpcca", "rpccert", "rpckey" and "rpcfingerprint" require "rpcprotocol" to be "https"');
+  }
+  if (Boolean(config.rpccert) !== Boolean(config.rpckey)) {
+    throw new TypeError('"rpccert" and "rpckey" are expected to be given together');
+  }
+  if (config.rpcfingerprint && config.rpcstrict === false) {
+    throw new TypeError('"rpcfingerprint" can not be verified with "rpcstrict" disabled');
+  }
+  var options = {};
+  ['rpcca', 'rpccert', 'rpckey'].forEach(function(name) {
+    if (config[name]) {
+      options[name.slice(3)] = this._readRPCTLSFile(config, name);
+    }
+  }, this);
+  if (config.rpcfingerprint) {
+    options.checkServerIdentity = this._checkRPCFingerprint(config.rpcfingerprint);
+  }
+  return options;
+};
+
+Bitcoin.prototype._connectProcess = function(config, callback) {
+  var self = this;
+  var node = {};
+  var exitShutdown = false;
+  var tlsError = null;
+  var tlsOptions;
+
+  try {
+    tlsOptions = self._getRPCTLSOptions(config);
+  } catch(err) {
+    return callback(err);
+  }
+
+  async.retry({times: 60, interval: self.startRetryInterval}, function(done) {
+    if (self.node.stopping) {
+      exitShutdown = true;
+      return done();
+    }
+
+    var credentials;
+    try {
+      credentials = self._getRPCCredentials(config);
+    } catch(err) {
+      return done(err);
+    }
+
+    node.client = new RpcClient({
+      protocol: config.rpcprotocol || 'http',
+      host: config.rpchost || '127.0.0.1',
+      port: config.rpcport,
+      user: credentials.user,
+      pass: credentials.pass,
+      rejectUnauthorized: _.isUndefined(config.rpcstrict) ? true : config.rpcstrict,
+      getTimeout: self._getRequestTimeout.bind(self)
+    });
+    if (tlsOptions) {
+      node.client.httpOptions = tlsOptions;
+    }
+
+    self._loadTipFromNode(node, function(err) {
+      if (err && Bitcoin.RPC_TLS_ERROR_REGEXP.test(err.message)) {
+        tlsError = err;
+        return done();
+      }
+      done(err);
+    });
+
+  }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    if (tlsError) {
+      return callback(new Error('Unable to verify the TLS certificate of zend RPC at ' +
+                                (config.rpchost || '127.0.0.1') + ':' + config.rpcport + ': ' + tlsError.message));
+    }
+    if (exitShutdown) {
+      return callback(new Error('Stopping while trying to connect to zend.'));
+    }
+
+    self._initZmqSubSockets(node, config);
+    self._subscribeZmqEvents(node);
+
+    callback(null, node);
+  });
+};
+
+/**
+ * Called by Node to start the service
+ * @param {Function} callback
+ */
+Bitcoin.prototype.start = function(callback) {
+  var self = this;
+
+  async.series([
+    function(next) {
+      if (self.options.spawn) {
+        self._spawnChildProcess(function(err, node) {
+          if (err) {
+            return next(err);
+          }
+          self.nodes.push(node);
+          next();
+        });
+      } else {
+        next();
+      }
+    },
+    function(next) {
+      if (self.options.connect) {
+        async.map(self.options.connect, self._connectProcess.bind(self), function(err, nodes) {
+          if (err) {
+            return callback(err);
+          }
+          for(var i = 0; i < nodes.length; i++) {
+            self.nodes.push(nodes[i]);
+          }
+          next();
+        });
+      } else {
+        next();
+      }
+    },
+    function(next) {
+      self._initPersistentCache(next);
+    }
+  ], function(err) {
+    if (err) {
+      return callback(err);
+    }
+    if (self.nodes.length === 0) {
+      return callback(new Error('Horizen configuration options "spawn" or "connect" are expected'));
+    }
+    self._initChain(function(err) {
+      if (err) {
+        return callback(err);
+      }
+      self._updateMempool(function(err) {
+        if (err) {
+          return log.error('Unable to load mempool:', err.message);
+        }
+        log.info('Horizen Mempool Loaded:', _.size(self.mempool.transactions), 'transactions');
+      });
+      self._startMempoolSync();
+      self._startDivergenceWatchdog();
+      self._startHealthWatchdog();
+      callback();
+    });
+  });
+
+};
+
+Bitcoin.prototype._startMempoolSync = function() {
+  var self = this;
+  self.mempoolInterval = setInterval(function() {
+    self._updateMempool(function(err) {
+      if (err) {
+        log.warn('Unable to sync mempool:', err.message);
+      }
+    });
+  }, self.mempoolSyncInterval);
+};
+
+Bitcoin.prototype._startDivergenceWatchdog = function() {
+  var self = this;
+  if (self.nodes.length < 2) {
+    return;
+  }
+  self.divergenceInterval = setInterval(function() {
+    self._checkDivergence(function(err) {
+      if (err) {
+        log.error('Unable to compare node tips:', err.message);
+      }
+    });
+  }, self.divergenceCheckInterval);
+};
+
+Bitcoin.prototype._startHealthWatchdog = function() {
+  var self = this;
+  self.lastBlockTime = self.lastBlockTime || Date.now();
+  self.healthInterval = setInterval(function() {
+    self._checkHealth(self._logHealthError);
+  }, self.healthCheckInterval);
+};
+
+Bitcoin.prototype._logHealthError = function(err) {
+  if (err) {
+    log.error('Unable to check Horizen health:', err.message);
+  }
+};
+
+Bitcoin.prototype._getHealthStatus = function(connections) {
+  var sinceLastBlock = Date.now() - this.lastBlockTime;
+  var staleTipSeconds = this.targetSpacing * this.staleTipFactor;
+  var staleTip = sinceLastBlock > staleTipSeconds * 1000;
+  var lowPeers = connections < this.minPeers;
+  return {
+    healthy: !staleTip && !lowPeers,
+    staleTip: staleTip,
+    lowPeers: lowPeers,
+    height: this.height,
+    lastBlockTime: this.lastBlockTime,
+    secondsSinceLastBlock: Math.floor(sinceLastBlock / 1000),
+    staleTipSeconds: staleTipSeconds,
+    connections: connections,
+    minPeers: this.minPeers
+  };
+};
+
+/**
+ * Will check the time since the last block arrived and the number of peers, and will emit
+ * "stale" when either is outside of the threshold and "recovered" when both are back.
+ * @param {Function} callback
+ */
+Bitcoin.prototype._checkHealth = function(callback) {
+  var self = this;
+  self.getInfo(function(err, info) {
+    if (err) {
+      return callback(err);
+    }
+    var status = self._getHealthStatus(info.connections);
+    if (status.healthy !== self.healthDegraded) {
+      return callback(null, status);
+    }
+    self.healthDegraded = !status.healthy;
+    if (self.healthDegraded) {
+      log.warn('Horizen health degraded, seconds since last block:', status.secondsSinceLastBlock,
+               'connections:', status.connections);
+      self.emit('stale', status);
+    } else {
+      log.info('Horizen health recovered');
+      self.emit('recovered', status);
+    }
+    for (var i = 0; i < self.subscriptions.health.length; i++) {
+      self.subscriptions.health[i].emit('bitcoind/health', status);
+    }
+    callback(null, status);
+  });
+};
+
+Bitcoin.prototype._getNodeTip = function(node, callback) {
+  node.client.getBlockchainInfo(function(err, response) {
+    if (err) {
+      // unavailable nodes are handled by the client pool
+      return callback(null, null);
+    }
+    callback(null, {
+      node: node,
+      hash: response.result.bestblockhash,
+      height: response.result.blocks
+    });
+  });
+};
+
+Bitcoin.prototype._isBlockInChain = function(node, blockhash, callback) {
+  var self = this;
+  node.client.getBlockHeader(blockhash, function(err, response) {
+    if (err && err.code === -5) {
+      return callback(null, false);
+    } else if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    callback(null, response.result.confirmations >= 0);
+  });
+};
+
+/**
+ * Will compare the tips of the nodes with the most recent tip, a node with a different tip
+ * is either behind or on a fork. A "divergence" event is emitted when a node is more than
+ * "maxDivergenceDepth" blocks behind, or has a different tip for more than "maxDivergenceTime".
+ * @param {Function} callback
+ */
+Bitcoin.prototype._checkDivergence = function(callback) {
+  var self = this;
+  async.map(self.nodes, self._getNodeTip.bind(self), function(err, tips) {
+    tips = _.compact(tips);
+    if (tips.length < 2) {
+      return callback();
+    }
+    var best = tips.reduce(function(best, tip) {
+      return tip.height > best.height ? tip : best;
+    });
+    async.eachSeries(tips, function(tip, next) {
+      if (tip.hash === best.hash) {
+        self._resolveDivergence(tip.node);
+        return next();
+      }
+      self._isBlockInChain(best.node, tip.hash, function(err, inChain) {
+        if (err) {
+          return next(err);
+        }
+        self._updateDivergence(tip, best, !inChain);
+        next();
+      });
+    }, callback);
+  });
+};
+
+Bitcoin.prototype._updateDivergence = function(tip, best, forked) {
+  var health = this._getNodeHealth(tip.node);
+  if (!health.divergedSince) {
+    health.divergedSince = Date.now();
+  }
+  var depth = best.height - tip.height;
+  var elapsed = Date.now() - health.divergedSince;
+  if (health.divergenceNotified || (depth <= this.maxDivergenceDepth && elapsed < this.maxDivergenceTime)) {
+    return;
+  }
+  health.divergenceNotified = true;
+
+  var divergence = {
+    host: tip.node.client.host,
+    port: tip.node.client.port,
+    hash: tip.hash,
+    height: tip.height,
+    bestHash: best.hash,
+    bestHeight: best.height,
+    depth: depth,
+    forked: forked,
+    since: health.divergedSince
+  };
+  log.warn('Horizen node diverged:', this._getNodeName(tip.node), forked ? 'is on a fork' : 'is behind',
+           'at height', tip.height, 'with best height', best.height);
+  this.emit('divergence', divergence);
+  for (var i = 0; i < this.subscriptions.nodedivergence.length; i++) {
+    this.subscriptions.nodedivergence[i].emit('bitcoind/nodedivergence', divergence);
+  }
+};
+
+Bitcoin.prototype._resolveDivergence = function(node) {
+  var health = this._getNodeHealth(node);
+  if (health.divergenceNotified) {
+    log.info('Horizen node is back on the best tip:', this._getNodeName(node));
+  }
+  health.divergedSince = null;
+  health.divergenceNotified = false;
+};
+
+/**
+ * Helper to determine the state of the database.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.isSynced = function(callback) {
+  this.syncPercentage(function(err, percentage) {
+    if (err) {
+      return callback(err);
+    }
+    if (Math.round(percentage) >= 100) {
+      callback(null, true);
+    } else {
+      callback(null, false);
+    }
+  });
+};
+
+/**
+ * Helper to determine the progress of the database.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.syncPercentage = function(callback) {
+  var self = this;
+  this._callClients('getBlockchainInfo', [], function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var percentSynced = response.result.verificationprogress * 100;
+    callback(null, percentSynced);
+  });
+};
+
+Bitcoin.prototype._normalizeAddressArg = function(addressArg) {
+  var addresses = [addressArg];
+  if (Array.isArray(addressArg)) {
+    addresses = addressArg;
+  }
+  return addresses;
+};
+
+/**
+ * Will get the balance for an address or multiple addresses
+ * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getAddressBalance = function(addressArg, options, callback) {
+  var self = this;
+  var addresses = self._normalizeAddressArg(addressArg);
+  var cacheKey = self._getAddressesCacheKey(addresses);
+  var balance = self.balanceCache.get(cacheKey);
+  if (balance) {
+    return setImmediate(function() {
+      callback(null, balance);
+    });
+  } else {
+    self._coalesce('balance:' + cacheKey, function(done) {
+      var generation = self.cacheGeneration;
+      self._callClients('getAddressBalance', [{addresses: addresses}], function(err, response) {
+        if (err) {
+          return done(self._wrapRPCError(err));
+        }
+        self._setAddressCache(self.balanceCache, cacheKey, response.result, generation);
+        done(null, response.result);
+      });
+    }, callback);
+  }
+};
+
+/**
+ * Will get the unspent outputs for an address or multiple addresses
+ * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getAddressUnspentOutputs = function(addressArg, options, callback) {
+  var self = this;
+  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
+  var addresses = self._normalizeAddressArg(addressArg);
+  var cacheKey = self._getAddressesCacheKey(addresses);
+  var utxos = self.utxosCache.get(cacheKey);
+
+  function transformUnspentOutput(delta) {
+    var script = bitcore.Script.fromAddress(delta.address);
+    return {
+      address: delta.address,
+      txid: delta.txid,
+      outputIndex: delta.index,
+      script: script.toHex(),
+      satoshis: delta.satoshis,
+      timestamp: delta.timestamp
+    };
+  }
+
+  function updateWithMempool(confirmedUtxos, mempoolDeltas) {
+    /* jshint maxstatements: 20 */
+    if (!mempoolDeltas || !mempoolDeltas.length) {
+      return confirmedUtxos;
+    }
+    var isSpentOutputs = false;
+    var mempoolUnspentOutputs = [];
+    var spentOutputs = [];
+
+    for (var i = 0; i < mempoolDeltas.length; i++) {
+      var delta = mempoolDeltas[i];
+      if (delta.prevtxid && delta.satoshis <= 0) {
+        if (!spentOutputs[delta.prevtxid]) {
+          spentOutputs[delta.prevtxid] = [delta.prevout];
+        } else {
+          spentOutputs[delta.prevtxid].push(delta.prevout);
+        }
+        isSpentOutputs = true;
+      } else {
+        mempoolUnspentOutputs.push(transformUnspentOutput(delta));
+      }
+    }
+
+    var utxos = mempoolUnspentOutputs.reverse().concat(confirmedUtxos);
+
+    if (isSpentOutputs) {
+      return utxos.filter(function(utxo) {
+        if (!spentOutputs[utxo.txid]) {
+          return true;
+        } else {
+          return (spentOutputs[utxo.txid].indexOf(utxo.outputIndex) === -1);
+        }
+      });
+    }
+
+    return utxos;
+  }
+
+  function finish(mempoolDeltas) {
+    if (utxos) {
+      return setImmediate(function() {
+        callback(null, updateWithMempool(utxos, mempoolDeltas));
+      });
+    } else {
+      self._coalesce('utxos:' + cacheKey, function(done) {
+        var generation = self.cacheGeneration;
+        self._callClients('getAddressUtxos', [{addresses: addresses}], function(err, response) {
+          if (err) {
+            return done(self._wrapRPCError(err));
+          }
+          var utxos = response.result.reverse();
+          self._setAddressCache(self.utxosCache, cacheKey, utxos, generation);
+          done(null, utxos);
+        });
+      }, function(err, utxos) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, updateWithMempool(utxos, mempoolDeltas));
+      });
+    }
+  }
+
+  if (queryMempool) {
+    self._getAddressMempool(addresses, function(err, deltas) {
+      if (err) {
+        return callback(err);
+      }
+      finish(deltas);
+    });
+  } else {
+    finish();
+  }
+
+};
+
+/**
+ * Will give the deltas of the mempool for addresses in the format of "getaddressmempool", from the
+ * mempool index, or with RPC while the index may be incomplete: before the mempool has been
+ * synchronized, while it's synchronizing, or while the details of a transaction are loading.
+ * @param {Array} addresses - The addresses
+ * @param {Function} callback
+ */
+Bitcoin.prototype._getAddressMempool = function(addresses, callback) {
+  var self = this;
+  var deltas;
+  try {
+    deltas = self._getMempoolDeltas(self._getAddressStrings(addresses));
+  } catch(e) {
+    return callback(e);
+  }
+  if (deltas) {
+    return setImmediate(function() {
+      callback(null, deltas);
+    });
+  }
+  self._callClients('getAddressMempool', [{addresses: addresses}], function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    callback(null, response.result);
+  });
+};
+
+/**
+ * Will give the deltas of addresses from the mempool index in the order transactions were added, or
+ * null while the index may be incomplete, see _getAddressMempool.
+ * @param {Array} addressStrings
+ * @returns {Array|null}
+ */
+Bitcoin.prototype._getMempoolDeltas = function(addressStrings) {
+  var self = this;
+  if (!self.mempoolSynced || self.mempoolSyncing) {
+    return null;
+  }
+  var addresses = {};
+  var txids = [];
+  for (var i = 0; i < addressStrings.length; i++) {
+    addresses[addressStrings[i]] = true;
+    txids = txids.concat(self.mempool.addresses[addressStrings[i]] || []);
+  }
+  var entries = _.uniq(txids).map(function(txid) {
+    return self.mempool.transactions[txid];
+  });
+  if (_.some(entries, {inputs: null})) {
+    return null;
+  }
+  return _.flatten(_.sortBy(entries, 'time').map(function(entry) {
+    return self._getMempoolEntryDeltas(entry, addresses);
+  }));
+};
+
+Bitcoin.prototype._getMempoolEntryDeltas = function(entry, addresses) {
+  var deltas = [];
+  entry.inputs.forEach(function(input, index) {
+    if (addresses[input.address]) {
+      deltas.push({
+        address: input.address,
+        txid: entry.txid,
+        index: index,
+        satoshis: -input.satoshis,
+        timestamp: entry.time,
+        prevtxid: input.prevTxId,
+        prevout: input.outputIndex
+      });
+    }
+  });
+  entry.outputs.forEach(function(output, index) {
+    if (addresses[output.address]) {
+      deltas.push({
+        address: output.address,
+        txid: entry.txid,
+        index: index,
+        satoshis: output.satoshis,
+        timestamp: entry.time
+      });
+    }
+  });
+  return deltas;
+};
+
+Bitcoin.prototype._getBalanceFromMempool = function(deltas) {
+  var satoshis = 0;
+  for (var i = 0; i < deltas.length; i++) {
+    satoshis += deltas[i].satoshis;
+  }
+  return satoshis;
+};
+
+Bitcoin.prototype._getTxidsFromMempool = function(deltas) {
+  var mempoolTxids = [];
+  var mempoolTxidsKnown = {};
+  for (var i = 0; i < deltas.length; i++) {
+    var txid = deltas[i].txid;
+    if (!mempoolTxidsKnown[txid]) {
+      mempoolTxids.push(txid);
+      mempoolTxidsKnown[txid] = true;
+    }
+  }
+  return mempoolTxids;
+};
+
+Bitcoin.prototype._getHeightRangeQuery = function(options, clone) {
+  if (options.start >= 0 && options.end >= 0) {
+    if (options.end > options.start) {
+      throw new TypeError('"end" is expected to be less than or equal to "start"');
+    }
+    if (clone) {
+      // reverse start and end as the order in bitcore is most recent to less recent
+      clone.start = options.end;
+      clone.end = options.start;
+    }
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Will get the txids for an address or multiple addresses
+ * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getAddressTxids = function(addressArg, options, callback) {
+  /* jshint maxstatements: 16 */
+  var self = this;
+  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
+  var rangeQuery = false;
+  try {
+    rangeQuery = self._getHeightRangeQuery(options);
+  } catch(err) {
+    return callback(err);
+  }
+  if (rangeQuery) {
+    queryMempool = false;
+  }
+  var addresses = self._normalizeAddressArg(addressArg);
+  var cacheKey = self._getAddressesCacheKey(addresses);
+  var mempoolTxids = [];
+  var txids = self.txidsCache.get(cacheKey);
+
+  function finish() {
+    if (txids && !rangeQuery) {
+      var allTxids = mempoolTxids.reverse().concat(txids);
+      return setImmediate(function() {
+        callback(null, allTxids);
+      });
+    } else {
+      var txidOpts = {
+        addresses: addresses
+      };
+      if (rangeQuery) {
+        self._getHeightRangeQuery(options, txidOpts);
+      }
+      var key = 'txids:' + cacheKey + (rangeQuery ? ':' + txidOpts.start + '-' + txidOpts.end : '');
+      self._coalesce(key, function(done) {
+        var generation = self.cacheGeneration;
+        self._callClients('getAddressTxids', [txidOpts], function(err, response) {
+          if (err) {
+            return done(self._wrapRPCError(err));
+          }
+          response.result.reverse();
+          if (!rangeQuery) {
+            self._setAddressCache(self.txidsCache, cacheKey, response.result, generation);
+          }
+          done(null, response.result);
+        });
+      }, function(err, txids) {
+        if (err) {
+          return callback(err);
+        }
+        var allTxids = mempoolTxids.reverse().concat(txids);
+        return callback(null, allTxids);
+      });
+    }
+  }
+
+  if (queryMempool) {
+    self._getAddressMempool(addresses, function(err, deltas) {
+      if (err) {
+        return callback(err);
+      }
+      mempoolTxids = self._getTxidsFromMempool(deltas);
+      finish();
+    });
+  } else {
+    finish();
+  }
+
+};
+
+Bitcoin.prototype._getConfirmationsDetail = function(transaction) {
+  $.checkState(this.height > 0, 'current height is unknown');
+  var confirmations = 0;
+  if (transaction.height >= 0) {
+    confirmations = this.height - transaction.height + 1;
+  }
+  if (confirmations < 0) {
+    log.warn('Negative confirmations calculated for transaction:', transaction.hash);
+  }
+  return Math.max(0, confirmations);
+};
+
+Bitcoin.prototype._getAddressDetailsForInput = function(input, inputIndex, result, addressStrings) {
+  if (!input.address) {
+    return;
+  }
+  var address = input.address;
+  if (addressStrings.indexOf(address) >= 0) {
+    if (!result.addresses[address]) {
+      result.addresses[address] = {
+        inputIndexes: [inputIndex],
+        outputIndexes: []
+      };
+    } else {
+      result.addresses[address].inputIndexes.push(inputIndex);
+    }
+    result.satoshis -= input.satoshis;
+  }
+};
+
+Bitcoin.prototype._getAddressDetailsForOutput = function(output, outputIndex, result, addressStrings) {
+  if (!output.address) {
+    return;
+  }
+  var address = output.address;
+  if (addressStrings.indexOf(address) >= 0) {
+    if (!result.addresses[address]) {
+      result.addresses[address] = {
+        inputIndexes: [],
+        outputIndexes: [outputIndex]
+      };
+    } else {
+      result.addresses[address].outputIndexes.push(outputIndex);
+    }
+    result.satoshis += output.satoshis;
+  }
+};
+
+Bitcoin.prototype._getAddressDetailsForTransaction = function(transaction, addressStrings) {
+  var result = {
+    addresses: {},
+    satoshis: 0
+  };
+
+  for (var inputIndex = 0; inputIndex < transaction.inputs.length; inputIndex++) {
+    var input = transaction.inputs[inputIndex];
+    this._getAddressDetailsForInput(input, inputIndex, result, addressStrings);
+  }
+
+  for (var outputIndex = 0; outputIndex < transaction.outputs.length; outputIndex++) {
+    var output = transaction.outputs[outputIndex];
+    this._getAddressDetailsForOutput(output, outputIndex, result, addressStrings);
+  }
+
+  $.checkState(Number.isFinite(result.satoshis));
+
+  return result;
+};
+
+/**
+ * Will expand into a detailed transaction from a txid
+ * @param {Object} txid - A bitcoin transaction id
+ * @param {Function} callback
+ */
+Bitcoin.prototype._getAddressDetailedTransactions = function(txids, options, next) {
+  var self = this;
+
+  self._getDetailedTransactions(
+    txids,
+    function(err, transactions) {
+      if (err) {
+        return next(err);
+      }
+
+      next(null, transactions.map(function(transaction) {
+        var addressDetails = self._getAddressDetailsForTransaction(transaction, options.addressStrings);
+        return {
+          addresses: addressDetails.addresses,
+          satoshis: addressDetails.satoshis,
+          confirmations: self._getConfirmationsDetail(transaction),
+          tx: transaction
+        };
+      }));
+    }
+  );
+};
+
+Bitcoin.prototype._getAddressStrings = function(addresses) {
+  var addressStrings = [];
+  for (var i = 0; i < addresses.length; i++) {
+    var address = addresses[i];
+    if (address instanceof bitcore.Address) {
+      addressStrings.push(address.toString());
+    } else if (_.isString(address)) {
+      addressStrings.push(address);
+    } else {
+      throw new TypeError('Addresses are expected to be strings');
+    }
+  }
+  return addressStrings;
+};
+
+Bitcoin.prototype._paginateTxids = function(fullTxids, fromArg, toArg) {
+  var txids;
+  var from = parseInt(fromArg);
+  var to = parseInt(toArg);
+  $.checkState(from < to, '"from" (' + from + ') is expected to be less than "to" (' + to + ')');
+  txids = fullTxids.slice(from, to);
+  return txids;
+};
+
+/**
+ * Will detailed transaction history for an address or multiple addresses
+ * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getAddressHistory = function(addressArg, options, callback) {
+  var self = this;
+  var addresses = self._normalizeAddressArg(addressArg);
+  if (addresses.length > this.maxAddressesQuery) {
+    return callback(new TypeError('Maximum number of addresses (' + this.maxAddressesQuery + ') exceeded'));
+  }
+
+  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
+  var addressStrings = this._getAddressStrings(addresses);
+
+  var fromArg = parseInt(options.from || 0);
+  var toArg = parseInt(options.to || self.maxTransactionHistory);
+
+  if ((toArg - fromArg) > self.maxTransactionHistory) {
+    return callback(new Error(
+      '"from" (' + options.from + ') and "to" (' + options.to + ') range should be less than or equal to ' +
+        self.maxTransactionHistory
+    ));
+  }
+
+  self.getAddressTxids(addresses, options, function(err, txids) {
+    if (err) {
+      return callback(err);
+    }
+
+    var totalCount = txids.length;
+    try {
+      txids = self._paginateTxids(txids, fromArg, toArg);
+    } catch(e) {
+      return callback(e);
+    }
+
+    self._getAddressDetailedTransactions(txids, {
+      queryMempool: queryMempool,
+      addressStrings: addressStrings
+    }, function(err, transactions) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, {
+        totalCount: totalCount,
+        items: transactions
+      });
+    });
+  });
+};
+
+/**
+ * Will get the summary including txids and balance for an address or multiple addresses
+ * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getAddressSummary = function(addressArg, options, callback) {
+  var self = this;
+  var summary = {};
+  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
+  var summaryTxids = [];
+  var mempoolTxids = [];
+  var addresses = self._normalizeAddressArg(addressArg);
+  var cacheKey = self._getAddressesCacheKey(addresses);
+
+  function finishWithTxids() {
+    if (!options.noTxList) {
+      var allTxids = mempoolTxids.reverse().concat(summaryTxids);
+      var fromArg = parseInt(options.from || 0);
+      var toArg = parseInt(options.to || self.maxTxids);
+
+      if ((toArg - fromArg) > self.maxTxids) {
+        return callback(new Error(
+          '"from" (' + fromArg + ') and "to" (' + toArg + ') range should be less than or equal to ' +
+            self.maxTxids
+        ));
+      }
+      var paginatedTxids;
+      try {
+        paginatedTxids = self._paginateTxids(allTxids, fromArg, toArg);
+      } catch(e) {
+        return callback(e);
+      }
+
+      var allSummary = _.clone(summary);
+      allSummary.txids = paginatedTxids;
+      callback(null, allSummary);
+    } else {
+      callback(null, summary);
+    }
+  }
+
+  function querySummary() {
+    var generation = self.cacheGeneration;
+    async.parallel([
+      function getTxList(done) {
+        self.getAddressTxids(addresses, {queryMempool: false}, function(err, txids) {
+          if (err) {
+            return done(err);
+          }
+          summaryTxids = txids;
+          summary.appearances = txids.length;
+          done();
+        });
+      },
+      function getBalance(done) {
+        self.getAddressBalance(addresses, options, function(err, data) {
+          if (err) {
+            return done(err);
+          }
+          summary.totalReceived = data.received;
+          summary.totalSpent = data.received - data.balance;
+          summary.balance = data.balance;
+          done();
+        });
+      },
+      function getMempool(done) {
+        if (!queryMempool) {
+          return done();
+        }
+        self._getAddressMempool(addresses, function(err, deltas) {
+          if (err) {
+            return done(err);
+          }
+          mempoolTxids = self._getTxidsFromMempool(deltas);
+          summary.unconfirmedAppearances = mempoolTxids.length;
+          summary.unconfirmedBalance = self._getBalanceFromMempool(deltas);
+          done();
+        });
+      },
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      self._setAddressCache(self.summaryCache, cacheKey, summary, generation);
+      finishWithTxids();
+    });
+  }
+
+  if (options.noTxList) {
+    var summaryCache = self.summaryCache.get(cacheKey);
+    if (summaryCache) {
+      callback(null, summaryCache);
+    } else {
+      querySummary();
+    }
+  } else {
+    querySummary();
+  }
+
+};
+
+/**
+ * Will derive addresses of the receive (0) or change (1) chain of an extended public key
+ * @param {HDPublicKey} hdPublicKey - The bitcore extended public key
+ * @param {Number} chain - The chain index
+ * @param {Number} start - The first address index
+ * @param {Number} count - The number of addresses
+ */
+Bitcoin.prototype._deriveXpubAddresses = function(hdPublicKey, chain, start, count) {
+  var addresses = [];
+  var chainKey = hdPublicKey.derive(chain);
+  for (var i = start; i < start + count; i++) {
+    addresses.push({
+      address: chainKey.derive(i).publicKey.toAddress(this.node.network).toString(),
+      path: 'm/' + chain + '/' + i
+    });
+  }
+  return addresses;
+};
+
+/**
+ * Will get the balance and mempool appearances for each of the derived addresses
+ * @param {Array} derived - Derived addresses with "address" and "path"
+ * @param {Function} callback
+ */
+Bitcoin.prototype._getXpubAddressesUsage = function(derived, callback) {
+  var self = this;
+  var addressStrings = _.map(derived, 'address');
+
+  self._getAddressMempool(addressStrings, function(err, deltas) {
+    if (err) {
+      return callback(err);
+    }
+    var mempoolDeltas = _.groupBy(deltas, 'address');
+
+    async.mapLimit(derived, self.transactionConcurrency, function(item, next) {
+      self.getAddressBalance(item.address, {}, function(err, balance) {
+        if (err) {
+          return next(err);
+        }
+        var deltas = mempoolDeltas[item.address] || [];
+        next(null, {
+          address: item.address,
+          path: item.path,
+          totalReceived: balance.received,
+          totalSpent: balance.received - balance.balance,
+          balance: balance.balance,
+          unconfirmedBalance: self._getBalanceFromMempool(deltas),
+          unconfirmedAppearances: self._getTxidsFromMempool(deltas).length
+        });
+      });
+    }, callback);
+  });
+};
+
+/**
+ * Will derive addresses of a chain until "gapLimit" consecutive addresses are unused
+ * @param {HDPublicKey} hdPublicKey - The bitcore extended public key
+ * @param {Number} chain - The chain index
+ * @param {Object} state - The discovery state shared between chains
+ * @param {Function} callback
+ */
+Bitcoin.prototype._discoverXpubChain = function(hdPublicKey, chain, state, callback) {
+  var self = this;
+  var used = [];
+  var index = 0;
+  var lastUsed = -1;
+
+  function next() {
+    if (state.derived + state.gapLimit > self.maxAddressesQuery) {
+      return callback(new TypeError('Maximum number of addresses (' + self.maxAddressesQuery + ') exceeded'));
+    }
+    var derived = self._deriveXpubAddresses(hdPublicKey, chain, index, state.gapLimit);
+    state.derived += derived.length;
+
+    self._getXpubAddressesUsage(derived, function(err, usage) {
+      if (err) {
+        return callback(err);
+      }
+      for (var i = 0; i < usage.length; i++) {
+        if (usage[i].totalReceived > 0 || usage[i].unconfirmedAppearances > 0) {
+          lastUsed = index + i;
+          used.push(usage[i]);
+        }
+      }
+      index += derived.length;
+      if (index - lastUsed - 1 >= state.gapLimit) {
+        return callback(null, {addresses: used, nextIndex: lastUsed + 1});
+      }
+      next();
+    });
+  }
+
+  next();
+};
+
+/**
+ * Will discover the used receive and change addresses of an extended public key
+ * @param {String} xpub - The extended public key
+ * @param {Object} options
+ * @param {Number=} options.gapLimit - The number of consecutive unused addresses before stopping
+ * @param {Function} callback
+ */
+Bitcoin.prototype._discoverXpubAddresses = function(xpub, options, callback) {
+  var self = this;
+  var hdPublicKey;
+  try {
+    hdPublicKey = new bitcore.HDPublicKey(xpub);
+  } catch(e) {
+    return callback(e);
+  }
+  var state = {
+    gapLimit: options.gapLimit || self.xpubGapLimit,
+    derived: 0
+  };
+
+  async.mapSeries([0, 1], function(chain, next) {
+    self._discoverXpubChain(hdPublicKey, chain, state, next);
+  }, function(err, chains) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, {
+      addresses: chains[0].addresses.concat(chains[1].addresses),
+      receiveIndex: chains[0].nextIndex,
+      changeIndex: chains[1].nextIndex
+    });
+  });
+};
+
+/**
+ * Will get the summary for the used addresses of an extended public key, in the same format as
+ * getAddressSummary with the addition of a per-address breakdown and the next unused indexes:
+ * {
+ *   ...
+ *   addresses: [
+ *     {
+ *       address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW',
+ *       path: 'm/0/0',
+ *       totalReceived: 1000000000,
+ *       totalSpent: 0,
+ *       balance: 1000000000,
+ *       unconfirmedBalance: 0,
+ *       unconfirmedAppearances: 0
+ *     }
+ *   ],
+ *   receiveIndex: 1,
+ *   changeIndex: 0
+ * }
+ * @param {String} xpub - The extended public key
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getXpubSummary = function(xpub, options, callback) {
+  var self = this;
+  self._discoverXpubAddresses(xpub, options, function(err, discovered) {
+    if (err) {
+      return callback(err);
+    }
+
+    function finish(err, summary) {
+      if (err) {
+        return callback(err);
+      }
+      var xpubSummary = _.clone(summary);
+      xpubSummary.addresses = discovered.addresses;
+      xpubSummary.receiveIndex = discovered.receiveIndex;
+      xpubSummary.changeIndex = discovered.changeIndex;
+      callback(null, xpubSummary);
+    }
+
+    if (!discovered.addresses.length) {
+      return finish(null, self._getEmptyAddressSummary(options));
+    }
+    self.getAddressSummary(_.map(discovered.addresses, 'address'), options, finish);
+  });
+};
+
+Bitcoin.prototype._getEmptyAddressSummary = function(options) {
+  var summary = {
+    totalReceived: 0,
+    totalSpent: 0,
+    balance: 0,
+    appearances: 0,
+    unconfirmedBalance: 0,
+    unconfirmedAppearances: 0
+  };
+  if (!options.noTxList) {
+    summary.txids = [];
+  }
+  return summary;
+};
+
+/**
+ * Will get the unspent outputs for the used addresses of an extended public key, in the same
+ * format as getAddressUnspentOutputs with the derivation "path" of the address included.
+ * @param {String} xpub - The extended public key
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getXpubUtxos = function(xpub, options, callback) {
+  var self = this;
+  self._discoverXpubAddresses(xpub, options, function(err, discovered) {
+    if (err) {
+      return callback(err);
+    }
+    if (!discovered.addresses.length) {
+      return callback(null, []);
+    }
+    var paths = _.zipObject(_.map(discovered.addresses, 'address'), _.map(discovered.addresses, 'path'));
+    self.getAddressUnspentOutputs(_.keys(paths), options, function(err, utxos) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, utxos.map(function(utxo) {
+        return _.extend({path: paths[utxo.address]}, utxo);
+      }));
+    });
+  });
+};
+
+/**
+ * Will get the history for the used addresses of an extended public key, in the same format
+ * as getAddressHistory with the derivation "path" included for each of the item addresses.
+ * @param {String} xpub - The extended public key
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getXpubHistory = function(xpub, options, callback) {
+  var self = this;
+  self._discoverXpubAddresses(xpub, options, function(err, discovered) {
+    if (err) {
+      return callback(err);
+    }
+    if (!discovered.addresses.length) {
+      return callback(null, {totalCount: 0, items: []});
+    }
+    var paths = _.zipObject(_.map(discovered.addresses, 'address'), _.map(discovered.addresses, 'path'));
+    self.getAddressHistory(_.keys(paths), options, function(err, history) {
+      if (err) {
+        return callback(err);
+      }
+      for (var i = 0; i < history.items.length; i++) {
+        for (var address in history.items[i].addresses) {
+          history.items[i].addresses[address].path = paths[address];
+        }
+      }
+      callback(null, history);
+    });
+  });
+};
+
+/**
+ * Will give the block hashes of several heights with batch requests.
+ * @param {Array} heights - The block heights
+ * @param {Function} callback
+ */
+Bitcoin.prototype._getBlockHashes = function(heights, callback) {
+  var params = heights.map(function(height) {
+    return [height];
+  });
+  this._batchRPC('getblockhash', params, {height: _.max(heights)}, callback);
+};
+
+/**
+ * Will give the block hash for a block hash or height, and the height when it's known so that
+ * the block can be read from a node that has it.
+ * @param {String|Number} blockArg - A block hash or block height number
+ * @param {Function} callback
+ */
+Bitcoin.prototype._maybeGetBlockHash = function(blockArg, callback) {
+  var self = this;
+  if (_.isNumber(blockArg) || (blockArg.length < 40 && /^[0-9]+$/.test(blockArg))) {
+    var height = parseInt(blockArg);
+    self._tryAllClients(function(client, done) {
+      client.getBlockHash(blockArg, function(err, response) {
+        if (err) {
+          return done(self._wrapRPCError(err));
+        }
+        done(null, response.result);
+      });
+    }, {height: height}, function(err, blockhash) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, blockhash, height);
+    });
+  } else {
+    callback(null, blockArg);
+  }
+};
+
+/**
+ * Will retrieve a block as a Node.js Buffer
+ * @param {String|Number} block - A block hash or block height number
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getRawBlock = function(blockArg, callback) {
+  // TODO apply performance patch to the RPC method for raw data
+  var self = this;
+
+  function queryBlock(err, blockhash, height) {
+    if (err) {
+      return callback(err);
+    }
+    self._coalesce('rawBlock:' + blockhash, function(done) {
+      self._readPersistentCache('rawBlock', blockhash, function(err, buffer) {
+        if (buffer) {
+          self.rawBlockCache.set(blockhash, buffer);
+          return done(null, buffer);
+        }
+        self._tryAllClients(function(client, done) {
+          client.getBlock(blockhash, false, function(err, response) {
+            if (err) {
+              return done(self._wrapRPCError(err));
+            }
+            var buffer = new Buffer(response.result, 'hex');
+            self.rawBlockCache.set(blockhash, buffer);
+            self._persistBlock(blockhash, height, buffer);
+            done(null, buffer);
+          });
+        }, {height: height}, done);
+      });
+    }, callback);
+  }
+
+  var cachedBlock = self.rawBlockCache.get(blockArg);
+  if (cachedBlock) {
+    return setImmediate(function() {
+      callback(null, cachedBlock);
+    });
+  } else {
+    self._maybeGetBlockHash(blockArg, queryBlock);
+  }
+};
+
+/**
+ * Similar to getBlockHeader but will include a list of txids
+ * @param {String|Number} block - A block hash or block height number
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getBlockOverview = function(blockArg, callback) {
+  var self = this;
+
+  function queryBlock(err, blockhash, height) {
+    if (err) {
+      return callback(err);
+    }
+    var cachedBlock = self.blockOverviewCache.get(blockhash);
+    if (cachedBlock) {
+      // the overview is kept with new blocks, so confirmations are from the current height
+      cachedBlock = self._updateConfirmations(cachedBlock);
+      return setImmediate(function() {
+        callback(null, cachedBlock);
+      });
+    } else {
+      self._coalesce('blockOverview:' + blockhash, function(done) {
+        var generation = self.cacheGeneration;
+        self._tryAllClients(function(client, done) {
+          client.getBlock(blockhash, true, function(err, response) {
+            if (err) {
+              return done(self._wrapRPCError(err));
+            }
+            var result = response.result;
+            var blockOverview = {
+              hash: result.hash,
+              version: result.version,
+              confirmations: result.confirmations,
+              height: result.height,
+              chainWork: result.chainwork,
+              prevHash: result.previousblockhash,
+              nextHash: result.nextblockhash,
+              merkleRoot: result.merkleroot,
+              time: result.time,
+              medianTime: result.mediantime,
+              nonce: result.nonce,
+              bits: result.bits,
+              difficulty: result.difficulty,
+              txids: result.tx
+            };
+            self._setChainCache(self.blockOverviewCache, blockhash, blockOverview, generation);
+            done(null, blockOverview);
+          });
+        }, {height: height}, done);
+      }, callback);
+    }
+  }
+
+  self._maybeGetBlockHash(blockArg, queryBlock);
+};
+
+/**
+ * Will retrieve a block as a Bitcore object
+ * @param {String|Number} block - A block hash or block height number
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getBlock = function(blockArg, callback) {
+  // TODO apply performance patch to the RPC method for raw data
+  var self = this;
+
+  function queryBlock(err, blockhash, height) {
+    if (err) {
+      return callback(err);
+    }
+    var cachedBlock = self.blockCache.get(blockhash);
+    if (cachedBlock) {
+      return setImmediate(function() {
+        callback(null, cachedBlock);
+      });
+    } else {
+      self._coalesce('block:' + blockhash, function(done) {
+        self._tryAllClients(function(client, done) {
+          client.getBlock(blockhash, false, function(err, response) {
+            if (err) {
+              return done(self._wrapRPCError(err));
+            }
+            var blockObj = bitcore.Block.fromString(response.result);
+            self.blockCache.set(blockhash, blockObj);
+            done(null, blockObj);
+          });
+        }, {height: height}, done);
+      }, callback);
+    }
+  }
+
+  self._maybeGetBlockHash(blockArg, queryBlock);
+};
+
+/**
+ * Will retrieve an array of block hashes within a range of timestamps
+ * @param {Number} high - The more recent timestamp in seconds
+ * @param {Number} low - The older timestamp in seconds
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getBlockHashesByTimestamp = function(high, low, callback) {
+  var self = this;
+  self._callClients('getBlockHashes', [high, low], function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    callback(null, response.result);
+  });
+};
+
+/**
+ * Will return the block index information, the output will have the format:
+ * {
+ *   hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
+ *   confirmations: 5,
+ *   height: 828781,
+ *   chainWork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
+ *   prevHash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
+ *   nextHash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8'
+ *   version: 536870912,
+ *   merkleRoot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
+ *   time: 1462979126,
+ *   medianTime: 1462976771,
+ *   nonce: 2981820714,
+ *   bits: '1a13ca10',
+ *   difficulty: 847779.0710240941,
+ * }
+ * @param {String|Number} block - A block hash or block height
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getBlockHeader = function(blockArg, callback) {
+  var self = this;
+
+  function queryHeader(blockhash, height, callback) {
+    var generation = self.cacheGeneration;
+    self._tryAllClients(function(client, done) {
+      client.getBlockHeader(blockhash, function(err, response) {
+        if (err) {
+          return done(self._wrapRPCError(err));
+        }
+        var result = response.result;
+        var header = {
+          hash: result.hash,
+          version: result.version,
+          confirmations: result.confirmations,
+          height: result.height,
+          chainWork: result.chainwork,
+          prevHash: result.previousblockhash,
+          nextHash: result.nextblockhash,
+          merkleRoot: result.merkleroot,
+          time: result.time,
+          medianTime: result.mediantime,
+          nonce: result.nonce,
+          bits: result.bits,
+          difficulty: result.difficulty
+        };
+        // the header is removed from memory with a new next block, only buried headers are kept on disk
+        self._setChainCache(self.blockHeaderCache, blockhash, header, generation);
+        if (self.persistentCache && self._isBuried(header.height)) {
+          self._writePersistentCache('blockHeader', blockhash, new Buffer(JSON.stringify(header)));
+        }
+        done(null, header);
+      });
+    }, {height: height}, callback);
+  }
+
+  function getHeader(err, blockhash, height) {
+    if (err) {
+      return callback(err);
+    }
+    var cachedHeader = self.blockHeaderCache.get(blockhash);
+    if (cachedHeader) {
+      return setImmediate(function() {
+        callback(null, self._updateConfirmations(cachedHeader));
+      });
+    }
+    self._coalesce('blockHeader:' + blockhash, function(done) {
+      self._readPersistentCache('blockHeader', blockhash, function(err, buffer) {
+        if (!buffer) {
+          return queryHeader(blockhash, height, done);
+        }
+        var header = JSON.parse(buffer.toString());
+        self.blockHeaderCache.set(blockhash, header);
+        done(null, self._updateConfirmations(header));
+      });
+    }, callback);
+  }
+
+  self._maybeGetBlockHash(blockArg, getHeader);
+};
+
+/**
+ * Will estimate the fee per kilobyte.
+ * @param {Number} blocks - The number of blocks for the transaction to be confirmed.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.estimateFee = function(blocks, callback) {
+  var self = this;
+  this._callClients('estimateFee', [blocks], function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    callback(null, response.result);
+  });
+};
+
+/**
+ * Will add a transaction to the mempool and relay to connected peers. The transaction is sent
+ * to every node in parallel, unless "broadcast" is disabled, and succeeds if at least one node
+ * accepted it. The callback is also given a report for each node with the format:
+ * {
+ *   host: '127.0.0.1',
+ *   port: 8231,
+ *   accepted: false,
+ *   error: 'absurdly-high-fee',
+ *   code: -26
+ * }
+ * @param {String|Transaction} transaction - The hex string of the transaction
+ * @param {Object=} options
+ * @param {Boolean=} options.allowAbsurdFees - Enable large fees
+ * @param {Boolean=} options.broadcast - Send to every node, defaults to "broadcastTransactions"
+ * @param {Function} callback
+ */
+Bitcoin.prototype.sendTransaction = function(tx, options, callback) {
+  var self = this;
+  var allowAbsurdFees = false;
+  var broadcast = _.isUndefined(self.broadcastTransactions) ? self.nodes.length > 1 : self.broadcastTransactions;
+  if (_.isFunction(options) && _.isUndefined(callback)) {
+    callback = options;
+  } else if (_.isObject(options)) {
+    allowAbsurdFees = options.allowAbsurdFees;
+    broadcast = _.isUndefined(options.broadcast) ? broadcast : options.broadcast;
+  }
+
+  var nodes = broadcast ? self.nodes : [self._getNextNode()];
+  async.map(nodes, function(node, next) {
+    var start = Date.now();
+    node.client.sendRawTransaction(tx, allowAbsurdFees, function(err, response) {
+      self._updateNodeHealth(node, err, Date.now() - start);
+      next(null, {node: node, error: err, txid: response ? response.result : null});
+    });
+  }, function(err, results) {
+    var report = results.map(self._getBroadcastReport.bind(self));
+    var accepted = results.filter(function(result, index) {
+      return report[index].accepted;
+    });
+    if (!accepted.length) {
+      var error = self._getRejectionError(results);
+      error.report = report;
+      return callback(error);
+    }
+    var txid = accepted[0].txid || bitcore.Transaction(tx).hash;
+    self._pinTransaction(txid, _.map(accepted, 'node'));
+    callback(null, txid, report);
+  });
+
+};
+
+/**
+ * Will give the error of a transaction that no node accepted, a rejection by a node, such as an
+ * invalid or already spent transaction, is preferred over a connection error or a timeout.
+ * @param {Array} results - The results of sending the transaction to each node
+ * @returns {RPCError}
+ */
+Bitcoin.prototype._getRejectionError = function(results) {
+  var self = this;
+  var rejected = _.find(results, function(result) {
+    return !self._isNodeFailure(result.error);
+  });
+  return self._wrapRPCError((rejected || results[0]).error);
+};
+
+/**
+ * A transaction that is already in the chain of a node is considered accepted by the node.
+ * @param {Object} result - The result of sending the transaction to a node
+ */
+Bitcoin.prototype._getBroadcastReport = function(result) {
+  var error = result.error;
+  return {
+    host: result.node.client.host,
+    port: result.node.client.port,
+    accepted: !error || error.code === -27,
+    error: error ? error.message : null,
+    code: error && !_.isUndefined(error.code) ? error.code : null
+  };
+};
+
+/**
+ * Will get a transaction as a Node.js Buffer. Results include the mempool.
+ * @param {String} txid - The transaction hash
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getRawTransaction = function(txid, callback) {
+  var self = this;
+  var tx = self.rawTransactionCache.get(txid);
+  if (tx) {
+    return setImmediate(function() {
+      callback(null, tx);
+    });
+  } else {
+    self._coalesce('rawTransaction:' + txid, function(done) {
+      self._readPersistentCache('rawTransaction', txid, function(err, buffer) {
+        if (buffer) {
+          self.rawTransactionCache.set(txid, buffer);
+          return done(null, buffer);
+        }
+        self._tryAllClients(function(client, done) {
+          return client.getRawTransaction(txid, function(err, response) {
+            if (err) {
+              return done(self._wrapRPCError(err));
+            }
+            var buffer = new Buffer(response.result, 'hex');
+            self.rawTransactionCache.set(txid, buffer);
+            // the height is only known when the detailed transaction is cached
+            var detailedTx = self.transactionDetailedCache.peek(txid);
+            self._persistTransaction(txid, detailedTx ? detailedTx.height : null, buffer);
+            done(null, buffer);
+          });
+        }, {txid: txid}, done);
+      });
+    }, callback);
+  }
+};
+
+/**
+ * Will get a transaction as a Bitcore Transaction. Results include the mempool.
+ * @param {String} txid - The transaction hash
+ * @param {Boolean} queryMempool - Include the mempool
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getTransaction = function(txid, callback) {
+  var self = this;
+  var tx = self.transactionCache.get(txid);
+  if (tx) {
+    return setImmediate(function() {
+      callback(null, tx);
+    });
+  } else {
+    self._coalesce('transaction:' + txid, function(done) {
+      self._tryAllClients(function(client, done) {
+        client.getRawTransaction(txid, function(err, response) {
+          if (err) {
+            return done(self._wrapRPCError(err));
+          }
+          var tx = Transaction();
+          tx.fromString(response.result);
+          self.transactionCache.set(txid, tx);
+          done(null, tx);
+        });
+      }, {txid: txid}, done);
+    }, callback);
+  }
+};
+
+/**
+ * Will give the details of a transaction from the verbose result of getrawtransaction, see
+ * getDetailedTransaction for the format.
+ * @param {String} txid - The hex string of the transaction
+ * @param {Object} result - The result of getrawtransaction
+ * @returns {Object}
+ */
+Bitcoin.prototype._createDetailedTransaction = function(txid, result) {
+  function addInputsToTx(tx, result) {
+    tx.inputs = [];
+    tx.inputSatoshis = 0;
+    for(var inputIndex = 0; inputIndex < result.vin.length; inputIndex++) {
+      var input = result.vin[inputIndex];
+      if (!tx.coinbase) {
+        tx.inputSatoshis += input.valueSat;
+      }
+      var script = null;
+      var scriptAsm = null;
+      if (input.scriptSig) {
+        script = input.scriptSig.hex;
+        scriptAsm = input.scriptSig.asm;
+      } else if (input.coinbase) {
+        script = input.coinbase;
+      }
+      tx.inputs.push({
+        prevTxId: input.txid || null,
+        outputIndex: _.isUndefined(input.vout) ? null : input.vout,
+        script: script,
+        scriptAsm: scriptAsm || null,
+        sequence: input.sequence,
+        address: input.address || null,
+        satoshis: _.isUndefined(input.valueSat) ? null : input.valueSat
+      });
+    }
+  }
+
+  function addOutputsToTx(tx, result) {
+    tx.outputs = [];
+    tx.outputSatoshis = 0;
+    for(var outputIndex = 0; outputIndex < result.vout.length; outputIndex++) {
+      var out = result.vout[outputIndex];
+      tx.outputSatoshis += out.valueSat;
+      var address = null;
+      if (out.scriptPubKey && out.scriptPubKey.addresses && out.scriptPubKey.addresses.length === 1) {
+        address = out.scriptPubKey.addresses[0];
+      }
+      var output = {
+        satoshis: out.valueSat,
+        script: out.scriptPubKey.hex,
+        scriptAsm: out.scriptPubKey.asm,
+        spentTxId: out.spentTxId,
+        spentIndex: out.spentIndex,
+        spentHeight: out.spentHeight,
+        address: address
+      };
+      if (out.backwardTransfer) {
+        output.backwardTransfer = true;
+      }
+      tx.outputs.push(output);
+    }
+  }
+
+  function addJoinSplitsToTx(tx, result) {
+    tx.joinSplits = [];
+    var netJoinSplitZatoshis = 0;
+    for (var jsIndex = 0; jsIndex < result.vjoinsplit.length; jsIndex++) {
+      var jsdesc = result.vjoinsplit[jsIndex];
+      netJoinSplitZatoshis += jsdesc.vpub_newZat - jsdesc.vpub_oldZat;
+      tx.joinSplits.push({
+        oldZatoshis: jsdesc.vpub_oldZat,
+        newZatoshis: jsdesc.vpub_newZat,
+      });
+    }
+    return netJoinSplitZatoshis;
+  }
+
+  var tx = {
+    hex: result.hex,
+    blockHash: result.blockhash,
+    height: result.height ? result.height : -1,
+    blockTimestamp: result.time,
+    version: result.version,
+    hash: txid,
+    locktime: result.locktime,
+  };
+
+  if (result.vin[0] && result.vin[0].coinbase) {
+    tx.coinbase = true;
+  }
+
+  addInputsToTx(tx, result);
+  addOutputsToTx(tx, result);
+
+  var netJoinSplitZatoshis = 0;
+  if (tx.version >= 2 || tx.version === -3) {
+    netJoinSplitZatoshis = addJoinSplitsToTx(tx, result);
+  }
+
+  var netSidechainZatoshis = this._addSidechainDetailsToTx(tx, result);
+
+  tx.feeSatoshis = tx.coinbase ? 0 :
+    tx.inputSatoshis - tx.outputSatoshis + netJoinSplitZatoshis + netSidechainZatoshis;
+  return tx;
+};
+
+/**
+ * Will get a detailed view of a transaction including addresses, amounts and fees.
+ *
+ * Example result:
+ * {
+ *   blockHash: '000000000000000002cd0ba6e8fae058747d2344929ed857a18d3484156c9250',
+ *   height: 411462,
+ *   blockTimestamp: 1463070382,
+ *   version: 1,
+ *   hash: 'de184cc227f6d1dc0316c7484aa68b58186a18f89d853bb2428b02040c394479',
+ *   locktime: 411451,
+ *   coinbase: true,
+ *   inputs: [
+ *     {
+ *       prevTxId: '3d003413c13eec3fa8ea1fe8bbff6f40718c66facffe2544d7516c9e2900cac2',
+ *       outputIndex: 0,
+ *       sequence: 123456789,
+ *       script: [hexString],
+ *       scriptAsm: [asmString],
+ *       address: '1LCTmj15p7sSXv3jmrPfA6KGs6iuepBiiG',
+ *       satoshis: 771146
+ *     }
+ *   ],
+ *   outputs: [
+ *     {
+ *       satoshis: 811146,
+ *       script: '76a914d2955017f4e3d6510c57b427cf45ae29c372c99088ac',
+ *       scriptAsm: 'OP_DUP OP_HASH160 d2955017f4e3d6510c57b427cf45ae29c372c990 OP_EQUALVERIFY OP_CHECKSIG',
+ *       address: '1LCTmj15p7sSXv3jmrPfA6KGs6iuepBiiG',
+ *       spentTxId: '4316b98e7504073acd19308b4b8c9f4eeb5e811455c54c0ebfe276c0b1eb6315',
+ *       spentIndex: 1,
+ *       spentHeight: 100
+ *     }
+ *   ],
+ *   inputSatoshis: 771146,
+ *   outputSatoshis: 811146,
+ *   feeSatoshis: 40000
+ * };
+ *
+ * Horizen sidechain transactions will also include "sidechainCreations", "forwardTransfers",
+ * "backwardTransferRequests" and "ceasedSidechainWithdrawals", and certificates will include
+ * "certificate" with the epoch, quality and backward transfers.
+ *
+ * @param {String} txid - The hex string of the transaction
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getDetailedTransaction = function(txid, callback) {
+  var self = this;
+  var tx = self.transactionDetailedCache.get(txid);
+
+  if (tx) {
+    return setImmediate(function() {
+      callback(null, tx);
+    });
+  } else {
+    self._coalesce('detailedTransaction:' + txid, function(done) {
+      var generation = self.cacheGeneration;
+      self._tryAllClients(function(client, done) {
+        client.getRawTransaction(txid, 1, function(err, response) {
           if (err) {
             return done(self._wrapRPCError(err));
           }
-          mempoolTxids = self._getTxidsFromMempool(response.result);
-          summary.unconfirmedAppearances = mempoolTxids.length;
-          summary.unconfirmedBalance = self._getBalanceFromMempool(response.result);
-          done();
-        });
-      },
-    ], function(err) {
-      if (err) {
-        return callback(err);
-      }
-      self.summaryCache.set(cacheKey, summary);
-      finishWithTxids();
-    });
-  }
-
-  if (options.noTxList) {
-    var summaryCache = self.summaryCache.get(cacheKey);
-    if (summaryCache) {
-      callback(null, summaryCache);
-    } else {
-      querySummary();
-    }
-  } else {
-    querySummary();
-  }
+          var tx = self._createDetailedTransaction(txid, response.result);
 
-};
+          self._setChainCache(self.transactionDetailedCache, txid, tx, generation);
 
-Bitcoin.prototype._maybeGetBlockHash = function(blockArg, callback) {
-  var self = this;
-  if (_.isNumber(blockArg) || (blockArg.length < 40 && /^[0-9]+$/.test(blockArg))) {
-    self._tryAllClients(function(client, done) {
-      client.getBlockHash(blockArg, function(err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        done(null, response.result);
-      });
+          done(null, tx);
+        });
+      }, {txid: txid}, done);
     }, callback);
-  } else {
-    callback(null, blockArg);
   }
 };
 
 /**
- * Will retrieve a block as a Node.js Buffer
- * @param {String|Number} block - A block hash or block height number
+ * Will give the details of several transactions in the order of the txids, transactions that
+ * aren't cached are read with batch requests.
+ * @param {Array} txids - The hex strings of the transactions
  * @param {Function} callback
  */
-Bitcoin.prototype.getRawBlock = function(blockArg, callback) {
-  // TODO apply performance patch to the RPC method for raw data
+Bitcoin.prototype._getDetailedTransactions = function(txids, callback) {
   var self = this;
+  var known = {};
+  var missing = [];
+  _.uniq(txids).forEach(function(txid) {
+    var tx = self.transactionDetailedCache.get(txid);
+    if (tx) {
+      known[txid] = tx;
+    } else {
+      missing.push(txid);
+    }
+  });
+
+  function queryTransactions(txids, done) {
+    var generation = self.cacheGeneration;
+    var params = txids.map(function(txid) {
+      return [txid, 1];
+    });
+    self._batchRPC('getrawtransaction', params, {txids: txids}, function(err, results) {
+      if (err) {
+        return done(err);
+      }
+      done(null, results.map(function(result, index) {
+        var tx = self._createDetailedTransaction(txids[index], result);
+        self._setChainCache(self.transactionDetailedCache, txids[index], tx, generation);
+        if (self.persistentCache) {
+          self._persistTransaction(txids[index], result.height, new Buffer(result.hex, 'hex'));
+        }
+        return tx;
+      }));
+    });
+  }
 
-  function queryBlock(err, blockhash) {
+  self._coalesceMany('detailedTransaction:', missing, queryTransactions, function(err, transactions) {
     if (err) {
       return callback(err);
     }
-    self._tryAllClients(function(client, done) {
-      self.client.getBlock(blockhash, false, function(err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        var buffer = new Buffer(response.result, 'hex');
-        self.rawBlockCache.set(blockhash, buffer);
-        done(null, buffer);
-      });
-    }, callback);
-  }
+    for (var i = 0; i < missing.length; i++) {
+      known[missing[i]] = transactions[i];
+    }
+    callback(null, txids.map(function(txid) {
+      return known[txid];
+    }));
+  });
+};
 
-  var cachedBlock = self.rawBlockCache.get(blockArg);
-  if (cachedBlock) {
-    return setImmediate(function() {
-      callback(null, cachedBlock);
-    });
-  } else {
-    self._maybeGetBlockHash(blockArg, queryBlock);
+Bitcoin.prototype._getMempoolEntryInfo = function(entry) {
+  return {
+    txid: entry.txid,
+    size: entry.size,
+    feeSatoshis: entry.feeSatoshis,
+    time: entry.time,
+    addresses: entry.addresses.slice()
+  };
+};
+
+/**
+ * Will give a summary of the mempool index in the format:
+ * {
+ *   size: 2,
+ *   bytes: 451,
+ *   feeSatoshis: 20000,
+ *   addresses: 5
+ * }
+ * Fees of transactions with details that are still loading are not included.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getMempoolInfo = function(callback) {
+  var info = {
+    size: 0,
+    bytes: 0,
+    feeSatoshis: 0,
+    addresses: _.size(this.mempool.addresses)
+  };
+  for (var txid in this.mempool.transactions) {
+    var entry = this.mempool.transactions[txid];
+    info.size++;
+    info.bytes += entry.size;
+    info.feeSatoshis += entry.feeSatoshis || 0;
   }
+  setImmediate(function() {
+    callback(null, info);
+  });
 };
 
 /**
- * Similar to getBlockHeader but will include a list of txids
- * @param {String|Number} block - A block hash or block height number
+ * Will give the transactions of the mempool index with size, fee and addresses.
  * @param {Function} callback
  */
-Bitcoin.prototype.getBlockOverview = function(blockArg, callback) {
-  var self = this;
+Bitcoin.prototype.getMempoolTransactions = function(callback) {
+  var transactions = [];
+  for (var txid in this.mempool.transactions) {
+    transactions.push(this._getMempoolEntryInfo(this.mempool.transactions[txid]));
+  }
+  setImmediate(function() {
+    callback(null, transactions);
+  });
+};
 
-  function queryBlock(err, blockhash) {
-    if (err) {
-      return callback(err);
-    }
-    var cachedBlock = self.blockOverviewCache.get(blockhash);
-    if (cachedBlock) {
-      return setImmediate(function() {
-        callback(null, cachedBlock);
-      });
-    } else {
-      self._tryAllClients(function(client, done) {
-        client.getBlock(blockhash, true, function(err, response) {
-          if (err) {
-            return done(self._wrapRPCError(err));
-          }
-          var result = response.result;
-          var blockOverview = {
-            hash: result.hash,
-            version: result.version,
-            confirmations: result.confirmations,
-            height: result.height,
-            chainWork: result.chainwork,
-            prevHash: result.previousblockhash,
-            nextHash: result.nextblockhash,
-            merkleRoot: result.merkleroot,
-            time: result.time,
-            medianTime: result.mediantime,
-            nonce: result.nonce,
-            bits: result.bits,
-            difficulty: result.difficulty,
-            txids: result.tx
-          };
-          self.blockOverviewCache.set(blockhash, blockOverview);
-          done(null, blockOverview);
-        });
-      }, callback);
+/**
+ * Will give the txids of the mempool index for an address or multiple addresses
+ * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getMempoolTxidsForAddress = function(addressArg, callback) {
+  var addressStrings;
+  try {
+    addressStrings = this._getAddressStrings(this._normalizeAddressArg(addressArg));
+  } catch(e) {
+    return callback(e);
+  }
+  var txids = [];
+  for (var i = 0; i < addressStrings.length; i++) {
+    var addressTxids = this.mempool.addresses[addressStrings[i]];
+    if (addressTxids) {
+      txids = txids.concat(addressTxids);
     }
   }
+  txids = _.uniq(txids);
+  setImmediate(function() {
+    callback(null, txids);
+  });
+};
 
-  self._maybeGetBlockHash(blockArg, queryBlock);
+Bitcoin.prototype._getZatoshis = function(item) {
+  if (!_.isUndefined(item.valueZat)) {
+    return item.valueZat;
+  } else if (!_.isUndefined(item.valueSat)) {
+    return item.valueSat;
+  }
+  return bitcore.Unit.fromBTC(item.value).toSatoshis();
 };
 
 /**
- * Will retrieve a block as a Bitcore object
- * @param {String|Number} block - A block hash or block height number
- * @param {Function} callback
+ * Will add the sidechain outputs, ceased sidechain withdrawal inputs and certificate
+ * details of a Horizen transaction or certificate. The values of sidechain outputs and
+ * inputs are included in "outputSatoshis" and "inputSatoshis".
+ * @param {Object} tx - The detailed transaction
+ * @param {Object} result - The verbose result of getrawtransaction
+ * @returns {Number} The zatoshis entering the transaction from a sidechain without an input
  */
-Bitcoin.prototype.getBlock = function(blockArg, callback) {
-  // TODO apply performance patch to the RPC method for raw data
+Bitcoin.prototype._addSidechainDetailsToTx = function(tx, result) {
+  this._addSidechainOutputsToTx(tx, result);
+  this._addCeasedSidechainWithdrawalsToTx(tx, result);
+  if (result.cert) {
+    return this._addCertificateToTx(tx, result);
+  }
+  return 0;
+};
+
+Bitcoin.prototype._addSidechainOutputsToTx = function(tx, result) {
   var self = this;
 
-  function queryBlock(err, blockhash) {
-    if (err) {
-      return callback(err);
-    }
-    var cachedBlock = self.blockCache.get(blockhash);
-    if (cachedBlock) {
-      return setImmediate(function() {
-        callback(null, cachedBlock);
-      });
-    } else {
-      self._tryAllClients(function(client, done) {
-        client.getBlock(blockhash, false, function(err, response) {
-          if (err) {
-            return done(self._wrapRPCError(err));
-          }
-          var blockObj = bitcore.Block.fromString(response.result);
-          self.blockCache.set(blockhash, blockObj);
-          done(null, blockObj);
-        });
-      }, callback);
-    }
+  if (result.vsc_ccout) {
+    tx.sidechainCreations = result.vsc_ccout.map(function(out) {
+      var satoshis = self._getZatoshis(out);
+      tx.outputSatoshis += satoshis;
+      return {
+        scid: out.scid,
+        outputIndex: out.n,
+        satoshis: satoshis,
+        address: out.address,
+        withdrawalEpochLength: out.withdrawalEpochLength,
+        customData: out.customData || null
+      };
+    });
   }
 
-  self._maybeGetBlockHash(blockArg, queryBlock);
+  if (result.vft_ccout) {
+    tx.forwardTransfers = result.vft_ccout.map(function(out) {
+      var satoshis = self._getZatoshis(out);
+      tx.outputSatoshis += satoshis;
+      return {
+        scid: out.scid,
+        outputIndex: out.n,
+        satoshis: satoshis,
+        address: out.address,
+        mcReturnAddress: out.mcReturnAddress || null
+      };
+    });
+  }
+
+  if (result.vmbtr_out) {
+    tx.backwardTransferRequests = result.vmbtr_out.map(function(out) {
+      var scFeeSatoshis = self._getZatoshis({value: out.scFee, valueZat: out.scFeeZat});
+      tx.outputSatoshis += scFeeSatoshis;
+      return {
+        scid: out.scid,
+        outputIndex: out.n,
+        mcDestinationAddress: out.mcDestinationAddress ? out.mcDestinationAddress.taddr : null,
+        scFeeSatoshis: scFeeSatoshis
+      };
+    });
+  }
 };
 
-/**
- * Will retrieve an array of block hashes within a range of timestamps
- * @param {Number} high - The more recent timestamp in seconds
- * @param {Number} low - The older timestamp in seconds
- * @param {Function} callback
- */
-Bitcoin.prototype.getBlockHashesByTimestamp = function(high, low, callback) {
+Bitcoin.prototype._addCeasedSidechainWithdrawalsToTx = function(tx, result) {
   var self = this;
-  self.client.getBlockHashes(high, low, function(err, response) {
-    if (err) {
-      return callback(self._wrapRPCError(err));
+  if (!result.vcsw_ccin) {
+    return;
+  }
+  tx.ceasedSidechainWithdrawals = result.vcsw_ccin.map(function(input) {
+    var satoshis = self._getZatoshis(input);
+    tx.inputSatoshis += satoshis;
+    var scriptPubKey = input.scriptPubKey || {};
+    var address = null;
+    if (scriptPubKey.addresses && scriptPubKey.addresses.length === 1) {
+      address = scriptPubKey.addresses[0];
     }
-    callback(null, response.result);
+    return {
+      scid: input.scId,
+      satoshis: satoshis,
+      nullifier: input.nullifier,
+      address: address,
+      script: scriptPubKey.hex || null,
+      scriptAsm: scriptPubKey.asm || null,
+      actCertDataHash: input.actCertDataHash || null,
+      ceasingCumScTxCommTree: input.ceasingCumScTxCommTree || null
+    };
   });
 };
 
 /**
- * Will return the block index information, the output will have the format:
- * {
- *   hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
- *   confirmations: 5,
- *   height: 828781,
- *   chainWork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
- *   prevHash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
- *   nextHash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8'
- *   version: 536870912,
- *   merkleRoot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
- *   time: 1462979126,
- *   medianTime: 1462976771,
- *   nonce: 2981820714,
- *   bits: '1a13ca10',
- *   difficulty: 847779.0710240941,
- * }
- * @param {String|Number} block - A block hash or block height
+ * Will add the certificate details with the backward transfers. Backward transfers are
+ * outputs funded by the sidechain balance, so their total is given to offset the fee.
+ * @param {Object} tx - The detailed transaction
+ * @param {Object} result - The verbose result of getrawtransaction
+ * @returns {Number} The total zatoshis of the backward transfers
+ */
+Bitcoin.prototype._addCertificateToTx = function(tx, result) {
+  var cert = result.cert;
+  var backwardTransfers = [];
+  var totalSatoshis = 0;
+  for (var i = 0; i < tx.outputs.length; i++) {
+    var output = tx.outputs[i];
+    if (output.backwardTransfer) {
+      totalSatoshis += output.satoshis;
+      backwardTransfers.push({
+        outputIndex: i,
+        address: output.address,
+        satoshis: output.satoshis
+      });
+    }
+  }
+  tx.certificate = {
+    scid: cert.scid,
+    epochNumber: cert.epochNumber,
+    quality: cert.quality,
+    endEpochCumScTxCommTreeRoot: cert.endEpochCumScTxCommTreeRoot || null,
+    ftScFeeSatoshis: _.isUndefined(cert.ftScFee) ? null : this._getZatoshis({value: cert.ftScFee}),
+    mbtrScFeeSatoshis: _.isUndefined(cert.mbtrScFee) ? null : this._getZatoshis({value: cert.mbtrScFee}),
+    backwardTransferSatoshis: totalSatoshis,
+    backwardTransfers: backwardTransfers
+  };
+  return totalSatoshis;
+};
+
+/**
+ * Will get the sidechain creations, forward transfers and certificates of a block by
+ * expanding its transactions and certificates.
+ * @param {String} blockhash - The block hash
  * @param {Function} callback
  */
-Bitcoin.prototype.getBlockHeader = function(blockArg, callback) {
+Bitcoin.prototype._getBlockSidechainData = function(blockhash, callback) {
   var self = this;
+  var cached = self.sidechainBlockCache.get(blockhash);
+  if (cached) {
+    return setImmediate(function() {
+      callback(null, cached);
+    });
+  }
+
+  self._coalesce('sidechainBlock:' + blockhash, self._queryBlockSidechainData.bind(self, blockhash), callback);
+};
 
-  function queryHeader(err, blockhash) {
+Bitcoin.prototype._queryBlockSidechainData = function(blockhash, callback) {
+  var self = this;
+  self._tryAllClients(function(client, done) {
+    client.getBlock(blockhash, true, function(err, response) {
+      if (err) {
+        return done(self._wrapRPCError(err));
+      }
+      done(null, response.result);
+    });
+  }, function(err, block) {
     if (err) {
       return callback(err);
     }
-    self._tryAllClients(function(client, done) {
-      client.getBlockHeader(blockhash, function(err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        var result = response.result;
-        var header = {
-          hash: result.hash,
-          version: result.version,
-          confirmations: result.confirmations,
-          height: result.height,
-          chainWork: result.chainwork,
-          prevHash: result.previousblockhash,
-          nextHash: result.nextblockhash,
-          merkleRoot: result.merkleroot,
-          time: result.time,
-          medianTime: result.mediantime,
-          nonce: result.nonce,
-          bits: result.bits,
-          difficulty: result.difficulty
-        };
-        done(null, header);
-      });
-    }, callback);
+    var txids = block.tx.concat(block.cert || []);
+    self._getDetailedTransactions(txids, function(err, txs) {
+      if (err) {
+        return callback(err);
+      }
+      var data = self._getSidechainDataFromTransactions(block, txs);
+      self.sidechainBlockCache.set(blockhash, data);
+      callback(null, data);
+    });
+  });
+};
+
+Bitcoin.prototype._getSidechainDataFromTransactions = function(block, txs) {
+  var data = {
+    sidechainCreations: [],
+    forwardTransfers: [],
+    certificates: []
+  };
+  var blockInfo = {
+    blockHash: block.hash,
+    height: block.height
+  };
+  function addItems(items, tx, list) {
+    for (var i = 0; i < items.length; i++) {
+      list.push(_.extend({txid: tx.hash}, blockInfo, items[i]));
+    }
+  }
+  for (var i = 0; i < txs.length; i++) {
+    var tx = txs[i];
+    addItems(tx.sidechainCreations || [], tx, data.sidechainCreations);
+    addItems(tx.forwardTransfers || [], tx, data.forwardTransfers);
+    if (tx.certificate) {
+      addItems([tx.certificate], tx, data.certificates);
+    }
   }
+  return data;
+};
 
-  self._maybeGetBlockHash(blockArg, queryHeader);
+Bitcoin.prototype._getSidechainInfo = function(item) {
+  var self = this;
+  function toSatoshis(value) {
+    return _.isUndefined(value) ? null : self._getZatoshis({value: value});
+  }
+  return {
+    scid: item.scid,
+    state: item.state,
+    ceased: item.state === 'CEASED',
+    balanceSatoshis: toSatoshis(item.balance),
+    epoch: item.epoch,
+    endEpochHeight: item.endEpochHeight,
+    ceasingHeight: item.ceasingHeight,
+    creatingTxHash: item.creatingTxHash,
+    createdAtBlockHeight: item.createdAtBlockHeight,
+    withdrawalEpochLength: item.withdrawalEpochLength,
+    lastCertificate: {
+      epoch: item.lastCertificateEpoch,
+      quality: item.lastCertificateQuality,
+      hash: item.lastCertificateHash,
+      amountSatoshis: toSatoshis(item.lastCertificateAmount)
+    }
+  };
 };
 
 /**
- * Will estimate the fee per kilobyte.
- * @param {Number} blocks - The number of blocks for the transaction to be confirmed.
+ * Will get the list of sidechains
+ * @param {Object} options
+ * @param {Boolean=} options.onlyAlive - Exclude ceased sidechains
+ * @param {Number=} options.from - The index of the first sidechain
+ * @param {Number=} options.to - The index after the last sidechain
  * @param {Function} callback
  */
-Bitcoin.prototype.estimateFee = function(blocks, callback) {
+Bitcoin.prototype.getSidechains = function(options, callback) {
   var self = this;
-  this.client.estimateFee(blocks, function(err, response) {
+  var params = ['*', !!options.onlyAlive, true];
+  if (!_.isUndefined(options.from) && !_.isUndefined(options.to)) {
+    params.push(parseInt(options.from), parseInt(options.to));
+  }
+  self._callClients('getScInfo', params, function(err, response) {
     if (err) {
       return callback(self._wrapRPCError(err));
     }
-    callback(null, response.result);
+    callback(null, {
+      totalCount: response.result.totalItems,
+      items: response.result.items.map(self._getSidechainInfo.bind(self))
+    });
   });
 };
 
 /**
- * Will add a transaction to the mempool and relay to connected peers
- * @param {String|Transaction} transaction - The hex string of the transaction
- * @param {Object=} options
- * @param {Boolean=} options.allowAbsurdFees - Enable large fees
+ * Will get the state of a sidechain including the balance, epoch, last certificate and
+ * whether the sidechain has ceased.
+ * @param {String} scid - The sidechain id
  * @param {Function} callback
  */
-Bitcoin.prototype.sendTransaction = function(tx, options, callback) {
+Bitcoin.prototype.getSidechain = function(scid, callback) {
   var self = this;
-  var allowAbsurdFees = false;
-  if (_.isFunction(options) && _.isUndefined(callback)) {
-    callback = options;
-  } else if (_.isObject(options)) {
-    allowAbsurdFees = options.allowAbsurdFees;
-  }
-
-  this.client.sendRawTransaction(tx, allowAbsurdFees, function(err, response) {
+  self._callClients('getScInfo', [scid, false, true], function(err, response) {
     if (err) {
       return callback(self._wrapRPCError(err));
     }
-    callback(null, response.result);
+    if (!response.result.items || !response.result.items.length) {
+      return callback(new errors.Error('Sidechain not found: ' + scid));
+    }
+    callback(null, self._getSidechainInfo(response.result.items[0]));
   });
-
 };
 
 /**
- * Will get a transaction as a Node.js Buffer. Results include the mempool.
- * @param {String} txid - The transaction hash
+ * Will get the forward transfers to a sidechain within a range of block heights. The "start"
+ * value is the more recent height and defaults to the tip, the "end" value is the older height.
+ * @param {String} scid - The sidechain id
+ * @param {Object} options
+ * @param {Number=} options.start - The more recent block height
+ * @param {Number=} options.end - The older block height
  * @param {Function} callback
  */
-Bitcoin.prototype.getRawTransaction = function(txid, callback) {
+Bitcoin.prototype.getSidechainForwardTransfers = function(scid, options, callback) {
   var self = this;
-  var tx = self.rawTransactionCache.get(txid);
-  if (tx) {
-    return setImmediate(function() {
-      callback(null, tx);
-    });
-  } else {
-    self._tryAllClients(function(client, done) {
-      client.getRawTransaction(txid, function(err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        var buffer = new Buffer(response.result, 'hex');
-        self.rawTransactionCache.set(txid, buffer);
-        done(null, buffer);
+  var start = _.isUndefined(options.start) ? self.height : parseInt(options.start);
+  var end = _.isUndefined(options.end) ? Math.max(0, start - self.maxSidechainBlocks + 1) : parseInt(options.end);
+
+  if (!utils.isSafeNatural(start) || !utils.isSafeNatural(end)) {
+    return callback(new TypeError('"start" and "end" are expected to be block heights'));
+  }
+  if (end > start) {
+    return callback(new TypeError('"end" is expected to be less than or equal to "start"'));
+  }
+  if (start - end + 1 > self.maxSidechainBlocks) {
+    return callback(new TypeError('Maximum number of blocks (' + self.maxSidechainBlocks + ') exceeded'));
+  }
+
+  var heights = _.range(start, end - 1, -1);
+  self._getBlockHashes(heights, function(err, blockhashes) {
+    if (err) {
+      return callback(err);
+    }
+    var getBlockSidechainData = self._getBlockSidechainData.bind(self);
+    async.mapLimit(blockhashes, self.transactionConcurrency, getBlockSidechainData, function(err, blocks) {
+      if (err) {
+        return callback(err);
+      }
+      var forwardTransfers = _.flatten(_.map(blocks, 'forwardTransfers')).filter(function(transfer) {
+        return transfer.scid === scid;
       });
-    }, callback);
+      callback(null, forwardTransfers);
+    });
+  });
+};
+
+/**
+ * Will give the statistics of each cache by name, with the number of "hits", "misses" and
+ * "evictions", the number of "items" and the "size" and "maxSize" in bytes.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getCacheStats = function(callback) {
+  var stats = {};
+  for (var name in Bitcoin.CACHES) {
+    stats[name] = this[Bitcoin.CACHES[name].property].getStats();
   }
+  if (this.persistentCache) {
+    stats.persistent = this.persistentCache.getStats();
+  }
+  setImmediate(function() {
+    callback(null, stats);
+  });
 };
 
 /**
- * Will get a transaction as a Bitcore Transaction. Results include the mempool.
- * @param {String} txid - The transaction hash
- * @param {Boolean} queryMempool - Include the mempool
+ * Will give the status of each node with the state ("healthy", "lagging" or "quarantined"),
+ * the average latency in milliseconds and the last known height.
  * @param {Function} callback
  */
-Bitcoin.prototype.getTransaction = function(txid, callback) {
+Bitcoin.prototype.getNodesStatus = function(callback) {
   var self = this;
-  var tx = self.transactionCache.get(txid);
-  if (tx) {
-    return setImmediate(function() {
-      callback(null, tx);
+  var nodes = self.nodes.map(function(node) {
+    var health = self._getNodeHealth(node);
+    return {
+      host: node.client.host,
+      port: node.client.port,
+      state: self._getNodeState(node),
+      latency: health.latency,
+      height: health.height,
+      failures: health.failures,
+      lastError: health.lastError,
+      lastSuccess: health.lastSuccess,
+      quarantinedUntil: health.quarantinedUntil,
+      divergedSince: health.divergedSince
+    };
+  });
+  setImmediate(function() {
+    callback(null, {
+      strategy: self.clientStrategy,
+      height: self.height,
+      nodes: nodes
     });
-  } else {
-    self._tryAllClients(function(client, done) {
-      client.getRawTransaction(txid, function(err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        var tx = Transaction();
-        tx.fromString(response.result);
-        self.transactionCache.set(txid, tx);
-        done(null, tx);
-      });
-    }, callback);
-  }
+  });
 };
 
 /**
- * Will get a detailed view of a transaction including addresses, amounts and fees.
- *
- * Example result:
- * {
- *   blockHash: '000000000000000002cd0ba6e8fae058747d2344929ed857a18d3484156c9250',
- *   height: 411462,
- *   blockTimestamp: 1463070382,
- *   version: 1,
- *   hash: 'de184cc227f6d1dc0316c7484aa68b58186a18f89d853bb2428b02040c394479',
- *   locktime: 411451,
- *   coinbase: true,
- *   inputs: [
- *     {
- *       prevTxId: '3d003413c13eec3fa8ea1fe8bbff6f40718c66facffe2544d7516c9e2900cac2',
- *       outputIndex: 0,
- *       sequence: 123456789,
- *       script: [hexString],
- *       scriptAsm: [asmString],
- *       address: '1LCTmj15p7sSXv3jmrPfA6KGs6iuepBiiG',
- *       satoshis: 771146
- *     }
- *   ],
- *   outputs: [
- *     {
- *       satoshis: 811146,
- *       script: '76a914d2955017f4e3d6510c57b427cf45ae29c372c99088ac',
- *       scriptAsm: 'OP_DUP OP_HASH160 d2955017f4e3d6510c57b427cf45ae29c372c990 OP_EQUALVERIFY OP_CHECKSIG',
- *       address: '1LCTmj15p7sSXv3jmrPfA6KGs6iuepBiiG',
- *       spentTxId: '4316b98e7504073acd19308b4b8c9f4eeb5e811455c54c0ebfe276c0b1eb6315',
- *       spentIndex: 1,
- *       spentHeight: 100
- *     }
- *   ],
- *   inputSatoshis: 771146,
- *   outputSatoshis: 811146,
- *   feeSatoshis: 40000
- * };
- *
- * @param {String} txid - The hex string of the transaction
+ * Will give the last lines of the output of the spawned zend process, this requires the
+ * "spawn.logs" option.
+ * @param {Number=} lines - The number of lines, defaults to 100
  * @param {Function} callback
  */
-Bitcoin.prototype.getDetailedTransaction = function(txid, callback) {
+Bitcoin.prototype.getDaemonLogTail = function(lines, callback) {
   var self = this;
-  var tx = self.transactionDetailedCache.get(txid);
-
-  function addInputsToTx(tx, result) {
-    tx.inputs = [];
-    tx.inputSatoshis = 0;
-    for(var inputIndex = 0; inputIndex < result.vin.length; inputIndex++) {
-      var input = result.vin[inputIndex];
-      if (!tx.coinbase) {
-        tx.inputSatoshis += input.valueSat;
-      }
-      var script = null;
-      var scriptAsm = null;
-      if (input.scriptSig) {
-        script = input.scriptSig.hex;
-        scriptAsm = input.scriptSig.asm;
-      } else if (input.coinbase) {
-        script = input.coinbase;
-      }
-      tx.inputs.push({
-        prevTxId: input.txid || null,
-        outputIndex: _.isUndefined(input.vout) ? null : input.vout,
-        script: script,
-        scriptAsm: scriptAsm || null,
-        sequence: input.sequence,
-        address: input.address || null,
-        satoshis: _.isUndefined(input.valueSat) ? null : input.valueSat
-      });
-    }
-  }
-
-  function addOutputsToTx(tx, result) {
-    tx.outputs = [];
-    tx.outputSatoshis = 0;
-    for(var outputIndex = 0; outputIndex < result.vout.length; outputIndex++) {
-      var out = result.vout[outputIndex];
-      tx.outputSatoshis += out.valueSat;
-      var address = null;
-      if (out.scriptPubKey && out.scriptPubKey.addresses && out.scriptPubKey.addresses.length === 1) {
-        address = out.scriptPubKey.addresses[0];
-      }
-      tx.outputs.push({
-        satoshis: out.valueSat,
-        script: out.scriptPubKey.hex,
-        scriptAsm: out.scriptPubKey.asm,
-        spentTxId: out.spentTxId,
-        spentIndex: out.spentIndex,
-        spentHeight: out.spentHeight,
-        address: address
-      });
-    }
+  if (_.isFunction(lines)) {
+    callback = lines;
+    lines = Bitcoin.DEFAULT_DAEMON_LOG_LINES;
   }
-
-  function addJoinSplitsToTx(tx, result) {
-    tx.joinSplits = [];
-    var netJoinSplitZatoshis = 0;
-    for (var jsIndex = 0; jsIndex < result.vjoinsplit.length; jsIndex++) {
-      var jsdesc = result.vjoinsplit[jsIndex];
-      netJoinSplitZatoshis += jsdesc.vpub_newZat - jsdesc.vpub_oldZat;
-      tx.joinSplits.push({
-        oldZatoshis: jsdesc.vpub_oldZat,
-        newZatoshis: jsdesc.vpub_newZat,
-      });
-    }
-    return netJoinSplitZatoshis;
+  if (!self.daemonLog) {
+    return setImmediate(function() {
+      callback(new errors.Error('Output of zend is not captured, please specify "spawn.logs"'));
+    });
   }
-
-  if (tx) {
+  if (!utils.isSafeNatural(lines) || lines < 1 || lines > Bitcoin.MAX_DAEMON_LOG_LINES) {
     return setImmediate(function() {
-      callback(null, tx);
+      callback(new TypeError('Lines are expected to be between 1 and ' + Bitcoin.MAX_DAEMON_LOG_LINES));
     });
-  } else {
-    self._tryAllClients(function(client, done) {
-      client.getRawTransaction(txid, 1, function(err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        var result = response.result;
-        var tx = {
-          hex: result.hex,
-          blockHash: result.blockhash,
-          height: result.height ? result.height : -1,
-          blockTimestamp: result.time,
-          version: result.version,
-          hash: txid,
-          locktime: result.locktime,
-        };
-
-        if (result.vin[0] && result.vin[0].coinbase) {
-          tx.coinbase = true;
-        }
-
-        addInputsToTx(tx, result);
-        addOutputsToTx(tx, result);
-
-        var netJoinSplitZatoshis = 0;
-        if (tx.version >= 2 || tx.version == -3) {
-          netJoinSplitZatoshis = addJoinSplitsToTx(tx, result);
-        }
-
-        if (!tx.coinbase) {
-          tx.feeSatoshis = tx.inputSatoshis - tx.outputSatoshis + netJoinSplitZatoshis;
-        } else {
-          tx.feeSatoshis = 0;
-        }
-
-        self.transactionDetailedCache.set(txid, tx);
-
-        done(null, tx);
-      });
-    }, callback);
   }
+  self.daemonLog.tail(lines, callback);
+};
+
+/**
+ * Will give the unexpected exits of the spawned zend process with the "reason" detected from
+ * its output and the "delay" before it was restarted, and if restarts have "stopped".
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getDaemonRestarts = function(callback) {
+  var self = this;
+  setImmediate(function() {
+    callback(null, {
+      stopped: self.spawnRestartsStopped,
+      maxRestarts: self.maxSpawnRestarts,
+      window: self.spawnRestartWindow,
+      restarts: self.spawnRestarts.slice()
+    });
+  });
 };
 
 /**
@@ -2015,7 +5690,7 @@ Bitcoin.prototype.getDetailedTransaction = function(txid, callback) {
  */
 Bitcoin.prototype.getBestBlockHash = function(callback) {
   var self = this;
-  this.client.getBestBlockHash(function(err, response) {
+  this._callClients('getBestBlockHash', [], function(err, response) {
     if (err) {
       return callback(self._wrapRPCError(err));
     }
@@ -2029,7 +5704,7 @@ Bitcoin.prototype.getBestBlockHash = function(callback) {
  */
 Bitcoin.prototype.getSpentInfo = function(options, callback) {
   var self = this;
-  this.client.getSpentInfo(options, function(err, response) {
+  this._callClients('getSpentInfo', [options], function(err, response) {
     if (err && err.code === -5) {
       return callback(null, {});
     } else if (err) {
@@ -2057,7 +5732,7 @@ Bitcoin.prototype.getSpentInfo = function(options, callback) {
  */
 Bitcoin.prototype.getInfo = function(callback) {
   var self = this;
-  this.client.getInfo(function(err, response) {
+  this._callClients('getInfo', [], function(err, response) {
     if (err) {
       return callback(self._wrapRPCError(err));
     }
@@ -2100,7 +5775,7 @@ Bitcoin.prototype.getInfo = function(callback) {
  */
 Bitcoin.prototype.getMiningInfo = function(callback) {
   var self = this;
-  this.client.getMiningInfo(function(err, response) {
+  this._callClients('getMiningInfo', [], function(err, response) {
     if (err) {
       return callback(self._wrapRPCError(err));
     }
@@ -2140,30 +5815,85 @@ Bitcoin.prototype.generateBlock = function(num, callback) {
  * @param {Function} callback
  */
 Bitcoin.prototype.stop = function(callback) {
-  if (this.spawn && this.spawn.process) {
-    var exited = false;
-    this.spawn.process.once('exit', function(code) {
-      if (!exited) {
-        exited = true;
-        if (code !== 0) {
-          var error = new Error('zend spawned process exited with status code: ' + code);
-          error.code = code;
-          return callback(error);
-        } else {
-          return callback();
-        }
-      }
-    });
-    this.spawn.process.kill('SIGINT');
-    setTimeout(function() {
-      if (!exited) {
-        exited = true;
-        return callback(new Error('zend process did not exit'));
-      }
-    }, this.shutdownTimeout).unref();
-  } else {
-    callback();
+  var self = this;
+  this._clearNodeProbes();
+  clearInterval(this.mempoolInterval);
+  clearInterval(this.divergenceInterval);
+  clearInterval(this.healthInterval);
+  this._cancelRPCRequests();
+  this._closePersistentCache(function() {
+    if (self.spawn && self.spawn.process) {
+      self._stopChildProcess(self.spawn.process, callback);
+    } else {
+      callback();
+    }
+  });
+};
+
+/**
+ * Will close the persistent cache, values aren't written to it after it's closed.
+ * @param {Function} callback
+ */
+Bitcoin.prototype._closePersistentCache = function(callback) {
+  var persistentCache = this.persistentCache;
+  if (!persistentCache) {
+    return callback();
+  }
+  this.persistentCache = null;
+  persistentCache.close(callback);
+};
+
+/**
+ * Will stop the spawned zend process by escalating the shutdown signals until it exits.
+ * @param {ChildProcess} child
+ * @param {Function} callback
+ */
+Bitcoin.prototype._stopChildProcess = function(child, callback) {
+  var exit = null;
+  var onExit = null;
+
+  if (_.isNumber(child.exitCode) || child.signalCode) {
+    return callback();
+  }
+
+  child.once('exit', function(code, signal) {
+    exit = {code: code, signal: signal};
+    if (onExit) {
+      onExit();
+    }
+  });
+
+  function waitForExit(timeout, done) {
+    if (exit) {
+      return done(true);
+    }
+    var timer = setTimeout(function() {
+      onExit = null;
+      done(false);
+    }, timeout);
+    timer.unref();
+    onExit = function() {
+      clearTimeout(timer);
+      onExit = null;
+      done(true);
+    };
   }
+
+  this._escalateShutdown(function(signal) {
+    child.kill(signal);
+  }, waitForExit, function(err, exited) {
+    if (err) {
+      return callback(err);
+    } else if (!exited) {
+      return callback(new Error('zend process did not exit'));
+    } else if (exit && exit.code !== null && exit.code !== 0) {
+      // a process that is terminated by a signal exits without a code and has been stopped
+      var error = new Error('zend spawned process exited with status code: ' + exit.code);
+      error.code = exit.code;
+      return callback(error);
+    }
+    callback();
+  });
 };
 
 module.exports = Bitcoin;
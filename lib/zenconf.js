@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * Reading and editing of zen.conf files. Options are "key=value" lines, "#" starts a comment
+ * unless it's inside of a quoted value, and options after a "[section]" header, or given as
+ * "section.key=value", only apply to that network ("main", "test" or "regtest"). Values are given
+ * as strings, as a value such as "rpcpassword=0123" isn't a number.
+ */
+var zenconf = {};
+
+/**
+ * Options that zend accepts more than once, the values of these are given as an array when
+ * the option is repeated, for other options the first value is used as zend does.
+ */
+zenconf.MULTI_VALUE_KEYS = [
+  'addnode',
+  'bind',
+  'connect',
+  'debug',
+  'externalip',
+  'includeconf',
+  'onlynet',
+  'rpcallowip',
+  'rpcbind',
+  'seednode',
+  'whitebind',
+  'whitelist'
+];
+
+var HEADER_REGEXP = /^\[([^\]]*)\]\s*(#.*)?$/;
+var DOUBLE_QUOTED_REGEXP = /^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/;
+var SINGLE_QUOTED_REGEXP = /^'([^']*)'\s*(#.*)?$/;
+
+function parseValue(text) {
+  var quoted = text.match(DOUBLE_QUOTED_REGEXP);
+  if (quoted) {
+    return {value: quoted[1].replace(/\\(.)/g, '$1'), comment: quoted[2] || null};
+  }
+  quoted = text.match(SINGLE_QUOTED_REGEXP);
+  if (quoted) {
+    return {value: quoted[1], comment: quoted[2] || null};
+  }
+  var comment = null;
+  var index = text.indexOf('#');
+  if (index !== -1) {
+    comment = text.slice(index);
+    text = text.slice(0, index).trim();
+  }
+  return {value: text, comment: comment};
+}
+
+function parseKey(text) {
+  var index = text.indexOf('.');
+  if (index === -1) {
+    return {key: text, section: null};
+  }
+  return {key: text.slice(index + 1), section: text.slice(0, index)};
+}
+
+/**
+ * Will parse a line of a zen.conf file.
+ * @param {String} line
+ * @returns {Object} - With "header" for a section header, or "key", "value", "section" and
+ * "comment" for an option, empty for blank lines and comments
+ */
+zenconf.parseLine = function(line) {
+  var text = line.trim();
+  if (!text || text[0] === '#') {
+    return {};
+  }
+  var header = text.match(HEADER_REGEXP);
+  if (header) {
+    return {header: header[1].trim()};
+  }
+  var index = text.indexOf('=');
+  if (index === -1) {
+    return {};
+  }
+  var key = parseKey(text.slice(0, index).trim());
+  var parsed = parseValue(text.slice(index + 1).trim());
+  return {
+    key: key.key,
+    value: parsed.value,
+    section: key.section,
+    comment: parsed.comment
+  };
+};
+
+/**
+ * Will parse the options of a zen.conf file in the order they are given.
+ * @param {String} text - The contents of the file
+ * @returns {Array} - An array of objects with "key", "value" and "section" (null for options
+ * that apply to every network)
+ */
+zenconf.parse = function(text) {
+  var entries = [];
+  var section = null;
+  var lines = text.split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var line = zenconf.parseLine(lines[i]);
+    if (line.header !== undefined) {
+      section = line.header || null;
+    } else if (line.key) {
+      entries.push({key: line.key, value: line.value, section: line.section || section});
+    }
+  }
+  return entries;
+};
+
+/**
+ * Will give the options that apply to a network, options of the network section take
+ * precedence over the options that apply to every network.
+ * @param {Array} entries - The result of `parse`
+ * @param {String=} section - The network section
+ * @returns {Object}
+ */
+zenconf.getOptions = function(entries, section) {
+  var options = {};
+
+  function addOption(entry) {
+    if (!options.hasOwnProperty(entry.key)) {
+      options[entry.key] = entry.value;
+    } else if (zenconf.MULTI_VALUE_KEYS.indexOf(entry.key) !== -1) {
+      options[entry.key] = [].concat(options[entry.key], entry.value);
+    }
+  }
+
+  entries.filter(function(entry) {
+    return section && entry.section === section;
+  }).forEach(addOption);
+
+  entries.filter(function(entry) {
+    return !entry.section;
+  }).forEach(addOption);
+
+  return options;
+};
+
+/**
+ * Will format a value, quoting values that would otherwise be read differently.
+ * @param {String|Number} value
+ * @returns {String}
+ */
+zenconf.formatValue = function(value) {
+  var text = String(value);
+  if (/^\s|\s$|#|^["']/.test(text)) {
+    return '"' + text.replace(/(["\\])/g, '\\$1') + '"';
+  }
+  return text;
+};
+
+function formatLines(key, values) {
+  return values.map(function(value) {
+    return key + '=' + zenconf.formatValue(value);
+  });
+}
+
+/**
+ * Will format options as the contents of a zen.conf file, array values are repeated.
+ * @param {Object} options
+ * @returns {String}
+ */
+zenconf.stringify = function(options) {
+  var lines = [];
+  for (var key in options) {
+    lines = lines.concat(formatLines(key, [].concat(options[key])));
+  }
+  return lines.length ? lines.join('\n') + '\n' : '';
+};
+
+function findOption(lines, key, section) {
+  var result = {matches: [], insertAt: null, hasHeader: !section};
+  var current = null;
+  for (var i = 0; i < lines.length; i++) {
+    var line = zenconf.parseLine(lines[i]);
+    if (line.header !== undefined) {
+      current = line.header || null;
+      if (current === section) {
+        result.hasHeader = true;
+        result.insertAt = i + 1;
+      }
+      continue;
+    }
+    if (current === section && lines[i].trim()) {
+      result.insertAt = i + 1;
+    }
+    if (line.key === key && (line.section || current) === section) {
+      result.matches.push({index: i, line: line});
+    }
+  }
+  return result;
+}
+
+function replaceOption(lines, matches, key, values) {
+  var first = matches[0];
+  var prefix = first.line.section ? first.line.section + '.' : '';
+  var replacement = formatLines(prefix + key, values);
+  if (replacement.length && first.line.comment) {
+    replacement[0] += ' ' + first.line.comment;
+  }
+  for (var i = matches.length - 1; i > 0; i--) {
+    lines.splice(matches[i].index, 1);
+  }
+  lines.splice.apply(lines, [first.index, 1].concat(replacement));
+  return lines;
+}
+
+function appendSection(lines, section, optionLines) {
+  if (lines.length && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  var header = lines.length ? ['', '[' + section + ']'] : ['[' + section + ']'];
+  return lines.concat(header, optionLines, ['']);
+}
+
+/**
+ * Will set an option in the contents of a zen.conf file, keeping the other lines and comments
+ * as they are. The first line of the option is replaced and other lines of the option are
+ * removed, a new option is added at the end of its section.
+ * @param {String} text - The contents of the file
+ * @param {String} key - The option
+ * @param {String|Number|Array|null} value - An array for multiple values, or null to remove the option
+ * @param {String=} section - The network section
+ * @returns {String}
+ */
+zenconf.set = function(text, key, value, section) {
+  section = section || null;
+  var values = (value === null || value === undefined) ? [] : [].concat(value);
+  var lines = text ? text.split(/\r?\n/) : [''];
+  var found = findOption(lines, key, section);
+
+  if (found.matches.length) {
+    lines = replaceOption(lines, found.matches, key, values);
+  } else if (values.length && found.hasHeader) {
+    var insertAt = found.insertAt === null ? 0 : found.insertAt;
+    lines.splice.apply(lines, [insertAt, 0].concat(formatLines(key, values)));
+  } else if (values.length) {
+    lines = appendSection(lines, section, formatLines(key, values));
+  }
+  return lines.join('\n');
+};
+
+module.exports = zenconf;
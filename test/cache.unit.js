@@ -0,0 +1,103 @@
+'use strict';
+
+var should = require('chai').should();
+var bitcore = require('bitcore-lib-zen');
+
+var Cache = require('../lib/cache');
+
+describe('Cache', function() {
+
+  it('will throw without a positive max size', function() {
+    (function() {
+      return new Cache({});
+    }).should.throw('Please specify a positive "maxSize" for the cache');
+    (function() {
+      return new Cache({maxSize: 0});
+    }).should.throw('Please specify a positive "maxSize" for the cache');
+  });
+
+  it('will count hits and misses', function() {
+    var cache = new Cache({maxSize: 10});
+    cache.set('a', 1);
+    cache.get('a').should.equal(1);
+    should.not.exist(cache.get('b'));
+    cache.peek('a').should.equal(1);
+    var stats = cache.getStats();
+    stats.hits.should.equal(1);
+    stats.misses.should.equal(1);
+  });
+
+  it('will evict the least recently used values over the size', function() {
+    var cache = new Cache({maxSize: 10, length: Cache.bufferLength});
+    cache.set('a', new Buffer(4));
+    cache.set('b', new Buffer(4));
+    cache.get('a');
+    cache.set('c', new Buffer(4));
+    cache.has('a').should.equal(true);
+    cache.has('b').should.equal(false);
+    cache.getStats().should.deep.equal({
+      hits: 1,
+      misses: 0,
+      evictions: 1,
+      items: 2,
+      size: 8,
+      maxSize: 10
+    });
+  });
+
+  it('will count replacing a value with a larger value', function() {
+    var cache = new Cache({maxSize: 10, length: Cache.bufferLength});
+    cache.set('a', new Buffer(4));
+    cache.set('b', new Buffer(4));
+    cache.set('b', new Buffer(8));
+    cache.has('a').should.equal(false);
+    cache.getStats().evictions.should.equal(1);
+    cache.getStats().size.should.equal(8);
+  });
+
+  it('will not keep a value larger than the cache', function() {
+    var cache = new Cache({maxSize: 10, length: Cache.bufferLength});
+    cache.set('a', new Buffer(11)).should.equal(false);
+    cache.has('a').should.equal(false);
+    cache.getStats().evictions.should.equal(0);
+  });
+
+  it('will not count replacing a value with a value larger than the cache', function() {
+    var cache = new Cache({maxSize: 10, length: Cache.bufferLength});
+    cache.set('a', new Buffer(4));
+    cache.set('b', new Buffer(4));
+    cache.set('b', new Buffer(11)).should.equal(false);
+    cache.has('a').should.equal(true);
+    cache.has('b').should.equal(false);
+    cache.getStats().evictions.should.equal(0);
+  });
+
+  it('will not count removed values as evictions', function() {
+    var cache = new Cache({maxSize: 10});
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.keys().should.deep.equal(['b', 'a']);
+    cache.del('a');
+    cache.has('a').should.equal(false);
+    cache.reset();
+    cache.getStats().items.should.equal(0);
+    cache.getStats().evictions.should.equal(0);
+  });
+
+  describe('lengths', function() {
+    it('will give the size of a buffer', function() {
+      Cache.bufferLength(new Buffer(5)).should.equal(5);
+    });
+    it('will give the serialized size of a transaction', function() {
+      var tx = new bitcore.Transaction();
+      Cache.serializedLength(tx).should.equal(tx.toBuffer().length);
+    });
+    it('will give an estimate of the size as JSON', function() {
+      Cache.estimateLength({a: 'é'}).should.equal(10);
+      Cache.estimateLength({a: 1, b: null, c: true}).should.equal(2 + 3 * 13);
+      Cache.estimateLength([]).should.equal(2);
+      Cache.estimateLength(['aa', 'bb', 'cc']).should.equal(2 + 3 * 5);
+    });
+  });
+
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var should = require('chai').should();
+var sinon = require('sinon');
+var mkdirp = require('mkdirp');
+var rimraf = require('rimraf');
+
+var index = require('../lib');
+var log = index.log;
+var DaemonLog = require('../lib/daemonlog');
+
+describe('DaemonLog', function() {
+
+  var testDir = path.resolve(__dirname, 'temporary-daemonlog-data');
+  var file = path.resolve(testDir, 'zend.log');
+
+  beforeEach(function(done) {
+    mkdirp(testDir, done);
+  });
+
+  afterEach(function(done) {
+    rimraf(testDir, done);
+  });
+
+  function closeAndRead(daemonLog) {
+    daemonLog.close();
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  it('will throw without a file', function() {
+    (function() {
+      return new DaemonLog({});
+    }).should.throw('Please specify "file" for the daemon log');
+  });
+
+  it('will write complete lines of each stream', function() {
+    var daemonLog = new DaemonLog({file: file});
+    daemonLog.write('stdout', new Buffer('first\nsec'));
+    daemonLog.write('stderr', new Buffer('error\r\n'));
+    daemonLog.write('stdout', new Buffer('ond\n'));
+    closeAndRead(daemonLog).should.equal('first\nerror\nsecond\n');
+  });
+
+  it('will flush partial lines', function() {
+    var daemonLog = new DaemonLog({file: file});
+    daemonLog.write('stdout', new Buffer('partial'));
+    daemonLog.flush();
+    daemonLog.partial.stdout.should.equal('');
+    closeAndRead(daemonLog).should.equal('partial\n');
+  });
+
+  it('will mirror lines to the logger with a prefix', function() {
+    var logger = {
+      info: sinon.stub(),
+      warn: sinon.stub()
+    };
+    var daemonLog = new DaemonLog({file: file, logger: logger, prefix: '[zend]'});
+    daemonLog.write('stdout', 'out\n');
+    daemonLog.write('stderr', 'err\n');
+    daemonLog.close();
+    logger.info.args[0][0].should.equal('[zend] out');
+    logger.warn.args[0][0].should.equal('[zend] err');
+  });
+
+  it('will log an error and stop writing the file when a write fails', function() {
+    var sandbox = sinon.sandbox.create();
+    sandbox.stub(log, 'error');
+    var logger = {
+      info: sinon.stub(),
+      warn: sinon.stub()
+    };
+    var daemonLog = new DaemonLog({file: path.resolve(testDir, 'missing', 'zend.log'), logger: logger});
+    (function() {
+      daemonLog.write('stdout', 'first\n');
+      daemonLog.write('stdout', 'second\n');
+      daemonLog.flush();
+    }).should.not.throw();
+    var callCount = log.error.callCount;
+    sandbox.restore();
+    callCount.should.equal(1);
+    daemonLog.error.code.should.equal('ENOENT');
+    logger.info.callCount.should.equal(2);
+  });
+
+  it('will rotate by size and keep the number of files', function() {
+    var daemonLog = new DaemonLog({file: file, maxSize: 10, maxFiles: 2});
+    daemonLog.write('stdout', 'aaaaaaaa\nbbbbbbbb\ncccccccc\ndddddddd\n');
+    closeAndRead(daemonLog).should.equal('dddddddd\n');
+    fs.readFileSync(file + '.1', 'utf8').should.equal('cccccccc\n');
+    fs.readFileSync(file + '.2', 'utf8').should.equal('bbbbbbbb\n');
+    fs.existsSync(file + '.3').should.equal(false);
+  });
+
+  it('will rotate by time', function() {
+    var daemonLog = new DaemonLog({file: file, maxSize: 0, interval: 1000});
+    daemonLog.write('stdout', 'first\n');
+    daemonLog.openedAt -= 1000;
+    daemonLog.write('stdout', 'second\n');
+    closeAndRead(daemonLog).should.equal('second\n');
+    fs.readFileSync(file + '.1', 'utf8').should.equal('first\n');
+  });
+
+  it('will continue the size of an existing file', function() {
+    fs.writeFileSync(file, 'existing\n');
+    var daemonLog = new DaemonLog({file: file, maxSize: 12});
+    daemonLog.write('stdout', 'next\n');
+    closeAndRead(daemonLog).should.equal('next\n');
+    fs.readFileSync(file + '.1', 'utf8').should.equal('existing\n');
+  });
+
+  it('will give the last lines including rotated files', function(done) {
+    fs.writeFileSync(file + '.2', 'one\ntwo\n');
+    fs.writeFileSync(file + '.1', 'three\n');
+    fs.writeFileSync(file, 'four\nfive\n');
+    var daemonLog = new DaemonLog({file: file});
+    daemonLog.tail(4, function(err, lines) {
+      if (err) {
+        return done(err);
+      }
+      lines.should.deep.equal(['two', 'three', 'four', 'five']);
+      daemonLog.tail(10, function(err, lines) {
+        should.not.exist(err);
+        lines.length.should.equal(5);
+        done();
+      });
+    });
+  });
+
+  it('will give no lines without a file', function(done) {
+    var daemonLog = new DaemonLog({file: file});
+    daemonLog.tail(10, function(err, lines) {
+      if (err) {
+        return done(err);
+      }
+      lines.should.deep.equal([]);
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,227 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var should = require('chai').should();
+var rimraf = require('rimraf');
+
+var DiskCache = require('../lib/diskcache');
+
+describe('DiskCache', function() {
+
+  var testDir = path.resolve(__dirname, 'temporary-diskcache-data');
+
+  afterEach(function(done) {
+    rimraf(testDir, done);
+  });
+
+  function openCache(maxSize, callback) {
+    var cache = new DiskCache({dir: testDir, maxSize: maxSize});
+    cache.open(function(err) {
+      callback(err, cache);
+    });
+  }
+
+  it('will throw without a directory or a positive max size', function() {
+    (function() {
+      return new DiskCache({maxSize: 10});
+    }).should.throw('Please specify "dir" for the disk cache');
+    (function() {
+      return new DiskCache({dir: testDir, maxSize: 0});
+    }).should.throw('Please specify a positive "maxSize" for the disk cache');
+  });
+
+  it('will throw with an invalid key', function() {
+    var cache = new DiskCache({dir: testDir, maxSize: 10});
+    (function() {
+      cache.get('../key', function() {});
+    }).should.throw('Invalid disk cache key: ../key');
+  });
+
+  it('will write and read a buffer', function(done) {
+    openCache(100, function(err, cache) {
+      if (err) {
+        return done(err);
+      }
+      cache.set('rawBlock-00ab', new Buffer('0102', 'hex'), function(err) {
+        if (err) {
+          return done(err);
+        }
+        fs.existsSync(path.resolve(testDir, 'ab', 'rawBlock-00ab')).should.equal(true);
+        cache.get('rawBlock-00ab', function(err, buffer) {
+          if (err) {
+            return done(err);
+          }
+          buffer.toString('hex').should.equal('0102');
+          cache.get('rawBlock-00cd', function(err, buffer) {
+            if (err) {
+              return done(err);
+            }
+            should.equal(buffer, null);
+            cache.getStats().should.deep.equal({
+              hits: 1,
+              misses: 1,
+              evictions: 0,
+              items: 1,
+              size: 2,
+              maxSize: 100
+            });
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('will remove the least recently used files over the size', function(done) {
+    openCache(10, function(err, cache) {
+      if (err) {
+        return done(err);
+      }
+      cache.set('key1', new Buffer(4), function(err) {
+        if (err) {
+          return done(err);
+        }
+        cache.set('key2', new Buffer(4), function(err) {
+          if (err) {
+            return done(err);
+          }
+          cache.get('key1', function(err) {
+            if (err) {
+              return done(err);
+            }
+            cache.set('key3', new Buffer(4), function(err) {
+              if (err) {
+                return done(err);
+              }
+              cache.index.keys().should.deep.equal(['key3', 'key1']);
+              cache.getStats().evictions.should.equal(1);
+              // the file is removed in the background
+              setTimeout(function() {
+                fs.existsSync(path.resolve(testDir, 'y2', 'key2')).should.equal(false);
+                done();
+              }, 100);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('will index the files of a previous run in the order they were written', function(done) {
+    openCache(100, function(err, cache) {
+      if (err) {
+        return done(err);
+      }
+      cache.set('key1', new Buffer(4), function(err) {
+        if (err) {
+          return done(err);
+        }
+        cache.set('key2', new Buffer(4), function(err) {
+          if (err) {
+            return done(err);
+          }
+          cache.close(function(err) {
+            if (err) {
+              return done(err);
+            }
+            fs.writeFileSync(path.resolve(testDir, 'tmp', 'key3.abcd'), new Buffer(4));
+            openCache(6, function(err, cache) {
+              if (err) {
+                return done(err);
+              }
+              cache.index.keys().should.deep.equal(['key2']);
+              fs.readdirSync(path.resolve(testDir, 'tmp')).should.deep.equal([]);
+              fs.readFileSync(path.resolve(testDir, 'index'), 'utf8').should.equal('+key2 4\n');
+              // the file is removed in the background
+              setTimeout(function() {
+                fs.existsSync(path.resolve(testDir, 'y1', 'key1')).should.equal(false);
+                cache.get('key2', function(err, buffer) {
+                  if (err) {
+                    return done(err);
+                  }
+                  buffer.length.should.equal(4);
+                  cache.close(done);
+                });
+              }, 100);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('will parse the lines of the index file', function() {
+    var sizes = DiskCache.parseIndex('+key1 4\n+key2 5\n+key3 6\n-key2\n+key1 4\n');
+    sizes.should.deep.equal({key3: 6, key1: 4});
+    Object.keys(sizes).should.deep.equal(['key3', 'key1']);
+  });
+
+  it('will rewrite the index file with the current keys', function(done) {
+    openCache(100, function(err, cache) {
+      if (err) {
+        return done(err);
+      }
+      cache.index.set('key1', 4);
+      cache.index.set('key2', 5);
+      cache._writeIndex('-key3');
+      cache._compactIndex(function(err) {
+        if (err) {
+          return done(err);
+        }
+        cache._writeIndex('+key4 6');
+        cache.close(function(err) {
+          if (err) {
+            return done(err);
+          }
+          var text = fs.readFileSync(path.resolve(testDir, 'index'), 'utf8');
+          text.should.equal('+key1 4\n+key2 5\n+key4 6\n');
+          done();
+        });
+      });
+    });
+  });
+
+  it('will not write a key that is cached', function(done) {
+    openCache(100, function(err, cache) {
+      if (err) {
+        return done(err);
+      }
+      cache.set('key1', new Buffer('01', 'hex'), function(err) {
+        if (err) {
+          return done(err);
+        }
+        cache.set('key1', new Buffer('02', 'hex'), function(err) {
+          if (err) {
+            return done(err);
+          }
+          fs.readFileSync(path.resolve(testDir, 'y1', 'key1')).toString('hex').should.equal('01');
+          done();
+        });
+      });
+    });
+  });
+
+  it('will give a miss when a file was removed', function(done) {
+    openCache(100, function(err, cache) {
+      if (err) {
+        return done(err);
+      }
+      cache.set('key1', new Buffer(4), function(err) {
+        if (err) {
+          return done(err);
+        }
+        fs.unlinkSync(path.resolve(testDir, 'y1', 'key1'));
+        cache.get('key1', function(err, buffer) {
+          if (err) {
+            return done(err);
+          }
+          should.equal(buffer, null);
+          cache.index.has('key1').should.equal(false);
+          done();
+        });
+      });
+    });
+  });
+
+});
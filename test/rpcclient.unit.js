@@ -0,0 +1,168 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var should = require('chai').should();
+var sinon = require('sinon');
+
+var errors = require('../lib/errors');
+var RpcClient = require('../lib/rpcclient');
+
+describe('RpcClient', function() {
+
+  function createClient(timeout) {
+    var client = new RpcClient({
+      protocol: 'http',
+      port: 8231,
+      user: 'user',
+      pass: 'pass',
+      getTimeout: sinon.stub().returns(timeout || 0)
+    });
+    var req = new EventEmitter();
+    req.setHeader = sinon.stub();
+    req.write = sinon.stub();
+    req.end = sinon.stub();
+    req.abort = sinon.stub();
+    client.httpProtocol = {request: sinon.stub().returns(req)};
+    client.req = req;
+    return client;
+  }
+
+  function respond(client, statusCode, body) {
+    var res = new EventEmitter();
+    res.statusCode = statusCode;
+    client.httpProtocol.request.args[0][1](res);
+    res.emit('data', body);
+    res.emit('end');
+  }
+
+  it('will send a request of bitcoind-rpc', function() {
+    var client = createClient();
+    client.getBlock('hash', 'false', sinon.stub());
+    var options = client.httpProtocol.request.args[0][0];
+    options.host.should.equal('127.0.0.1');
+    options.port.should.equal(8231);
+    var body = JSON.parse(client.req.write.args[0][0]);
+    body.method.should.equal('getblock');
+    body.params.should.deep.equal(['hash', false]);
+    client.pendingRequests.length.should.equal(1);
+  });
+
+  it('will give the response', function() {
+    var client = createClient(1000);
+    var callback = sinon.stub();
+    client.getinfo(callback);
+    respond(client, 200, '{"result": "info", "error": null}');
+    callback.callCount.should.equal(1);
+    should.not.exist(callback.args[0][0]);
+    callback.args[0][1].result.should.equal('info');
+    client.pendingRequests.length.should.equal(0);
+  });
+
+  it('will give the code of a connection error', function() {
+    var client = createClient();
+    var callback = sinon.stub();
+    client.getInfo(callback);
+    var err = new Error('connect ECONNREFUSED 127.0.0.1:8231');
+    err.code = 'ECONNREFUSED';
+    client.req.emit('error', err);
+    callback.args[0][0].message.should.equal('Bitcoin JSON-RPC: Request Error: connect ECONNREFUSED 127.0.0.1:8231');
+    callback.args[0][0].code.should.equal('ECONNREFUSED');
+  });
+
+  it('will give a timeout error and abort the request', function() {
+    var clock = sinon.useFakeTimers();
+    var client = createClient(1000);
+    var callback = sinon.stub();
+    client.getInfo(callback);
+    client.getTimeout.args[0][0].should.deep.equal(['getinfo']);
+    clock.tick(999);
+    callback.callCount.should.equal(0);
+    // a response that is still being received doesn't extend the timeout
+    var res = new EventEmitter();
+    res.statusCode = 200;
+    client.httpProtocol.request.args[0][1](res);
+    res.emit('data', '{"result":');
+    clock.tick(1);
+    clock.restore();
+    callback.callCount.should.equal(1);
+    var err = callback.args[0][0];
+    err.should.be.instanceof(errors.TimeoutError);
+    err.message.should.equal('RPC request "getinfo" timed out after 1000ms');
+    err.timeout.should.equal(1000);
+    client.req.abort.callCount.should.equal(1);
+    client.req.emit('error', new Error('socket hang up'));
+    callback.callCount.should.equal(1);
+  });
+
+  it('will cancel a request', function() {
+    var client = createClient(1000);
+    var callback = sinon.stub();
+    var request = client.getInfo(callback);
+    request.cancel();
+    callback.callCount.should.equal(1);
+    callback.args[0][0].should.be.instanceof(errors.CancelledError);
+    client.req.abort.callCount.should.equal(1);
+    respond(client, 200, '{"result": "info", "error": null}');
+    request.cancel();
+    callback.callCount.should.equal(1);
+    client.req.abort.callCount.should.equal(1);
+  });
+
+  it('will cancel the pending requests', function() {
+    var client = createClient();
+    var callback = sinon.stub();
+    client.getInfo(callback);
+    client.getInfo(callback);
+    client.cancelRequests();
+    callback.callCount.should.equal(2);
+    client.pendingRequests.length.should.equal(0);
+  });
+
+  it('will send the calls of a batch as a single request', function() {
+    var client = createClient(120000);
+    var callback = sinon.stub();
+    client.batch(function() {
+      client.getBlockHash(11);
+      client.getInfo();
+    }, callback);
+    should.equal(client.batchedCalls, null);
+    client.httpProtocol.request.callCount.should.equal(1);
+    client.getTimeout.args[0][0].should.deep.equal(['getblockhash', 'getinfo']);
+    var body = JSON.parse(client.req.write.args[0][0]);
+    body.length.should.equal(2);
+    body[0].params.should.deep.equal([11]);
+    respond(client, 200, '[{"result": "a"}, {"result": "b"}]');
+    should.not.exist(callback.args[0][0]);
+    callback.args[0][1].length.should.equal(2);
+  });
+
+  it('will have the Horizen methods', function() {
+    var client = createClient();
+    var callback = sinon.stub();
+    client.getScInfo('*', true, false, callback);
+    var body = JSON.parse(client.req.write.args[0][0]);
+    body.should.deep.equal([{jsonrpc: '2.0', method: 'getscinfo', params: ['*', true, false], id: 0}]);
+    respond(client, 200, '[{"result": {"totalItems": 0}, "error": null, "id": 0}]');
+    should.not.exist(callback.args[0][0]);
+    callback.args[0][1].result.should.deep.equal({totalItems: 0});
+  });
+
+  it('will give the error of a Horizen method', function() {
+    var client = createClient();
+    var callback = sinon.stub();
+    client.getscinfo('scid', callback);
+    respond(client, 200, '[{"result": null, "error": {"code": -8, "message": "test"}, "id": 0}]');
+    callback.args[0][0].should.deep.equal({code: -8, message: 'test'});
+  });
+
+  it('will add the Horizen methods to a batch', function() {
+    var client = createClient();
+    client.batch(function() {
+      client.getBlockHash(10);
+      client.getScInfo('scid');
+    }, sinon.stub());
+    var body = JSON.parse(client.req.write.args[0][0]);
+    body[1].should.deep.equal({jsonrpc: '2.0', method: 'getscinfo', params: ['scid'], id: 1});
+  });
+
+});
@@ -16,6 +16,8 @@ var sinon = require('sinon');
 var index = require('../../lib');
 var log = index.log;
 var errors = index.errors;
+var zenconf = require('../../lib/zenconf');
+var RpcClient = require('../../lib/rpcclient');
 
 var Transaction = bitcore.Transaction;
 var readFileSync = sinon.stub().returns(fs.readFileSync(path.resolve(__dirname, '../data/zen.conf')));
@@ -26,7 +28,20 @@ var BitcoinService = proxyquire('../../lib/services/bitcoind', {
 });
 var defaultBitcoinConf = fs.readFileSync(path.resolve(__dirname, '../data/default.zen.conf'), 'utf8');
 
+function withoutRandomCredentials(config) {
+  config.should.match(/^rpcuser=bitcore-[0-9a-f]{16}$/m);
+  config.should.match(/^rpcpassword=[0-9a-f]{64}$/m);
+  return config.replace(/^rpc(user|password)=.*\n/gm, '');
+}
+
+function connectionError(message) {
+  var err = new Error(message);
+  err.code = 'ECONNREFUSED';
+  return err;
+}
+
 describe('Bitcoin Service', function() {
+  var mempoolTxHex = require('../data/bitcoin-transactions.json')[0].hex;
   var txhex = '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff0704ffff001d0104ffffffff0100f2052a0100000043410496b538e853519c726a2c91e61ec11600ae1390813a627c66fb8be7947be63c52da7589379515d4e0a604f8141781e62294721166bf621e73a82cbf2342c858eeac00000000';
 
   var baseConfig = {
@@ -66,6 +81,33 @@ describe('Bitcoin Service', function() {
       should.exist(bitcoind.lastTip);
       should.exist(bitcoind.lastTipTimeout);
     });
+    it('will set the size of caches in bytes', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.rawBlockCache.maxSize.should.equal(64 * 1024 * 1024);
+      bitcoind.blockHeaderCache.maxSize.should.equal(1024 * 1024);
+    });
+    it('will set the size of caches from the caches option', function() {
+      var config = _.extend({caches: {rawBlock: {maxSize: 1000}}}, baseConfig);
+      var bitcoind = new BitcoinService(config);
+      bitcoind.rawBlockCache.maxSize.should.equal(1000);
+      bitcoind.rawBlockCache.set('a', new Buffer(600));
+      bitcoind.rawBlockCache.set('b', new Buffer(600));
+      should.not.exist(bitcoind.rawBlockCache.get('a'));
+      bitcoind.rawBlockCache.get('b').length.should.equal(600);
+      bitcoind.blockCache.maxSize.should.equal(64 * 1024 * 1024);
+    });
+    it('will throw with an unknown cache', function() {
+      var config = _.extend({caches: {rawBlocks: {maxSize: 1000}}}, baseConfig);
+      (function() {
+        return new BitcoinService(config);
+      }).should.throw(TypeError, 'Unknown cache "rawBlocks" in "caches" option');
+    });
+    it('will throw with an invalid cache size', function() {
+      var config = _.extend({caches: {rawBlock: {maxSize: '1MB'}}}, baseConfig);
+      (function() {
+        return new BitcoinService(config);
+      }).should.throw(TypeError, '"caches.rawBlock.maxSize" is expected to be a positive number of bytes');
+    });
     it('will init clients', function() {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.nodes.should.deep.equal([]);
@@ -73,13 +115,55 @@ describe('Bitcoin Service', function() {
       bitcoind.nodes.push({client: sinon.stub()});
       should.exist(bitcoind.client);
     });
+    it('will set client pool defaults', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.clientStrategy.should.equal('roundrobin');
+      bitcoind.quarantineFailures.should.equal(3);
+      bitcoind.quarantineInterval.should.equal(5000);
+      bitcoind.maxQuarantineInterval.should.equal(60000);
+      bitcoind.maxNodeLag.should.equal(3);
+    });
+    it('will throw with an unknown client strategy', function() {
+      var config = _.extend({clientStrategy: 'random'}, baseConfig);
+      (function() {
+        return new BitcoinService(config);
+      }).should.throw(TypeError, /clientStrategy/);
+    });
+    it('client will skip quarantined nodes', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var client1 = {};
+      var client2 = {};
+      bitcoind.nodes.push({client: client1, health: {quarantined: true}});
+      bitcoind.nodes.push({client: client2});
+      bitcoind.client.should.equal(client2);
+      bitcoind.client.should.equal(client2);
+    });
     it('will set subscriptions', function() {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.subscriptions.should.deep.equal({
         address: {},
         rawtransaction: [],
-        hashblock: []
+        hashblock: [],
+        reorg: [],
+        txconfirmed: {},
+        sidechaincreated: [],
+        certificate: [],
+        nodedivergence: [],
+        health: []
+      });
+    });
+    it('will init mempool', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempool.should.deep.equal({
+        transactions: {},
+        addresses: {}
       });
+      should.exist(bitcoind.mempoolQueue);
+    });
+    it('will init chain headers', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders.should.deep.equal([]);
+      should.exist(bitcoind.chainHeadersQueue);
     });
   });
 
@@ -91,6 +175,20 @@ describe('Bitcoin Service', function() {
       bitcoind._initDefaults({});
       bitcoind.transactionConcurrency.should.equal(5);
     });
+    it('will set xpub gap limit', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._initDefaults({xpubGapLimit: 5});
+      bitcoind.xpubGapLimit.should.equal(5);
+      bitcoind._initDefaults({});
+      bitcoind.xpubGapLimit.should.equal(20);
+    });
+    it('will set max reorg depth', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._initDefaults({maxReorgDepth: 10});
+      bitcoind.maxReorgDepth.should.equal(10);
+      bitcoind._initDefaults({});
+      bitcoind.maxReorgDepth.should.equal(100);
+    });
   });
 
   describe('@dependencies', function() {
@@ -104,7 +202,7 @@ describe('Bitcoin Service', function() {
       var bitcoind = new BitcoinService(baseConfig);
       var methods = bitcoind.getAPIMethods();
       should.exist(methods);
-      methods.length.should.equal(21);
+      methods.length.should.equal(35);
     });
   });
 
@@ -113,7 +211,7 @@ describe('Bitcoin Service', function() {
       var bitcoind = new BitcoinService(baseConfig);
       var events = bitcoind.getPublishEvents();
       should.exist(events);
-      events.length.should.equal(3);
+      events.length.should.equal(9);
       events[0].name.should.equal('bitcoind/rawtransaction');
       events[0].scope.should.equal(bitcoind);
       events[0].subscribe.should.be.a('function');
@@ -126,6 +224,30 @@ describe('Bitcoin Service', function() {
       events[2].scope.should.equal(bitcoind);
       events[2].subscribe.should.be.a('function');
       events[2].unsubscribe.should.be.a('function');
+      events[3].name.should.equal('bitcoind/reorg');
+      events[3].scope.should.equal(bitcoind);
+      events[3].subscribe.should.be.a('function');
+      events[3].unsubscribe.should.be.a('function');
+      events[4].name.should.equal('bitcoind/txconfirmed');
+      events[4].scope.should.equal(bitcoind);
+      events[4].subscribe.should.be.a('function');
+      events[4].unsubscribe.should.be.a('function');
+      events[5].name.should.equal('bitcoind/sidechaincreated');
+      events[5].scope.should.equal(bitcoind);
+      events[5].subscribe.should.be.a('function');
+      events[5].unsubscribe.should.be.a('function');
+      events[6].name.should.equal('bitcoind/certificate');
+      events[6].scope.should.equal(bitcoind);
+      events[6].subscribe.should.be.a('function');
+      events[6].unsubscribe.should.be.a('function');
+      events[7].name.should.equal('bitcoind/nodedivergence');
+      events[7].scope.should.equal(bitcoind);
+      events[7].subscribe.should.be.a('function');
+      events[7].unsubscribe.should.be.a('function');
+      events[8].name.should.equal('bitcoind/health');
+      events[8].scope.should.equal(bitcoind);
+      events[8].subscribe.should.be.a('function');
+      events[8].unsubscribe.should.be.a('function');
     });
     it('will call subscribe/unsubscribe with correct args', function() {
       var bitcoind = new BitcoinService(baseConfig);
@@ -148,6 +270,14 @@ describe('Bitcoin Service', function() {
       events[1].unsubscribe('test');
       bitcoind.unsubscribe.args[1][0].should.equal('hashblock');
       bitcoind.unsubscribe.args[1][1].should.equal('test');
+
+      events[3].subscribe('test');
+      bitcoind.subscribe.args[2][0].should.equal('reorg');
+      bitcoind.subscribe.args[2][1].should.equal('test');
+
+      events[3].unsubscribe('test');
+      bitcoind.unsubscribe.args[2][0].should.equal('reorg');
+      bitcoind.unsubscribe.args[2][1].should.equal('test');
     });
   });
 
@@ -341,11 +471,227 @@ describe('Bitcoin Service', function() {
     });
   });
 
+  describe('#subscribeConfirmations', function() {
+    var sandbox = sinon.sandbox.create();
+    var txid = '7426c707d0e9705bdd8158e60983e37d0f5d63529086d6672b07d9238d5aa623';
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will add subscriber with target confirmations', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var emitter = new EventEmitter();
+      bitcoind.subscribeConfirmations(emitter, txid, 6);
+      bitcoind.subscriptions.txconfirmed[txid].should.deep.equal({
+        height: null,
+        blockHash: null,
+        subscribers: [
+          {
+            emitter: emitter,
+            confirmations: 6,
+            onlyTarget: false,
+            lastConfirmations: null
+          }
+        ]
+      });
+    });
+    it('will default to one confirmation', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var emitter = new EventEmitter();
+      bitcoind.subscribeConfirmations(emitter, txid);
+      bitcoind.subscriptions.txconfirmed[txid].subscribers[0].confirmations.should.equal(1);
+    });
+    it('will ignore invalid txid and confirmations', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var emitter = new EventEmitter();
+      bitcoind.subscribeConfirmations(emitter, 'invalid', 6);
+      bitcoind.subscribeConfirmations(emitter, txid, 0);
+      bitcoind.subscribeConfirmations(emitter, txid, -1);
+      bitcoind.subscriptions.txconfirmed.should.deep.equal({});
+      log.warn.callCount.should.equal(3);
+    });
+    it('will check confirmations if the height is known', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 100;
+      bitcoind._checkTransactionConfirmations = sinon.stub();
+      var emitter = new EventEmitter();
+      bitcoind.subscribeConfirmations(emitter, txid, 6);
+      bitcoind._checkTransactionConfirmations.callCount.should.equal(1);
+      bitcoind._checkTransactionConfirmations.args[0][0].should.deep.equal([txid]);
+    });
+  });
+
+  describe('#unsubscribeConfirmations', function() {
+    var sandbox = sinon.sandbox.create();
+    var txid = '7426c707d0e9705bdd8158e60983e37d0f5d63529086d6672b07d9238d5aa623';
+    var txid2 = 'de184cc227f6d1dc0316c7484aa68b58186a18f89d853bb2428b02040c394479';
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will remove subscriber for txid', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var emitter = new EventEmitter();
+      var emitter2 = new EventEmitter();
+      bitcoind.subscribeConfirmations(emitter, txid, 6);
+      bitcoind.subscribeConfirmations(emitter2, txid, 6);
+      bitcoind.subscribeConfirmations(emitter, txid2, 6);
+      bitcoind.unsubscribeConfirmations(emitter, txid);
+      bitcoind.subscriptions.txconfirmed[txid].subscribers.length.should.equal(1);
+      bitcoind.subscriptions.txconfirmed[txid].subscribers[0].emitter.should.equal(emitter2);
+      bitcoind.subscriptions.txconfirmed[txid2].subscribers.length.should.equal(1);
+    });
+    it('will remove subscriber for all txids', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var emitter = new EventEmitter();
+      bitcoind.subscribeConfirmations(emitter, txid, 6);
+      bitcoind.subscribeConfirmations(emitter, txid2, 6);
+      bitcoind.unsubscribeConfirmations(emitter);
+      bitcoind.subscriptions.txconfirmed.should.deep.equal({});
+    });
+  });
+
   describe('#_getDefaultConfig', function() {
     it('will generate config file from defaults', function() {
       var bitcoind = new BitcoinService(baseConfig);
       var config = bitcoind._getDefaultConfig();
-      config.should.equal(defaultBitcoinConf);
+      withoutRandomCredentials(config).should.equal(defaultBitcoinConf);
+    });
+    it('will generate different credentials each time', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getDefaultConfig().should.not.equal(bitcoind._getDefaultConfig());
+    });
+  });
+
+  describe('#_readBitcoinConf', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    var files = {
+      '/tmp/.zen/zen.conf': 'server=1\nincludeconf=extra.conf\n[regtest]\nincludeconf=/tmp/regtest.conf\n',
+      '/tmp/.zen/extra.conf': 'addnode=a\nincludeconf=zen.conf\n',
+      '/tmp/.zen/regtest/zen.conf': 'includeconf=extra.conf\n',
+      '/tmp/regtest.conf': 'rpcport=18444\n'
+    };
+    function createService(exists) {
+      var TestBitcoin = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: function(configPath) {
+            return new Buffer(files[configPath]);
+          },
+          existsSync: sinon.stub().returns(exists)
+        }
+      });
+      var bitcoind = new TestBitcoin(baseConfig);
+      bitcoind.spawn = {datadir: '/tmp/.zen'};
+      return bitcoind;
+    }
+    it('will read included files of the network', function() {
+      var bitcoind = createService(true);
+      var entries = bitcoind._readBitcoinConf('/tmp/.zen/zen.conf', 'regtest');
+      entries.should.deep.equal([
+        {key: 'server', value: '1', section: null},
+        {key: 'includeconf', value: 'extra.conf', section: null},
+        {key: 'includeconf', value: '/tmp/regtest.conf', section: 'regtest'},
+        {key: 'addnode', value: 'a', section: null},
+        {key: 'includeconf', value: 'zen.conf', section: null},
+        {key: 'rpcport', value: '18444', section: null}
+      ]);
+      log.warn.callCount.should.equal(1);
+    });
+    it('will not read included files of other networks', function() {
+      var bitcoind = createService(true);
+      var entries = bitcoind._readBitcoinConf('/tmp/.zen/zen.conf', 'test');
+      entries.length.should.equal(5);
+    });
+    it('will throw if an included file is missing', function() {
+      var bitcoind = createService(false);
+      (function() {
+        bitcoind._readBitcoinConf('/tmp/.zen/zen.conf', 'main');
+      }).should.throw('Unable to find included configuration file: /tmp/.zen/extra.conf');
+    });
+    it('will read included files relative to the datadir', function() {
+      var bitcoind = createService(true);
+      var entries = bitcoind._readBitcoinConf('/tmp/.zen/regtest/zen.conf', 'regtest');
+      entries[1].should.deep.equal({key: 'addnode', value: 'a', section: null});
+    });
+  });
+
+  describe('#_parseBitcoinConf', function() {
+    var text = 'rpcport=1\naddnode=a\naddnode=b\n[test]\nrpcport=2\n';
+    function createService(network, configText) {
+      var TestBitcoin = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: sinon.stub().returns(new Buffer(configText || text))
+        }
+      });
+      var config = {
+        node: {
+          network: network
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
+        }
+      };
+      return new TestBitcoin(config);
+    }
+    it('will give the options for livenet', function() {
+      var bitcoind = createService(bitcore.Networks.livenet);
+      bitcoind._parseBitcoinConf('/tmp/.zen/zen.conf').should.deep.equal({
+        rpcport: '1',
+        addnode: ['a', 'b']
+      });
+    });
+    it('will give the options for testnet', function() {
+      var bitcoind = createService(bitcore.Networks.testnet);
+      bitcoind._parseBitcoinConf('/tmp/.zen/zen.conf').rpcport.should.equal('2');
+    });
+    it('will warn that zend ignores the network sections', function() {
+      var warn = sinon.stub(log, 'warn');
+      createService(bitcore.Networks.testnet)._parseBitcoinConf('/tmp/.zen/zen.conf');
+      createService(bitcore.Networks.testnet, 'rpcport=1\n')._parseBitcoinConf('/tmp/.zen/zen.conf');
+      warn.restore();
+      warn.callCount.should.equal(1);
+      warn.args[0][0].should.match(/only read by bitcore-node/);
+    });
+  });
+
+  describe('#_updateBitcoinConf', function() {
+    it('will update the options and keep the comments', function() {
+      var writeFileSync = sinon.stub();
+      var TestBitcoin = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          existsSync: sinon.stub().returns(true),
+          readFileSync: sinon.stub().returns(new Buffer('# user\nrpcuser=bitcoin\nrpcpassword=old\n')),
+          writeFileSync: writeFileSync
+        }
+      });
+      var bitcoind = new TestBitcoin(baseConfig);
+      bitcoind._updateBitcoinConf('/tmp/.zen/zen.conf', {rpcpassword: 'new', rpcuser: null});
+      writeFileSync.args[0][0].should.equal('/tmp/.zen/zen.conf');
+      writeFileSync.args[0][1].should.equal('# user\nrpcpassword=new\n');
+    });
+    it('will create the file', function() {
+      var writeFileSync = sinon.stub();
+      var TestBitcoin = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          existsSync: sinon.stub().returns(false),
+          writeFileSync: writeFileSync
+        }
+      });
+      var bitcoind = new TestBitcoin(baseConfig);
+      bitcoind._updateBitcoinConf('/tmp/.zen/zen.conf', {rpcport: 18444}, 'regtest');
+      writeFileSync.args[0][1].should.equal('[regtest]\nrpcport=18444\n');
     });
   });
 
@@ -374,20 +720,20 @@ describe('Bitcoin Service', function() {
       bitcoind._loadSpawnConfiguration(node);
       should.exist(bitcoind.spawn.config);
       bitcoind.spawn.config.should.deep.equal({
-        addressindex: 1,
-        checkblocks: 144,
-        dbcache: 8192,
-        maxuploadtarget: 1024,
-        port: 20000,
-        rpcport: 50001,
+        addressindex: '1',
+        checkblocks: '144',
+        dbcache: '8192',
+        maxuploadtarget: '1024',
+        port: '20000',
+        rpcport: '50001',
         rpcallowip: '127.0.0.1',
         rpcuser: 'bitcoin',
         rpcpassword: 'local321',
-        server: 1,
-        spentindex: 1,
-        timestampindex: 1,
-        txindex: 1,
-        upnp: 0,
+        server: '1',
+        spentindex: '1',
+        timestampindex: '1',
+        txindex: '1',
+        upnp: '0',
         whitelist: '127.0.0.1',
         zmqpubhashblock: 'tcp://127.0.0.1:28332',
         zmqpubrawtx: 'tcp://127.0.0.1:28332'
@@ -437,7 +783,7 @@ describe('Bitcoin Service', function() {
     });
     it('should NOT set https options if node https options are set', function() {
       var writeFileSync = function(path, config) {
-        config.should.equal(defaultBitcoinConf);
+        withoutRandomCredentials(config).should.equal(defaultBitcoinConf);
       };
       var TestBitcoin = proxyquire('../../lib/services/bitcoind', {
         fs: {
@@ -496,7 +842,7 @@ describe('Bitcoin Service', function() {
       log.warn.callCount.should.equal(1);
       node._reindex.should.equal(true);
     });
-    it('should warn if zmq port and hosts do not match', function() {
+    it('will allow zmq topics on different ports', function() {
       var bitcoind = new BitcoinService(baseConfig);
       var config = {
         txindex: 1,
@@ -504,13 +850,36 @@ describe('Bitcoin Service', function() {
         spentindex: 1,
         server: 1,
         zmqpubrawtx: 'tcp://127.0.0.1:28332',
-        zmqpubhashblock: 'tcp://127.0.0.1:28331',
-        reindex: 1
+        zmqpubhashblock: 'tcp://127.0.0.1:28331'
       };
       var node = {};
+      bitcoind._checkConfigIndexes(config, node);
+      should.not.exist(node._reindex);
+    });
+    it('will accept rawblock and hashtx instead of hashblock and rawtx', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var config = {
+        txindex: 1,
+        addressindex: 1,
+        spentindex: 1,
+        server: 1,
+        zmqpubhashtx: 'tcp://127.0.0.1:28332',
+        zmqpubrawblock: 'tcp://127.0.0.1:28331'
+      };
+      bitcoind._checkConfigIndexes(config, {});
+    });
+    it('will throw without a block topic', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var config = {
+        txindex: 1,
+        addressindex: 1,
+        spentindex: 1,
+        server: 1,
+        zmqpubrawtx: 'tcp://127.0.0.1:28332'
+      };
       (function() {
-        bitcoind._checkConfigIndexes(config, node);
-      }).should.throw('"zmqpubrawtx" and "zmqpubhashblock"');
+        bitcoind._checkConfigIndexes(config, {});
+      }).should.throw('"zmqpubhashblock"');
     });
   });
 
@@ -533,1239 +902,4254 @@ describe('Bitcoin Service', function() {
       should.equal(bitcoind.balanceCache.get(keys[0]), undefined);
       should.equal(bitcoind.summaryCache.get(keys[0]), undefined);
     });
+    it('will not reset caches that are valid indefinitely', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.rawBlockCache.set('hash', new Buffer('00', 'hex'));
+      bitcoind._resetCaches();
+      should.exist(bitcoind.rawBlockCache.get('hash'));
+    });
   });
 
-  describe('#_tryAllClients', function() {
-    it('will retry for each node client', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.tryAllInterval = 1;
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
-        }
+  describe('#_initPersistentCache', function() {
+    var sandbox = sinon.sandbox.create();
+    var TestBitcoin;
+    var open;
+    var DiskCache;
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      open = sinon.stub().callsArg(0);
+      DiskCache = sinon.spy(function() {
+        this.open = open;
       });
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
-        }
+      TestBitcoin = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        '../diskcache': DiskCache
       });
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArg(0)
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will not open a persistent cache without the option', function(done) {
+      var bitcoind = new TestBitcoin(baseConfig);
+      bitcoind._initPersistentCache(function(err) {
+        if (err) {
+          return done(err);
         }
+        should.equal(bitcoind.persistentCache, null);
+        DiskCache.callCount.should.equal(0);
+        done();
       });
-      bitcoind._tryAllClients(function(client, next) {
-        client.getInfo(next);
-      }, function(err) {
+    });
+    it('will open the persistent cache in the datadir', function(done) {
+      var config = _.extend({}, baseConfig, {persistentCache: {}});
+      var bitcoind = new TestBitcoin(config);
+      bitcoind._initPersistentCache(function(err) {
         if (err) {
           return done(err);
         }
-        bitcoind.nodes[0].client.getInfo.callCount.should.equal(1);
-        bitcoind.nodes[1].client.getInfo.callCount.should.equal(1);
-        bitcoind.nodes[2].client.getInfo.callCount.should.equal(1);
+        DiskCache.args[0][0].should.deep.equal({
+          dir: path.resolve(bitcoind.options.spawn.datadir, 'bitcore-cache'),
+          maxSize: 1024 * 1024 * 1024
+        });
+        open.callCount.should.equal(1);
+        bitcoind.persistentCache.should.be.instanceof(DiskCache);
         done();
       });
     });
-    it('will start using the current node index (round-robin)', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.tryAllInterval = 1;
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('2'))
+    it('will open the persistent cache in a directory', function(done) {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        connect: [{rpchost: 'localhost'}],
+        persistentCache: {dir: '/tmp/cache', maxSize: 1000}
+      };
+      var bitcoind = new TestBitcoin(config);
+      bitcoind._initPersistentCache(function(err) {
+        if (err) {
+          return done(err);
         }
+        DiskCache.args[0][0].should.deep.equal({dir: '/tmp/cache', maxSize: 1000});
+        done();
       });
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('3'))
-        }
+    });
+    it('will give an error without a directory and without spawn', function(done) {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        connect: [{rpchost: 'localhost'}],
+        persistentCache: {}
+      };
+      var bitcoind = new TestBitcoin(config);
+      bitcoind._initPersistentCache(function(err) {
+        err.should.be.instanceof(TypeError);
+        err.message.should.equal('"persistentCache.dir" is expected without "spawn"');
+        done();
       });
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('1'))
-        }
+    });
+    it('will give an error with an invalid size', function(done) {
+      var config = _.extend({}, baseConfig, {persistentCache: {maxSize: '1GB'}});
+      var bitcoind = new TestBitcoin(config);
+      bitcoind._initPersistentCache(function(err) {
+        err.should.be.instanceof(TypeError);
+        err.message.should.equal('"persistentCache.maxSize" is expected to be a positive number of bytes');
+        done();
       });
-      bitcoind.nodesIndex = 2;
-      bitcoind._tryAllClients(function(client, next) {
-        client.getInfo(next);
-      }, function(err) {
-        err.should.be.instanceOf(Error);
-        err.message.should.equal('3');
-        bitcoind.nodes[0].client.getInfo.callCount.should.equal(1);
-        bitcoind.nodes[1].client.getInfo.callCount.should.equal(1);
-        bitcoind.nodes[2].client.getInfo.callCount.should.equal(1);
-        bitcoind.nodesIndex.should.equal(2);
+    });
+    it('will give an error from opening the persistent cache', function(done) {
+      open.callsArgWith(0, new Error('test'));
+      var config = _.extend({}, baseConfig, {persistentCache: {}});
+      var bitcoind = new TestBitcoin(config);
+      bitcoind._initPersistentCache(function(err) {
+        err.message.should.equal('test');
+        should.equal(bitcoind.persistentCache, null);
         done();
       });
     });
-    it('will get error if all clients fail', function(done) {
+  });
+
+  describe('#_isBuried', function() {
+    it('will give if a block has enough confirmations', function() {
+      var config = _.extend({}, baseConfig, {persistentCache: {confirmations: 10}});
+      var bitcoind = new BitcoinService(config);
+      bitcoind.height = 100;
+      bitcoind._isBuried(91).should.equal(true);
+      bitcoind._isBuried(92).should.equal(false);
+      bitcoind._isBuried(-1).should.equal(false);
+      bitcoind._isBuried(undefined).should.equal(false);
+    });
+    it('will not give a block as buried without the height of the chain', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.tryAllInterval = 1;
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
-        }
+      bitcoind._isBuried(0).should.equal(false);
+    });
+  });
+
+  describe('#_readPersistentCache', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will give null without a persistent cache', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._readPersistentCache('rawBlock', 'hash', function(err, buffer) {
+        should.not.exist(err);
+        should.equal(buffer, null);
+        done();
       });
-      bitcoind._tryAllClients(function(client, next) {
-        client.getInfo(next);
-      }, function(err) {
-        should.exist(err);
-        err.should.be.instanceOf(Error);
-        err.message.should.equal('test');
+    });
+    it('will give the buffer of the key', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, new Buffer('01', 'hex'))
+      };
+      bitcoind._readPersistentCache('rawBlock', 'hash', function(err, buffer) {
+        should.not.exist(err);
+        bitcoind.persistentCache.get.args[0][0].should.equal('rawBlock-hash');
+        buffer.toString('hex').should.equal('01');
         done();
       });
     });
-  });
-
-  describe('#_wrapRPCError', function() {
-    it('will convert bitcoind-rpc error object into JavaScript error', function() {
+    it('will log a warning and give null with an error', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var error = bitcoind._wrapRPCError({message: 'Test error', code: -1});
-      error.should.be.an.instanceof(errors.RPCError);
-      error.code.should.equal(-1);
-      error.message.should.equal('Test error');
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, new Error('test'))
+      };
+      bitcoind._readPersistentCache('rawBlock', 'hash', function(err, buffer) {
+        should.not.exist(err);
+        should.equal(buffer, null);
+        log.warn.callCount.should.equal(1);
+        done();
+      });
     });
   });
 
-  describe('#_initChain', function() {
+  describe('#_persistBlock', function() {
+    var blockhash = '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+    var blockhex = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+    var blockBuffer = new Buffer(blockhex, 'hex');
+    var txid = '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b';
     var sandbox = sinon.sandbox.create();
     beforeEach(function() {
-      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
     });
     afterEach(function() {
       sandbox.restore();
     });
-    it('will set height and genesis buffer', function(done) {
+    function createService() {
       var bitcoind = new BitcoinService(baseConfig);
-      var genesisBuffer = new Buffer([]);
-      bitcoind.getRawBlock = sinon.stub().callsArgWith(1, null, genesisBuffer);
+      bitcoind.height = 200;
+      bitcoind.persistentCache = {
+        set: sinon.stub().callsArg(2)
+      };
+      return bitcoind;
+    }
+    it('will write a buried block with its transactions', function() {
+      var bitcoind = createService();
+      bitcoind._persistBlock(blockhash, 0, blockBuffer);
+      bitcoind.persistentCache.set.callCount.should.equal(2);
+      bitcoind.persistentCache.set.args[0][0].should.equal('rawBlock-' + blockhash);
+      bitcoind.persistentCache.set.args[0][1].should.equal(blockBuffer);
+      bitcoind.persistentCache.set.args[1][0].should.equal('rawTransaction-' + txid);
+    });
+    it('will not write a block that is not buried', function() {
+      var bitcoind = createService();
+      bitcoind._persistBlock(blockhash, 150, blockBuffer);
+      bitcoind.persistentCache.set.callCount.should.equal(0);
+    });
+    it('will get the height of the block from the chain headers', function() {
+      var bitcoind = createService();
+      bitcoind.getBlockHeader = sinon.stub();
+      bitcoind.chainHeaders = [{hash: blockhash, height: 0}, {hash: 'other', height: 1}];
+      bitcoind._persistBlock(blockhash, undefined, blockBuffer);
+      bitcoind.getBlockHeader.callCount.should.equal(0);
+      bitcoind.persistentCache.set.callCount.should.equal(2);
+    });
+    it('will get the height of the block from the cached block header', function() {
+      var bitcoind = createService();
+      bitcoind.blockHeaderCache.set(blockhash, {hash: blockhash, height: 0, confirmations: 201});
+      bitcoind._persistBlock(blockhash, undefined, blockBuffer);
+      bitcoind.persistentCache.set.callCount.should.equal(2);
+    });
+    it('will not write a block with an unknown height', function() {
+      var bitcoind = createService();
+      bitcoind.getBlockHeader = sinon.stub();
+      bitcoind.blockHeaderCache.set(blockhash, {hash: blockhash, height: 0, confirmations: -1});
+      bitcoind._persistBlock(blockhash, undefined, blockBuffer);
+      bitcoind.getBlockHeader.callCount.should.equal(0);
+      bitcoind.persistentCache.set.callCount.should.equal(0);
+    });
+    it('will log a warning with an error from writing', function() {
+      var bitcoind = createService();
+      bitcoind.persistentCache.set = sinon.stub().callsArgWith(2, new Error('test'));
+      bitcoind._persistBlock(blockhash, 0, blockBuffer);
+      log.warn.callCount.should.equal(2);
+    });
+    it('will not write without a persistent cache', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getKnownBlockHeight = sinon.stub();
+      bitcoind._persistBlock(blockhash, undefined, blockBuffer);
+      bitcoind._getKnownBlockHeight.callCount.should.equal(0);
+    });
+  });
+
+  describe('#_persistTransaction', function() {
+    it('will write a transaction that is buried', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 200;
+      bitcoind.persistentCache = {
+        set: sinon.stub().callsArg(2)
+      };
+      bitcoind._persistTransaction('txid1', 10, new Buffer('01', 'hex'));
+      bitcoind._persistTransaction('txid2', 150, new Buffer('02', 'hex'));
+      bitcoind._persistTransaction('txid3', undefined, new Buffer('03', 'hex'));
+      bitcoind.persistentCache.set.callCount.should.equal(1);
+      bitcoind.persistentCache.set.args[0][0].should.equal('rawTransaction-txid1');
+    });
+  });
+
+  describe('#_updateConfirmations', function() {
+    it('will give the confirmations from the current height', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 20;
+      var result = {height: 10, confirmations: 5};
+      bitcoind._updateConfirmations(result).should.deep.equal({height: 10, confirmations: 11});
+      result.confirmations.should.equal(5);
+    });
+    it('will keep the confirmations of blocks that are not in the main chain', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 20;
+      bitcoind._updateConfirmations({height: 10, confirmations: -1}).confirmations.should.equal(-1);
+    });
+  });
+
+  describe('#_tryAllClients', function() {
+    it('will cancel the request and stop trying', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.tryAllInterval = 1;
+      var request = {cancel: sinon.stub()};
+      var getInfo = sinon.stub().returns(request);
+      bitcoind.nodes.push({client: {getInfo: getInfo}}, {client: {getInfo: getInfo}});
+      var tried = bitcoind._tryAllClients(function(client, next) {
+        return client.getInfo(next);
+      }, function(err) {
+        err.should.be.instanceof(errors.CancelledError);
+        request.cancel.callCount.should.equal(1);
+        getInfo.args[0][0](new errors.CancelledError('cancelled'));
+        getInfo.callCount.should.equal(1);
+        bitcoind.nodes[0].health.failures.should.equal(0);
+        done();
+      });
+      tried.cancel();
+    });
+    it('will not retry a cancelled request', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getInfo = sinon.stub().callsArgWith(0, new errors.CancelledError('cancelled'));
+      bitcoind.nodes.push({client: {getInfo: getInfo}}, {client: {getInfo: getInfo}});
+      bitcoind._tryAllClients(function(client, next) {
+        return client.getInfo(next);
+      }, function(err) {
+        err.should.be.instanceof(errors.CancelledError);
+        getInfo.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will try quarantined nodes last', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.tryAllInterval = 1;
       bitcoind.nodes.push({
         client: {
-          getBestBlockHash: function(callback) {
-            callback(null, {
-              result: 'bestblockhash'
-            });
-          },
-          getBlock: function(hash, callback) {
-            if (hash === 'bestblockhash') {
-              callback(null, {
-                result: {
-                  height: 5000
-                }
-              });
-            }
-          },
-          getBlockHash: function(num, callback) {
-            callback(null, {
-              result: 'genesishash'
-            });
-          }
+          getInfo: sinon.stub().callsArg(0)
+        },
+        health: {quarantined: true}
+      });
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArg(0)
         }
       });
-      bitcoind._initChain(function() {
-        log.info.callCount.should.equal(1);
-        bitcoind.getRawBlock.callCount.should.equal(1);
-        bitcoind.getRawBlock.args[0][0].should.equal('genesishash');
-        bitcoind.height.should.equal(5000);
-        bitcoind.genesisBuffer.should.equal(genesisBuffer);
+      bitcoind._tryAllClients(function(client, next) {
+        client.getInfo(next);
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.nodes[0].client.getInfo.callCount.should.equal(0);
+        bitcoind.nodes[1].client.getInfo.callCount.should.equal(1);
+        should.exist(bitcoind.nodes[1].health.lastSuccess);
         done();
       });
     });
-    it('it will handle error from getBestBlockHash', function(done) {
+    it('will retry for each node client', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -1, message: 'error'});
+      bitcoind.tryAllInterval = 1;
       bitcoind.nodes.push({
         client: {
-          getBestBlockHash: getBestBlockHash
+          getInfo: sinon.stub().callsArgWith(0, connectionError('test'))
         }
       });
-      bitcoind._initChain(function(err) {
-        err.should.be.instanceOf(Error);
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, connectionError('test'))
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArg(0)
+        }
+      });
+      bitcoind._tryAllClients(function(client, next) {
+        client.getInfo(next);
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.nodes[0].client.getInfo.callCount.should.equal(1);
+        bitcoind.nodes[1].client.getInfo.callCount.should.equal(1);
+        bitcoind.nodes[2].client.getInfo.callCount.should.equal(1);
         done();
       });
     });
-    it('it will handle error from getBlock', function(done) {
+    it('will start using the current node index (round-robin)', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {});
-      var getBlock = sinon.stub().callsArgWith(1, {code: -1, message: 'error'});
+      bitcoind.tryAllInterval = 1;
       bitcoind.nodes.push({
         client: {
-          getBestBlockHash: getBestBlockHash,
-          getBlock: getBlock
+          getInfo: sinon.stub().callsArgWith(0, connectionError('2'))
         }
       });
-      bitcoind._initChain(function(err) {
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, connectionError('3'))
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, connectionError('1'))
+        }
+      });
+      bitcoind.nodesIndex = 2;
+      bitcoind._tryAllClients(function(client, next) {
+        client.getInfo(next);
+      }, function(err) {
         err.should.be.instanceOf(Error);
+        err.message.should.equal('3');
+        bitcoind.nodes[0].client.getInfo.callCount.should.equal(1);
+        bitcoind.nodes[1].client.getInfo.callCount.should.equal(1);
+        bitcoind.nodes[2].client.getInfo.callCount.should.equal(1);
+        bitcoind.nodesIndex.should.equal(2);
         done();
       });
     });
-    it('it will handle error from getBlockHash', function(done) {
+    it('will get error if all clients fail', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {});
-      var getBlock = sinon.stub().callsArgWith(1, null, {
-        result: {
-          height: 10
+      bitcoind.tryAllInterval = 1;
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
         }
       });
-      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'error'});
       bitcoind.nodes.push({
         client: {
-          getBestBlockHash: getBestBlockHash,
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
+          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
         }
       });
-      bitcoind._initChain(function(err) {
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, new Error('test'))
+        }
+      });
+      bitcoind._tryAllClients(function(client, next) {
+        client.getInfo(next);
+      }, function(err) {
+        should.exist(err);
         err.should.be.instanceOf(Error);
+        err.message.should.equal('test');
         done();
       });
     });
-    it('it will handle error from getRawBlock', function(done) {
+    it('will not retry an error that is not retriable', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {});
-      var getBlock = sinon.stub().callsArgWith(1, null, {
-        result: {
-          height: 10
+      bitcoind.tryAllInterval = 1;
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, {code: -8, message: 'Invalid parameter'})
         }
       });
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {});
       bitcoind.nodes.push({
         client: {
-          getBestBlockHash: getBestBlockHash,
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
+          getInfo: sinon.stub().callsArg(0)
         }
       });
-      bitcoind.getRawBlock = sinon.stub().callsArgWith(1, new Error('test'));
-      bitcoind._initChain(function(err) {
-        err.should.be.instanceOf(Error);
+      bitcoind._tryAllClients(function(client, next) {
+        client.getInfo(function(err) {
+          next(err && bitcoind._wrapRPCError(err));
+        });
+      }, function(err) {
+        err.should.be.instanceOf(errors.RPCError);
+        err.code.should.equal(-8);
+        bitcoind.nodes[1].client.getInfo.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will retry a timeout with the next node', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.tryAllInterval = 1;
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, new errors.TimeoutError('timed out'))
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, null, {result: 'info'})
+        }
+      });
+      bitcoind._tryAllClients(function(client, next) {
+        client.getInfo(next);
+      }, function(err, response) {
+        if (err) {
+          return done(err);
+        }
+        response.result.should.equal('info');
+        bitcoind.nodes[0].health.failures.should.equal(1);
         done();
       });
     });
   });
 
-  describe('#_getDefaultConf', function() {
-    afterEach(function() {
-      bitcore.Networks.disableRegtest();
-      baseConfig.node.network = bitcore.Networks.testnet;
-    });
-    it('will get default rpc port for livenet', function() {
-      var config = {
-        node: {
-          network: bitcore.Networks.livenet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
+  describe('#_callClients', function() {
+    it('will call the method with the params and update the health of the node', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getBlockHashes: sinon.stub().callsArgWith(2, null, {result: ['hash']})
         }
-      };
-      var bitcoind = new BitcoinService(config);
-      bitcoind._getDefaultConf().rpcport.should.equal(8332);
+      });
+      bitcoind._callClients('getBlockHashes', [10, 5], function(err, response) {
+        if (err) {
+          return done(err);
+        }
+        response.result.should.deep.equal(['hash']);
+        bitcoind.nodes[0].client.getBlockHashes.args[0][0].should.equal(10);
+        bitcoind.nodes[0].client.getBlockHashes.args[0][1].should.equal(5);
+        should.exist(bitcoind.nodes[0].health.lastSuccess);
+        done();
+      });
     });
-    it('will get default rpc port for testnet', function() {
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
+    it('will try the next node and record the failure', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.tryAllInterval = 1;
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, new errors.TimeoutError('timed out'))
         }
-      };
-      var bitcoind = new BitcoinService(config);
-      bitcoind._getDefaultConf().rpcport.should.equal(18332);
-    });
-    it('will get default rpc port for regtest', function() {
-      bitcore.Networks.enableRegtest();
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
+      });
+      bitcoind.nodes.push({
+        client: {
+          getInfo: sinon.stub().callsArgWith(0, null, {result: 'info'})
         }
-      };
-      var bitcoind = new BitcoinService(config);
-      bitcoind._getDefaultConf().rpcport.should.equal(18332);
+      });
+      bitcoind._callClients('getInfo', [], function(err, response) {
+        if (err) {
+          return done(err);
+        }
+        response.result.should.equal('info');
+        bitcoind.nodes[0].health.failures.should.equal(1);
+        bitcoind.nodes[1].health.failures.should.equal(0);
+        done();
+      });
     });
   });
 
-  describe('#_getNetworkConfigPath', function() {
-    afterEach(function() {
-      bitcore.Networks.disableRegtest();
-      baseConfig.node.network = bitcore.Networks.testnet;
+  describe('#_isRetriableError', function() {
+    var bitcoind = new BitcoinService(baseConfig);
+    function rpcError(code, message) {
+      var err = new errors.RPCError(message);
+      err.code = code;
+      return err;
+    }
+    it('will retry timeouts and connection errors', function() {
+      bitcoind._isRetriableError(new errors.TimeoutError('timed out')).should.equal(true);
+      ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT'].forEach(function(code) {
+        var err = new Error('Bitcoin JSON-RPC: Request Error: ' + code);
+        err.code = code;
+        bitcoind._isRetriableError(err).should.equal(true);
+      });
+    });
+    it('will not retry rejected authentications, TLS and response errors', function() {
+      var tlsError = new Error('Bitcoin JSON-RPC: Request Error: unable to verify the first certificate');
+      tlsError.code = 'UNABLE_TO_VERIFY_LEAF_SIGNATURE';
+      bitcoind._isRetriableError(tlsError).should.equal(false);
+      var authError = new Error('Bitcoin JSON-RPC: Connection Rejected: 401 Unnauthorized');
+      bitcoind._isRetriableError(authError).should.equal(false);
+      bitcoind._isRetriableError(new Error('Bitcoin JSON-RPC: Error Parsing JSON: test')).should.equal(false);
+      bitcoind._isRetriableError(new errors.CancelledError('cancelled')).should.equal(false);
+    });
+    it('will retry transient error codes', function() {
+      bitcoind._isRetriableError(rpcError(-28, 'Loading block index...')).should.equal(true);
+      bitcoind._isRetriableError(rpcError(-10, 'Horizen is downloading blocks...')).should.equal(true);
+      bitcoind._isRetriableError(rpcError(429, 'Work queue depth exceeded')).should.equal(true);
+    });
+    it('will retry blocks and transactions that are not found', function() {
+      bitcoind._isRetriableError(rpcError(-5, 'Block not found')).should.equal(true);
+      bitcoind._isRetriableError(rpcError(-5, 'No information available about transaction')).should.equal(true);
+    });
+    it('will not retry invalid requests', function() {
+      bitcoind._isRetriableError(rpcError(-5, 'Invalid address')).should.equal(false);
+      bitcoind._isRetriableError(rpcError(-8, 'Invalid parameter')).should.equal(false);
+      bitcoind._isRetriableError(rpcError(-32601, 'Method not found')).should.equal(false);
+      bitcoind._isRetriableError(rpcError(-26, '16: bad-txns-inputs-spent')).should.equal(false);
     });
-    it('will get default config path for livenet', function() {
-      var config = {
-        node: {
-          network: bitcore.Networks.livenet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
-        }
-      };
-      var bitcoind = new BitcoinService(config);
-      should.equal(bitcoind._getNetworkConfigPath(), undefined);
+  });
+
+  describe('#_getRPCTimeout', function() {
+    it('will give the default timeouts', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getRPCTimeout('getInfo').should.equal(30000);
+      bitcoind._getRPCTimeout('getAddressTxids').should.equal(120000);
+      bitcoind._getRPCTimeout('generate').should.equal(0);
     });
-    it('will get default rpc port for testnet', function() {
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
+    it('will give the configured timeouts by method name', function() {
+      var config = _.extend({}, baseConfig, {
+        rpcTimeout: 5000,
+        rpcTimeouts: {
+          getAddressTxids: 60000,
+          getscinfo: 0
         }
-      };
+      });
       var bitcoind = new BitcoinService(config);
-      bitcoind._getNetworkConfigPath().should.equal('testnet3/zen.conf');
+      bitcoind._getRPCTimeout('getInfo').should.equal(5000);
+      bitcoind._getRPCTimeout('getaddresstxids').should.equal(60000);
+      bitcoind._getRPCTimeout('getScInfo').should.equal(0);
+      bitcoind._getRPCTimeout('getAddressUtxos').should.equal(120000);
     });
-    it('will get default rpc port for regtest', function() {
-      bitcore.Networks.enableRegtest();
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
-        }
-      };
-      var bitcoind = new BitcoinService(config);
-      bitcoind._getNetworkConfigPath().should.equal('regtest/zen.conf');
+    it('will give the longest timeout of the methods of a request', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getRequestTimeout(['getinfo', 'getaddressutxos']).should.equal(120000);
+      bitcoind._getRequestTimeout(['getinfo', 'generate']).should.equal(0);
     });
   });
 
-  describe('#_getNetworkOption', function() {
-    afterEach(function() {
-      bitcore.Networks.disableRegtest();
-      baseConfig.node.network = bitcore.Networks.testnet;
-    });
-    it('return --testnet for testnet', function() {
+  describe('#_getNodeState', function() {
+    it('will give healthy for a new node', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.node.network = bitcore.Networks.testnet;
-      bitcoind._getNetworkOption().should.equal('--testnet');
+      bitcoind._getNodeState({client: {}}).should.equal('healthy');
     });
-    it('return --regtest for testnet', function() {
+    it('will give quarantined', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.node.network = bitcore.Networks.testnet;
-      bitcore.Networks.enableRegtest();
-      bitcoind._getNetworkOption().should.equal('--regtest');
+      var node = {client: {}};
+      bitcoind._getNodeHealth(node).quarantined = true;
+      bitcoind._getNodeState(node).should.equal('quarantined');
     });
-    it('return undefined for livenet', function() {
+    it('will give lagging if behind the tip by more than max lag', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.node.network = bitcore.Networks.livenet;
-      bitcore.Networks.enableRegtest();
-      should.equal(bitcoind._getNetworkOption(), undefined);
+      bitcoind.height = 100;
+      var node = {client: {}};
+      bitcoind._getNodeHealth(node).height = 96;
+      bitcoind._getNodeState(node).should.equal('lagging');
+      node.health.height = 97;
+      bitcoind._getNodeState(node).should.equal('healthy');
     });
   });
 
-  describe('#_zmqBlockHandler', function() {
-    it('will emit block', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var node = {};
-      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
-      bitcoind._rapidProtectedUpdateTip = sinon.stub();
-      bitcoind.on('block', function(block) {
-        block.should.equal(message);
-        done();
+  describe('#_getNodesOrder', function() {
+    function createNodes(bitcoind, latencies) {
+      latencies.forEach(function(latency, index) {
+        var node = {client: {index: index}};
+        bitcoind._getNodeHealth(node).latency = latency;
+        bitcoind.nodes.push(node);
       });
-      bitcoind._zmqBlockHandler(node, message);
+    }
+    function getIndexes(nodes) {
+      return nodes.map(function(node) {
+        return node.client.index;
+      });
+    }
+    it('will rotate from the current index with unhealthy nodes last', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      createNodes(bitcoind, [10, 20, 30, 40]);
+      bitcoind.nodes[2].health.quarantined = true;
+      bitcoind.nodesIndex = 1;
+      getIndexes(bitcoind._getNodesOrder()).should.deep.equal([1, 3, 0, 2]);
     });
-    it('will not emit same block twice', function(done) {
+    it('will order by latency', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var node = {};
-      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
-      bitcoind._rapidProtectedUpdateTip = sinon.stub();
-      bitcoind.on('block', function(block) {
-        block.should.equal(message);
-        done();
-      });
-      bitcoind._zmqBlockHandler(node, message);
-      bitcoind._zmqBlockHandler(node, message);
+      bitcoind.clientStrategy = 'latency';
+      createNodes(bitcoind, [30, 10, 20]);
+      getIndexes(bitcoind._getNodesOrder()).should.deep.equal([1, 2, 0]);
     });
-    it('will call function to update tip', function() {
+    it('will use the first healthy node as primary', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var node = {};
-      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
-      bitcoind._rapidProtectedUpdateTip = sinon.stub();
-      bitcoind._zmqBlockHandler(node, message);
-      bitcoind._rapidProtectedUpdateTip.callCount.should.equal(1);
-      bitcoind._rapidProtectedUpdateTip.args[0][0].should.equal(node);
-      bitcoind._rapidProtectedUpdateTip.args[0][1].should.equal(message);
+      bitcoind.clientStrategy = 'primary';
+      createNodes(bitcoind, [30, 10, 20]);
+      bitcoind.nodesIndex = 2;
+      getIndexes(bitcoind._getNodesOrder()).should.deep.equal([0, 1, 2]);
+      bitcoind.nodes[0].health.quarantined = true;
+      getIndexes(bitcoind._getNodesOrder()).should.deep.equal([1, 2, 0]);
     });
-    it('will emit to subscribers', function(done) {
+    it('will move nodes behind the required height last', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var node = {};
-      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
-      bitcoind._rapidProtectedUpdateTip = sinon.stub();
-      var emitter = new EventEmitter();
-      bitcoind.subscriptions.hashblock.push(emitter);
-      emitter.on('bitcoind/hashblock', function(blockHash) {
-        blockHash.should.equal(message.toString('hex'));
-        done();
-      });
-      bitcoind._zmqBlockHandler(node, message);
+      var node1 = {client: {}, health: {height: 99}};
+      var node2 = {client: {}, health: {height: null}};
+      var node3 = {client: {}, health: {height: 100}};
+      bitcoind.nodes.push(node1, node2, node3);
+      bitcoind._getNodesOrder({height: 100}).should.deep.equal([node2, node3, node1]);
+    });
+    it('will move nodes that a transaction is pinned to first', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node1 = {client: {}};
+      var node2 = {client: {}};
+      bitcoind.nodes.push(node1, node2);
+      bitcoind._pinTransaction('txid', [node2]);
+      bitcoind._getNodesOrder({txid: 'txid'}).should.deep.equal([node2, node1]);
+      bitcoind._getNodesOrder({txid: 'other'}).should.deep.equal([node1, node2]);
+    });
+    it('will move nodes that any of the transactions are pinned to first', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node1 = {client: {}};
+      var node2 = {client: {}};
+      var node3 = {client: {}};
+      bitcoind.nodes.push(node1, node2, node3);
+      bitcoind._pinTransaction('txid1', [node3]);
+      bitcoind._getNodesOrder({txids: ['txid2', 'txid1']}).should.deep.equal([node3, node1, node2]);
     });
   });
 
-  describe('#_rapidProtectedUpdateTip', function() {
-    it('will limit tip updates with rapid calls', function(done) {
+  describe('#_updateNodeHealth', function() {
+    it('will update latency and reset failures on success', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var callCount = 0;
-      bitcoind._updateTip = function() {
-        callCount++;
-        callCount.should.be.within(1, 2);
-        if (callCount > 1) {
-          done();
-        }
-      };
-      var node = {};
-      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
-      var count = 0;
-      function repeat() {
-        bitcoind._rapidProtectedUpdateTip(node, message);
-        count++;
-        if (count < 50) {
-          repeat();
-        }
-      }
-      repeat();
+      var node = {client: {}};
+      bitcoind._getNodeHealth(node).failures = 2;
+      bitcoind._updateNodeHealth(node, null, 100);
+      node.health.latency.should.equal(100);
+      node.health.failures.should.equal(0);
+      bitcoind._updateNodeHealth(node, null, 200);
+      node.health.latency.should.equal(130);
+    });
+    it('will not count rpc errors from the daemon as failures', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {client: {}};
+      bitcoind._updateNodeHealth(node, {code: -5, message: 'No information'}, 10);
+      node.health.failures.should.equal(0);
+    });
+    it('will count warming up as a failure', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {client: {}};
+      bitcoind._updateNodeHealth(node, {code: -28, message: 'Loading block index'}, 10);
+      node.health.failures.should.equal(1);
+      node.health.lastError.should.equal('Loading block index');
+    });
+    it('will quarantine after consecutive failures', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._quarantineNode = sinon.stub();
+      var node = {client: {}};
+      bitcoind._updateNodeHealth(node, new Error('test'), 10);
+      bitcoind._updateNodeHealth(node, new Error('test'), 10);
+      bitcoind._quarantineNode.callCount.should.equal(0);
+      bitcoind._updateNodeHealth(node, new Error('test'), 10);
+      bitcoind._quarantineNode.callCount.should.equal(1);
+      bitcoind._quarantineNode.args[0][0].should.equal(node);
     });
   });
 
-  describe('#_updateTip', function() {
+  describe('#_quarantineNode', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+      sandbox.stub(Date, 'now').returns(1000);
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will quarantine with an increasing backoff', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.maxQuarantineInterval = 15000;
+      var node = {client: {host: 'localhost', port: 8232}};
+      bitcoind.nodes.push(node);
+      bitcoind._quarantineNode(node);
+      node.health.quarantined.should.equal(true);
+      node.health.quarantinedUntil.should.equal(6000);
+      should.exist(node.health.probeTimeout);
+      bitcoind._clearNodeProbes();
+      bitcoind._quarantineNode(node);
+      node.health.quarantinedUntil.should.equal(11000);
+      bitcoind._clearNodeProbes();
+      bitcoind._quarantineNode(node);
+      node.health.quarantinedUntil.should.equal(16000);
+      bitcoind._clearNodeProbes();
+      should.equal(node.health.probeTimeout, null);
+    });
+  });
+
+  describe('#_probeNode', function() {
     var sandbox = sinon.sandbox.create();
-    var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
     beforeEach(function() {
-      sandbox.stub(log, 'error');
       sandbox.stub(log, 'info');
     });
     afterEach(function() {
       sandbox.restore();
     });
-    it('log and emit rpc error from get block', function(done) {
+    it('will restore the node', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub();
-      bitcoind.on('error', function(err) {
-        err.code.should.equal(-1);
-        err.message.should.equal('Test error');
-        log.error.callCount.should.equal(1);
-        done();
-      });
       var node = {
         client: {
-          getBlock: sinon.stub().callsArgWith(1, {message: 'Test error', code: -1})
-        }
+          getBlockCount: sinon.stub().callsArgWith(0, null, {result: 120})
+        },
+        health: {quarantined: true, quarantineCount: 2, failures: 3, latency: null}
       };
-      bitcoind._updateTip(node, message);
+      bitcoind._probeNode(node);
+      node.health.quarantined.should.equal(false);
+      node.health.quarantineCount.should.equal(0);
+      node.health.failures.should.equal(0);
+      node.health.height.should.equal(120);
+      log.info.callCount.should.equal(1);
     });
-    it('emit synced if percentage is 100', function(done) {
+    it('will quarantine again on failure', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 100);
-      bitcoind.on('synced', function() {
-        done();
-      });
+      bitcoind._quarantineNode = sinon.stub();
       var node = {
         client: {
-          getBlock: sinon.stub()
-        }
+          getBlockCount: sinon.stub().callsArgWith(0, new Error('ECONNREFUSED'))
+        },
+        health: {quarantined: true}
       };
-      bitcoind._updateTip(node, message);
+      bitcoind._probeNode(node);
+      node.health.quarantined.should.equal(true);
+      node.health.lastError.should.equal('ECONNREFUSED');
+      bitcoind._quarantineNode.callCount.should.equal(1);
     });
-    it('NOT emit synced if percentage is less than 100', function(done) {
+    it('will not probe while stopping', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 99);
-      bitcoind.on('synced', function() {
-        throw new Error('Synced called');
-      });
-      var node = {
-        client: {
-          getBlock: sinon.stub()
-        }
-      };
-      bitcoind._updateTip(node, message);
-      log.info.callCount.should.equal(1);
-      done();
+      bitcoind.node.stopping = true;
+      var node = {client: {getBlockCount: sinon.stub()}};
+      bitcoind._probeNode(node);
+      node.client.getBlockCount.callCount.should.equal(0);
+      bitcoind.node.stopping = false;
     });
-    it('log and emit error from syncPercentage', function(done) {
+  });
+
+  describe('#getCacheStats', function() {
+    it('will give the statistics of each cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, new Error('test'));
-      bitcoind.on('error', function(err) {
-        log.error.callCount.should.equal(1);
-        err.message.should.equal('test');
+      bitcoind.rawTransactionCache.set('txid', new Buffer(txhex, 'hex'));
+      bitcoind.rawTransactionCache.get('txid');
+      bitcoind.rawTransactionCache.get('other');
+      bitcoind.getCacheStats(function(err, stats) {
+        if (err) {
+          return done(err);
+        }
+        Object.keys(stats).should.deep.equal(Object.keys(BitcoinService.CACHES));
+        stats.rawTransaction.should.deep.equal({
+          hits: 1,
+          misses: 1,
+          evictions: 0,
+          items: 1,
+          size: txhex.length / 2,
+          maxSize: 32 * 1024 * 1024
+        });
+        stats.rawBlock.items.should.equal(0);
         done();
       });
-      var node = {
-        client: {
-          getBlock: sinon.stub()
-        }
-      };
-      bitcoind._updateTip(node, message);
     });
-    it('reset caches and set height', function(done) {
+    it('will give the statistics of the persistent cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub();
-      bitcoind._resetCaches = sinon.stub();
-      bitcoind.on('tip', function(height) {
-        bitcoind._resetCaches.callCount.should.equal(1);
-        height.should.equal(10);
-        bitcoind.height.should.equal(10);
+      bitcoind.persistentCache = {
+        getStats: sinon.stub().returns({hits: 1})
+      };
+      bitcoind.getCacheStats(function(err, stats) {
+        if (err) {
+          return done(err);
+        }
+        stats.persistent.should.deep.equal({hits: 1});
         done();
       });
-      var node = {
-        client: {
-          getBlock: sinon.stub().callsArgWith(1, null, {
-            result: {
-              height: 10
-            }
-          })
-        }
-      };
-      bitcoind._updateTip(node, message);
     });
-    it('will NOT update twice for the same hash', function(done) {
+  });
+
+  describe('#getNodesStatus', function() {
+    it('will give the status of each node', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub();
-      bitcoind._resetCaches = sinon.stub();
-      bitcoind.on('tip', function() {
-        done();
+      bitcoind.height = 100;
+      bitcoind.nodes.push({
+        client: {host: 'node1', port: 8232},
+        health: {quarantined: false, latency: 12, height: 100, failures: 0}
       });
-      var node = {
-        client: {
-          getBlock: sinon.stub().callsArgWith(1, null, {
-            result: {
-              height: 10
-            }
-          })
-        }
-      };
-      bitcoind._updateTip(node, message);
-      bitcoind._updateTip(node, message);
-    });
-    it('will not call syncPercentage if node is stopping', function(done) {
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
-        }
-      };
-      var bitcoind = new BitcoinService(config);
-      bitcoind.syncPercentage = sinon.stub();
-      bitcoind._resetCaches = sinon.stub();
-      bitcoind.node.stopping = true;
-      var node = {
-        client: {
-          getBlock: sinon.stub().callsArgWith(1, null, {
-            result: {
-              height: 10
-            }
-          })
+      bitcoind.nodes.push({
+        client: {host: 'node2', port: 8232},
+        health: {quarantined: true, latency: null, height: 90, failures: 3, lastError: 'test'}
+      });
+      bitcoind.getNodesStatus(function(err, status) {
+        if (err) {
+          return done(err);
         }
-      };
-      bitcoind.on('tip', function() {
-        bitcoind.syncPercentage.callCount.should.equal(0);
+        status.strategy.should.equal('roundrobin');
+        status.height.should.equal(100);
+        status.nodes.length.should.equal(2);
+        status.nodes[0].host.should.equal('node1');
+        status.nodes[0].state.should.equal('healthy');
+        status.nodes[0].latency.should.equal(12);
+        status.nodes[1].state.should.equal('quarantined');
+        status.nodes[1].lastError.should.equal('test');
         done();
       });
-      bitcoind._updateTip(node, message);
     });
   });
 
-  describe('#_getAddressesFromTransaction', function() {
-    it('will get results using bitcore.Transaction', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var wif = 'L2Gkw3kKJ6N24QcDuH4XDqt9cTqsKTVNDGz1CRZhk9cq4auDUbJy';
-      var privkey = bitcore.PrivateKey.fromWIF(wif);
-      var inputAddress = privkey.toAddress(bitcore.Networks.testnet);
-      var outputAddress = bitcore.Address('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br');
-      var tx = bitcore.Transaction();
-      tx.from({
-        txid: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b',
-        outputIndex: 0,
-        script: bitcore.Script(inputAddress),
-        address: inputAddress.toString(),
-        satoshis: 5000000000
-      });
-      tx.to(outputAddress, 5000000000);
-      tx.sign(privkey);
-      var addresses = bitcoind._getAddressesFromTransaction(tx);
-      addresses.length.should.equal(2);
-      addresses[0].should.equal(inputAddress.toString());
-      addresses[1].should.equal(outputAddress.toString());
-    });
-    it('will handle non-standard script types', function() {
+  describe('#_pinTransaction', function() {
+    it('will not pin if every node accepted', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var tx = bitcore.Transaction();
-      tx.addInput(bitcore.Transaction.Input({
-        prevTxId: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b',
-        script: bitcore.Script('OP_TRUE'),
-        outputIndex: 1,
-        output: {
-          script: bitcore.Script('OP_TRUE'),
-          satoshis: 5000000000
-        }
-      }));
-      tx.addOutput(bitcore.Transaction.Output({
-        script: bitcore.Script('OP_TRUE'),
-        satoshis: 5000000000
-      }));
-      var addresses = bitcoind._getAddressesFromTransaction(tx);
-      addresses.length.should.equal(0);
+      var node = {client: {}};
+      bitcoind.nodes.push(node);
+      bitcoind._pinTransaction('txid', [node]);
+      should.not.exist(bitcoind.pinnedTransactions.get('txid'));
     });
-    it('will handle unparsable script types or missing input script', function() {
+  });
+
+  describe('#_updatePinnedTransaction', function() {
+    it('will unpin once every node has the transaction', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var tx = bitcore.Transaction();
-      tx.addOutput(bitcore.Transaction.Output({
-        script: new Buffer('4c', 'hex'),
-        satoshis: 5000000000
-      }));
-      var addresses = bitcoind._getAddressesFromTransaction(tx);
-      addresses.length.should.equal(0);
+      var node1 = {client: {}};
+      var node2 = {client: {}};
+      var node3 = {client: {}};
+      bitcoind.nodes.push(node1, node2, node3);
+      bitcoind._pinTransaction('txid', [node1]);
+      bitcoind._updatePinnedTransaction('txid', node2);
+      bitcoind._updatePinnedTransaction('txid', node2);
+      bitcoind.pinnedTransactions.get('txid').should.deep.equal([node1, node2]);
+      bitcoind._updatePinnedTransaction('txid', node3);
+      should.not.exist(bitcoind.pinnedTransactions.get('txid'));
     });
-    it('will return unique values', function() {
+    it('will ignore transactions that are not pinned', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var tx = bitcore.Transaction();
-      var address = bitcore.Address('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br');
-      tx.addOutput(bitcore.Transaction.Output({
-        script: bitcore.Script(address),
-        satoshis: 5000000000
-      }));
-      tx.addOutput(bitcore.Transaction.Output({
-        script: bitcore.Script(address),
-        satoshis: 5000000000
-      }));
-      var addresses = bitcoind._getAddressesFromTransaction(tx);
-      addresses.length.should.equal(1);
+      bitcoind._updatePinnedTransaction('txid', {});
+      should.not.exist(bitcoind.pinnedTransactions.get('txid'));
     });
   });
 
-  describe('#_notifyAddressTxidSubscribers', function() {
-    it('will emit event if matching addresses', function(done) {
+  describe('#_startDivergenceWatchdog', function() {
+    it('will not start with a single node', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind._getAddressesFromTransaction = sinon.stub().returns([address]);
-      var emitter = new EventEmitter();
-      bitcoind.subscriptions.address[address] = [emitter];
-      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
-      var transaction = {};
-      emitter.on('bitcoind/addresstxid', function(data) {
-        data.address.should.equal(address);
-        data.txid.should.equal(txid);
-        done();
-      });
-      sinon.spy(emitter, 'emit');
-      bitcoind._notifyAddressTxidSubscribers(txid, transaction);
-      emitter.emit.callCount.should.equal(1);
+      bitcoind.nodes.push({client: {}});
+      bitcoind._startDivergenceWatchdog();
+      should.equal(bitcoind.divergenceInterval, null);
     });
-    it('will NOT emit event without matching addresses', function() {
+    it('will check divergence on an interval', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind._getAddressesFromTransaction = sinon.stub().returns([address]);
-      var emitter = new EventEmitter();
-      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
-      var transaction = {};
-      emitter.emit = sinon.stub();
-      bitcoind._notifyAddressTxidSubscribers(txid, transaction);
-      emitter.emit.callCount.should.equal(0);
+      bitcoind.divergenceCheckInterval = 1;
+      bitcoind.nodes.push({client: {}}, {client: {}});
+      bitcoind._checkDivergence = function(callback) {
+        clearInterval(bitcoind.divergenceInterval);
+        callback();
+        done();
+      };
+      bitcoind._startDivergenceWatchdog();
     });
   });
 
-  describe('#_zmqTransactionHandler', function() {
-    it('will emit to subscribers', function(done) {
+  describe('#_startHealthWatchdog', function() {
+    it('will set the last block time and check health on an interval', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.healthCheckInterval = 1;
+      bitcoind._checkHealth = function(callback) {
+        clearInterval(bitcoind.healthInterval);
+        should.exist(bitcoind.lastBlockTime);
+        callback.should.equal(bitcoind._logHealthError);
+        done();
+      };
+      bitcoind._startHealthWatchdog();
+    });
+  });
+
+  describe('#_checkHealth', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+      sandbox.stub(log, 'info');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createService(connections) {
       var bitcoind = new BitcoinService(baseConfig);
-      var expectedBuffer = new Buffer(txhex, 'hex');
+      bitcoind.getInfo = sinon.stub().callsArgWith(0, null, {connections: connections});
+      return bitcoind;
+    }
+    it('will emit stale when no block has arrived within the threshold', function(done) {
+      var bitcoind = createService(8);
+      bitcoind.height = 100;
+      bitcoind.lastBlockTime = Date.now() - 901 * 1000;
       var emitter = new EventEmitter();
-      bitcoind.subscriptions.rawtransaction.push(emitter);
-      emitter.on('bitcoind/rawtransaction', function(hex) {
-        hex.should.be.a('string');
-        hex.should.equal(expectedBuffer.toString('hex'));
+      bitcoind.subscriptions.health.push(emitter);
+      var health = sinon.stub();
+      emitter.on('bitcoind/health', health);
+      var stale = sinon.stub();
+      bitcoind.on('stale', stale);
+      bitcoind._checkHealth(function(err, status) {
+        if (err) {
+          return done(err);
+        }
+        status.healthy.should.equal(false);
+        status.staleTip.should.equal(true);
+        status.lowPeers.should.equal(false);
+        status.staleTipSeconds.should.equal(900);
+        status.secondsSinceLastBlock.should.equal(901);
+        status.height.should.equal(100);
+        stale.callCount.should.equal(1);
+        health.callCount.should.equal(1);
+        health.args[0][0].should.equal(status);
+        bitcoind.healthDegraded.should.equal(true);
         done();
       });
-      var node = {};
-      bitcoind._zmqTransactionHandler(node, expectedBuffer);
     });
-    it('will NOT emit to subscribers more than once for the same tx', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var expectedBuffer = new Buffer(txhex, 'hex');
-      var emitter = new EventEmitter();
-      bitcoind.subscriptions.rawtransaction.push(emitter);
-      emitter.on('bitcoind/rawtransaction', function() {
+    it('will emit stale with too few peers', function(done) {
+      var bitcoind = createService(0);
+      bitcoind.lastBlockTime = Date.now();
+      var stale = sinon.stub();
+      bitcoind.on('stale', stale);
+      bitcoind._checkHealth(function(err, status) {
+        if (err) {
+          return done(err);
+        }
+        status.lowPeers.should.equal(true);
+        status.staleTip.should.equal(false);
+        stale.callCount.should.equal(1);
         done();
       });
-      var node = {};
-      bitcoind._zmqTransactionHandler(node, expectedBuffer);
-      bitcoind._zmqTransactionHandler(node, expectedBuffer);
     });
-    it('will emit "tx" event', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var expectedBuffer = new Buffer(txhex, 'hex');
-      bitcoind.on('tx', function(buffer) {
-        buffer.should.be.instanceof(Buffer);
-        buffer.toString('hex').should.equal(expectedBuffer.toString('hex'));
+    it('will emit recovered once healthy again', function(done) {
+      var bitcoind = createService(8);
+      bitcoind.lastBlockTime = Date.now();
+      bitcoind.healthDegraded = true;
+      var recovered = sinon.stub();
+      bitcoind.on('recovered', recovered);
+      bitcoind._checkHealth(function(err, status) {
+        if (err) {
+          return done(err);
+        }
+        status.healthy.should.equal(true);
+        recovered.callCount.should.equal(1);
+        bitcoind.healthDegraded.should.equal(false);
         done();
       });
-      var node = {};
-      bitcoind._zmqTransactionHandler(node, expectedBuffer);
     });
-    it('will NOT emit "tx" event more than once for the same tx', function(done) {
+    it('will not emit without a change', function(done) {
+      var bitcoind = createService(8);
+      bitcoind.lastBlockTime = Date.now();
+      var emitted = sinon.stub();
+      bitcoind.on('stale', emitted);
+      bitcoind.on('recovered', emitted);
+      bitcoind._checkHealth(function(err) {
+        if (err) {
+          return done(err);
+        }
+        emitted.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will give error from getInfo', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var expectedBuffer = new Buffer(txhex, 'hex');
-      bitcoind.on('tx', function() {
+      bitcoind.getInfo = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind._checkHealth(function(err) {
+        err.message.should.equal('test');
         done();
       });
-      var node = {};
-      bitcoind._zmqTransactionHandler(node, expectedBuffer);
-      bitcoind._zmqTransactionHandler(node, expectedBuffer);
     });
   });
 
-  describe('#_checkSyncedAndSubscribeZmqEvents', function() {
+  describe('#_checkDivergence', function() {
     var sandbox = sinon.sandbox.create();
-    before(function() {
-      sandbox.stub(log, 'error');
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+      sandbox.stub(log, 'info');
     });
-    after(function() {
+    afterEach(function() {
       sandbox.restore();
     });
-    it('log errors, update tip and subscribe to zmq events', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._updateTip = sinon.stub();
-      bitcoind._subscribeZmqEvents = sinon.stub();
-      var blockEvents = 0;
-      bitcoind.on('block', function() {
-        blockEvents++;
-      });
-      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
-        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
-      });
-      getBestBlockHash.onCall(0).callsArgWith(0, {code: -1 , message: 'Test error'});
-      var progress = 0.90;
-      function getProgress() {
-        progress = progress + 0.01;
-        return progress;
-      }
-      var info = {};
-      Object.defineProperty(info, 'result', {
-        get: function() {
-          return {
-            verificationprogress: getProgress()
-          };
-        }
-      });
-      var getBlockchainInfo = sinon.stub().callsArgWith(0, null, info);
-      getBlockchainInfo.onCall(0).callsArgWith(0, {code: -1, message: 'Test error'});
-      var node = {
-        _reindex: true,
-        _reindexWait: 1,
-        _tipUpdateInterval: 1,
+    function createNode(host, hash, height, getBlockHeader) {
+      return {
         client: {
-          getBestBlockHash: getBestBlockHash,
-          getBlockchainInfo: getBlockchainInfo
+          host: host,
+          port: 8231,
+          getBlockchainInfo: sinon.stub().callsArgWith(0, null, {
+            result: {bestblockhash: hash, blocks: height}
+          }),
+          getBlockHeader: getBlockHeader || sinon.stub()
         }
       };
-      bitcoind._checkSyncedAndSubscribeZmqEvents(node);
-      setTimeout(function() {
-        log.error.callCount.should.equal(2);
-        blockEvents.should.equal(11);
-        bitcoind._updateTip.callCount.should.equal(11);
-        bitcoind._subscribeZmqEvents.callCount.should.equal(1);
+    }
+    it('will emit divergence for a node on a fork', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {result: {confirmations: -1}});
+      bitcoind.nodes.push(createNode('node1', 'hash1', 100, getBlockHeader));
+      bitcoind.nodes.push(createNode('node2', 'forkhash', 97));
+      var emitter = new EventEmitter();
+      bitcoind.subscriptions.nodedivergence.push(emitter);
+      var emitted = sinon.stub();
+      emitter.on('bitcoind/nodedivergence', emitted);
+      bitcoind.on('divergence', function(divergence) {
+        divergence.host.should.equal('node2');
+        divergence.hash.should.equal('forkhash');
+        divergence.height.should.equal(97);
+        divergence.bestHash.should.equal('hash1');
+        divergence.bestHeight.should.equal(100);
+        divergence.depth.should.equal(3);
+        divergence.forked.should.equal(true);
+        should.exist(divergence.since);
+        getBlockHeader.args[0][0].should.equal('forkhash');
+      });
+      bitcoind._checkDivergence(function(err) {
+        if (err) {
+          return done(err);
+        }
+        emitted.callCount.should.equal(1);
         done();
-      }, 200);
+      });
     });
-    it('it will clear interval if node is stopping', function(done) {
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
+    it('will not emit divergence within depth and time', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {result: {confirmations: 2}});
+      bitcoind.nodes.push(createNode('node1', 'hash1', 100, getBlockHeader));
+      bitcoind.nodes.push(createNode('node2', 'hash2', 99));
+      var emitted = sinon.stub();
+      bitcoind.on('divergence', emitted);
+      bitcoind._checkDivergence(function(err) {
+        if (err) {
+          return done(err);
         }
-      };
-      var bitcoind = new BitcoinService(config);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -1, message: 'error'});
-      var node = {
-        _tipUpdateInterval: 1,
-        client: {
-          getBestBlockHash: getBestBlockHash
+        emitted.callCount.should.equal(0);
+        should.exist(bitcoind.nodes[1].health.divergedSince);
+        done();
+      });
+    });
+    it('will emit divergence once after max time', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {result: {confirmations: 2}});
+      bitcoind.nodes.push(createNode('node1', 'hash1', 100, getBlockHeader));
+      bitcoind.nodes.push(createNode('node2', 'hash2', 99));
+      bitcoind._getNodeHealth(bitcoind.nodes[1]).divergedSince = Date.now() - bitcoind.maxDivergenceTime;
+      var emitted = sinon.stub();
+      bitcoind.on('divergence', emitted);
+      bitcoind._checkDivergence(function(err) {
+        if (err) {
+          return done(err);
         }
-      };
-      bitcoind._checkSyncedAndSubscribeZmqEvents(node);
-      setTimeout(function() {
-        bitcoind.node.stopping = true;
-        var count = getBestBlockHash.callCount;
-        setTimeout(function() {
-          getBestBlockHash.callCount.should.equal(count);
+        emitted.callCount.should.equal(1);
+        emitted.args[0][0].forked.should.equal(false);
+        bitcoind._checkDivergence(function(err) {
+          if (err) {
+            return done(err);
+          }
+          emitted.callCount.should.equal(1);
           done();
-        }, 100);
-      }, 100);
+        });
+      });
     });
-    it('will not set interval if synced is true', function(done) {
+    it('will treat an unknown block as a fork', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._updateTip = sinon.stub();
-      bitcoind._subscribeZmqEvents = sinon.stub();
-      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
-        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
-      });
-      var info = {
-        result: {
-          verificationprogress: 1.00
-        }
-      };
-      var getBlockchainInfo = sinon.stub().callsArgWith(0, null, info);
-      var node = {
-        _tipUpdateInterval: 1,
-        client: {
-          getBestBlockHash: getBestBlockHash,
-          getBlockchainInfo: getBlockchainInfo
+      bitcoind.maxDivergenceDepth = 0;
+      var getBlockHeader = sinon.stub().callsArgWith(1, {code: -5, message: 'Block not found'});
+      bitcoind.nodes.push(createNode('node1', 'hash1', 100, getBlockHeader));
+      bitcoind.nodes.push(createNode('node2', 'hash2', 99));
+      var emitted = sinon.stub();
+      bitcoind.on('divergence', emitted);
+      bitcoind._checkDivergence(function(err) {
+        if (err) {
+          return done(err);
         }
-      };
-      bitcoind._checkSyncedAndSubscribeZmqEvents(node);
-      setTimeout(function() {
-        getBestBlockHash.callCount.should.equal(1);
-        getBlockchainInfo.callCount.should.equal(1);
+        emitted.args[0][0].forked.should.equal(true);
         done();
-      }, 200);
+      });
     });
-  });
-
-  describe('#_subscribeZmqEvents', function() {
-    it('will call subscribe on zmq socket', function() {
+    it('will reset divergence when the tips match', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var node = {
-        zmqSubSocket: {
-          subscribe: sinon.stub(),
-          on: sinon.stub()
+      bitcoind.nodes.push(createNode('node1', 'hash1', 100));
+      bitcoind.nodes.push(createNode('node2', 'hash1', 100));
+      bitcoind._getNodeHealth(bitcoind.nodes[1]).divergedSince = 1000;
+      bitcoind.nodes[1].health.divergenceNotified = true;
+      bitcoind._checkDivergence(function(err) {
+        if (err) {
+          return done(err);
         }
-      };
-      bitcoind._subscribeZmqEvents(node);
-      node.zmqSubSocket.subscribe.callCount.should.equal(2);
-      node.zmqSubSocket.subscribe.args[0][0].should.equal('hashblock');
-      node.zmqSubSocket.subscribe.args[1][0].should.equal('rawtx');
-    });
-    it('will call relevant handler for rawtx topics', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._zmqTransactionHandler = sinon.stub();
-      var node = {
-        zmqSubSocket: new EventEmitter()
-      };
-      node.zmqSubSocket.subscribe = sinon.stub();
-      bitcoind._subscribeZmqEvents(node);
-      node.zmqSubSocket.on('message', function() {
-        bitcoind._zmqTransactionHandler.callCount.should.equal(1);
+        should.equal(bitcoind.nodes[1].health.divergedSince, null);
+        bitcoind.nodes[1].health.divergenceNotified.should.equal(false);
+        log.info.callCount.should.equal(1);
         done();
       });
-      var topic = new Buffer('rawtx', 'utf8');
-      var message = new Buffer('abcdef', 'hex');
-      node.zmqSubSocket.emit('message', topic, message);
     });
-    it('will call relevant handler for hashblock topics', function(done) {
+    it('will skip unavailable nodes', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._zmqBlockHandler = sinon.stub();
-      var node = {
-        zmqSubSocket: new EventEmitter()
-      };
-      node.zmqSubSocket.subscribe = sinon.stub();
-      bitcoind._subscribeZmqEvents(node);
-      node.zmqSubSocket.on('message', function() {
-        bitcoind._zmqBlockHandler.callCount.should.equal(1);
+      bitcoind.nodes.push(createNode('node1', 'hash1', 100));
+      bitcoind.nodes.push({client: {getBlockchainInfo: sinon.stub().callsArgWith(0, new Error('test'))}});
+      bitcoind._checkDivergence(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.nodes[0].client.getBlockHeader.callCount.should.equal(0);
         done();
       });
-      var topic = new Buffer('hashblock', 'utf8');
-      var message = new Buffer('abcdef', 'hex');
-      node.zmqSubSocket.emit('message', topic, message);
     });
-    it('will ignore unknown topic types', function(done) {
+    it('will give rpc error checking the block', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._zmqBlockHandler = sinon.stub();
-      bitcoind._zmqTransactionHandler = sinon.stub();
-      var node = {
-        zmqSubSocket: new EventEmitter()
-      };
-      node.zmqSubSocket.subscribe = sinon.stub();
-      bitcoind._subscribeZmqEvents(node);
-      node.zmqSubSocket.on('message', function() {
-        bitcoind._zmqBlockHandler.callCount.should.equal(0);
-        bitcoind._zmqTransactionHandler.callCount.should.equal(0);
+      var getBlockHeader = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      bitcoind.nodes.push(createNode('node1', 'hash1', 100, getBlockHeader));
+      bitcoind.nodes.push(createNode('node2', 'hash2', 99));
+      bitcoind._checkDivergence(function(err) {
+        err.should.be.instanceof(errors.RPCError);
         done();
       });
-      var topic = new Buffer('unknown', 'utf8');
-      var message = new Buffer('abcdef', 'hex');
-      node.zmqSubSocket.emit('message', topic, message);
     });
   });
 
-  describe('#_initZmqSubSocket', function() {
-    it('will setup zmq socket', function() {
-      var socket = new EventEmitter();
-      socket.monitor = sinon.stub();
-      socket.connect = sinon.stub();
-      var socketFunc = function() {
-        return socket;
-      };
-      var BitcoinService = proxyquire('../../lib/services/bitcoind', {
-        zmq: {
-          socket: socketFunc
-        }
-      });
+  describe('#_wrapRPCError', function() {
+    it('will convert bitcoind-rpc error object into JavaScript error', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var node = {};
-      bitcoind._initZmqSubSocket(node, 'url');
-      node.zmqSubSocket.should.equal(socket);
-      socket.connect.callCount.should.equal(1);
-      socket.connect.args[0][0].should.equal('url');
-      socket.monitor.callCount.should.equal(1);
-      socket.monitor.args[0][0].should.equal(500);
-      socket.monitor.args[0][1].should.equal(0);
+      var error = bitcoind._wrapRPCError({message: 'Test error', code: -1});
+      error.should.be.an.instanceof(errors.RPCError);
+      error.code.should.equal(-1);
+      error.message.should.equal('Test error');
+    });
+    it('will give an error of the client unchanged', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var timeoutError = new errors.TimeoutError('RPC request "getinfo" timed out after 1000ms');
+      bitcoind._wrapRPCError(timeoutError).should.equal(timeoutError);
+      var requestError = new Error('Bitcoin JSON-RPC: Request Error: connect ECONNREFUSED');
+      bitcoind._wrapRPCError(requestError).should.equal(requestError);
     });
   });
 
-  describe('#_checkReindex', function() {
+  describe('#_initChain', function() {
     var sandbox = sinon.sandbox.create();
-    before(function() {
+    beforeEach(function() {
       sandbox.stub(log, 'info');
     });
-    after(function() {
+    afterEach(function() {
       sandbox.restore();
     });
-    it('give error from client getblockchaininfo', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var node = {
-        _reindex: true,
-        _reindexWait: 1,
-        client: {
-          getBlockchainInfo: sinon.stub().callsArgWith(0, {code: -1 , message: 'Test error'})
-        }
-      };
-      bitcoind._checkReindex(node, function(err) {
-        should.exist(err);
-        err.should.be.instanceof(errors.RPCError);
-        done();
-      });
-    });
-    it('will wait until sync is 100 percent', function(done) {
+    it('will set height and genesis buffer', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var percent = 0.89;
-      var node = {
-        _reindex: true,
-        _reindexWait: 1,
+      var genesisBuffer = new Buffer([]);
+      bitcoind.getRawBlock = sinon.stub().callsArgWith(1, null, genesisBuffer);
+      bitcoind.nodes.push({
         client: {
-          getBlockchainInfo: function(callback) {
-            percent += 0.01;
+          getBestBlockHash: function(callback) {
             callback(null, {
-              result: {
-                verificationprogress: percent
-              }
+              result: 'bestblockhash'
+            });
+          },
+          getBlock: function(hash, callback) {
+            if (hash === 'bestblockhash') {
+              callback(null, {
+                result: {
+                  height: 5000
+                }
+              });
+            }
+          },
+          getBlockHash: function(num, callback) {
+            callback(null, {
+              result: 'genesishash'
             });
           }
         }
-      };
-      bitcoind._checkReindex(node, function() {
-        node._reindex.should.equal(false);
-        log.info.callCount.should.equal(11);
-        done();
       });
-    });
-    it('will call callback if reindex is not enabled', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var node = {
-        _reindex: false
-      };
-      bitcoind._checkReindex(node, function() {
-        node._reindex.should.equal(false);
+      bitcoind._initChain(function() {
+        log.info.callCount.should.equal(1);
+        bitcoind.getRawBlock.callCount.should.equal(1);
+        bitcoind.getRawBlock.args[0][0].should.equal('genesishash');
+        bitcoind.height.should.equal(5000);
+        bitcoind.genesisBuffer.should.equal(genesisBuffer);
         done();
       });
     });
-  });
-
-  describe('#_loadTipFromNode', function() {
-    var sandbox = sinon.sandbox.create();
-    beforeEach(function() {
-      sandbox.stub(log, 'warn');
-    });
-    afterEach(function() {
-      sandbox.restore();
-    });
-    it('will give rpc from client getbestblockhash', function(done) {
+    it('it will handle error from getBestBlockHash', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -1, message: 'Test error'});
-      var node = {
+      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -1, message: 'error'});
+      bitcoind.nodes.push({
         client: {
           getBestBlockHash: getBestBlockHash
         }
-      };
-      bitcoind._loadTipFromNode(node, function(err) {
-        err.should.be.instanceof(Error);
-        log.warn.callCount.should.equal(0);
+      });
+      bitcoind._initChain(function(err) {
+        err.should.be.instanceOf(Error);
         done();
       });
     });
-    it('will give rpc from client getblock', function(done) {
+    it('it will handle error from getBlock', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
-        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
-      });
-      var getBlock = sinon.stub().callsArgWith(1, new Error('Test error'));
-      var node = {
+      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {});
+      var getBlock = sinon.stub().callsArgWith(1, {code: -1, message: 'error'});
+      bitcoind.nodes.push({
         client: {
           getBestBlockHash: getBestBlockHash,
           getBlock: getBlock
         }
-      };
-      bitcoind._loadTipFromNode(node, function(err) {
-        getBlock.args[0][0].should.equal('00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45');
-        err.should.be.instanceof(Error);
-        log.warn.callCount.should.equal(0);
-        done();
       });
-    });
-    it('will log when error is RPC_IN_WARMUP', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -28, message: 'Verifying blocks...'});
-      var node = {
-        client: {
-          getBestBlockHash: getBestBlockHash
-        }
-      };
-      bitcoind._loadTipFromNode(node, function(err) {
-        err.should.be.instanceof(Error);
-        log.warn.callCount.should.equal(1);
+      bitcoind._initChain(function(err) {
+        err.should.be.instanceOf(Error);
         done();
       });
     });
-    it('will set height and emit tip', function(done) {
+    it('it will handle error from getBlockHash', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
-        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
-      });
+      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {});
       var getBlock = sinon.stub().callsArgWith(1, null, {
         result: {
-          height: 100
+          height: 10
         }
       });
-      var node = {
+      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'error'});
+      bitcoind.nodes.push({
         client: {
           getBestBlockHash: getBestBlockHash,
-          getBlock: getBlock
-        }
-      };
-      bitcoind.on('tip', function(height) {
-        height.should.equal(100);
-        bitcoind.height.should.equal(100);
-        done();
-      });
-      bitcoind._loadTipFromNode(node, function(err) {
-        if (err) {
-          return done(err);
-        }
-      });
-    });
-  });
-
-  describe('#_stopSpawnedProcess', function() {
-    var sandbox = sinon.sandbox.create();
-    beforeEach(function() {
-      sandbox.stub(log, 'warn');
-    });
-    afterEach(function() {
-      sandbox.restore();
-    });
-    it('it will kill process and resume', function(done) {
-      var readFile = sandbox.stub();
-      readFile.onCall(0).callsArgWith(2, null, '4321');
-      var error = new Error('Test error');
-      error.code = 'ENOENT';
-      readFile.onCall(1).callsArgWith(2, error);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFile: readFile
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
         }
       });
-      var bitcoind = new TestBitcoinService(baseConfig);
-      bitcoind.spawnStopTime = 1;
-      bitcoind._process = {};
-      bitcoind._process.kill = sinon.stub();
-      bitcoind._stopSpawnedBitcoin(function(err) {
-        if (err) {
-          return done(err);
-        }
-        bitcoind._process.kill.callCount.should.equal(1);
-        log.warn.callCount.should.equal(1);
+      bitcoind._initChain(function(err) {
+        err.should.be.instanceOf(Error);
         done();
       });
     });
-    it('it will attempt to kill process and resume', function(done) {
-      var readFile = sandbox.stub();
-      readFile.onCall(0).callsArgWith(2, null, '4321');
-      var error = new Error('Test error');
-      error.code = 'ENOENT';
-      readFile.onCall(1).callsArgWith(2, error);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFile: readFile
+    it('it will handle error from getRawBlock', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {});
+      var getBlock = sinon.stub().callsArgWith(1, null, {
+        result: {
+          height: 10
         }
       });
-      var bitcoind = new TestBitcoinService(baseConfig);
-      bitcoind.spawnStopTime = 1;
-      bitcoind._process = {};
-      var error2 = new Error('Test error');
-      error2.code = 'ESRCH';
-      bitcoind._process.kill = sinon.stub().throws(error2);
-      bitcoind._stopSpawnedBitcoin(function(err) {
-        if (err) {
-          return done(err);
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {});
+      bitcoind.nodes.push({
+        client: {
+          getBestBlockHash: getBestBlockHash,
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
         }
-        bitcoind._process.kill.callCount.should.equal(1);
-        log.warn.callCount.should.equal(2);
+      });
+      bitcoind.getRawBlock = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._initChain(function(err) {
+        err.should.be.instanceOf(Error);
         done();
       });
     });
-    it('it will attempt to kill process with NaN', function(done) {
-      var readFile = sandbox.stub();
-      readFile.onCall(0).callsArgWith(2, null, '     ');
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFile: readFile
-        }
-      });
-      var bitcoind = new TestBitcoinService(baseConfig);
-      bitcoind.spawnStopTime = 1;
-      bitcoind._process = {};
-      bitcoind._process.kill = sinon.stub();
-      bitcoind._stopSpawnedBitcoin(function(err) {
-        if (err) {
-          return done(err);
+  });
+
+  describe('#_getDefaultConf', function() {
+    afterEach(function() {
+      bitcore.Networks.disableRegtest();
+      baseConfig.node.network = bitcore.Networks.testnet;
+    });
+    it('will get default rpc port for livenet', function() {
+      var config = {
+        node: {
+          network: bitcore.Networks.livenet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
         }
-        done();
-      });
+      };
+      var bitcoind = new BitcoinService(config);
+      bitcoind._getDefaultConf().rpcport.should.equal(8332);
     });
-    it('it will attempt to kill process without pid', function(done) {
-      var readFile = sandbox.stub();
-      readFile.onCall(0).callsArgWith(2, null, '');
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFile: readFile
+    it('will get default rpc port for testnet', function() {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
         }
-      });
-      var bitcoind = new TestBitcoinService(baseConfig);
-      bitcoind.spawnStopTime = 1;
-      bitcoind._process = {};
-      bitcoind._process.kill = sinon.stub();
-      bitcoind._stopSpawnedBitcoin(function(err) {
-        if (err) {
-          return done(err);
+      };
+      var bitcoind = new BitcoinService(config);
+      bitcoind._getDefaultConf().rpcport.should.equal(18332);
+    });
+    it('will get default rpc port for regtest', function() {
+      bitcore.Networks.enableRegtest();
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
         }
-        done();
-      });
+      };
+      var bitcoind = new BitcoinService(config);
+      bitcoind._getDefaultConf().rpcport.should.equal(18332);
     });
   });
 
-  describe('#_spawnChildProcess', function() {
-    var sandbox = sinon.sandbox.create();
-    beforeEach(function() {
-      sandbox.stub(log, 'info');
-      sandbox.stub(log, 'warn');
-      sandbox.stub(log, 'error');
-    });
+  describe('#_getNetworkConfigPath', function() {
     afterEach(function() {
-      sandbox.restore();
-    });
-    it('will give error from spawn config', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind._loadSpawnConfiguration = sinon.stub().throws(new Error('test'));
-      bitcoind._spawnChildProcess(function(err) {
-        err.should.be.instanceof(Error);
-        err.message.should.equal('test');
-        done();
-      });
-    });
-    it('will give error from stopSpawnedBitcoin', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArgWith(0, new Error('test'));
-      bitcoind._spawnChildProcess(function(err) {
-        err.should.be.instanceOf(Error);
-        err.message.should.equal('test');
-      });
+      bitcore.Networks.disableRegtest();
+      baseConfig.node.network = bitcore.Networks.testnet;
     });
-    it('will exit spawn if shutdown', function() {
+    it('will get default config path for livenet', function() {
       var config = {
         node: {
-          network: bitcore.Networks.testnet
+          network: bitcore.Networks.livenet
         },
         spawn: {
           datadir: 'testdir',
           exec: 'testpath'
         }
       };
-      var process = new EventEmitter();
-      var spawn = sinon.stub().returns(process);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFileSync: readFileSync
+      var bitcoind = new BitcoinService(config);
+      should.equal(bitcoind._getNetworkConfigPath(), undefined);
+    });
+    it('will get default rpc port for testnet', function() {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
         },
-        child_process: {
-          spawn: spawn
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
         }
-      });
-      var bitcoind = new TestBitcoinService(config);
-      bitcoind.spawn = {};
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArgWith(0, null);
-      bitcoind.node.stopping = true;
-      bitcoind._spawnChildProcess(function(err) {
-        err.should.be.instanceOf(Error);
-        err.message.should.match(/Stopping while trying to spawn/);
-      });
+      };
+      var bitcoind = new BitcoinService(config);
+      bitcoind._getNetworkConfigPath().should.equal('testnet3/zen.conf');
     });
-    it('will include network with spawn command and init zmq/rpc on node', function(done) {
-      var process = new EventEmitter();
-      var spawn = sinon.stub().returns(process);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFileSync: readFileSync
+    it('will get default rpc port for regtest', function() {
+      bitcore.Networks.enableRegtest();
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
         },
-        child_process: {
-          spawn: spawn
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
         }
-      });
-      var bitcoind = new TestBitcoinService(baseConfig);
-
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind.spawn = {};
-      bitcoind.spawn.exec = 'testexec';
-      bitcoind.spawn.configPath = 'testdir/zen.conf';
-      bitcoind.spawn.datadir = 'testdir';
-      bitcoind.spawn.config = {};
-      bitcoind.spawn.config.rpcport = 20001;
-      bitcoind.spawn.config.rpcuser = 'bitcoin';
-      bitcoind.spawn.config.rpcpassword = 'password';
-      bitcoind.spawn.config.zmqpubrawtx = 'tcp://127.0.0.1:30001';
+      };
+      var bitcoind = new BitcoinService(config);
+      bitcoind._getNetworkConfigPath().should.equal('regtest/zen.conf');
+    });
+  });
 
-      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
-      bitcoind._initZmqSubSocket = sinon.stub();
-      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
-      bitcoind._checkReindex = sinon.stub().callsArgWith(1, null);
-      bitcoind._spawnChildProcess(function(err, node) {
-        should.not.exist(err);
-        spawn.callCount.should.equal(1);
-        spawn.args[0][0].should.equal('testexec');
-        spawn.args[0][1].should.deep.equal([
+  describe('#_getNetworkOption', function() {
+    afterEach(function() {
+      bitcore.Networks.disableRegtest();
+      baseConfig.node.network = bitcore.Networks.testnet;
+    });
+    it('return --testnet for testnet', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.node.network = bitcore.Networks.testnet;
+      bitcoind._getNetworkOption().should.equal('--testnet');
+    });
+    it('return --regtest for testnet', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.node.network = bitcore.Networks.testnet;
+      bitcore.Networks.enableRegtest();
+      bitcoind._getNetworkOption().should.equal('--regtest');
+    });
+    it('return undefined for livenet', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.node.network = bitcore.Networks.livenet;
+      bitcore.Networks.enableRegtest();
+      should.equal(bitcoind._getNetworkOption(), undefined);
+    });
+  });
+
+  describe('#_getNetworkSection', function() {
+    afterEach(function() {
+      bitcore.Networks.disableRegtest();
+      baseConfig.node.network = bitcore.Networks.testnet;
+    });
+    it('return test for testnet', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.node.network = bitcore.Networks.testnet;
+      bitcoind._getNetworkSection().should.equal('test');
+    });
+    it('return regtest for regtest', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.node.network = bitcore.Networks.testnet;
+      bitcore.Networks.enableRegtest();
+      bitcoind._getNetworkSection().should.equal('regtest');
+    });
+    it('return main for livenet', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.node.network = bitcore.Networks.livenet;
+      bitcoind._getNetworkSection().should.equal('main');
+    });
+  });
+
+  describe('#_zmqBlockHandler', function() {
+    it('will emit block', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {};
+      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
+      bitcoind._rapidProtectedUpdateTip = sinon.stub();
+      bitcoind._removeMempoolBlockTransactions = sinon.stub();
+      bitcoind.on('block', function(block) {
+        block.should.equal(message);
+        done();
+      });
+      bitcoind._zmqBlockHandler(node, message);
+    });
+    it('will not emit same block twice', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {};
+      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
+      bitcoind._rapidProtectedUpdateTip = sinon.stub();
+      bitcoind._removeMempoolBlockTransactions = sinon.stub();
+      bitcoind.on('block', function(block) {
+        block.should.equal(message);
+        done();
+      });
+      bitcoind._zmqBlockHandler(node, message);
+      bitcoind._zmqBlockHandler(node, message);
+    });
+    it('will call function to update tip', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {};
+      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
+      bitcoind._rapidProtectedUpdateTip = sinon.stub();
+      bitcoind._removeMempoolBlockTransactions = sinon.stub();
+      bitcoind._zmqBlockHandler(node, message);
+      bitcoind._rapidProtectedUpdateTip.callCount.should.equal(1);
+      bitcoind._rapidProtectedUpdateTip.args[0][0].should.equal(node);
+      bitcoind._rapidProtectedUpdateTip.args[0][1].should.equal(message);
+    });
+    it('will emit to subscribers', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {};
+      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
+      bitcoind._rapidProtectedUpdateTip = sinon.stub();
+      bitcoind._removeMempoolBlockTransactions = sinon.stub();
+      var emitter = new EventEmitter();
+      bitcoind.subscriptions.hashblock.push(emitter);
+      emitter.on('bitcoind/hashblock', function(blockHash) {
+        blockHash.should.equal(message.toString('hex'));
+        done();
+      });
+      bitcoind._zmqBlockHandler(node, message);
+    });
+    it('will remove block transactions from the mempool', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {};
+      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
+      bitcoind._rapidProtectedUpdateTip = sinon.stub();
+      bitcoind._removeMempoolBlockTransactions = sinon.stub();
+      bitcoind._zmqBlockHandler(node, message);
+      bitcoind._zmqBlockHandler(node, message);
+      bitcoind._removeMempoolBlockTransactions.callCount.should.equal(1);
+      bitcoind._removeMempoolBlockTransactions.args[0][0].should.equal(message.toString('hex'));
+    });
+  });
+
+  describe('#_rapidProtectedUpdateTip', function() {
+    it('will limit tip updates with rapid calls', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var callCount = 0;
+      bitcoind._updateTip = function() {
+        callCount++;
+        callCount.should.be.within(1, 2);
+        if (callCount > 1) {
+          done();
+        }
+      };
+      var node = {};
+      var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
+      var count = 0;
+      function repeat() {
+        bitcoind._rapidProtectedUpdateTip(node, message);
+        count++;
+        if (count < 50) {
+          repeat();
+        }
+      }
+      repeat();
+    });
+  });
+
+  describe('#_updateTip', function() {
+    var sandbox = sinon.sandbox.create();
+    var message = new Buffer('00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa', 'hex');
+    beforeEach(function() {
+      sandbox.stub(log, 'error');
+      sandbox.stub(log, 'info');
+      sandbox.stub(BitcoinService.prototype, '_trackChainHeader').callsArg(1);
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('log and emit rpc error from get block', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub();
+      bitcoind.on('error', function(err) {
+        err.code.should.equal(-1);
+        err.message.should.equal('Test error');
+        log.error.callCount.should.equal(1);
+        done();
+      });
+      var node = {
+        client: {
+          getBlock: sinon.stub().callsArgWith(1, {message: 'Test error', code: -1})
+        }
+      };
+      bitcoind._updateTip(node, message);
+    });
+    it('will record the last block time and check health if degraded', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub();
+      bitcoind._checkHealth = sinon.stub();
+      bitcoind.healthDegraded = true;
+      var node = {
+        client: {
+          getBlock: sinon.stub()
+        }
+      };
+      bitcoind._updateTip(node, message);
+      should.exist(bitcoind.lastBlockTime);
+      bitcoind._checkHealth.callCount.should.equal(1);
+    });
+    it('emit synced if percentage is 100', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 100);
+      bitcoind.on('synced', function() {
+        done();
+      });
+      var node = {
+        client: {
+          getBlock: sinon.stub()
+        }
+      };
+      bitcoind._updateTip(node, message);
+    });
+    it('NOT emit synced if percentage is less than 100', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 99);
+      bitcoind.on('synced', function() {
+        throw new Error('Synced called');
+      });
+      var node = {
+        client: {
+          getBlock: sinon.stub()
+        }
+      };
+      bitcoind._updateTip(node, message);
+      log.info.callCount.should.equal(1);
+      done();
+    });
+    it('log and emit error from syncPercentage', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind.on('error', function(err) {
+        log.error.callCount.should.equal(1);
+        err.message.should.equal('test');
+        done();
+      });
+      var node = {
+        client: {
+          getBlock: sinon.stub()
+        }
+      };
+      bitcoind._updateTip(node, message);
+    });
+    it('will set height without resetting caches', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub();
+      bitcoind._resetCaches = sinon.stub();
+      bitcoind.on('tip', function(height) {
+        bitcoind._resetCaches.callCount.should.equal(0);
+        height.should.equal(10);
+        bitcoind.height.should.equal(10);
+        done();
+      });
+      var node = {
+        client: {
+          getBlock: sinon.stub().callsArgWith(1, null, {
+            result: {
+              height: 10
+            }
+          })
+        }
+      };
+      bitcoind._updateTip(node, message);
+    });
+    it('will NOT update twice for the same hash', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub();
+      bitcoind._resetCaches = sinon.stub();
+      bitcoind.on('tip', function() {
+        done();
+      });
+      var node = {
+        client: {
+          getBlock: sinon.stub().callsArgWith(1, null, {
+            result: {
+              height: 10
+            }
+          })
+        }
+      };
+      bitcoind._updateTip(node, message);
+      bitcoind._updateTip(node, message);
+    });
+    it('will check confirmations of watched transactions after tracking the chain header', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub();
+      bitcoind._resetCaches = sinon.stub();
+      var node = {
+        client: {
+          getBlock: sinon.stub().callsArgWith(1, null, {
+            result: {
+              height: 10
+            }
+          })
+        }
+      };
+      bitcoind._checkTransactionConfirmations = function() {
+        bitcoind._trackChainHeader.callCount.should.equal(1);
+        done();
+      };
+      bitcoind._updateTip(node, message);
+    });
+    it('will queue the block to track chain headers', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub();
+      bitcoind._resetCaches = sinon.stub();
+      bitcoind.chainHeadersQueue = {
+        push: sinon.stub()
+      };
+      var result = {
+        hash: message.toString('hex'),
+        previousblockhash: '000000000055f27d89f6c8c0fbc1b7fd4c8e7a0e1d1fb1d0b8ca10c0a0e77e09',
+        height: 10
+      };
+      var node = {
+        client: {
+          getBlock: sinon.stub().callsArgWith(1, null, {
+            result: result
+          })
+        }
+      };
+      bitcoind.on('tip', function() {
+        setImmediate(function() {
+          bitcoind.chainHeadersQueue.push.callCount.should.equal(1);
+          bitcoind.chainHeadersQueue.push.args[0][0].node.should.equal(node);
+          bitcoind.chainHeadersQueue.push.args[0][0].block.should.equal(result);
+          done();
+        });
+      });
+      bitcoind._updateTip(node, message);
+    });
+    it('will not call syncPercentage if node is stopping', function(done) {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
+        }
+      };
+      var bitcoind = new BitcoinService(config);
+      bitcoind.syncPercentage = sinon.stub();
+      bitcoind._resetCaches = sinon.stub();
+      bitcoind.node.stopping = true;
+      var node = {
+        client: {
+          getBlock: sinon.stub().callsArgWith(1, null, {
+            result: {
+              height: 10
+            }
+          })
+        }
+      };
+      bitcoind.on('tip', function() {
+        bitcoind.syncPercentage.callCount.should.equal(0);
+        done();
+      });
+      bitcoind._updateTip(node, message);
+    });
+  });
+
+  describe('#_trackChainHeader', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+      sandbox.stub(log, 'error');
+      sandbox.stub(BitcoinService.prototype, '_invalidateChainCaches');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function headers() {
+      return [
+        {hash: 'a1', prevHash: 'a0', height: 1},
+        {hash: 'a2', prevHash: 'a1', height: 2},
+        {hash: 'a3', prevHash: 'a2', height: 3}
+      ];
+    }
+    it('will append the first header', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._trackChainHeader({
+        node: {},
+        block: {hash: 'a1', previousblockhash: 'a0', height: 1}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.chainHeaders.should.deep.equal([{hash: 'a1', prevHash: 'a0', height: 1}]);
+        done();
+      });
+    });
+    it('will append a header that builds on the tip without rpc calls', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders = headers();
+      bitcoind._findForkIndex = sinon.stub();
+      bitcoind._trackChainHeader({
+        node: {},
+        block: {hash: 'a4', previousblockhash: 'a3', height: 4}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._findForkIndex.callCount.should.equal(0);
+        bitcoind.chainHeaders.length.should.equal(4);
+        bitcoind.chainHeaders[3].hash.should.equal('a4');
+        bitcoind._invalidateChainCaches.callCount.should.equal(1);
+        bitcoind._invalidateChainCaches.args[0][0].should.deep.equal([bitcoind.chainHeaders[3]]);
+        bitcoind._invalidateChainCaches.args[0][1].should.deep.equal([]);
+        done();
+      });
+    });
+    it('will limit the number of headers to max reorg depth', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.maxReorgDepth = 3;
+      bitcoind.chainHeaders = headers();
+      bitcoind._trackChainHeader({
+        node: {},
+        block: {hash: 'a4', previousblockhash: 'a3', height: 4}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        _.map(bitcoind.chainHeaders, 'hash').should.deep.equal(['a2', 'a3', 'a4']);
+        done();
+      });
+    });
+    it('will emit reorg with disconnected and connected hashes', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders = headers();
+      bitcoind._syncMempool = sinon.stub();
+      var emitter = new EventEmitter();
+      bitcoind.subscriptions.reorg.push(emitter);
+      var getBlockHeader = sinon.stub();
+      getBlockHeader.withArgs('a3').callsArgWith(1, null, {result: {confirmations: -1}});
+      getBlockHeader.withArgs('a2').callsArgWith(1, null, {result: {confirmations: -1}});
+      getBlockHeader.withArgs('a1').callsArgWith(1, null, {
+        result: {hash: 'a1', previousblockhash: 'a0', height: 1, confirmations: 3}
+      });
+      getBlockHeader.withArgs('b3').callsArgWith(1, null, {
+        result: {hash: 'b3', previousblockhash: 'b2', height: 3}
+      });
+      getBlockHeader.withArgs('b2').callsArgWith(1, null, {
+        result: {hash: 'b2', previousblockhash: 'a1', height: 2}
+      });
+      var node = {
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      };
+      var expected = {
+        forkHash: 'a1',
+        forkHeight: 1,
+        disconnected: ['a3', 'a2'],
+        connected: ['b2', 'b3', 'b4']
+      };
+      var emitted = false;
+      emitter.on('bitcoind/reorg', function(reorg) {
+        reorg.should.deep.equal(expected);
+        emitted = true;
+      });
+      bitcoind.on('reorg', function(reorg) {
+        reorg.should.deep.equal(expected);
+      });
+      bitcoind._trackChainHeader({
+        node: node,
+        block: {hash: 'b4', previousblockhash: 'b3', height: 4}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        emitted.should.equal(true);
+        bitcoind._syncMempool.callCount.should.equal(1);
+        _.map(bitcoind.chainHeaders, 'hash').should.deep.equal(['a1', 'b2', 'b3', 'b4']);
+        var args = bitcoind._invalidateChainCaches.args[0];
+        _.map(args[0], 'hash').should.deep.equal(['b2', 'b3', 'b4']);
+        _.map(args[1], 'hash').should.deep.equal(['a3', 'a2']);
+        done();
+      });
+    });
+    it('will emit reorg when the new tip is an ancestor of the previous tip', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders = headers();
+      bitcoind._syncMempool = sinon.stub();
+      var getBlockHeader = sinon.stub();
+      getBlockHeader.withArgs('a3').callsArgWith(1, null, {result: {confirmations: -1}});
+      getBlockHeader.withArgs('a2').callsArgWith(1, null, {result: {confirmations: 1}});
+      var node = {
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      };
+      bitcoind.on('reorg', function(reorg) {
+        reorg.disconnected.should.deep.equal(['a3']);
+        reorg.connected.should.deep.equal([]);
+      });
+      bitcoind._trackChainHeader({
+        node: node,
+        block: {hash: 'a2', previousblockhash: 'a1', height: 2}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        _.map(bitcoind.chainHeaders, 'hash').should.deep.equal(['a1', 'a2']);
+        done();
+      });
+    });
+    it('will fill skipped headers without emitting reorg', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders = headers();
+      var getBlockHeader = sinon.stub();
+      getBlockHeader.withArgs('a3').callsArgWith(1, null, {
+        result: {hash: 'a3', previousblockhash: 'a2', height: 3, confirmations: 2}
+      });
+      getBlockHeader.withArgs('a4').callsArgWith(1, null, {
+        result: {hash: 'a4', previousblockhash: 'a3', height: 4}
+      });
+      var node = {
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      };
+      bitcoind.on('reorg', function() {
+        throw new Error('Reorg emitted');
+      });
+      bitcoind._trackChainHeader({
+        node: node,
+        block: {hash: 'a5', previousblockhash: 'a4', height: 5}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        _.map(bitcoind.chainHeaders, 'hash').should.deep.equal(['a1', 'a2', 'a3', 'a4', 'a5']);
+        done();
+      });
+    });
+    it('will emit error and restart tracking if fork is not found', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders = headers();
+      var node = {
+        client: {
+          getBlockHeader: sinon.stub().callsArgWith(1, null, {result: {confirmations: -1}})
+        }
+      };
+      bitcoind.on('error', function(err) {
+        err.message.should.match(/deeper than the 3 tracked headers/);
+      });
+      bitcoind._trackChainHeader({
+        node: node,
+        block: {hash: 'b4', previousblockhash: 'b3', height: 4}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.chainHeaders.should.deep.equal([{hash: 'b4', prevHash: 'b3', height: 4}]);
+        done();
+      });
+    });
+    it('will reset caches if the fork is not found', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders = headers();
+      bitcoind._resetCaches = sinon.stub();
+      bitcoind._findForkIndex = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind.on('error', function() {});
+      bitcoind._trackChainHeader({
+        node: {},
+        block: {hash: 'b4', previousblockhash: 'b3', height: 4}
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._resetCaches.callCount.should.equal(1);
+        bitcoind._invalidateChainCaches.callCount.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('#_invalidateChainCaches', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will remove cached results of disconnected and connected blocks', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var blockhashes = [];
+      bitcoind._invalidateBlockCaches = function(blockhash, callback) {
+        blockhashes.push(blockhash);
+        if (blockhashes.length === 3) {
+          blockhashes.should.deep.equal(['a2', 'b2', 'b3']);
+          return done();
+        }
+        callback();
+      };
+      bitcoind._invalidateChainCaches([{hash: 'b2'}, {hash: 'b3'}], [{hash: 'a2'}]);
+    });
+    it('will reset caches on error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._invalidateBlockCaches = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._resetCaches = sinon.stub();
+      bitcoind._invalidateChainCaches([{hash: 'b2'}], []);
+      setImmediate(function() {
+        log.warn.callCount.should.equal(1);
+        bitcoind._resetCaches.callCount.should.equal(1);
+        done();
+      });
+    });
+  });
+
+  describe('#_invalidateBlockCaches', function() {
+    var prevHash = '00000000000000000000000000000000000000000000000000000000000000aa';
+    var block = {
+      header: {
+        prevHash: bitcore.util.buffer.reverse(new Buffer(prevHash, 'hex'))
+      },
+      transactions: []
+    };
+    it('will remove the headers and overviews of the block and its previous block', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getBlock = sinon.stub().callsArgWith(1, null, block);
+      bitcoind._invalidateBlockTransactionsCaches = sinon.stub().callsArg(1);
+      bitcoind.blockOverviewCache.set('block', {});
+      bitcoind.blockOverviewCache.set(prevHash, {});
+      bitcoind.blockOverviewCache.set('other', {});
+      bitcoind.blockHeaderCache.set('block', {});
+      bitcoind.blockHeaderCache.set(prevHash, {});
+      bitcoind.blockHeaderCache.set('other', {});
+      bitcoind._invalidateBlockCaches('block', function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getBlock.args[0][0].should.equal('block');
+        bitcoind.blockOverviewCache.keys().should.deep.equal(['other']);
+        bitcoind.blockHeaderCache.keys().should.deep.equal(['other']);
+        bitcoind._invalidateBlockTransactionsCaches.args[0][0].should.equal(block);
+        done();
+      });
+    });
+    it('will give error from getBlock', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getBlock = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._invalidateBlockCaches('block', function(err) {
+        err.message.should.equal('test');
+        done();
+      });
+    });
+  });
+
+  describe('#_invalidateBlockTransactionsCaches', function() {
+    function script(address) {
+      return {
+        toAddress: sinon.stub().returns(address)
+      };
+    }
+    function input(prevTxId, outputIndex, address) {
+      return {prevTxId: new Buffer(prevTxId, 'hex'), outputIndex: outputIndex, script: script(address)};
+    }
+    function createBlock(inputs) {
+      return {
+        transactions: [{
+          hash: 'aa01',
+          isCoinbase: sinon.stub().returns(true),
+          inputs: [input('00', 0, false)],
+          outputs: [{script: script('address1')}]
+        }, {
+          hash: 'aa02',
+          isCoinbase: sinon.stub().returns(false),
+          inputs: inputs,
+          outputs: [{script: script('address2')}, {script: script(false)}]
+        }]
+      };
+    }
+    it('will remove the detailed transactions and the results of their addresses', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._invalidateAddressCaches = sinon.stub();
+      bitcoind._batchRPC = sinon.stub();
+      bitcoind.transactionDetailedCache.set('aa01', {});
+      bitcoind.transactionDetailedCache.set('bb01', {});
+      bitcoind.transactionDetailedCache.set('bb02', {outputs: [{address: 'address4'}, {address: 'address5'}]});
+      bitcoind.transactionCache.set('bb03', {
+        outputs: [{script: script('address6')}],
+        toBuffer: sinon.stub().returns(new Buffer(100))
+      });
+      bitcoind.transactionDetailedCache.set('other', {});
+      bitcoind._invalidateBlockTransactionsCaches(createBlock([
+        input('bb01', 0, 'address3'),
+        input('bb02', 1, false),
+        input('bb03', 0, false)
+      ]), function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.transactionDetailedCache.keys().should.deep.equal(['other']);
+        bitcoind._invalidateAddressCaches.callCount.should.equal(1);
+        bitcoind._invalidateAddressCaches.args[0][0].should.deep.equal([
+          'address1', 'address2', 'address3', 'address5', 'address6'
+        ]);
+        bitcoind._batchRPC.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will query the addresses of the spent outputs that are unknown', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._invalidateAddressCaches = sinon.stub();
+      bitcoind._batchRPC = sinon.stub().callsArgWith(3, null, [{
+        vout: [{scriptPubKey: {}}, {scriptPubKey: {addresses: ['address4']}}]
+      }, {
+        vout: [{scriptPubKey: {addresses: ['address5']}}]
+      }]);
+      bitcoind._invalidateBlockTransactionsCaches(createBlock([
+        input('bb01', 0, 'address3'),
+        input('bb02', 0, false),
+        input('bb02', 1, false),
+        input('bb03', 0, false)
+      ]), function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._batchRPC.args[0][0].should.equal('getrawtransaction');
+        bitcoind._batchRPC.args[0][1].should.deep.equal([['bb02', 1], ['bb03', 1]]);
+        bitcoind._batchRPC.args[0][2].should.deep.equal({txids: ['bb02', 'bb03']});
+        bitcoind._invalidateAddressCaches.callCount.should.equal(2);
+        bitcoind._invalidateAddressCaches.args[0][0].should.deep.equal(['address1', 'address2', 'address3']);
+        bitcoind._invalidateAddressCaches.args[1][0].should.deep.equal(['address4', 'address5']);
+        done();
+      });
+    });
+    it('will give the error of querying the spent outputs', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._invalidateAddressCaches = sinon.stub();
+      bitcoind._batchRPC = sinon.stub().callsArgWith(3, new Error('test'));
+      bitcoind._invalidateBlockTransactionsCaches(createBlock([input('bb01', 0, false)]), function(err) {
+        err.message.should.equal('test');
+        bitcoind._invalidateAddressCaches.callCount.should.equal(1);
+        done();
+      });
+    });
+  });
+
+  describe('#_setChainCache', function() {
+    it('will only cache a result requested with the current tip', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var generation = bitcoind.cacheGeneration;
+      bitcoind._setChainCache(bitcoind.blockOverviewCache, 'a', {}, generation).should.equal(true);
+      bitcoind._resetCaches();
+      bitcoind._setChainCache(bitcoind.blockOverviewCache, 'b', {}, generation).should.equal(false);
+      bitcoind.blockOverviewCache.keys().should.deep.equal([]);
+    });
+  });
+
+  describe('#_getAddressesCacheKey', function() {
+    it('will give the same key for any order of the addresses', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var key = bitcoind._getAddressesCacheKey(['b', 'a', 'c']);
+      key.should.equal('a,b,c');
+      bitcoind._getAddressesCacheKey(['c', 'b', 'a', 'b']).should.equal(key);
+      bitcoind._getAddressesCacheKey(['a']).should.equal('a');
+    });
+  });
+
+  describe('#_invalidateAddressCaches', function() {
+    it('will remove the results of the addresses', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var generation = bitcoind.cacheGeneration;
+      bitcoind._setAddressCache(bitcoind.balanceCache, 'a', {}, generation);
+      bitcoind._setAddressCache(bitcoind.summaryCache, 'a', {}, generation);
+      bitcoind._setAddressCache(bitcoind.balanceCache, 'b', {}, generation);
+      bitcoind._setAddressCache(bitcoind.utxosCache, 'a,c', [], generation);
+      bitcoind._setAddressCache(bitcoind.utxosCache, 'b,c', [], generation);
+      bitcoind._invalidateAddressCaches(['a']);
+      bitcoind.balanceCache.keys().should.deep.equal(['b']);
+      bitcoind.summaryCache.keys().should.deep.equal([]);
+      bitcoind.utxosCache.keys().should.deep.equal(['b,c']);
+      bitcoind.multiAddressCacheKeys.should.deep.equal({b: {'b,c': true}, c: {'b,c': true}});
+    });
+    it('will only remove the results of the named caches', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var generation = bitcoind.cacheGeneration;
+      bitcoind._setAddressCache(bitcoind.balanceCache, 'a,b', {}, generation);
+      bitcoind._setAddressCache(bitcoind.summaryCache, 'a,b', {}, generation);
+      bitcoind._invalidateAddressCaches(['b'], ['summary']);
+      bitcoind.balanceCache.has('a,b').should.equal(true);
+      bitcoind.summaryCache.has('a,b').should.equal(false);
+      bitcoind.multiAddressCacheKeys.should.deep.equal({a: {'a,b': true}, b: {'a,b': true}});
+    });
+    it('will remove the keys of results that have been evicted', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var generation = bitcoind.cacheGeneration;
+      bitcoind._setAddressCache(bitcoind.balanceCache, 'a,b', {}, generation);
+      bitcoind.balanceCache.reset();
+      bitcoind._invalidateAddressCaches(['a'], ['summary']);
+      bitcoind.multiAddressCacheKeys.should.deep.equal({});
+    });
+  });
+
+  describe('#_findForkIndex', function() {
+    it('will give rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.chainHeaders = [{hash: 'a1', prevHash: 'a0', height: 1}];
+      var node = {
+        client: {
+          getBlockHeader: sinon.stub().callsArgWith(1, {message: 'test', code: -1})
+        }
+      };
+      bitcoind._findForkIndex(node, function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        err.message.should.equal('test');
+        done();
+      });
+    });
+  });
+
+  describe('#_getConnectedHeaders', function() {
+    it('will stop at max reorg depth', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.maxReorgDepth = 2;
+      var node = {
+        client: {
+          getBlockHeader: sinon.stub().callsArgWith(1, null, {
+            result: {hash: 'b9', previousblockhash: 'b8', height: 9}
+          })
+        }
+      };
+      var header = {hash: 'b10', prevHash: 'b9', height: 10};
+      bitcoind._getConnectedHeaders(node, header, {hash: 'a1'}, function(err, connected, complete) {
+        if (err) {
+          return done(err);
+        }
+        _.map(connected, 'hash').should.deep.equal(['b9', 'b10']);
+        complete.should.equal(false);
+        done();
+      });
+    });
+    it('will give rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        client: {
+          getBlockHeader: sinon.stub().callsArgWith(1, {message: 'test', code: -1})
+        }
+      };
+      var header = {hash: 'b10', prevHash: 'b9', height: 10};
+      bitcoind._getConnectedHeaders(node, header, {hash: 'a1'}, function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+  });
+
+  describe('#_checkTransactionConfirmation', function() {
+    var txid = '7426c707d0e9705bdd8158e60983e37d0f5d63529086d6672b07d9238d5aa623';
+    function addWatch(bitcoind, emitter, confirmations, onlyTarget) {
+      bitcoind.subscriptions.txconfirmed[txid] = {
+        height: null,
+        blockHash: null,
+        subscribers: [
+          {
+            emitter: emitter,
+            confirmations: confirmations,
+            onlyTarget: onlyTarget,
+            lastConfirmations: null
+          }
+        ]
+      };
+    }
+    it('will notify each time the depth changes', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 100;
+      var emitter = new EventEmitter();
+      var notifications = [];
+      emitter.on('bitcoind/txconfirmed', function(data) {
+        notifications.push(data);
+      });
+      addWatch(bitcoind, emitter, 3, false);
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, null, {
+        height: 99,
+        blockHash: 'blockhash'
+      });
+      bitcoind._checkTransactionConfirmation(txid, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._checkTransactionConfirmation(txid, function() {
+          bitcoind.height = 101;
+          bitcoind._checkTransactionConfirmation(txid, function() {
+            bitcoind.getDetailedTransaction.callCount.should.equal(1);
+            notifications.should.deep.equal([
+              {
+                txid: txid,
+                confirmations: 2,
+                targetConfirmations: 3,
+                height: 99,
+                blockHash: 'blockhash'
+              },
+              {
+                txid: txid,
+                confirmations: 3,
+                targetConfirmations: 3,
+                height: 99,
+                blockHash: 'blockhash'
+              }
+            ]);
+            should.not.exist(bitcoind.subscriptions.txconfirmed[txid]);
+            done();
+          });
+        });
+      });
+    });
+    it('will only notify once the target is reached', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 100;
+      var emitter = new EventEmitter();
+      var notifications = [];
+      emitter.on('bitcoind/txconfirmed', function(data) {
+        notifications.push(data);
+      });
+      addWatch(bitcoind, emitter, 6, true);
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, null, {
+        height: 99,
+        blockHash: 'blockhash'
+      });
+      bitcoind._checkTransactionConfirmation(txid, function(err) {
+        if (err) {
+          return done(err);
+        }
+        notifications.length.should.equal(0);
+        bitcoind.height = 104;
+        bitcoind._checkTransactionConfirmation(txid, function() {
+          notifications.length.should.equal(1);
+          notifications[0].confirmations.should.equal(6);
+          should.not.exist(bitcoind.subscriptions.txconfirmed[txid]);
+          done();
+        });
+      });
+    });
+    it('will notify zero confirmations for mempool transaction', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 100;
+      var emitter = new EventEmitter();
+      emitter.on('bitcoind/txconfirmed', function(data) {
+        data.confirmations.should.equal(0);
+        should.equal(data.height, null);
+      });
+      addWatch(bitcoind, emitter, 1, false);
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, null, {
+        height: -1
+      });
+      bitcoind._checkTransactionConfirmation(txid, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.subscriptions.txconfirmed[txid].subscribers[0].lastConfirmations.should.equal(0);
+        done();
+      });
+    });
+    it('will skip transactions unknown to zend', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var emitter = new EventEmitter();
+      addWatch(bitcoind, emitter, 1, false);
+      var error = new errors.RPCError('No information available about transaction');
+      error.code = -5;
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, error);
+      bitcoind._checkTransactionConfirmation(txid, function(err) {
+        should.not.exist(err);
+        should.equal(bitcoind.subscriptions.txconfirmed[txid].subscribers[0].lastConfirmations, null);
+        done();
+      });
+    });
+    it('will give other errors', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var emitter = new EventEmitter();
+      addWatch(bitcoind, emitter, 1, false);
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._checkTransactionConfirmation(txid, function(err) {
+        err.message.should.equal('test');
+        done();
+      });
+    });
+  });
+
+  describe('#_resetTransactionConfirmations', function() {
+    it('will reset and check transactions in disconnected blocks', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._checkTransactionConfirmations = sinon.stub();
+      bitcoind.subscriptions.txconfirmed.txid1 = {height: 10, blockHash: 'a1', subscribers: []};
+      bitcoind.subscriptions.txconfirmed.txid2 = {height: 9, blockHash: 'a0', subscribers: []};
+      bitcoind._resetTransactionConfirmations(['a1']);
+      should.equal(bitcoind.subscriptions.txconfirmed.txid1.height, null);
+      should.equal(bitcoind.subscriptions.txconfirmed.txid1.blockHash, null);
+      bitcoind.subscriptions.txconfirmed.txid2.height.should.equal(9);
+      bitcoind._checkTransactionConfirmations.callCount.should.equal(1);
+      bitcoind._checkTransactionConfirmations.args[0][0].should.deep.equal(['txid1']);
+    });
+  });
+
+  describe('#_getAddressesFromTransaction', function() {
+    it('will get results using bitcore.Transaction', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var wif = 'L2Gkw3kKJ6N24QcDuH4XDqt9cTqsKTVNDGz1CRZhk9cq4auDUbJy';
+      var privkey = bitcore.PrivateKey.fromWIF(wif);
+      var inputAddress = privkey.toAddress(bitcore.Networks.testnet);
+      var outputAddress = bitcore.Address('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br');
+      var tx = bitcore.Transaction();
+      tx.from({
+        txid: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b',
+        outputIndex: 0,
+        script: bitcore.Script(inputAddress),
+        address: inputAddress.toString(),
+        satoshis: 5000000000
+      });
+      tx.to(outputAddress, 5000000000);
+      tx.sign(privkey);
+      var addresses = bitcoind._getAddressesFromTransaction(tx);
+      addresses.length.should.equal(2);
+      addresses[0].should.equal(inputAddress.toString());
+      addresses[1].should.equal(outputAddress.toString());
+    });
+    it('will handle non-standard script types', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tx = bitcore.Transaction();
+      tx.addInput(bitcore.Transaction.Input({
+        prevTxId: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b',
+        script: bitcore.Script('OP_TRUE'),
+        outputIndex: 1,
+        output: {
+          script: bitcore.Script('OP_TRUE'),
+          satoshis: 5000000000
+        }
+      }));
+      tx.addOutput(bitcore.Transaction.Output({
+        script: bitcore.Script('OP_TRUE'),
+        satoshis: 5000000000
+      }));
+      var addresses = bitcoind._getAddressesFromTransaction(tx);
+      addresses.length.should.equal(0);
+    });
+    it('will handle unparsable script types or missing input script', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tx = bitcore.Transaction();
+      tx.addOutput(bitcore.Transaction.Output({
+        script: new Buffer('4c', 'hex'),
+        satoshis: 5000000000
+      }));
+      var addresses = bitcoind._getAddressesFromTransaction(tx);
+      addresses.length.should.equal(0);
+    });
+    it('will return unique values', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tx = bitcore.Transaction();
+      var address = bitcore.Address('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br');
+      tx.addOutput(bitcore.Transaction.Output({
+        script: bitcore.Script(address),
+        satoshis: 5000000000
+      }));
+      tx.addOutput(bitcore.Transaction.Output({
+        script: bitcore.Script(address),
+        satoshis: 5000000000
+      }));
+      var addresses = bitcoind._getAddressesFromTransaction(tx);
+      addresses.length.should.equal(1);
+    });
+  });
+
+  describe('#_notifyAddressTxidSubscribers', function() {
+    it('will emit event if matching addresses', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind._getAddressesFromTransaction = sinon.stub().returns([address]);
+      var emitter = new EventEmitter();
+      bitcoind.subscriptions.address[address] = [emitter];
+      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
+      var transaction = {};
+      emitter.on('bitcoind/addresstxid', function(data) {
+        data.address.should.equal(address);
+        data.txid.should.equal(txid);
+        done();
+      });
+      sinon.spy(emitter, 'emit');
+      bitcoind._notifyAddressTxidSubscribers(txid, transaction);
+      emitter.emit.callCount.should.equal(1);
+    });
+    it('will NOT emit event without matching addresses', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind._getAddressesFromTransaction = sinon.stub().returns([address]);
+      var emitter = new EventEmitter();
+      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
+      var transaction = {};
+      emitter.emit = sinon.stub();
+      bitcoind._notifyAddressTxidSubscribers(txid, transaction);
+      emitter.emit.callCount.should.equal(0);
+    });
+  });
+
+  describe('#_zmqTransactionHandler', function() {
+    it('will emit to subscribers', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var expectedBuffer = new Buffer(txhex, 'hex');
+      var emitter = new EventEmitter();
+      bitcoind.subscriptions.rawtransaction.push(emitter);
+      emitter.on('bitcoind/rawtransaction', function(hex) {
+        hex.should.be.a('string');
+        hex.should.equal(expectedBuffer.toString('hex'));
+        done();
+      });
+      var node = {};
+      bitcoind._zmqTransactionHandler(node, expectedBuffer);
+    });
+    it('will update pinned transactions for each node', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var buffer = new Buffer(txhex, 'hex');
+      var txid = bitcore.Transaction(txhex).hash;
+      bitcoind._updatePinnedTransaction = sinon.stub();
+      bitcoind._addMempoolTransaction = sinon.stub();
+      var node1 = {};
+      var node2 = {};
+      bitcoind._zmqTransactionHandler(node1, buffer);
+      bitcoind._zmqTransactionHandler(node2, buffer);
+      bitcoind._updatePinnedTransaction.callCount.should.equal(2);
+      bitcoind._updatePinnedTransaction.args[0][0].should.equal(txid);
+      bitcoind._updatePinnedTransaction.args[1][1].should.equal(node2);
+    });
+    it('will NOT emit to subscribers more than once for the same tx', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var expectedBuffer = new Buffer(txhex, 'hex');
+      var emitter = new EventEmitter();
+      bitcoind.subscriptions.rawtransaction.push(emitter);
+      emitter.on('bitcoind/rawtransaction', function() {
+        done();
+      });
+      var node = {};
+      bitcoind._zmqTransactionHandler(node, expectedBuffer);
+      bitcoind._zmqTransactionHandler(node, expectedBuffer);
+    });
+    it('will emit "tx" event', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var expectedBuffer = new Buffer(txhex, 'hex');
+      bitcoind.on('tx', function(buffer) {
+        buffer.should.be.instanceof(Buffer);
+        buffer.toString('hex').should.equal(expectedBuffer.toString('hex'));
+        done();
+      });
+      var node = {};
+      bitcoind._zmqTransactionHandler(node, expectedBuffer);
+    });
+    it('will NOT emit "tx" event more than once for the same tx', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var expectedBuffer = new Buffer(txhex, 'hex');
+      bitcoind.on('tx', function() {
+        done();
+      });
+      var node = {};
+      bitcoind._zmqTransactionHandler(node, expectedBuffer);
+      bitcoind._zmqTransactionHandler(node, expectedBuffer);
+    });
+    it('will add transaction to the mempool', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._addMempoolTransaction = sinon.stub();
+      var buffer = new Buffer(mempoolTxHex, 'hex');
+      var node = {};
+      bitcoind._zmqTransactionHandler(node, buffer);
+      bitcoind._addMempoolTransaction.callCount.should.equal(1);
+      bitcoind._addMempoolTransaction.args[0][0].should.equal(Transaction(mempoolTxHex).hash);
+      bitcoind._addMempoolTransaction.args[0][1].should.be.instanceof(Transaction);
+    });
+    it('will NOT add coinbase transaction to the mempool', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._addMempoolTransaction = sinon.stub();
+      var node = {};
+      bitcoind._zmqTransactionHandler(node, new Buffer(txhex, 'hex'));
+      bitcoind._addMempoolTransaction.callCount.should.equal(0);
+    });
+    it('will NOT add confirmed transaction to the mempool', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._addMempoolTransaction = sinon.stub();
+      var node = {};
+      bitcoind._zmqTransactionHandler(node, new Buffer(mempoolTxHex, 'hex'), true);
+      bitcoind._addMempoolTransaction.callCount.should.equal(0);
+    });
+  });
+
+  describe('#_addMempoolTransaction', function() {
+    it('will index transaction by txid and address', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempoolQueue = {
+        push: sinon.stub()
+      };
+      var tx = Transaction(mempoolTxHex);
+      var addresses = bitcoind._getAddressesFromTransaction(tx);
+      bitcoind._addMempoolTransaction(tx.hash, tx);
+      var entry = bitcoind.mempool.transactions[tx.hash];
+      entry.txid.should.equal(tx.hash);
+      entry.tx.should.equal(tx);
+      entry.size.should.equal(mempoolTxHex.length / 2);
+      should.equal(entry.feeSatoshis, null);
+      entry.addresses.should.deep.equal(addresses);
+      bitcoind.mempool.addresses[addresses[0]].should.deep.equal([tx.hash]);
+      bitcoind.mempoolQueue.push.callCount.should.equal(1);
+      bitcoind.mempoolQueue.push.args[0][0].should.equal(tx.hash);
+    });
+    it('will use details of the detailed transaction', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempoolQueue = {
+        push: sinon.stub()
+      };
+      var tx = Transaction(mempoolTxHex);
+      bitcoind._addMempoolTransaction(tx.hash, tx, {
+        feeSatoshis: 10000,
+        inputs: [
+          {
+            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          }
+        ]
+      });
+      var entry = bitcoind.mempool.transactions[tx.hash];
+      entry.feeSatoshis.should.equal(10000);
+      entry.inputs.should.deep.equal([{address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'}]);
+      entry.outputs.length.should.equal(tx.outputs.length);
+      entry.outputs[0].satoshis.should.equal(tx.outputs[0].satoshis);
+      entry.addresses.should.contain('mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW');
+      bitcoind.mempool.addresses['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'].should.deep.equal([tx.hash]);
+      bitcoind.mempoolQueue.push.callCount.should.equal(0);
+    });
+    it('will remove cached summaries and spent transactions', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempoolQueue = {
+        push: sinon.stub()
+      };
+      var tx = Transaction(mempoolTxHex);
+      var address = bitcoind._getAddressesFromTransaction(tx)[0];
+      var prevTxId = tx.inputs[0].prevTxId.toString('hex');
+      bitcoind.summaryCache.set(address, {});
+      bitcoind.balanceCache.set(address, {});
+      bitcoind.transactionDetailedCache.set(prevTxId, {});
+      bitcoind._addMempoolTransaction(tx.hash, tx);
+      bitcoind.summaryCache.has(address).should.equal(false);
+      bitcoind.balanceCache.has(address).should.equal(true);
+      bitcoind.transactionDetailedCache.has(prevTxId).should.equal(false);
+    });
+    it('will not add the same transaction twice', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempoolQueue = {
+        push: sinon.stub()
+      };
+      var tx = Transaction(mempoolTxHex);
+      bitcoind._addMempoolTransaction(tx.hash, tx);
+      bitcoind._addMempoolTransaction(tx.hash, tx);
+      bitcoind.mempoolQueue.push.callCount.should.equal(1);
+      var address = bitcoind.mempool.transactions[tx.hash].addresses[0];
+      bitcoind.mempool.addresses[address].length.should.equal(1);
+    });
+  });
+
+  describe('#_loadMempoolEntryDetails', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will set fee from detailed transaction', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempool.transactions.txid = {txid: 'txid', addresses: []};
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, null, {
+        feeSatoshis: 20000,
+        inputs: []
+      });
+      bitcoind._loadMempoolEntryDetails('txid', function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.mempool.transactions.txid.feeSatoshis.should.equal(20000);
+        done();
+      });
+    });
+    it('will skip transactions no longer in the mempool', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getDetailedTransaction = sinon.stub();
+      bitcoind._loadMempoolEntryDetails('txid', function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getDetailedTransaction.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will log a warning on error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempool.transactions.txid = {txid: 'txid', addresses: []};
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._loadMempoolEntryDetails('txid', function(err) {
+        should.not.exist(err);
+        log.warn.callCount.should.equal(1);
+        should.equal(bitcoind.mempool.transactions.txid.feeSatoshis, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('#_removeMempoolTransaction', function() {
+    it('will remove transaction and addresses', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempool.transactions.txid1 = {txid: 'txid1', tx: {inputs: []}, addresses: ['address1', 'address2']};
+      bitcoind.mempool.addresses.address1 = ['txid1', 'txid2'];
+      bitcoind.mempool.addresses.address2 = ['txid1'];
+      bitcoind.summaryCache.set('address2', {});
+      bitcoind._removeMempoolTransaction('txid1');
+      bitcoind.mempool.should.deep.equal({
+        transactions: {},
+        addresses: {
+          address1: ['txid2']
+        }
+      });
+      bitcoind.summaryCache.has('address2').should.equal(false);
+    });
+    it('will skip unknown transaction', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._removeMempoolTransaction('txid1');
+      bitcoind.mempool.transactions.should.deep.equal({});
+    });
+  });
+
+  describe('#_removeMempoolBlockTransactions', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will remove txids of the block', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getBlockOverview = sinon.stub().callsArgWith(1, null, {txids: ['txid1', 'txid2']});
+      bitcoind._removeMempoolTransaction = sinon.stub();
+      bitcoind._removeMempoolBlockTransactions('blockhash');
+      bitcoind.getBlockOverview.args[0][0].should.equal('blockhash');
+      bitcoind._removeMempoolTransaction.callCount.should.equal(2);
+      bitcoind._removeMempoolTransaction.args[0][0].should.equal('txid1');
+      bitcoind._removeMempoolTransaction.args[1][0].should.equal('txid2');
+    });
+    it('will log error', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getBlockOverview = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._removeMempoolBlockTransactions('blockhash');
+      log.error.callCount.should.equal(1);
+    });
+  });
+
+  describe('#_syncMempool', function() {
+    it('will give rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, {message: 'test', code: -1})
+        }
+      });
+      bitcoind._syncMempool(function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+    it('will remove stale and add missing transactions', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tx = Transaction(mempoolTxHex);
+      bitcoind.mempool.transactions.stale = {txid: 'stale', tx: {inputs: []}, addresses: [], time: 0};
+      bitcoind.nodes.push({
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, null, {result: [tx.hash]})
+        }
+      });
+      var detailedTx = {
+        hex: mempoolTxHex,
+        feeSatoshis: 10000,
+        inputs: []
+      };
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, null, detailedTx);
+      bitcoind._syncMempool(function(err) {
+        if (err) {
+          return done(err);
+        }
+        should.not.exist(bitcoind.mempool.transactions.stale);
+        bitcoind.getDetailedTransaction.args[0][0].should.equal(tx.hash);
+        bitcoind.mempool.transactions[tx.hash].feeSatoshis.should.equal(10000);
+        done();
+      });
+    });
+    it('will give error from getDetailedTransaction', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, null, {result: ['txid']})
+        }
+      });
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._syncMempool(function(err) {
+        err.message.should.equal('test');
+        done();
+      });
+    });
+    it('will skip transactions that left the mempool before they are queried', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, null, {result: ['txid']})
+        }
+      });
+      var error = new errors.RPCError('No information available about transaction');
+      error.code = -5;
+      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, error);
+      bitcoind._syncMempool(function(err) {
+        if (err) {
+          return done(err);
+        }
+        should.not.exist(bitcoind.mempool.transactions.txid);
+        done();
+      });
+    });
+    it('will keep transactions added while querying', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var entry = {txid: 'added', tx: {inputs: []}, addresses: [], time: Math.round(Date.now() / 1000) + 1};
+      bitcoind.nodes.push({
+        client: {
+          getRawMemPool: function(callback) {
+            bitcoind.mempool.transactions.added = entry;
+            callback(null, {result: []});
+          }
+        }
+      });
+      bitcoind._syncMempool(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.mempool.transactions.added.should.equal(entry);
+        done();
+      });
+    });
+  });
+
+  describe('#_updateMempool', function() {
+    it('will sync the mempool and use the index once synced', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._syncMempool = sinon.stub().callsArg(0);
+      bitcoind._updateMempool(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.mempoolSyncing.should.equal(false);
+        bitcoind.mempoolSynced.should.equal(true);
+        done();
+      });
+    });
+    it('will not use the index after an error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._syncMempool = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind._updateMempool(function(err) {
+        err.message.should.equal('test');
+        bitcoind.mempoolSyncing.should.equal(false);
+        bitcoind.mempoolSynced.should.equal(false);
+        done();
+      });
+    });
+    it('will not sync while a sync is in progress', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._syncMempool = sinon.stub();
+      bitcoind.mempoolSyncing = true;
+      bitcoind._updateMempool(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._syncMempool.callCount.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('#_getAddressMempool', function() {
+    var address = 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW';
+    function createService() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.mempoolSynced = true;
+      bitcoind.mempool.transactions = {
+        txid1: {
+          txid: 'txid1',
+          time: 20,
+          inputs: [{address: 'other', satoshis: 5000, prevTxId: 'prev1', outputIndex: 0}],
+          outputs: [{address: 'other', satoshis: 1000}, {address: address, satoshis: 3000}]
+        },
+        txid2: {
+          txid: 'txid2',
+          time: 10,
+          inputs: [{address: address, satoshis: 2000, prevTxId: 'prev2', outputIndex: 1}],
+          outputs: [{address: null, satoshis: 0}, {address: 'other', satoshis: 1500}]
+        }
+      };
+      bitcoind.mempool.addresses[address] = ['txid1', 'txid2'];
+      bitcoind.mempool.addresses.other = ['txid1', 'txid2'];
+      bitcoind.nodes.push({
+        client: {
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {result: ['delta']})
+        }
+      });
+      return bitcoind;
+    }
+    it('will give the deltas from the mempool index', function(done) {
+      var bitcoind = createService();
+      bitcoind._getAddressMempool([address], function(err, deltas) {
+        if (err) {
+          return done(err);
+        }
+        deltas.should.deep.equal([
+          {address: address, txid: 'txid2', index: 0, satoshis: -2000, timestamp: 10, prevtxid: 'prev2', prevout: 1},
+          {address: address, txid: 'txid1', index: 1, satoshis: 3000, timestamp: 20}
+        ]);
+        bitcoind.nodes[0].client.getAddressMempool.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will query the mempool before it has been synchronized', function(done) {
+      var bitcoind = createService();
+      bitcoind.mempoolSynced = false;
+      bitcoind._getAddressMempool([address], function(err, deltas) {
+        if (err) {
+          return done(err);
+        }
+        deltas.should.deep.equal(['delta']);
+        bitcoind.nodes[0].client.getAddressMempool.args[0][0].should.deep.equal({addresses: [address]});
+        done();
+      });
+    });
+    it('will query the mempool while it is synchronizing', function(done) {
+      var bitcoind = createService();
+      bitcoind.mempoolSyncing = true;
+      bitcoind._getAddressMempool([address], function(err, deltas) {
+        if (err) {
+          return done(err);
+        }
+        deltas.should.deep.equal(['delta']);
+        done();
+      });
+    });
+    it('will query the mempool while the details of a transaction are loading', function(done) {
+      var bitcoind = createService();
+      bitcoind.mempool.transactions.txid1.inputs = null;
+      bitcoind._getAddressMempool([address], function(err, deltas) {
+        if (err) {
+          return done(err);
+        }
+        deltas.should.deep.equal(['delta']);
+        done();
+      });
+    });
+    it('will give the error of the query', function(done) {
+      var bitcoind = createService();
+      bitcoind.mempoolSynced = false;
+      bitcoind.nodes[0].client.getAddressMempool = sinon.stub().callsArgWith(1, {code: -5, message: 'test'});
+      bitcoind._getAddressMempool([address], function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+  });
+
+  describe('#_startMempoolSync', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will sync the mempool on an interval', function(done) {
+      var bitcoind = new BitcoinService(_.extend({}, baseConfig, {mempoolSyncInterval: 1}));
+      bitcoind._syncMempool = function(callback) {
+        clearInterval(bitcoind.mempoolInterval);
+        bitcoind.mempoolSyncing.should.equal(true);
+        callback(new Error('test'));
+        bitcoind.mempoolSyncing.should.equal(false);
+        log.warn.callCount.should.equal(1);
+        done();
+      };
+      bitcoind._startMempoolSync();
+    });
+    it('will not sync while a sync is in progress', function(done) {
+      var bitcoind = new BitcoinService(_.extend({}, baseConfig, {mempoolSyncInterval: 1}));
+      bitcoind._syncMempool = sinon.stub();
+      bitcoind._startMempoolSync();
+      setTimeout(function() {
+        clearInterval(bitcoind.mempoolInterval);
+        bitcoind._syncMempool.callCount.should.equal(1);
+        done();
+      }, 20);
+    });
+  });
+
+  describe('#_checkSyncedAndSubscribeZmqEvents', function() {
+    var sandbox = sinon.sandbox.create();
+    before(function() {
+      sandbox.stub(log, 'error');
+    });
+    after(function() {
+      sandbox.restore();
+    });
+    it('log errors, update tip and subscribe to zmq events', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._updateTip = sinon.stub();
+      bitcoind._subscribeZmqEvents = sinon.stub();
+      var blockEvents = 0;
+      bitcoind.on('block', function() {
+        blockEvents++;
+      });
+      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
+        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
+      });
+      getBestBlockHash.onCall(0).callsArgWith(0, {code: -1 , message: 'Test error'});
+      var progress = 0.90;
+      function getProgress() {
+        progress = progress + 0.01;
+        return progress;
+      }
+      var info = {};
+      Object.defineProperty(info, 'result', {
+        get: function() {
+          return {
+            verificationprogress: getProgress()
+          };
+        }
+      });
+      var getBlockchainInfo = sinon.stub().callsArgWith(0, null, info);
+      getBlockchainInfo.onCall(0).callsArgWith(0, {code: -1, message: 'Test error'});
+      var node = {
+        _reindex: true,
+        _reindexWait: 1,
+        _tipUpdateInterval: 1,
+        client: {
+          getBestBlockHash: getBestBlockHash,
+          getBlockchainInfo: getBlockchainInfo
+        }
+      };
+      bitcoind._checkSyncedAndSubscribeZmqEvents(node);
+      setTimeout(function() {
+        log.error.callCount.should.equal(2);
+        blockEvents.should.equal(11);
+        bitcoind._updateTip.callCount.should.equal(11);
+        bitcoind._subscribeZmqEvents.callCount.should.equal(1);
+        done();
+      }, 200);
+    });
+    it('it will clear interval if node is stopping', function(done) {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
+        }
+      };
+      var bitcoind = new BitcoinService(config);
+      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -1, message: 'error'});
+      var node = {
+        _tipUpdateInterval: 1,
+        client: {
+          getBestBlockHash: getBestBlockHash
+        }
+      };
+      bitcoind._checkSyncedAndSubscribeZmqEvents(node);
+      setTimeout(function() {
+        bitcoind.node.stopping = true;
+        var count = getBestBlockHash.callCount;
+        setTimeout(function() {
+          getBestBlockHash.callCount.should.equal(count);
+          done();
+        }, 100);
+      }, 100);
+    });
+    it('will not set interval if synced is true', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._updateTip = sinon.stub();
+      bitcoind._subscribeZmqEvents = sinon.stub();
+      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
+        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
+      });
+      var info = {
+        result: {
+          verificationprogress: 1.00
+        }
+      };
+      var getBlockchainInfo = sinon.stub().callsArgWith(0, null, info);
+      var node = {
+        _tipUpdateInterval: 1,
+        client: {
+          getBestBlockHash: getBestBlockHash,
+          getBlockchainInfo: getBlockchainInfo
+        }
+      };
+      bitcoind._checkSyncedAndSubscribeZmqEvents(node);
+      setTimeout(function() {
+        getBestBlockHash.callCount.should.equal(1);
+        getBlockchainInfo.callCount.should.equal(1);
+        done();
+      }, 200);
+    });
+  });
+
+  describe('#_subscribeZmqEvents', function() {
+    it('will subscribe to the topics of each socket', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var socket1 = {subscribe: sinon.stub(), on: sinon.stub()};
+      var socket2 = {subscribe: sinon.stub(), on: sinon.stub()};
+      var node = {
+        zmqSubSockets: [
+          {url: 'url1', topics: ['hashblock', 'rawtx'], socket: socket1},
+          {url: 'url2', topics: ['rawblock'], socket: socket2}
+        ]
+      };
+      bitcoind._subscribeZmqEvents(node);
+      socket1.subscribe.callCount.should.equal(2);
+      socket1.subscribe.args[0][0].should.equal('hashblock');
+      socket1.subscribe.args[1][0].should.equal('rawtx');
+      socket2.subscribe.callCount.should.equal(1);
+      socket2.subscribe.args[0][0].should.equal('rawblock');
+      socket1.on.args[0][0].should.equal('message');
+      socket2.on.args[0][0].should.equal('message');
+    });
+    it('will call the message handler', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._zmqMessageHandler = sinon.stub();
+      var socket = new EventEmitter();
+      socket.subscribe = sinon.stub();
+      var node = {
+        zmqSubSockets: [{url: 'url', topics: ['rawtx'], socket: socket}]
+      };
+      bitcoind._subscribeZmqEvents(node);
+      var topic = new Buffer('rawtx', 'utf8');
+      var message = new Buffer('abcdef', 'hex');
+      socket.emit('message', topic, message);
+      bitcoind._zmqMessageHandler.callCount.should.equal(1);
+      bitcoind._zmqMessageHandler.args[0][0].should.equal(node);
+      bitcoind._zmqMessageHandler.args[0][1].should.equal(topic);
+      bitcoind._zmqMessageHandler.args[0][2].should.equal(message);
+    });
+  });
+
+  describe('#_zmqMessageHandler', function() {
+    var message = new Buffer('abcdef', 'hex');
+    function createService() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._zmqTransactionHandler = sinon.stub();
+      bitcoind._zmqBlockHandler = sinon.stub();
+      bitcoind._zmqRawBlockHandler = sinon.stub();
+      bitcoind._zmqHashTransactionHandler = sinon.stub();
+      return bitcoind;
+    }
+    it('will call relevant handler for rawtx topics', function() {
+      var bitcoind = createService();
+      bitcoind._zmqMessageHandler({}, new Buffer('rawtx', 'utf8'), message);
+      bitcoind._zmqTransactionHandler.callCount.should.equal(1);
+    });
+    it('will call relevant handler for hashblock topics', function() {
+      var bitcoind = createService();
+      bitcoind._zmqMessageHandler({}, new Buffer('hashblock', 'utf8'), message);
+      bitcoind._zmqBlockHandler.callCount.should.equal(1);
+    });
+    it('will call relevant handler for rawblock topics', function() {
+      var bitcoind = createService();
+      bitcoind._zmqMessageHandler({}, new Buffer('rawblock', 'utf8'), message);
+      bitcoind._zmqRawBlockHandler.callCount.should.equal(1);
+    });
+    it('will call relevant handler for hashtx topics', function() {
+      var bitcoind = createService();
+      bitcoind._zmqMessageHandler({}, new Buffer('hashtx', 'utf8'), message);
+      bitcoind._zmqHashTransactionHandler.callCount.should.equal(1);
+    });
+    it('will ignore unknown topic types', function() {
+      var bitcoind = createService();
+      bitcoind._zmqMessageHandler({}, new Buffer('unknown', 'utf8'), message);
+      bitcoind._zmqTransactionHandler.callCount.should.equal(0);
+      bitcoind._zmqBlockHandler.callCount.should.equal(0);
+      bitcoind._zmqRawBlockHandler.callCount.should.equal(0);
+      bitcoind._zmqHashTransactionHandler.callCount.should.equal(0);
+    });
+  });
+
+  describe('#_getZmqEndpoints', function() {
+    it('will use the rawtx endpoint for hashblock by default', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getZmqEndpoints({zmqpubrawtx: 'tcp://127.0.0.1:28332'}).should.deep.equal({
+        'tcp://127.0.0.1:28332': ['hashblock', 'rawtx']
+      });
+    });
+    it('will give separate endpoints', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getZmqEndpoints({
+        zmqpubrawtx: 'tcp://127.0.0.1:28332',
+        zmqpubhashblock: 'tcp://127.0.0.1:28333'
+      }).should.deep.equal({
+        'tcp://127.0.0.1:28333': ['hashblock'],
+        'tcp://127.0.0.1:28332': ['rawtx']
+      });
+    });
+    it('will prefer rawblock and use hashtx without rawtx', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getZmqEndpoints({
+        zmqpubhashblock: 'tcp://127.0.0.1:28332',
+        zmqpubrawblock: 'tcp://127.0.0.1:28333',
+        zmqpubhashtx: 'tcp://127.0.0.1:28333'
+      }).should.deep.equal({
+        'tcp://127.0.0.1:28333': ['rawblock', 'hashtx']
+      });
+    });
+  });
+
+  describe('#_checkZmqSequence', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function sequence(number) {
+      var buffer = new Buffer(4);
+      buffer.writeUInt32LE(number, 0);
+      return buffer;
+    }
+    it('will track the sequence number for each topic', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpZmq = sinon.stub();
+      var node = {};
+      bitcoind._checkZmqSequence(node, 'rawtx', sequence(10));
+      bitcoind._checkZmqSequence(node, 'hashblock', sequence(3));
+      bitcoind._checkZmqSequence(node, 'rawtx', sequence(11));
+      node.zmqSequences.should.deep.equal({rawtx: 11, hashblock: 3});
+      bitcoind._catchUpZmq.callCount.should.equal(0);
+    });
+    it('will catch up with a gap in the sequence', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpZmq = sinon.stub();
+      var node = {};
+      bitcoind._checkZmqSequence(node, 'rawtx', sequence(10));
+      bitcoind._checkZmqSequence(node, 'rawtx', sequence(13));
+      bitcoind._catchUpZmq.callCount.should.equal(1);
+      bitcoind._catchUpZmq.args[0][0].should.equal(node);
+      log.warn.callCount.should.equal(1);
+    });
+    it('will catch up when the sequence restarts', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpZmq = sinon.stub();
+      var node = {};
+      bitcoind._checkZmqSequence(node, 'hashblock', sequence(10));
+      bitcoind._checkZmqSequence(node, 'hashblock', sequence(0));
+      bitcoind._catchUpZmq.callCount.should.equal(1);
+    });
+    it('will NOT catch up when the sequence wraps around', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpZmq = sinon.stub();
+      var node = {};
+      bitcoind._checkZmqSequence(node, 'rawtx', sequence(0xffffffff));
+      bitcoind._checkZmqSequence(node, 'rawtx', sequence(0));
+      bitcoind._catchUpZmq.callCount.should.equal(0);
+    });
+    it('will skip messages without a sequence number', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpZmq = sinon.stub();
+      var node = {};
+      bitcoind._checkZmqSequence(node, 'rawtx');
+      should.not.exist(node.zmqSequences);
+    });
+  });
+
+  describe('#_catchUpZmq', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will catch up blocks from the current height and then the mempool', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 100;
+      bitcoind._catchUpBlocks = sinon.stub().callsArg(2);
+      bitcoind._catchUpMempool = sinon.stub().callsArg(1);
+      var node = {};
+      bitcoind._catchUpZmq(node);
+      bitcoind._catchUpBlocks.args[0][0].should.equal(node);
+      bitcoind._catchUpBlocks.args[0][1].should.equal(100);
+      bitcoind._catchUpMempool.callCount.should.equal(1);
+      should.equal(node.zmqCatchUp, null);
+    });
+    it('will only catch up the mempool without a height', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpBlocks = sinon.stub().callsArg(2);
+      bitcoind._catchUpMempool = sinon.stub().callsArg(1);
+      bitcoind._catchUpZmq({});
+      bitcoind._catchUpBlocks.callCount.should.equal(0);
+      bitcoind._catchUpMempool.callCount.should.equal(1);
+    });
+    it('will log error', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 100;
+      bitcoind._catchUpBlocks = sinon.stub().callsArgWith(2, new Error('test'));
+      bitcoind._catchUpMempool = sinon.stub().callsArg(1);
+      bitcoind._catchUpZmq({});
+      log.error.callCount.should.equal(1);
+      bitcoind._catchUpMempool.callCount.should.equal(0);
+    });
+    it('will catch up again from the lowest height requested while running', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 100;
+      var node = {};
+      var finish;
+      bitcoind._catchUpBlocks = sinon.spy(function(node, height, callback) {
+        if (finish) {
+          return callback();
+        }
+        finish = callback;
+      });
+      bitcoind._catchUpMempool = sinon.stub().callsArg(1);
+      bitcoind._catchUpZmq(node);
+      bitcoind._catchUpZmq(node, 98);
+      bitcoind._catchUpZmq(node, 99);
+      bitcoind._catchUpBlocks.callCount.should.equal(1);
+      finish();
+      bitcoind._catchUpBlocks.callCount.should.equal(2);
+      bitcoind._catchUpBlocks.args[1][1].should.equal(98);
+      should.equal(node.zmqCatchUp, null);
+    });
+  });
+
+  describe('#_catchUpBlocks', function() {
+    it('will catch up each block since the height', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpBlock = sinon.stub().callsArg(2);
+      var node = {
+        client: {
+          getBlockCount: sinon.stub().callsArgWith(0, null, {result: 103}),
+          getBlockHash: sinon.spy(function(height, callback) {
+            callback(null, {result: 'hash' + height});
+          })
+        }
+      };
+      bitcoind._catchUpBlocks(node, 100, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._catchUpBlock.callCount.should.equal(3);
+        bitcoind._catchUpBlock.args[0][1].should.equal('hash101');
+        bitcoind._catchUpBlock.args[2][1].should.equal('hash103');
+        done();
+      });
+    });
+    it('will limit the number of blocks', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.maxCatchUpBlocks = 2;
+      bitcoind._catchUpBlock = sinon.stub().callsArg(2);
+      var node = {
+        client: {
+          getBlockCount: sinon.stub().callsArgWith(0, null, {result: 110}),
+          getBlockHash: sinon.stub().callsArgWith(1, null, {result: 'hash'})
+        }
+      };
+      bitcoind._catchUpBlocks(node, 100, function(err) {
+        if (err) {
+          return done(err);
+        }
+        node.client.getBlockHash.callCount.should.equal(2);
+        node.client.getBlockHash.args[0][0].should.equal(109);
+        done();
+      });
+    });
+    it('will give rpc error from getblockcount', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        client: {
+          getBlockCount: sinon.stub().callsArgWith(0, {code: -1, message: 'Test error'})
+        }
+      };
+      bitcoind._catchUpBlocks(node, 100, function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+    it('will give rpc error from getblockhash', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        client: {
+          getBlockCount: sinon.stub().callsArgWith(0, null, {result: 101}),
+          getBlockHash: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+        }
+      };
+      bitcoind._catchUpBlocks(node, 100, function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+  });
+
+  describe('#_catchUpBlock', function() {
+    var blockhex = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+    var blockhash = '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+    it('will handle the transactions and then the block', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getRawBlock = sinon.stub().callsArgWith(1, null, new Buffer(blockhex, 'hex'));
+      bitcoind._zmqTransactionHandler = sinon.stub();
+      bitcoind._zmqBlockHandler = sinon.stub();
+      var node = {};
+      bitcoind._catchUpBlock(node, blockhash, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._zmqTransactionHandler.callCount.should.equal(1);
+        bitcoind._zmqTransactionHandler.args[0][2].should.equal(true);
+        bitcoind._zmqBlockHandler.callCount.should.equal(1);
+        bitcoind._zmqBlockHandler.args[0][0].should.equal(node);
+        bitcoind._zmqBlockHandler.args[0][1].toString('hex').should.equal(blockhash);
+        bitcoind._zmqBlockHandler.args[0][2].hash.should.equal(blockhash);
+        done();
+      });
+    });
+    it('will skip known blocks', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getRawBlock = sinon.stub();
+      bitcoind.zmqKnownBlocks.set(new Buffer(blockhash, 'hex').toString('binary'), true);
+      bitcoind._catchUpBlock({}, blockhash, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getRawBlock.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will give error from getRawBlock', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getRawBlock = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._catchUpBlock({}, blockhash, function(err) {
+        err.should.be.instanceof(Error);
+        done();
+      });
+    });
+  });
+
+  describe('#_catchUpMempool', function() {
+    it('will handle unknown mempool transactions and then sync the mempool', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var txid = bitcore.Transaction(txhex).hash;
+      bitcoind.mempool.transactions.known = {};
+      bitcoind._zmqTransactionHandler = sinon.stub();
+      bitcoind._syncMempool = sinon.stub().callsArg(0);
+      var node = {
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, null, {result: ['known', txid]}),
+          getRawTransaction: sinon.stub().callsArgWith(1, null, {result: txhex})
+        }
+      };
+      bitcoind._catchUpMempool(node, function(err) {
+        if (err) {
+          return done(err);
+        }
+        node.client.getRawTransaction.callCount.should.equal(1);
+        node.client.getRawTransaction.args[0][0].should.equal(txid);
+        bitcoind._zmqTransactionHandler.callCount.should.equal(1);
+        bitcoind._zmqTransactionHandler.args[0][1].toString('hex').should.equal(txhex);
+        bitcoind._syncMempool.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will skip transactions that left the mempool', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._zmqTransactionHandler = sinon.stub();
+      bitcoind._syncMempool = sinon.stub().callsArg(0);
+      var node = {
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, null, {result: ['txid']}),
+          getRawTransaction: sinon.stub().callsArgWith(1, {code: -5, message: 'Not found'})
+        }
+      };
+      bitcoind._catchUpMempool(node, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._zmqTransactionHandler.callCount.should.equal(0);
+        bitcoind._syncMempool.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will give rpc error from getrawmempool', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, {code: -1, message: 'Test error'})
+        }
+      };
+      bitcoind._catchUpMempool(node, function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+    it('will give rpc error from getrawtransaction', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._syncMempool = sinon.stub().callsArg(0);
+      var node = {
+        client: {
+          getRawMemPool: sinon.stub().callsArgWith(0, null, {result: ['txid']}),
+          getRawTransaction: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+        }
+      };
+      bitcoind._catchUpMempool(node, function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        bitcoind._syncMempool.callCount.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('#_initZmqSubSockets', function() {
+    it('will init a socket for each endpoint', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._initZmqSubSocket = sinon.stub();
+      var node = {};
+      bitcoind._initZmqSubSockets(node, {
+        zmqpubrawtx: 'tcp://127.0.0.1:28332',
+        zmqpubrawblock: 'tcp://127.0.0.1:28333'
+      });
+      bitcoind._initZmqSubSocket.callCount.should.equal(2);
+      bitcoind._initZmqSubSocket.args[0][0].should.equal(node);
+      bitcoind._initZmqSubSocket.args[0][1].should.equal('tcp://127.0.0.1:28333');
+      bitcoind._initZmqSubSocket.args[0][2].should.deep.equal(['rawblock']);
+      bitcoind._initZmqSubSocket.args[1][1].should.equal('tcp://127.0.0.1:28332');
+      bitcoind._initZmqSubSocket.args[1][2].should.deep.equal(['rawtx']);
+    });
+  });
+
+  describe('#_initZmqSubSocket', function() {
+    it('will setup zmq socket', function() {
+      var socket = new EventEmitter();
+      socket.monitor = sinon.stub();
+      socket.connect = sinon.stub();
+      var socketFunc = function() {
+        return socket;
+      };
+      var BitcoinService = proxyquire('../../lib/services/bitcoind', {
+        zeromq: {
+          socket: socketFunc
+        }
+      });
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {};
+      bitcoind._initZmqSubSocket(node, 'url', ['rawblock']);
+      node.zmqSubSockets.length.should.equal(1);
+      node.zmqSubSockets[0].socket.should.equal(socket);
+      node.zmqSubSockets[0].url.should.equal('url');
+      node.zmqSubSockets[0].topics.should.deep.equal(['rawblock']);
+      socket.connect.callCount.should.equal(1);
+      socket.connect.args[0][0].should.equal('url');
+      socket.monitor.callCount.should.equal(1);
+      socket.monitor.args[0][0].should.equal(500);
+      socket.monitor.args[0][1].should.equal(0);
+    });
+    it('will catch up when reconnected after a disconnect', function() {
+      var socket = new EventEmitter();
+      socket.monitor = sinon.stub();
+      socket.connect = sinon.stub();
+      var BitcoinService = proxyquire('../../lib/services/bitcoind', {
+        zeromq: {
+          socket: function() {
+            return socket;
+          }
+        }
+      });
+      var sandbox = sinon.sandbox.create();
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._catchUpZmq = sinon.stub();
+      var node = {};
+      bitcoind._initZmqSubSocket(node, 'url');
+      socket.emit('connect', 10, 'url');
+      bitcoind._catchUpZmq.callCount.should.equal(0);
+      socket.emit('disconnect', 10, 'url');
+      socket.emit('connect', 10, 'url');
+      sandbox.restore();
+      bitcoind._catchUpZmq.callCount.should.equal(1);
+      bitcoind._catchUpZmq.args[0][0].should.equal(node);
+    });
+  });
+
+  describe('#_zmqRawBlockHandler', function() {
+    var blockhex = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+    it('will cache the block and handle the block hash', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._zmqBlockHandler = sinon.stub();
+      var blockBuffer = new Buffer(blockhex, 'hex');
+      var block = bitcore.Block.fromBuffer(blockBuffer);
+      var node = {};
+      bitcoind._zmqRawBlockHandler(node, blockBuffer);
+      bitcoind.rawBlockCache.get(block.hash).should.equal(blockBuffer);
+      bitcoind.blockCache.get(block.hash).hash.should.equal(block.hash);
+      bitcoind._zmqBlockHandler.callCount.should.equal(1);
+      bitcoind._zmqBlockHandler.args[0][0].should.equal(node);
+      bitcoind._zmqBlockHandler.args[0][1].toString('hex').should.equal(block.hash);
+      bitcoind._zmqBlockHandler.args[0][2].hash.should.equal(block.hash);
+    });
+  });
+
+  describe('#_getTipBlock', function() {
+    var prevHash = '00000000002e08fc7ae9a9aa5380e95e2adcdc5752a4a66a7d3a22466bd4e6aa';
+    var block = {
+      header: {
+        prevHash: bitcore.util.buffer.reverse(new Buffer(prevHash, 'hex'))
+      }
+    };
+    it('will use the block if it builds on the last chain header', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 8;
+      bitcoind.tiphash = 'tiphash';
+      bitcoind.chainHeaders = [{hash: prevHash, prevHash: 'hash9', height: 10}];
+      var node = {client: {getBlock: sinon.stub()}};
+      bitcoind._getTipBlock(node, block, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+        result.should.deep.equal({hash: 'tiphash', previousblockhash: prevHash, height: 11});
+        node.client.getBlock.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will query the block if it does not build on the last chain header', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 10;
+      bitcoind.tiphash = 'tiphash';
+      bitcoind.chainHeaders = [{hash: 'otherhash', prevHash: 'hash9', height: 10}];
+      var node = {client: {getBlock: sinon.stub().callsArgWith(1, null, {result: {height: 12}})}};
+      bitcoind._getTipBlock(node, block, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+        result.height.should.equal(12);
+        node.client.getBlock.args[0][0].should.equal('tiphash');
+        done();
+      });
+    });
+    it('will query the block without chain headers', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 10;
+      bitcoind.tiphash = 'tiphash';
+      var node = {client: {getBlock: sinon.stub().callsArgWith(1, null, {result: {height: 11}})}};
+      bitcoind._getTipBlock(node, block, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+        result.height.should.equal(11);
+        node.client.getBlock.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will give error from getBlock', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {client: {getBlock: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})}};
+      bitcoind._getTipBlock(node, null, function(err) {
+        err.message.should.equal('Test error');
+        done();
+      });
+    });
+  });
+
+  describe('#_zmqHashTransactionHandler', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    var tx = bitcore.Transaction(txhex);
+    it('will get the transaction and handle it', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._zmqTransactionHandler = sinon.stub();
+      var node = {
+        client: {
+          getRawTransaction: sinon.stub().callsArgWith(1, null, {result: txhex})
+        }
+      };
+      bitcoind._zmqHashTransactionHandler(node, new Buffer(tx.hash, 'hex'));
+      node.client.getRawTransaction.args[0][0].should.equal(tx.hash);
+      bitcoind._zmqTransactionHandler.callCount.should.equal(1);
+      bitcoind._zmqTransactionHandler.args[0][1].toString('hex').should.equal(txhex);
+    });
+    it('will skip known transactions', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        client: {
+          getRawTransaction: sinon.stub()
+        }
+      };
+      var id = bitcore.crypto.Hash.sha256sha256(new Buffer(txhex, 'hex')).toString('binary');
+      bitcoind.zmqKnownTransactions.set(id, true);
+      bitcoind._zmqHashTransactionHandler(node, new Buffer(tx.hash, 'hex'));
+      node.client.getRawTransaction.callCount.should.equal(0);
+    });
+    it('will log rpc error', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        client: {
+          getRawTransaction: sinon.stub().callsArgWith(1, {code: -5, message: 'Test error'})
+        }
+      };
+      bitcoind._zmqHashTransactionHandler(node, new Buffer(tx.hash, 'hex'));
+      log.error.callCount.should.equal(1);
+    });
+  });
+
+  describe('#_checkReindex', function() {
+    var sandbox = sinon.sandbox.create();
+    before(function() {
+      sandbox.stub(log, 'info');
+    });
+    after(function() {
+      sandbox.restore();
+    });
+    it('give error from client getblockchaininfo', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        _reindex: true,
+        _reindexWait: 1,
+        client: {
+          getBlockchainInfo: sinon.stub().callsArgWith(0, {code: -1 , message: 'Test error'})
+        }
+      };
+      bitcoind._checkReindex(node, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+    it('will wait until sync is 100 percent', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var percent = 0.89;
+      var node = {
+        _reindex: true,
+        _reindexWait: 1,
+        client: {
+          getBlockchainInfo: function(callback) {
+            percent += 0.01;
+            callback(null, {
+              result: {
+                verificationprogress: percent
+              }
+            });
+          }
+        }
+      };
+      bitcoind._checkReindex(node, function() {
+        node._reindex.should.equal(false);
+        log.info.callCount.should.equal(11);
+        done();
+      });
+    });
+    it('will call callback if reindex is not enabled', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {
+        _reindex: false
+      };
+      bitcoind._checkReindex(node, function() {
+        node._reindex.should.equal(false);
+        done();
+      });
+    });
+  });
+
+  describe('#_loadTipFromNode', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will give rpc from client getbestblockhash', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -1, message: 'Test error'});
+      var node = {
+        client: {
+          getBestBlockHash: getBestBlockHash
+        }
+      };
+      bitcoind._loadTipFromNode(node, function(err) {
+        err.should.be.instanceof(Error);
+        log.warn.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will give rpc from client getblock', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
+        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
+      });
+      var getBlock = sinon.stub().callsArgWith(1, new Error('Test error'));
+      var node = {
+        client: {
+          getBestBlockHash: getBestBlockHash,
+          getBlock: getBlock
+        }
+      };
+      bitcoind._loadTipFromNode(node, function(err) {
+        getBlock.args[0][0].should.equal('00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45');
+        err.should.be.instanceof(Error);
+        log.warn.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will log when error is RPC_IN_WARMUP', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBestBlockHash = sinon.stub().callsArgWith(0, {code: -28, message: 'Verifying blocks...'});
+      var node = {
+        client: {
+          getBestBlockHash: getBestBlockHash
+        }
+      };
+      bitcoind._loadTipFromNode(node, function(err) {
+        err.should.be.instanceof(Error);
+        log.warn.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will set height and emit tip', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBestBlockHash = sinon.stub().callsArgWith(0, null, {
+        result: '00000000000000001bb82a7f5973618cfd3185ba1ded04dd852a653f92a27c45'
+      });
+      var getBlock = sinon.stub().callsArgWith(1, null, {
+        result: {
+          height: 100
+        }
+      });
+      var node = {
+        client: {
+          getBestBlockHash: getBestBlockHash,
+          getBlock: getBlock
+        }
+      };
+      bitcoind.on('tip', function(height) {
+        height.should.equal(100);
+        bitcoind.height.should.equal(100);
+        done();
+      });
+      bitcoind._loadTipFromNode(node, function(err) {
+        if (err) {
+          return done(err);
+        }
+      });
+    });
+  });
+
+  describe('#_stopSpawnedProcess', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createService(pid) {
+      var readFile = sandbox.stub().callsArgWith(2, null, pid);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFile: readFile
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind.spawnStopTime = 1;
+      bitcoind._isZendProcess = sinon.stub().callsArgWith(1, null, true);
+      bitcoind._process = {};
+      return bitcoind;
+    }
+    function notFound() {
+      var error = new Error('Test error');
+      error.code = 'ESRCH';
+      return error;
+    }
+    it('it will kill process and resume', function(done) {
+      var bitcoind = createService('4321');
+      bitcoind._process.kill = sinon.spy(function(pid, signal) {
+        if (signal === 0) {
+          throw notFound();
+        }
+      });
+      bitcoind._stopSpawnedBitcoin(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._isZendProcess.args[0][0].should.equal(4321);
+        bitcoind._process.kill.args[0].should.deep.equal([4321, 'SIGINT']);
+        bitcoind._process.kill.args[1].should.deep.equal([4321, 0]);
+        log.warn.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('it will attempt to kill process and resume', function(done) {
+      var bitcoind = createService('4321');
+      bitcoind._process.kill = sinon.stub().throws(notFound());
+      bitcoind._stopSpawnedBitcoin(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._process.kill.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('it will escalate the signals until the process exits', function(done) {
+      var bitcoind = createService('4321');
+      bitcoind.shutdownSteps = [
+        {signal: 'SIGINT', timeout: 2},
+        {signal: 'SIGTERM', timeout: 2},
+        {signal: 'SIGKILL', timeout: 2}
+      ];
+      bitcoind._process.kill = sinon.spy(function(pid, signal) {
+        if (signal === 0 && bitcoind._process.kill.calledWith(pid, 'SIGTERM')) {
+          throw notFound();
+        }
+      });
+      bitcoind._stopSpawnedBitcoin(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._process.kill.calledWith(4321, 'SIGTERM').should.equal(true);
+        bitcoind._process.kill.calledWith(4321, 'SIGKILL').should.equal(false);
+        done();
+      });
+    });
+    it('it will give error if the process does not exit', function(done) {
+      var bitcoind = createService('4321');
+      bitcoind.shutdownSteps = [
+        {signal: 'SIGINT', timeout: 2},
+        {signal: 'SIGKILL', timeout: 2}
+      ];
+      bitcoind._process.kill = sinon.stub();
+      bitcoind._stopSpawnedBitcoin(function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.equal('Unable to stop zen process with pid: 4321');
+        bitcoind._process.kill.calledWith(4321, 'SIGKILL').should.equal(true);
+        done();
+      });
+    });
+    it('it will not signal a process that is not zend', function(done) {
+      var bitcoind = createService('4321');
+      bitcoind._isZendProcess = sinon.stub().callsArgWith(1, null, false);
+      bitcoind._process.kill = sinon.stub();
+      bitcoind._stopSpawnedBitcoin(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._process.kill.callCount.should.equal(0);
+        log.warn.args[0][0].should.match(/is not zend/);
+        done();
+      });
+    });
+    it('it will resume without a pid file', function(done) {
+      var error = new Error('Test error');
+      error.code = 'ENOENT';
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFile: sandbox.stub().callsArgWith(2, error)
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind._stopSpawnedBitcoin(done);
+    });
+    it('it will attempt to kill process with NaN', function(done) {
+      var bitcoind = createService('     ');
+      bitcoind._process.kill = sinon.stub();
+      bitcoind._stopSpawnedBitcoin(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._process.kill.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('it will attempt to kill process without pid', function(done) {
+      var bitcoind = createService('');
+      bitcoind._process.kill = sinon.stub();
+      bitcoind._stopSpawnedBitcoin(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._process.kill.callCount.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('#_escalateShutdown', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will use SIGINT, SIGTERM and SIGKILL by default', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.shutdownTimeout = 100;
+      var sendSignal = sinon.stub();
+      var waitForExit = sinon.stub().callsArgWith(1, false);
+      bitcoind._escalateShutdown(sendSignal, waitForExit, function(err, exited) {
+        if (err) {
+          return done(err);
+        }
+        exited.should.equal(false);
+        _.map(sendSignal.args, 0).should.deep.equal(['SIGINT', 'SIGTERM', 'SIGKILL']);
+        _.map(waitForExit.args, 0).should.deep.equal([100, 10000, 5000]);
+        log.warn.callCount.should.equal(3);
+        done();
+      });
+    });
+    it('will stop at the step the process exits', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var sendSignal = sinon.stub();
+      var waitForExit = sinon.stub().callsArgWith(1, true);
+      bitcoind._escalateShutdown(sendSignal, waitForExit, function(err, exited) {
+        if (err) {
+          return done(err);
+        }
+        exited.should.equal(true);
+        sendSignal.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will give error from sending a signal', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var sendSignal = sinon.stub().throws(new Error('test'));
+      bitcoind._escalateShutdown(sendSignal, sinon.stub(), function(err) {
+        err.message.should.equal('test');
+        done();
+      });
+    });
+  });
+
+  describe('#_checkShutdownSteps', function() {
+    it('will throw with invalid steps', function() {
+      (function() {
+        return new BitcoinService(_.extend({}, baseConfig, {shutdownSteps: []}));
+      }).should.throw(TypeError);
+      (function() {
+        return new BitcoinService(_.extend({}, baseConfig, {shutdownSteps: [{signal: 'SIGINT'}]}));
+      }).should.throw('Shutdown steps are expected to have a "signal" and a "timeout"');
+    });
+    it('will use the given steps', function() {
+      var steps = [{signal: 'SIGTERM', timeout: 1000}];
+      var bitcoind = new BitcoinService(_.extend({}, baseConfig, {shutdownSteps: steps}));
+      bitcoind._getShutdownSteps().should.equal(steps);
+    });
+  });
+
+  describe('#_waitForPidExit', function() {
+    it('will give true when the process exits', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.spawnStopTime = 1;
+      bitcoind._isProcessRunning = sinon.stub();
+      bitcoind._isProcessRunning.onCall(0).returns(true);
+      bitcoind._isProcessRunning.onCall(1).returns(false);
+      bitcoind._waitForPidExit(4321, 100, function(exited) {
+        exited.should.equal(true);
+        bitcoind._isProcessRunning.callCount.should.equal(2);
+        done();
+      });
+    });
+    it('will give false after the timeout', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.spawnStopTime = 1;
+      bitcoind._isProcessRunning = sinon.stub().returns(true);
+      bitcoind._waitForPidExit(4321, 5, function(exited) {
+        exited.should.equal(false);
+        done();
+      });
+    });
+  });
+
+  describe('#_isProcessRunning', function() {
+    function createService(code) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._process = {
+        kill: sinon.spy(function() {
+          if (code) {
+            var error = new Error('test');
+            error.code = code;
+            throw error;
+          }
+        })
+      };
+      return bitcoind;
+    }
+    it('will signal the process with 0', function() {
+      var bitcoind = createService();
+      bitcoind._isProcessRunning(4321).should.equal(true);
+      bitcoind._process.kill.args[0].should.deep.equal([4321, 0]);
+    });
+    it('will give false if the process is not found', function() {
+      createService('ESRCH')._isProcessRunning(4321).should.equal(false);
+    });
+    it('will give true if the process can not be signalled', function() {
+      createService('EPERM')._isProcessRunning(4321).should.equal(true);
+    });
+  });
+
+  describe('#_getProcessArgs', function() {
+    it('will give the arguments from /proc', function(done) {
+      var readFile = sinon.stub().callsArgWith(1, null, new Buffer('/usr/bin/zend\u0000--datadir=/tmp\u0000'));
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFile: readFile
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind._getProcessArgs(4321, function(err, args) {
+        if (err) {
+          return done(err);
+        }
+        readFile.args[0][0].should.equal('/proc/4321/cmdline');
+        args.should.deep.equal(['/usr/bin/zend', '--datadir=/tmp']);
+        done();
+      });
+    });
+    it('will give the arguments from ps', function(done) {
+      var execFile = sinon.stub().callsArgWith(2, null, '/usr/bin/zend --datadir=/tmp\n');
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFile: sinon.stub().callsArgWith(1, new Error('ENOENT'))
+        },
+        child_process: {
+          execFile: execFile
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind._getProcessArgs(4321, function(err, args) {
+        if (err) {
+          return done(err);
+        }
+        execFile.args[0][0].should.equal('ps');
+        execFile.args[0][1].should.deep.equal(['-p', '4321', '-o', 'command=']);
+        args.should.deep.equal(['/usr/bin/zend', '--datadir=/tmp']);
+        done();
+      });
+    });
+    it('will give null if the process is not found', function(done) {
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFile: sinon.stub().callsArgWith(1, new Error('ENOENT'))
+        },
+        child_process: {
+          execFile: sinon.stub().callsArgWith(2, new Error('exit code 1'))
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind._getProcessArgs(4321, function(err, args) {
+        should.not.exist(err);
+        should.equal(args, null);
+        done();
+      });
+    });
+  });
+
+  describe('#_isZendProcess', function() {
+    function createService(args) {
+      var bitcoind = new BitcoinService({
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: '/tmp/.zen',
+          exec: '/usr/local/bin/horizend'
+        }
+      });
+      bitcoind._getProcessArgs = sinon.stub().callsArgWith(1, null, args);
+      return bitcoind;
+    }
+    function check(args, expected, done) {
+      createService(args)._isZendProcess(4321, function(err, isZend) {
+        if (err) {
+          return done(err);
+        }
+        isZend.should.equal(expected);
+        done();
+      });
+    }
+    it('will give true for the spawn exec with the datadir', function(done) {
+      check(['/usr/local/bin/horizend', '--conf=/tmp/.zen/zen.conf', '--datadir=/tmp/.zen/'], true, done);
+    });
+    it('will give true for zend without a datadir', function(done) {
+      check(['zend', '-daemon'], true, done);
+    });
+    it('will give false for zend with another datadir', function(done) {
+      check(['/usr/bin/zend', '-datadir=/home/zen/.zen'], false, done);
+    });
+    it('will give false for another process', function(done) {
+      check(['/usr/sbin/nginx', '-g', 'daemon off;'], false, done);
+    });
+    it('will give false if the process is not found', function(done) {
+      check(null, false, done);
+    });
+  });
+
+  describe('#_spawnChildProcess', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will give error from spawn config', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind._loadSpawnConfiguration = sinon.stub().throws(new Error('test'));
+      bitcoind._spawnChildProcess(function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.equal('test');
+        done();
+      });
+    });
+    it('will give error from stopSpawnedBitcoin', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind._spawnChildProcess(function(err) {
+        err.should.be.instanceOf(Error);
+        err.message.should.equal('test');
+      });
+    });
+    it('will exit spawn if shutdown', function() {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
+        }
+      };
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var bitcoind = new TestBitcoinService(config);
+      bitcoind.spawn = {};
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArgWith(0, null);
+      bitcoind.node.stopping = true;
+      bitcoind._spawnChildProcess(function(err) {
+        err.should.be.instanceOf(Error);
+        err.message.should.match(/Stopping while trying to spawn/);
+      });
+    });
+    it('will include network with spawn command and init zmq/rpc on node', function(done) {
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {};
+      bitcoind.spawn.exec = 'testexec';
+      bitcoind.spawn.configPath = 'testdir/zen.conf';
+      bitcoind.spawn.datadir = 'testdir';
+      bitcoind.spawn.config = {rpcpassword: 'password'};
+      bitcoind.spawn.config.rpcport = 20001;
+      bitcoind.spawn.config.rpcuser = 'bitcoin';
+      bitcoind.spawn.config.rpcpassword = 'password';
+      bitcoind.spawn.config.zmqpubrawtx = 'tcp://127.0.0.1:30001';
+
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
+      bitcoind._initZmqSubSocket = sinon.stub();
+      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+      bitcoind._checkReindex = sinon.stub().callsArgWith(1, null);
+      bitcoind._spawnChildProcess(function(err, node) {
+        should.not.exist(err);
+        spawn.callCount.should.equal(1);
+        spawn.args[0][0].should.equal('testexec');
+        spawn.args[0][1].should.deep.equal([
           '--conf=testdir/zen.conf',
           '--datadir=testdir',
           '--testnet'
@@ -1773,3022 +5157,5400 @@ describe('Bitcoin Service', function() {
         spawn.args[0][2].should.deep.equal({
           stdio: 'inherit'
         });
-        bitcoind._loadTipFromNode.callCount.should.equal(1);
-        bitcoind._initZmqSubSocket.callCount.should.equal(1);
-        should.exist(bitcoind._initZmqSubSocket.args[0][0].client);
-        bitcoind._initZmqSubSocket.args[0][1].should.equal('tcp://127.0.0.1:30001');
-        bitcoind._checkSyncedAndSubscribeZmqEvents.callCount.should.equal(1);
-        should.exist(bitcoind._checkSyncedAndSubscribeZmqEvents.args[0][0].client);
-        should.exist(node);
-        should.exist(node.client);
+        bitcoind._loadTipFromNode.callCount.should.equal(1);
+        bitcoind._initZmqSubSocket.callCount.should.equal(1);
+        should.exist(bitcoind._initZmqSubSocket.args[0][0].client);
+        bitcoind._initZmqSubSocket.args[0][1].should.equal('tcp://127.0.0.1:30001');
+        bitcoind._checkSyncedAndSubscribeZmqEvents.callCount.should.equal(1);
+        should.exist(bitcoind._checkSyncedAndSubscribeZmqEvents.args[0][0].client);
+        should.exist(node);
+        should.exist(node.client);
+        done();
+      });
+    });
+    it('will not init zmq for a restarted process of the spawned node', function(done) {
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        child_process: {
+          spawn: sinon.stub().returns(new EventEmitter())
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind.nodes.push({spawned: true});
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {
+        exec: 'testexec',
+        configPath: 'testdir/zen.conf',
+        datadir: 'testdir',
+        config: {rpcport: 20001, rpcuser: 'bitcoin', rpcpassword: 'password'}
+      };
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
+      bitcoind._initZmqSubSockets = sinon.stub();
+      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+      bitcoind._checkReindex = sinon.stub().callsArgWith(1, null);
+      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
+      bitcoind._spawnChildProcess(function(err, node) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._initZmqSubSockets.callCount.should.equal(0);
+        bitcoind._checkSyncedAndSubscribeZmqEvents.callCount.should.equal(0);
+        node.client.port.should.equal(20001);
+        should.not.exist(node.zmqSubSockets);
+        done();
+      });
+    });
+    it('will capture the output of the process with a daemon log', function(done) {
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {
+        exec: 'testexec',
+        configPath: 'testdir/zen.conf',
+        datadir: 'testdir',
+        config: {rpcpassword: 'password'}
+      };
+      bitcoind._initDaemonLog = function() {
+        bitcoind.daemonLog = {};
+      };
+      bitcoind._captureDaemonLog = sinon.stub();
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
+      bitcoind._initZmqSubSockets = sinon.stub();
+      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+      bitcoind._checkReindex = sinon.stub().callsArgWith(1, null);
+      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
+      bitcoind._spawnChildProcess(function(err) {
+        if (err) {
+          return done(err);
+        }
+        spawn.args[0][2].should.deep.equal({
+          stdio: ['ignore', 'pipe', 'pipe']
+        });
+        bitcoind._captureDaemonLog.callCount.should.equal(1);
+        bitcoind._captureDaemonLog.args[0][0].should.equal(process);
+        done();
+      });
+    });
+    it('will respawn bitcoind spawned process', function(done) {
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {};
+      bitcoind.spawn.exec = 'bitcoind';
+      bitcoind.spawn.datadir = '/tmp/bitcoin';
+      bitcoind.spawn.configPath = '/tmp/bitcoin/zen.conf';
+      bitcoind.spawn.config = {rpcpassword: 'password'};
+      bitcoind.spawnRestartTime = 1;
+      bitcoind._loadTipFromNode = sinon.stub().callsArg(1);
+      bitcoind._initZmqSubSocket = sinon.stub();
+      bitcoind._checkReindex = sinon.stub().callsArg(1);
+      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
+      sinon.spy(bitcoind, '_spawnChildProcess');
+      bitcoind._spawnChildProcess(function(err) {
+        if (err) {
+          return done(err);
+        }
+        process.once('exit', function() {
+          setTimeout(function() {
+            bitcoind._spawnChildProcess.callCount.should.equal(2);
+            done();
+          }, 5);
+        });
+        process.emit('exit', 1);
+      });
+    });
+    it('will emit error during respawn', function(done) {
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {};
+      bitcoind.spawn.exec = 'bitcoind';
+      bitcoind.spawn.datadir = '/tmp/bitcoin';
+      bitcoind.spawn.configPath = '/tmp/bitcoin/zen.conf';
+      bitcoind.spawn.config = {rpcpassword: 'password'};
+      bitcoind.spawnRestartTime = 1;
+      bitcoind._loadTipFromNode = sinon.stub().callsArg(1);
+      bitcoind._initZmqSubSocket = sinon.stub();
+      bitcoind._checkReindex = sinon.stub().callsArg(1);
+      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
+      sinon.spy(bitcoind, '_spawnChildProcess');
+      bitcoind._spawnChildProcess(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, new Error('test'));
+        bitcoind.on('error', function(err) {
+          err.should.be.instanceOf(Error);
+          err.message.should.equal('test');
+          done();
+        });
+        process.emit('exit', 1);
+      });
+    });
+    it('will NOT respawn bitcoind spawned process if shutting down', function(done) {
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
+        }
+      };
+      var bitcoind = new TestBitcoinService(config);
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {};
+      bitcoind.spawn.exec = 'bitcoind';
+      bitcoind.spawn.datadir = '/tmp/bitcoin';
+      bitcoind.spawn.configPath = '/tmp/bitcoin/zen.conf';
+      bitcoind.spawn.config = {rpcpassword: 'password'};
+      bitcoind.spawnRestartTime = 1;
+      bitcoind._loadTipFromNode = sinon.stub().callsArg(1);
+      bitcoind._initZmqSubSocket = sinon.stub();
+      bitcoind._checkReindex = sinon.stub().callsArg(1);
+      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
+      sinon.spy(bitcoind, '_spawnChildProcess');
+      bitcoind._spawnChildProcess(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.node.stopping = true;
+        process.once('exit', function() {
+          setTimeout(function() {
+            bitcoind._spawnChildProcess.callCount.should.equal(1);
+            done();
+          }, 5);
+        });
+        process.emit('exit', 1);
+      });
+    });
+    it('will give error after 60 retries', function(done) {
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+      bitcoind.startRetryInterval = 1;
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {};
+      bitcoind.spawn.exec = 'testexec';
+      bitcoind.spawn.configPath = 'testdir/zen.conf';
+      bitcoind.spawn.datadir = 'testdir';
+      bitcoind.spawn.config = {rpcpassword: 'password'};
+      bitcoind.spawn.config.rpcport = 20001;
+      bitcoind.spawn.config.rpcuser = 'bitcoin';
+      bitcoind.spawn.config.rpcpassword = 'password';
+      bitcoind.spawn.config.zmqpubrawtx = 'tcp://127.0.0.1:30001';
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._spawnChildProcess(function(err) {
+        bitcoind._loadTipFromNode.callCount.should.equal(60);
+        err.should.be.instanceof(Error);
+        done();
+      });
+    });
+    it('will give error from check reindex', function(done) {
+      var process = new EventEmitter();
+      var spawn = sinon.stub().returns(process);
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: readFileSync
+        },
+        child_process: {
+          spawn: spawn
+        }
+      });
+      var bitcoind = new TestBitcoinService(baseConfig);
+
+      bitcoind._loadSpawnConfiguration = sinon.stub();
+      bitcoind.spawn = {};
+      bitcoind.spawn.exec = 'testexec';
+      bitcoind.spawn.configPath = 'testdir/zen.conf';
+      bitcoind.spawn.datadir = 'testdir';
+      bitcoind.spawn.config = {rpcpassword: 'password'};
+      bitcoind.spawn.config.rpcport = 20001;
+      bitcoind.spawn.config.rpcuser = 'bitcoin';
+      bitcoind.spawn.config.rpcpassword = 'password';
+      bitcoind.spawn.config.zmqpubrawtx = 'tcp://127.0.0.1:30001';
+
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
+      bitcoind._initZmqSubSocket = sinon.stub();
+      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+      bitcoind._checkReindex = sinon.stub().callsArgWith(1, new Error('test'));
+
+      bitcoind._spawnChildProcess(function(err) {
+        err.should.be.instanceof(Error);
+        done();
+      });
+    });
+  });
+
+  describe('#_initDaemonLog', function() {
+    function createService(logs) {
+      var DaemonLog = sinon.stub();
+      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
+        '../daemonlog': DaemonLog
+      });
+      var bitcoind = new TestBitcoinService({
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: '/tmp/.zen',
+          exec: 'testpath',
+          logs: logs
+        }
+      });
+      bitcoind.spawn = {datadir: '/tmp/.zen'};
+      return {bitcoind: bitcoind, DaemonLog: DaemonLog};
+    }
+    it('will not create a daemon log without the logs option', function() {
+      var test = createService();
+      test.bitcoind._initDaemonLog();
+      test.DaemonLog.callCount.should.equal(0);
+      should.not.exist(test.bitcoind.daemonLog);
+    });
+    it('will create a daemon log with defaults', function() {
+      var test = createService(true);
+      test.bitcoind._initDaemonLog();
+      test.DaemonLog.callCount.should.equal(1);
+      test.DaemonLog.args[0][0].file.should.equal('/tmp/.zen/zend.log');
+      should.equal(test.DaemonLog.args[0][0].logger, null);
+      test.bitcoind.daemonLog.should.be.instanceof(test.DaemonLog);
+    });
+    it('will create a daemon log with options', function() {
+      var test = createService({
+        file: '/var/log/zend.log',
+        maxSize: 1000,
+        interval: 3600000,
+        maxFiles: 2,
+        mirror: true,
+        prefix: '[zend]'
+      });
+      test.bitcoind._initDaemonLog();
+      test.DaemonLog.args[0][0].should.deep.equal({
+        file: '/var/log/zend.log',
+        maxSize: 1000,
+        interval: 3600000,
+        maxFiles: 2,
+        logger: log,
+        prefix: '[zend]'
+      });
+    });
+    it('will only create the daemon log once', function() {
+      var test = createService(true);
+      test.bitcoind._initDaemonLog();
+      test.bitcoind._initDaemonLog();
+      test.DaemonLog.callCount.should.equal(1);
+    });
+  });
+
+  describe('#_captureDaemonLog', function() {
+    function createChild() {
+      var child = new EventEmitter();
+      child.stdout = new EventEmitter();
+      child.stderr = new EventEmitter();
+      return child;
+    }
+    function createService() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.daemonLog = {
+        write: sinon.stub(),
+        flush: sinon.stub(),
+        close: sinon.stub()
+      };
+      return bitcoind;
+    }
+    it('will write the output of the process', function() {
+      var bitcoind = createService();
+      var child = createChild();
+      bitcoind._captureDaemonLog(child);
+      child.stdout.emit('data', new Buffer('out\n'));
+      child.stderr.emit('data', new Buffer('err\n'));
+      bitcoind.daemonLog.write.callCount.should.equal(2);
+      bitcoind.daemonLog.write.args[0][0].should.equal('stdout');
+      bitcoind.daemonLog.write.args[0][1].toString().should.equal('out\n');
+      bitcoind.daemonLog.write.args[1][0].should.equal('stderr');
+    });
+    it('will flush when the process is closed', function() {
+      var bitcoind = createService();
+      var child = createChild();
+      bitcoind._captureDaemonLog(child);
+      child.emit('close', 1);
+      bitcoind.daemonLog.flush.callCount.should.equal(1);
+      bitcoind.daemonLog.close.callCount.should.equal(0);
+    });
+    it('will close the daemon log when stopping', function() {
+      var bitcoind = createService();
+      bitcoind.node = {stopping: true};
+      var child = createChild();
+      bitcoind._captureDaemonLog(child);
+      child.emit('close', 0);
+      bitcoind.daemonLog.close.callCount.should.equal(1);
+    });
+  });
+
+  describe('#_onSpawnExit', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'warn');
+      sandbox.useFakeTimers();
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createService(exit) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.spawnRestartTime = 1000;
+      bitcoind.maxSpawnRestartTime = 5000;
+      bitcoind.maxSpawnRestarts = 3;
+      bitcoind.spawnRestartWindow = 60000;
+      bitcoind._getSpawnExitReason = sinon.stub().callsArgWith(0, exit || {
+        reason: 'unknown',
+        fatal: false,
+        message: null
+      });
+      bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, null, {client: {user: 'user', pass: 'pass'}});
+      bitcoind._stopSpawnRestarts = sinon.stub();
+      return bitcoind;
+    }
+    it('will update the port, credentials and height of the spawned node after a restart', function() {
+      var bitcoind = createService();
+      var spawned = {
+        spawned: true,
+        client: {port: 20001, user: '__cookie__', pass: 'old'},
+        zmqSequences: {rawtx: 10}
+      };
+      bitcoind.nodes.push({client: {user: 'connect', pass: 'connect'}}, spawned);
+      bitcoind._getNodeHealth(spawned).height = 100;
+      bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, null, {
+        spawned: true,
+        client: {port: 20002, user: '__cookie__', pass: 'new'},
+        health: {height: 120}
+      });
+      bitcoind._onSpawnExit(1);
+      sandbox.clock.tick(1000);
+      bitcoind._spawnChildProcess.callCount.should.equal(1);
+      bitcoind.nodes[1].should.equal(spawned);
+      spawned.client.port.should.equal(20002);
+      spawned.client.pass.should.equal('new');
+      spawned.health.height.should.equal(120);
+      spawned.zmqSequences.should.deep.equal({});
+      bitcoind.nodes[0].client.pass.should.equal('connect');
+    });
+    it('will restart with a delay that doubles within the window', function() {
+      var bitcoind = createService();
+      bitcoind._onSpawnExit(1);
+      sandbox.clock.tick(1000);
+      bitcoind._spawnChildProcess.callCount.should.equal(1);
+      bitcoind._onSpawnExit(1);
+      sandbox.clock.tick(1999);
+      bitcoind._spawnChildProcess.callCount.should.equal(1);
+      sandbox.clock.tick(1);
+      bitcoind._spawnChildProcess.callCount.should.equal(2);
+      bitcoind._onSpawnExit(null, 'SIGKILL');
+      _.map(bitcoind.spawnRestarts, 'delay').should.deep.equal([1000, 2000, 4000]);
+      bitcoind.spawnRestarts[2].signal.should.equal('SIGKILL');
+      bitcoind.spawnRestarts[2].reason.should.equal('unknown');
+    });
+    it('will limit the delay', function() {
+      var bitcoind = createService();
+      bitcoind.maxSpawnRestarts = 10;
+      for (var i = 0; i < 5; i++) {
+        bitcoind._onSpawnExit(1);
+      }
+      bitcoind.spawnRestarts[4].delay.should.equal(5000);
+    });
+    it('will reset the delay after the window', function() {
+      var bitcoind = createService();
+      bitcoind._onSpawnExit(1);
+      sandbox.clock.tick(60000);
+      bitcoind._onSpawnExit(1);
+      bitcoind.spawnRestarts[1].delay.should.equal(1000);
+    });
+    it('will stop restarts after the maximum within the window', function() {
+      var bitcoind = createService();
+      for (var i = 0; i < 4; i++) {
+        bitcoind._onSpawnExit(1);
+      }
+      bitcoind._stopSpawnRestarts.callCount.should.equal(1);
+      bitcoind._stopSpawnRestarts.args[0][0].should.match(/exited 4 times within 60000ms/);
+      should.equal(bitcoind.spawnRestarts[3].delay, null);
+      sandbox.clock.tick(10000);
+      bitcoind._spawnChildProcess.callCount.should.equal(3);
+    });
+    it('will stop restarts after a fatal exit', function() {
+      var bitcoind = createService({
+        reason: 'corrupted-database',
+        fatal: true,
+        message: 'Error opening block database'
+      });
+      bitcoind._onSpawnExit(1);
+      bitcoind._stopSpawnRestarts.callCount.should.equal(1);
+      bitcoind._stopSpawnRestarts.args[0][0].should.match(/corrupted-database/);
+      bitcoind.spawnRestarts[0].message.should.equal('Error opening block database');
+      sandbox.clock.tick(10000);
+      bitcoind._spawnChildProcess.callCount.should.equal(0);
+    });
+    it('will keep a limited history', function() {
+      var bitcoind = createService();
+      bitcoind.maxSpawnRestarts = 100;
+      for (var i = 0; i < 60; i++) {
+        bitcoind._onSpawnExit(i);
+      }
+      bitcoind.spawnRestarts.length.should.equal(50);
+      bitcoind.spawnRestarts[0].code.should.equal(10);
+    });
+    it('will emit error from restarting', function(done) {
+      var bitcoind = createService();
+      bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind.once('error', function(err) {
+        err.message.should.equal('test');
+        done();
+      });
+      bitcoind._onSpawnExit(1);
+      sandbox.clock.tick(1000);
+    });
+  });
+
+  describe('#_getSpawnExitReason', function() {
+    function createService(lines) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.daemonLog = {
+        tail: sinon.stub().callsArgWith(1, null, lines)
+      };
+      return bitcoind;
+    }
+    it('will give unknown reason without a daemon log', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getSpawnExitReason(function(exit) {
+        exit.should.deep.equal({reason: 'unknown', fatal: false, message: null});
+        done();
+      });
+    });
+    it('will detect a fatal reason', function(done) {
+      var bitcoind = createService([
+        'Loading block index...',
+        'Error opening block database.',
+        'Shutdown: done'
+      ]);
+      bitcoind._getSpawnExitReason(function(exit) {
+        bitcoind.daemonLog.tail.args[0][0].should.equal(50);
+        exit.should.deep.equal({
+          reason: 'corrupted-database',
+          fatal: true,
+          message: 'Error opening block database.'
+        });
+        done();
+      });
+    });
+    it('will detect the last reason', function(done) {
+      var bitcoind = createService([
+        'Error: Unable to bind to 0.0.0.0:9033 on this computer.',
+        'Error: Cannot obtain a lock on data directory /tmp/.zen. Zen is probably already running.'
+      ]);
+      bitcoind._getSpawnExitReason(function(exit) {
+        exit.reason.should.equal('datadir-locked');
+        exit.fatal.should.equal(false);
+        done();
+      });
+    });
+    it('will give the last error line for an unknown reason', function(done) {
+      var bitcoind = createService(['Error: first', 'Error: second', 'Shutdown: done']);
+      bitcoind._getSpawnExitReason(function(exit) {
+        exit.should.deep.equal({reason: 'unknown', fatal: false, message: 'Error: second'});
+        done();
+      });
+    });
+    it('will give unknown reason with error from tail', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.daemonLog = {
+        tail: sinon.stub().callsArgWith(1, new Error('test'))
+      };
+      bitcoind._getSpawnExitReason(function(exit) {
+        exit.reason.should.equal('unknown');
+        done();
+      });
+    });
+  });
+
+  describe('#_stopSpawnRestarts', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will emit a terminal error on the service and the node', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.node = new EventEmitter();
+      bitcoind.spawnRestarts = [{reason: 'unknown'}];
+      var serviceError;
+      var nodeError;
+      bitcoind.on('error', function(err) {
+        serviceError = err;
+      });
+      bitcoind.node.on('error', function(err) {
+        nodeError = err;
+      });
+      bitcoind._stopSpawnRestarts('Horizen process exited');
+      bitcoind.spawnRestartsStopped.should.equal(true);
+      serviceError.should.be.instanceof(errors.Error);
+      serviceError.message.should.equal('Horizen process exited, it will not be restarted');
+      serviceError.restarts.should.deep.equal([{reason: 'unknown'}]);
+      nodeError.should.equal(serviceError);
+    });
+  });
+
+  describe('#getDaemonRestarts', function() {
+    it('will give the restart history', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.spawnRestarts = [{time: 1, code: 1, signal: null, reason: 'unknown', message: null, delay: 5000}];
+      bitcoind.getDaemonRestarts(function(err, result) {
+        if (err) {
+          return done(err);
+        }
+        result.should.deep.equal({
+          stopped: false,
+          maxRestarts: 5,
+          window: 600000,
+          restarts: bitcoind.spawnRestarts
+        });
+        done();
+      });
+    });
+  });
+
+  describe('#getDaemonLogTail', function() {
+    it('will give the last lines', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.daemonLog = {
+        tail: sinon.stub().callsArgWith(1, null, ['line'])
+      };
+      bitcoind.getDaemonLogTail(10, function(err, lines) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.daemonLog.tail.args[0][0].should.equal(10);
+        lines.should.deep.equal(['line']);
+        done();
+      });
+    });
+    it('will default to 100 lines', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.daemonLog = {
+        tail: sinon.stub().callsArgWith(1, null, [])
+      };
+      bitcoind.getDaemonLogTail(function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.daemonLog.tail.args[0][0].should.equal(100);
+        done();
+      });
+    });
+    it('will give error without a daemon log', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getDaemonLogTail(10, function(err) {
+        err.should.be.instanceof(errors.Error);
+        err.message.should.match(/not captured/);
+        done();
+      });
+    });
+    it('will give error with an invalid number of lines', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.daemonLog = {
+        tail: sinon.stub()
+      };
+      bitcoind.getDaemonLogTail(0, function(err) {
+        err.should.be.instanceof(TypeError);
+        bitcoind.getDaemonLogTail(100001, function(err) {
+          err.should.be.instanceof(TypeError);
+          bitcoind.daemonLog.tail.callCount.should.equal(0);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#_getRPCCredentials', function() {
+    function createBitcoin(files) {
+      var TestBitcoin = proxyquire('../../lib/services/bitcoind', {
+        fs: {
+          readFileSync: sinon.spy(function(filePath) {
+            if (!files.hasOwnProperty(filePath)) {
+              var err = new Error('ENOENT: no such file or directory');
+              err.code = 'ENOENT';
+              throw err;
+            }
+            return files[filePath];
+          })
+        }
+      });
+      var bitcoind = new TestBitcoin(baseConfig);
+      bitcoind.node = {configPath: '/home/user/.bitcore/bitcore-node.json'};
+      bitcoind._process = {env: {ZEN_USER: 'envuser', ZEN_PASSWORD: 'envpassword'}};
+      return bitcoind;
+    }
+    it('will give rpcuser and rpcpassword', function() {
+      var bitcoind = createBitcoin({});
+      var credentials = bitcoind._getRPCCredentials({rpcuser: 'user', rpcpassword: 'password'}, '/tmp/.cookie');
+      credentials.should.deep.equal({user: 'user', pass: 'password'});
+    });
+    it('will give a password of digits from zen.conf as it is', function() {
+      var bitcoind = createBitcoin({});
+      var config = zenconf.getOptions(zenconf.parse('rpcuser=user\nrpcpassword=0123\n'));
+      bitcoind._getRPCCredentials(config, '/tmp/.cookie').should.deep.equal({user: 'user', pass: '0123'});
+      config = zenconf.getOptions(zenconf.parse('rpcuser=user\nrpcpassword=0\n'));
+      bitcoind._getRPCCredentials(config, '/tmp/.cookie').should.deep.equal({user: 'user', pass: '0'});
+    });
+    it('will give credentials from environment variables', function() {
+      var bitcoind = createBitcoin({});
+      bitcoind._getRPCCredentials({
+        rpcuserenv: 'ZEN_USER',
+        rpcpasswordenv: 'ZEN_PASSWORD'
+      }).should.deep.equal({user: 'envuser', pass: 'envpassword'});
+      bitcoind._getRPCCredentials({
+        rpcuser: 'user',
+        rpcpasswordenv: 'ZEN_PASSWORD'
+      }).should.deep.equal({user: 'user', pass: 'envpassword'});
+    });
+    it('will throw if the password environment variable is not set', function() {
+      var bitcoind = createBitcoin({});
+      (function() {
+        bitcoind._getRPCCredentials({rpcpasswordenv: 'MISSING'});
+      }).should.throw('Environment variable "MISSING" for the RPC password is not set');
+    });
+    it('will give credentials from a secrets file relative to the configuration', function() {
+      var bitcoind = createBitcoin({
+        '/home/user/.bitcore/secrets.json': '{"rpcuser": "secretuser", "rpcpassword": "secretpassword"}'
+      });
+      bitcoind._getRPCCredentials({
+        rpcsecrets: 'secrets.json'
+      }).should.deep.equal({user: 'secretuser', pass: 'secretpassword'});
+    });
+    it('will give credentials from the cookie file', function() {
+      var bitcoind = createBitcoin({
+        '/tmp/.zen/regtest/.cookie': '__cookie__:abcdef\n',
+        '/home/user/.bitcore/zend.cookie': '__cookie__:123456'
+      });
+      bitcoind._getRPCCredentials({}, '/tmp/.zen/regtest/.cookie').should.deep.equal({
+        user: '__cookie__',
+        pass: 'abcdef'
+      });
+      bitcoind._getRPCCredentials({rpccookiefile: 'zend.cookie'}).should.deep.equal({
+        user: '__cookie__',
+        pass: '123456'
+      });
+    });
+    it('will read the cookie file each time', function() {
+      var files = {'/tmp/.zen/.cookie': '__cookie__:first'};
+      var bitcoind = createBitcoin(files);
+      bitcoind._getRPCCredentials({}, '/tmp/.zen/.cookie').pass.should.equal('first');
+      files['/tmp/.zen/.cookie'] = '__cookie__:second';
+      bitcoind._getRPCCredentials({}, '/tmp/.zen/.cookie').pass.should.equal('second');
+    });
+    it('will throw with a missing or invalid cookie file', function() {
+      var bitcoind = createBitcoin({'/tmp/.zen/.cookie': 'invalid'});
+      (function() {
+        bitcoind._getRPCCredentials({}, '/tmp/.zen/.cookie');
+      }).should.throw('Invalid RPC cookie file: /tmp/.zen/.cookie');
+      (function() {
+        bitcoind._getRPCCredentials({}, '/tmp/.zen/regtest/.cookie');
+      }).should.throw(/ENOENT/);
+    });
+    it('will give undefined credentials without options', function() {
+      var bitcoind = createBitcoin({});
+      bitcoind._getRPCCredentials({}).should.deep.equal({user: undefined, pass: undefined});
+    });
+  });
+
+  describe('#_getCookiePath', function() {
+    it('will give the cookie file of the network', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.spawn = {datadir: '/tmp/.zen', config: {}};
+      bitcoind._getNetworkConfigPath = sinon.stub().returns(undefined);
+      bitcoind._getCookiePath().should.equal('/tmp/.zen/.cookie');
+      bitcoind._getNetworkConfigPath = sinon.stub().returns('regtest/zen.conf');
+      bitcoind._getCookiePath().should.equal('/tmp/.zen/regtest/.cookie');
+    });
+    it('will give the cookie file from zen.conf', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.spawn = {datadir: '/tmp/.zen', config: {rpccookiefile: '/var/run/zend.cookie'}};
+      bitcoind._getNetworkConfigPath = sinon.stub().returns('testnet3/zen.conf');
+      bitcoind._getCookiePath().should.equal('/var/run/zend.cookie');
+    });
+  });
+
+  describe('#_getRPCTLSOptions', function() {
+    var certificate = fs.readFileSync(path.resolve(__dirname, '../../regtest/data/bitcoind.crt'));
+    var TestBitcoin = proxyquire('../../lib/services/bitcoind', {
+      fs: {
+        readFileSync: function(filePath) {
+          if (filePath === '/home/user/.bitcore/ca.crt') {
+            return certificate;
+          } else if (filePath === '/etc/ssl/client.crt' || filePath === '/etc/ssl/client.key') {
+            return new Buffer(filePath);
+          }
+          throw new Error('ENOENT: no such file or directory');
+        }
+      }
+    });
+    var bitcoind;
+    beforeEach(function() {
+      bitcoind = new TestBitcoin(baseConfig);
+      bitcoind.node = {configPath: '/home/user/.bitcore/bitcore-node.json'};
+    });
+    it('will give null without tls options', function() {
+      should.equal(bitcoind._getRPCTLSOptions({rpcprotocol: 'https'}), null);
+    });
+    it('will read the ca and the client certificate', function() {
+      var options = bitcoind._getRPCTLSOptions({
+        rpcprotocol: 'https',
+        rpcca: 'ca.crt',
+        rpccert: '/etc/ssl/client.crt',
+        rpckey: '/etc/ssl/client.key'
+      });
+      options.ca.should.equal(certificate);
+      options.cert.toString().should.equal('/etc/ssl/client.crt');
+      options.key.toString().should.equal('/etc/ssl/client.key');
+      should.not.exist(options.checkServerIdentity);
+    });
+    it('will read several ca files', function() {
+      var options = bitcoind._getRPCTLSOptions({rpcprotocol: 'https', rpcca: ['ca.crt', '/home/user/.bitcore/ca.crt']});
+      options.ca.should.deep.equal([certificate, certificate]);
+    });
+    it('will throw with a missing file', function() {
+      (function() {
+        bitcoind._getRPCTLSOptions({rpcprotocol: 'https', rpcca: 'missing.crt'});
+      }).should.throw('Unable to read "rpcca" file "/home/user/.bitcore/missing.crt" for zend RPC: ENOENT');
+    });
+    it('will throw without https', function() {
+      (function() {
+        bitcoind._getRPCTLSOptions({rpcca: 'ca.crt'});
+      }).should.throw(TypeError, /require "rpcprotocol" to be "https"/);
+    });
+    it('will throw with a client certificate without a key', function() {
+      (function() {
+        bitcoind._getRPCTLSOptions({rpcprotocol: 'https', rpccert: '/etc/ssl/client.crt'});
+      }).should.throw(TypeError, '"rpccert" and "rpckey" are expected to be given together');
+    });
+    it('will throw with a fingerprint without strict verification', function() {
+      (function() {
+        bitcoind._getRPCTLSOptions({rpcprotocol: 'https', rpcfingerprint: 'ab', rpcstrict: false});
+      }).should.throw(TypeError, /can not be verified with "rpcstrict" disabled/);
+    });
+    it('will verify the fingerprint', function() {
+      var options = bitcoind._getRPCTLSOptions({
+        rpcprotocol: 'https',
+        rpcca: 'ca.crt',
+        rpcfingerprint: new Array(33).join('AB:').slice(0, -1)
+      });
+      options.checkServerIdentity.should.be.a('function');
+    });
+  });
+
+  describe('#_checkRPCFingerprint', function() {
+    var pem = fs.readFileSync(path.resolve(__dirname, '../../regtest/data/bitcoind.crt'), 'utf8');
+    var raw = new Buffer(pem.replace(/-----[A-Z ]+-----|\s/g, ''), 'base64');
+    var cert = {raw: raw, subject: {CN: 'zend.example.com'}};
+    var sha256 = crypto.createHash('sha256').update(raw).digest('hex');
+    var sha1 = crypto.createHash('sha1').update(raw).digest('hex');
+    it('will throw with an invalid fingerprint', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      (function() {
+        bitcoind._checkRPCFingerprint('abcd');
+      }).should.throw(TypeError, /SHA-256 or SHA-1 fingerprint/);
+      (function() {
+        bitcoind._checkRPCFingerprint(new Array(65).join('x'));
+      }).should.throw(TypeError, /SHA-256 or SHA-1 fingerprint/);
+    });
+    it('will accept a matching sha256 or sha1 fingerprint', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var colons = sha256.toUpperCase().match(/../g).join(':');
+      should.not.exist(bitcoind._checkRPCFingerprint(colons)('zend.example.com', cert));
+      should.not.exist(bitcoind._checkRPCFingerprint(sha1)('zend.example.com', cert));
+    });
+    it('will give an error with a different fingerprint', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var other = new Array(65).join('0');
+      var err = bitcoind._checkRPCFingerprint(other)('zend.example.com', cert);
+      err.should.be.instanceof(Error);
+      err.message.should.equal('Certificate fingerprint ' + sha256 + ' does not match "rpcfingerprint" ' + other);
+    });
+    it('will give an error with a different hostname', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var err = bitcoind._checkRPCFingerprint(sha256)('other.example.com', cert);
+      err.should.be.instanceof(Error);
+      err.message.should.match(/altnames/);
+    });
+  });
+
+  describe('#_connectProcess', function() {
+    it('will give error if connecting while shutting down', function(done) {
+      var config = {
+        node: {
+          network: bitcore.Networks.testnet
+        },
+        spawn: {
+          datadir: 'testdir',
+          exec: 'testpath'
+        }
+      };
+      var bitcoind = new BitcoinService(config);
+      bitcoind.node.stopping = true;
+      bitcoind.startRetryInterval = 100;
+      bitcoind._loadTipFromNode = sinon.stub();
+      bitcoind._connectProcess({}, function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.match(/Stopping while trying to connect/);
+        bitcoind._loadTipFromNode.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will give error from loadTipFromNode after 60 retries', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind.startRetryInterval = 1;
+      var config = {};
+      bitcoind._connectProcess(config, function(err) {
+        err.should.be.instanceof(Error);
+        bitcoind._loadTipFromNode.callCount.should.equal(60);
+        done();
+      });
+    });
+    it('will init zmq/rpc on node', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._initZmqSubSockets = sinon.stub();
+      bitcoind._subscribeZmqEvents = sinon.stub();
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
+      var config = {};
+      bitcoind._connectProcess(config, function(err, node) {
+        should.not.exist(err);
+        bitcoind._loadTipFromNode.callCount.should.equal(1);
+        bitcoind._initZmqSubSockets.callCount.should.equal(1);
+        bitcoind._initZmqSubSockets.args[0][1].should.equal(config);
+        bitcoind._loadTipFromNode.callCount.should.equal(1);
+        should.exist(node);
+        should.exist(node.client);
+        done();
+      });
+    });
+    it('will set the tls options of the client', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tlsOptions = {ca: new Buffer('ca')};
+      bitcoind._getRPCTLSOptions = sinon.stub().returns(tlsOptions);
+      bitcoind._initZmqSubSockets = sinon.stub();
+      bitcoind._subscribeZmqEvents = sinon.stub();
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
+      bitcoind._connectProcess({rpcprotocol: 'https'}, function(err, node) {
+        should.not.exist(err);
+        node.client.httpOptions.should.equal(tlsOptions);
+        done();
+      });
+    });
+    it('will give error from the tls options without retrying', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._loadTipFromNode = sinon.stub();
+      bitcoind._connectProcess({rpcca: 'ca.crt'}, function(err) {
+        err.should.be.instanceof(TypeError);
+        bitcoind._loadTipFromNode.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will give error from verifying the certificate without retrying', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tlsError = new Error('Bitcoin JSON-RPC: Request Error: self-signed certificate');
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, tlsError);
+      bitcoind.startRetryInterval = 1;
+      bitcoind._connectProcess({rpchost: 'zend.example.com', rpcport: 8231}, function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.equal('Unable to verify the TLS certificate of zend RPC at zend.example.com:8231: ' +
+                                 'Bitcoin JSON-RPC: Request Error: self-signed certificate');
+        bitcoind._loadTipFromNode.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will give error from reading the credentials', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._process = {env: {}};
+      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
+      bitcoind.startRetryInterval = 1;
+      bitcoind._connectProcess({rpcpasswordenv: 'MISSING'}, function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.match(/MISSING/);
+        bitcoind._loadTipFromNode.callCount.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('#start', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will give error if "spawn" and "connect" are both not configured', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.options = {};
+      bitcoind.start(function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.match(/Horizen configuration options/);
+        done();
+      });
+    });
+    it('will give error from spawnChildProcess', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind.options = {
+        spawn: {}
+      };
+      bitcoind.start(function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.equal('test');
+        done();
+      });
+    });
+    it('will give error from connectProcess', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._connectProcess = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind.options = {
+        connect: [
+          {}
+        ]
+      };
+      bitcoind.start(function(err) {
+        bitcoind._connectProcess.callCount.should.equal(1);
+        err.should.be.instanceof(Error);
+        err.message.should.equal('test');
+        done();
+      });
+    });
+    it('will push node from spawnChildProcess', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var node = {};
+      bitcoind._initChain = sinon.stub().callsArg(0);
+      bitcoind._syncMempool = sinon.stub();
+      bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, null, node);
+      bitcoind.options = {
+        spawn: {}
+      };
+      bitcoind.start(function(err) {
+        should.not.exist(err);
+        bitcoind.nodes.length.should.equal(1);
+        done();
+      });
+    });
+    it('will push node from connectProcess', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._initChain = sinon.stub().callsArg(0);
+      bitcoind._syncMempool = sinon.stub();
+      var nodes = [{}];
+      bitcoind._connectProcess = sinon.stub().callsArgWith(1, null, nodes);
+      bitcoind.options = {
+        connect: [
+          {}
+        ]
+      };
+      bitcoind.start(function(err) {
+        should.not.exist(err);
+        bitcoind._connectProcess.callCount.should.equal(1);
+        bitcoind.nodes.length.should.equal(1);
+        done();
+      });
+    });
+    it('will load the mempool after init chain', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._initChain = sinon.stub().callsArg(0);
+      bitcoind._syncMempool = sinon.stub();
+      bitcoind._connectProcess = sinon.stub().callsArgWith(1, null, [{}]);
+      bitcoind.options = {
+        connect: [
+          {}
+        ]
+      };
+      bitcoind.start(function(err) {
+        should.not.exist(err);
+        bitcoind._syncMempool.callCount.should.equal(1);
+        // the interval doesn't start another sync while the mempool is loading
+        bitcoind.mempoolSyncing.should.equal(true);
+        clearInterval(bitcoind.mempoolInterval);
+        done();
+      });
+    });
+    it('will give error from init chain', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._initChain = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind._syncMempool = sinon.stub();
+      bitcoind._connectProcess = sinon.stub().callsArgWith(1, null, [{}]);
+      bitcoind.options = {
+        connect: [
+          {}
+        ]
+      };
+      bitcoind.start(function(err) {
+        err.message.should.equal('test');
+        bitcoind._syncMempool.callCount.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('#isSynced', function() {
+    it('will give error from syncPercentage', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, new Error('test'));
+      bitcoind.isSynced(function(err) {
+        should.exist(err);
+        err.message.should.equal('test');
+        done();
+      });
+    });
+    it('will give "true" if percentage is 100.00', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 100.00);
+      bitcoind.isSynced(function(err, synced) {
+        if (err) {
+          return done(err);
+        }
+        synced.should.equal(true);
+        done();
+      });
+    });
+    it('will give "true" if percentage is 99.98', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 99.98);
+      bitcoind.isSynced(function(err, synced) {
+        if (err) {
+          return done(err);
+        }
+        synced.should.equal(true);
+        done();
+      });
+    });
+    it('will give "false" if percentage is 99.49', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 99.49);
+      bitcoind.isSynced(function(err, synced) {
+        if (err) {
+          return done(err);
+        }
+        synced.should.equal(false);
+        done();
+      });
+    });
+    it('will give "false" if percentage is 1', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 1);
+      bitcoind.isSynced(function(err, synced) {
+        if (err) {
+          return done(err);
+        }
+        synced.should.equal(false);
+        done();
+      });
+    });
+  });
+
+  describe('#syncPercentage', function() {
+    it('will give rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlockchainInfo = sinon.stub().callsArgWith(0, {message: 'error', code: -1});
+      bitcoind.nodes.push({
+        client: {
+          getBlockchainInfo: getBlockchainInfo
+        }
+      });
+      bitcoind.syncPercentage(function(err) {
+        should.exist(err);
+        err.should.be.an.instanceof(errors.RPCError);
+        done();
+      });
+    });
+    it('will call client getInfo and give result', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlockchainInfo = sinon.stub().callsArgWith(0, null, {
+        result: {
+          verificationprogress: '0.983821387'
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockchainInfo: getBlockchainInfo
+        }
+      });
+      bitcoind.syncPercentage(function(err, percentage) {
+        if (err) {
+          return done(err);
+        }
+        percentage.should.equal(98.3821387);
+        done();
+      });
+    });
+  });
+
+  describe('#_normalizeAddressArg', function() {
+    it('will turn single address into array', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var args = bitcoind._normalizeAddressArg('address');
+      args.should.deep.equal(['address']);
+    });
+    it('will keep an array as an array', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var args = bitcoind._normalizeAddressArg(['address', 'address']);
+      args.should.deep.equal(['address', 'address']);
+    });
+  });
+
+  describe('#getAddressBalance', function() {
+    it('will give rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getAddressBalance: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+        }
+      });
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      var options = {};
+      bitcoind.getAddressBalance(address, options, function(err) {
+        err.should.be.instanceof(Error);
+        done();
+      });
+    });
+    it('will give balance', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getAddressBalance = sinon.stub().callsArgWith(1, null, {
+        result: {
+          received: 100000,
+          balance: 10000
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getAddressBalance: getAddressBalance
+        }
+      });
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      var options = {};
+      bitcoind.getAddressBalance(address, options, function(err, data) {
+        if (err) {
+          return done(err);
+        }
+        data.balance.should.equal(10000);
+        data.received.should.equal(100000);
+        bitcoind.getAddressBalance(address, options, function(err, data2) {
+          if (err) {
+            return done(err);
+          }
+          data2.balance.should.equal(10000);
+          data2.received.should.equal(100000);
+          getAddressBalance.callCount.should.equal(1);
+          done();
+        });
+      });
+    });
+    it('will try the next node if a node fails', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.tryAllInterval = 1;
+      bitcoind.nodes.push({
+        client: {
+          getAddressBalance: sinon.stub().callsArgWith(1, connectionError('Bitcoin JSON-RPC: Request Error: test'))
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getAddressBalance: sinon.stub().callsArgWith(1, null, {result: {received: 100000, balance: 10000}})
+        }
+      });
+      bitcoind.getAddressBalance('1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo', {}, function(err, data) {
+        if (err) {
+          return done(err);
+        }
+        data.balance.should.equal(10000);
+        bitcoind.nodes[0].health.failures.should.equal(1);
+        done();
+      });
+    });
+    it('will not cache a balance if the tip changed while querying', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getAddressBalance: function(options, callback) {
+            bitcoind._updateTip({}, new Buffer('bb', 'hex'));
+            callback(null, {result: {received: 100000, balance: 10000}});
+          }
+        }
+      });
+      bitcoind._getTipBlock = sinon.stub();
+      bitcoind.node = {stopping: true};
+      bitcoind.getAddressBalance('1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo', {}, function(err, data) {
+        if (err) {
+          return done(err);
+        }
+        data.balance.should.equal(10000);
+        bitcoind.balanceCache.keys().should.deep.equal([]);
+        done();
+      });
+    });
+    it('will use the cached balance for any order of the addresses', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getAddressBalance = sinon.stub().callsArgWith(1, null, {
+        result: {
+          received: 100000,
+          balance: 10000
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getAddressBalance: getAddressBalance
+        }
+      });
+      var addresses = ['1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo', '12c6DSiU4Rq3P4ZxziKxzrL5LmMBrzjrJX'];
+      bitcoind.getAddressBalance(addresses, {}, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getAddressBalance(addresses.slice().reverse(), {}, function(err, data) {
+          if (err) {
+            return done(err);
+          }
+          data.balance.should.equal(10000);
+          getAddressBalance.callCount.should.equal(1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#getAddressUnspentOutputs', function() {
+    it('will give rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+        }
+      });
+      var options = {
+        queryMempool: false
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(errors.RPCError);
+        done();
+      });
+    });
+    it('will give results from client getaddressutxos', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var expectedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 1,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        }
+      ];
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
+            result: expectedUtxos
+          })
+        }
+      });
+      var options = {
+        queryMempool: false
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(1);
+        utxos.should.deep.equal(expectedUtxos);
+        done();
+      });
+    });
+    it('will use cache', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var expectedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 1,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        }
+      ];
+      var getAddressUtxos = sinon.stub().callsArgWith(1, null, {
+        result: expectedUtxos
+      });
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: getAddressUtxos
+        }
+      });
+      var options = {
+        queryMempool: false
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(1);
+        utxos.should.deep.equal(expectedUtxos);
+        getAddressUtxos.callCount.should.equal(1);
+        bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+          if (err) {
+            return done(err);
+          }
+          utxos.length.should.equal(1);
+          utxos.should.deep.equal(expectedUtxos);
+          getAddressUtxos.callCount.should.equal(1);
+          done();
+        });
+      });
+    });
+    it('will update with mempool results', function(done) {
+      var deltas = [
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 1
+        },
+        {
+          txid: 'f637384e9f81f18767ea50e00bce58fc9848b6588a1130529eebba22a410155f',
+          satoshis: 100000,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342833133
+        },
+        {
+          txid: 'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345',
+          satoshis: 400000,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 1,
+          timestamp: 1461342954813
+        }
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var confirmedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 1,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        }
+      ];
+      var expectedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          outputIndex: 1,
+          satoshis: 400000,
+          script: '76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac',
+          timestamp: 1461342954813,
+          txid: 'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345'
+        },
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          outputIndex: 0,
+          satoshis: 100000,
+          script: '76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac',
+          timestamp: 1461342833133,
+          txid: 'f637384e9f81f18767ea50e00bce58fc9848b6588a1130529eebba22a410155f'
+        }
+      ];
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
+            result: confirmedUtxos
+          }),
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: deltas
+          })
+        }
+      });
+      var options = {
+        queryMempool: true
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(2);
+        utxos.should.deep.equal(expectedUtxos);
+        done();
+      });
+    });
+    it('will update with mempool results with multiple outputs', function(done) {
+      var deltas = [
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 1
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 1,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 2
+        }
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var confirmedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 1,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        },
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 2,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        }
+      ];
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
+            result: confirmedUtxos
+          }),
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: deltas
+          })
+        }
+      });
+      var options = {
+        queryMempool: true
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(0);
+        done();
+      });
+    });
+    it('three confirmed utxos -> one utxo after mempool', function(done) {
+      var deltas = [
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 0
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 1
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 1,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 2
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: 100000,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 1,
+          script: '76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac',
+          timestamp: 1461342833133
+        }
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var confirmedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 0,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        },
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 1,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        },
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 2,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 7679241,
+          height: 207111
+        }
+      ];
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
+            result: confirmedUtxos
+          }),
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: deltas
+          })
+        }
+      });
+      var options = {
+        queryMempool: true
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(1);
+        done();
+      });
+    });
+    it('spending utxos in the mempool', function(done) {
+      var deltas = [
+        {
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          satoshis: 7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707724
+        },
+        {
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          satoshis: 7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 1,
+          timestamp: 1461342707724
+        },
+        {
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          satoshis: 7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          timestamp: 1461342707724,
+          index: 2,
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 0
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 1
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: -7679241,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 1,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 2
+        },
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: 100000,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 1,
+          timestamp: 1461342833133
+        }
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var confirmedUtxos = [];
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
+            result: confirmedUtxos
+          }),
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: deltas
+          })
+        }
+      });
+      var options = {
+        queryMempool: true
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(1);
+        utxos[0].address.should.equal(address);
+        utxos[0].txid.should.equal('e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce');
+        utxos[0].outputIndex.should.equal(1);
+        utxos[0].script.should.equal('76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac');
+        utxos[0].timestamp.should.equal(1461342833133);
+        done();
+      });
+    });
+    it('will update with mempool results spending zero value output (likely never to happen)', function(done) {
+      var deltas = [
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: 0,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725,
+          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          prevout: 1
+        }
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var confirmedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 1,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 0,
+          height: 207111
+        }
+      ];
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
+            result: confirmedUtxos
+          }),
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: deltas
+          })
+        }
+      });
+      var options = {
+        queryMempool: true
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(0);
         done();
       });
     });
-    it('will respawn bitcoind spawned process', function(done) {
-      var process = new EventEmitter();
-      var spawn = sinon.stub().returns(process);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFileSync: readFileSync
+    it('will not filter results if mempool is not spending', function(done) {
+      var deltas = [
+        {
+          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          satoshis: 10000,
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          index: 0,
+          timestamp: 1461342707725
+        }
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var confirmedUtxos = [
+        {
+          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
+          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
+          outputIndex: 1,
+          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
+          satoshis: 0,
+          height: 207111
+        }
+      ];
+      bitcoind.nodes.push({
+        client: {
+          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
+            result: confirmedUtxos
+          }),
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: deltas
+          })
+        }
+      });
+      var options = {
+        queryMempool: true
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.length.should.equal(2);
+        done();
+      });
+    });
+    it('it will handle error from getAddressMempool', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getAddressMempool: sinon.stub().callsArgWith(1, {code: -1, message: 'test'})
+        }
+      });
+      var options = {
+        queryMempool: true
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err) {
+        err.should.be.instanceOf(Error);
+        done();
+      });
+    });
+    it('should set query mempool if undefined', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getAddressMempool = sinon.stub().callsArgWith(1, {code: -1, message: 'test'});
+      bitcoind.nodes.push({
+        client: {
+          getAddressMempool: getAddressMempool
+        }
+      });
+      var options = {};
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressUnspentOutputs(address, options, function(err) {
+        getAddressMempool.callCount.should.equal(1);
+        done();
+      });
+    });
+  });
+
+  describe('#_getBalanceFromMempool', function() {
+    it('will sum satoshis', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var deltas = [
+        {
+          satoshis: -1000,
         },
-        child_process: {
-          spawn: spawn
+        {
+          satoshis: 2000,
+        },
+        {
+          satoshis: -10,
+        }
+      ];
+      var sum = bitcoind._getBalanceFromMempool(deltas);
+      sum.should.equal(990);
+    });
+  });
+
+  describe('#_getTxidsFromMempool', function() {
+    it('will filter to txids', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var deltas = [
+        {
+          txid: 'txid0',
+        },
+        {
+          txid: 'txid1',
+        },
+        {
+          txid: 'txid2',
+        }
+      ];
+      var txids = bitcoind._getTxidsFromMempool(deltas);
+      txids.length.should.equal(3);
+      txids[0].should.equal('txid0');
+      txids[1].should.equal('txid1');
+      txids[2].should.equal('txid2');
+    });
+    it('will not include duplicates', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var deltas = [
+        {
+          txid: 'txid0',
+        },
+        {
+          txid: 'txid0',
+        },
+        {
+          txid: 'txid1',
+        }
+      ];
+      var txids = bitcoind._getTxidsFromMempool(deltas);
+      txids.length.should.equal(2);
+      txids[0].should.equal('txid0');
+      txids[1].should.equal('txid1');
+    });
+  });
+
+  describe('#_getHeightRangeQuery', function() {
+    it('will detect range query', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var options = {
+        start: 20,
+        end: 0
+      };
+      var rangeQuery = bitcoind._getHeightRangeQuery(options);
+      rangeQuery.should.equal(true);
+    });
+    it('will get range properties', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var options = {
+        start: 20,
+        end: 0
+      };
+      var clone = {};
+      bitcoind._getHeightRangeQuery(options, clone);
+      clone.end.should.equal(20);
+      clone.start.should.equal(0);
+    });
+    it('will throw error with invalid range', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var options = {
+        start: 0,
+        end: 20
+      };
+      (function() {
+        bitcoind._getHeightRangeQuery(options);
+      }).should.throw('"end" is expected');
+    });
+  });
+
+  describe('#getAddressTxids', function() {
+    it('will give error from _getHeightRangeQuery', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getHeightRangeQuery = sinon.stub().throws(new Error('test'));
+      bitcoind.getAddressTxids('address', {}, function(err) {
+        err.should.be.instanceOf(Error);
+        err.message.should.equal('test');
+        done();
+      });
+    });
+    it('will give rpc error from mempool query', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getAddressMempool: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
         }
       });
-      var bitcoind = new TestBitcoinService(baseConfig);
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind.spawn = {};
-      bitcoind.spawn.exec = 'bitcoind';
-      bitcoind.spawn.datadir = '/tmp/bitcoin';
-      bitcoind.spawn.configPath = '/tmp/bitcoin/zen.conf';
-      bitcoind.spawn.config = {};
-      bitcoind.spawnRestartTime = 1;
-      bitcoind._loadTipFromNode = sinon.stub().callsArg(1);
-      bitcoind._initZmqSubSocket = sinon.stub();
-      bitcoind._checkReindex = sinon.stub().callsArg(1);
-      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
-      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
-      sinon.spy(bitcoind, '_spawnChildProcess');
-      bitcoind._spawnChildProcess(function(err) {
+      var options = {};
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressTxids(address, options, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(errors.RPCError);
+      });
+    });
+    it('will give rpc error from txids query', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getAddressTxids: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+        }
+      });
+      var options = {
+        queryMempool: false
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressTxids(address, options, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(errors.RPCError);
+      });
+    });
+    it('will get txid results', function(done) {
+      var expectedTxids = [
+        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+        'f637384e9f81f18767ea50e00bce58fc9848b6588a1130529eebba22a410155f',
+        'f3c1ba3ef86a0420d6102e40e2cfc8682632ab95d09d86a27f5d466b9fa9da47',
+        '56fafeb01961831b926558d040c246b97709fd700adcaa916541270583e8e579',
+        'bc992ad772eb02864db07ef248d31fb3c6826d25f1153ebf8c79df9b7f70fcf2',
+        'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345',
+        'f35e7e2a2334e845946f3eaca76890d9a68f4393ccc9fe37a0c2fb035f66d2e9',
+        'edc080f2084eed362aa488ccc873a24c378dc0979aa29b05767517b70569414a',
+        'ed11a08e3102f9610bda44c80c46781d97936a4290691d87244b1b345b39a693',
+        'ec94d845c603f292a93b7c829811ac624b76e52b351617ca5a758e9d61a11681'
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.nodes.push({
+        client: {
+          getAddressTxids: sinon.stub().callsArgWith(1, null, {
+            result: expectedTxids.reverse()
+          })
+        }
+      });
+      var options = {
+        queryMempool: false
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressTxids(address, options, function(err, txids) {
         if (err) {
           return done(err);
         }
-        process.once('exit', function() {
-          setTimeout(function() {
-            bitcoind._spawnChildProcess.callCount.should.equal(2);
-            done();
-          }, 5);
-        });
-        process.emit('exit', 1);
+        txids.length.should.equal(expectedTxids.length);
+        txids.should.deep.equal(expectedTxids);
+        done();
       });
     });
-    it('will emit error during respawn', function(done) {
-      var process = new EventEmitter();
-      var spawn = sinon.stub().returns(process);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFileSync: readFileSync
-        },
-        child_process: {
-          spawn: spawn
+    it('will get txid results from cache', function(done) {
+      var expectedTxids = [
+        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce'
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var getAddressTxids = sinon.stub().callsArgWith(1, null, {
+        result: expectedTxids.reverse()
+      });
+      bitcoind.nodes.push({
+        client: {
+          getAddressTxids: getAddressTxids
         }
       });
-      var bitcoind = new TestBitcoinService(baseConfig);
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind.spawn = {};
-      bitcoind.spawn.exec = 'bitcoind';
-      bitcoind.spawn.datadir = '/tmp/bitcoin';
-      bitcoind.spawn.configPath = '/tmp/bitcoin/zen.conf';
-      bitcoind.spawn.config = {};
-      bitcoind.spawnRestartTime = 1;
-      bitcoind._loadTipFromNode = sinon.stub().callsArg(1);
-      bitcoind._initZmqSubSocket = sinon.stub();
-      bitcoind._checkReindex = sinon.stub().callsArg(1);
-      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
-      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
-      sinon.spy(bitcoind, '_spawnChildProcess');
-      bitcoind._spawnChildProcess(function(err) {
+      var options = {
+        queryMempool: false
+      };
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressTxids(address, options, function(err, txids) {
         if (err) {
           return done(err);
         }
-        bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, new Error('test'));
-        bitcoind.on('error', function(err) {
-          err.should.be.instanceOf(Error);
-          err.message.should.equal('test');
+        getAddressTxids.callCount.should.equal(1);
+        txids.should.deep.equal(expectedTxids);
+
+        bitcoind.getAddressTxids(address, options, function(err, txids) {
+          if (err) {
+            return done(err);
+          }
+          getAddressTxids.callCount.should.equal(1);
+          txids.should.deep.equal(expectedTxids);
           done();
         });
-        process.emit('exit', 1);
       });
     });
-    it('will NOT respawn bitcoind spawned process if shutting down', function(done) {
-      var process = new EventEmitter();
-      var spawn = sinon.stub().returns(process);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFileSync: readFileSync
-        },
-        child_process: {
-          spawn: spawn
-        }
+    it('will get txid results WITHOUT cache if rangeQuery and exclude mempool', function(done) {
+      var expectedTxids = [
+        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce'
+      ];
+      var bitcoind = new BitcoinService(baseConfig);
+      var getAddressMempool = sinon.stub();
+      var getAddressTxids = sinon.stub().callsArgWith(1, null, {
+        result: expectedTxids.reverse()
       });
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
+      bitcoind.nodes.push({
+        client: {
+          getAddressTxids: getAddressTxids,
+          getAddressMempool: getAddressMempool
         }
+      });
+      var options = {
+        queryMempool: true, // start and end will exclude mempool
+        start: 4,
+        end: 2
       };
-      var bitcoind = new TestBitcoinService(config);
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind.spawn = {};
-      bitcoind.spawn.exec = 'bitcoind';
-      bitcoind.spawn.datadir = '/tmp/bitcoin';
-      bitcoind.spawn.configPath = '/tmp/bitcoin/zen.conf';
-      bitcoind.spawn.config = {};
-      bitcoind.spawnRestartTime = 1;
-      bitcoind._loadTipFromNode = sinon.stub().callsArg(1);
-      bitcoind._initZmqSubSocket = sinon.stub();
-      bitcoind._checkReindex = sinon.stub().callsArg(1);
-      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
-      bitcoind._stopSpawnedBitcoin = sinon.stub().callsArg(0);
-      sinon.spy(bitcoind, '_spawnChildProcess');
-      bitcoind._spawnChildProcess(function(err) {
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressTxids(address, options, function(err, txids) {
         if (err) {
           return done(err);
         }
-        bitcoind.node.stopping = true;
-        process.once('exit', function() {
-          setTimeout(function() {
-            bitcoind._spawnChildProcess.callCount.should.equal(1);
-            done();
-          }, 5);
-        });
-        process.emit('exit', 1);
-      });
-    });
-    it('will give error after 60 retries', function(done) {
-      var process = new EventEmitter();
-      var spawn = sinon.stub().returns(process);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFileSync: readFileSync
-        },
-        child_process: {
-          spawn: spawn
-        }
-      });
-      var bitcoind = new TestBitcoinService(baseConfig);
-      bitcoind.startRetryInterval = 1;
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind.spawn = {};
-      bitcoind.spawn.exec = 'testexec';
-      bitcoind.spawn.configPath = 'testdir/zen.conf';
-      bitcoind.spawn.datadir = 'testdir';
-      bitcoind.spawn.config = {};
-      bitcoind.spawn.config.rpcport = 20001;
-      bitcoind.spawn.config.rpcuser = 'bitcoin';
-      bitcoind.spawn.config.rpcpassword = 'password';
-      bitcoind.spawn.config.zmqpubrawtx = 'tcp://127.0.0.1:30001';
-      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, new Error('test'));
-      bitcoind._spawnChildProcess(function(err) {
-        bitcoind._loadTipFromNode.callCount.should.equal(60);
-        err.should.be.instanceof(Error);
-        done();
-      });
-    });
-    it('will give error from check reindex', function(done) {
-      var process = new EventEmitter();
-      var spawn = sinon.stub().returns(process);
-      var TestBitcoinService = proxyquire('../../lib/services/bitcoind', {
-        fs: {
-          readFileSync: readFileSync
-        },
-        child_process: {
-          spawn: spawn
-        }
-      });
-      var bitcoind = new TestBitcoinService(baseConfig);
-
-      bitcoind._loadSpawnConfiguration = sinon.stub();
-      bitcoind.spawn = {};
-      bitcoind.spawn.exec = 'testexec';
-      bitcoind.spawn.configPath = 'testdir/zen.conf';
-      bitcoind.spawn.datadir = 'testdir';
-      bitcoind.spawn.config = {};
-      bitcoind.spawn.config.rpcport = 20001;
-      bitcoind.spawn.config.rpcuser = 'bitcoin';
-      bitcoind.spawn.config.rpcpassword = 'password';
-      bitcoind.spawn.config.zmqpubrawtx = 'tcp://127.0.0.1:30001';
-
-      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
-      bitcoind._initZmqSubSocket = sinon.stub();
-      bitcoind._checkSyncedAndSubscribeZmqEvents = sinon.stub();
-      bitcoind._checkReindex = sinon.stub().callsArgWith(1, new Error('test'));
-
-      bitcoind._spawnChildProcess(function(err) {
-        err.should.be.instanceof(Error);
-        done();
-      });
-    });
-  });
+        getAddressTxids.callCount.should.equal(1);
+        getAddressMempool.callCount.should.equal(0);
+        txids.should.deep.equal(expectedTxids);
 
-  describe('#_connectProcess', function() {
-    it('will give error if connecting while shutting down', function(done) {
-      var config = {
-        node: {
-          network: bitcore.Networks.testnet
-        },
-        spawn: {
-          datadir: 'testdir',
-          exec: 'testpath'
-        }
-      };
-      var bitcoind = new BitcoinService(config);
-      bitcoind.node.stopping = true;
-      bitcoind.startRetryInterval = 100;
-      bitcoind._loadTipFromNode = sinon.stub();
-      bitcoind._connectProcess({}, function(err) {
-        err.should.be.instanceof(Error);
-        err.message.should.match(/Stopping while trying to connect/);
-        bitcoind._loadTipFromNode.callCount.should.equal(0);
-        done();
+        bitcoind.getAddressTxids(address, options, function(err, txids) {
+          if (err) {
+            return done(err);
+          }
+          getAddressTxids.callCount.should.equal(2);
+          getAddressMempool.callCount.should.equal(0);
+          txids.should.deep.equal(expectedTxids);
+          done();
+        });
       });
     });
-    it('will give error from loadTipFromNode after 60 retries', function(done) {
+    it('will get txid results from cache and live mempool', function(done) {
+      var expectedTxids = [
+        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce'
+      ];
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, new Error('test'));
-      bitcoind.startRetryInterval = 1;
-      var config = {};
-      bitcoind._connectProcess(config, function(err) {
-        err.should.be.instanceof(Error);
-        bitcoind._loadTipFromNode.callCount.should.equal(60);
-        done();
+      var getAddressTxids = sinon.stub().callsArgWith(1, null, {
+        result: expectedTxids.reverse()
+      });
+      var getAddressMempool = sinon.stub().callsArgWith(1, null, {
+        result: [
+          {
+            txid: 'bc992ad772eb02864db07ef248d31fb3c6826d25f1153ebf8c79df9b7f70fcf2'
+          },
+          {
+            txid: 'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345'
+          },
+          {
+            txid: 'f35e7e2a2334e845946f3eaca76890d9a68f4393ccc9fe37a0c2fb035f66d2e9'
+          }
+        ]
       });
-    });
-    it('will init zmq/rpc on node', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._initZmqSubSocket = sinon.stub();
-      bitcoind._subscribeZmqEvents = sinon.stub();
-      bitcoind._loadTipFromNode = sinon.stub().callsArgWith(1, null);
-      var config = {};
-      bitcoind._connectProcess(config, function(err, node) {
-        should.not.exist(err);
-        bitcoind._loadTipFromNode.callCount.should.equal(1);
-        bitcoind._initZmqSubSocket.callCount.should.equal(1);
-        bitcoind._loadTipFromNode.callCount.should.equal(1);
-        should.exist(node);
-        should.exist(node.client);
-        done();
+      bitcoind.nodes.push({
+        client: {
+          getAddressTxids: getAddressTxids,
+          getAddressMempool: getAddressMempool
+        }
+      });
+      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
+      bitcoind.getAddressTxids(address, {queryMempool: false}, function(err, txids) {
+        if (err) {
+          return done(err);
+        }
+        getAddressTxids.callCount.should.equal(1);
+        txids.should.deep.equal(expectedTxids);
+
+        bitcoind.getAddressTxids(address, {queryMempool: true}, function(err, txids) {
+          if (err) {
+            return done(err);
+          }
+          getAddressTxids.callCount.should.equal(1);
+          txids.should.deep.equal([
+            'f35e7e2a2334e845946f3eaca76890d9a68f4393ccc9fe37a0c2fb035f66d2e9', // mempool
+            'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345', // mempool
+            'bc992ad772eb02864db07ef248d31fb3c6826d25f1153ebf8c79df9b7f70fcf2', // mempool
+            'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce' // confirmed
+          ]);
+          done();
+        });
       });
     });
   });
 
-  describe('#start', function() {
+  describe('#_getConfirmationDetail', function() {
     var sandbox = sinon.sandbox.create();
     beforeEach(function() {
-      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
     });
     afterEach(function() {
       sandbox.restore();
     });
-    it('will give error if "spawn" and "connect" are both not configured', function(done) {
+    it('should get 0 confirmation', function() {
+      var tx = new Transaction(txhex);
+      tx.height = -1;
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.options = {};
-      bitcoind.start(function(err) {
-        err.should.be.instanceof(Error);
-        err.message.should.match(/Bitcoin configuration options/);
-      });
-      done();
+      bitcoind.height = 10;
+      var confirmations = bitcoind._getConfirmationsDetail(tx);
+      confirmations.should.equal(0);
     });
-    it('will give error from spawnChildProcess', function(done) {
+    it('should get 1 confirmation', function() {
+      var tx = new Transaction(txhex);
+      tx.height = 10;
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, new Error('test'));
-      bitcoind.options = {
-        spawn: {}
+      bitcoind.height = 10;
+      var confirmations = bitcoind._getConfirmationsDetail(tx);
+      confirmations.should.equal(1);
+    });
+    it('should get 2 confirmation', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tx = new Transaction(txhex);
+      bitcoind.height = 11;
+      tx.height = 10;
+      var confirmations = bitcoind._getConfirmationsDetail(tx);
+      confirmations.should.equal(2);
+    });
+    it('should get 0 confirmation with overflow', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tx = new Transaction(txhex);
+      bitcoind.height = 3;
+      tx.height = 10;
+      var confirmations = bitcoind._getConfirmationsDetail(tx);
+      log.warn.callCount.should.equal(1);
+      confirmations.should.equal(0);
+    });
+    it('should get 1000 confirmation', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var tx = new Transaction(txhex);
+      bitcoind.height = 1000;
+      tx.height = 1;
+      var confirmations = bitcoind._getConfirmationsDetail(tx);
+      confirmations.should.equal(1000);
+    });
+  });
+
+  describe('#_getAddressDetailsForInput', function() {
+    it('will return if missing an address', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var result = {};
+      bitcoind._getAddressDetailsForInput({}, 0, result, []);
+      should.not.exist(result.addresses);
+      should.not.exist(result.satoshis);
+    });
+    it('will only add address if it matches', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var result = {};
+      bitcoind._getAddressDetailsForInput({
+        address: 'address1'
+      }, 0, result, ['address2']);
+      should.not.exist(result.addresses);
+      should.not.exist(result.satoshis);
+    });
+    it('will instantiate if outputIndexes not defined', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var result = {
+        addresses: {}
       };
-      bitcoind.start(function(err) {
-        err.should.be.instanceof(Error);
-        err.message.should.equal('test');
-        done();
-      });
+      bitcoind._getAddressDetailsForInput({
+        address: 'address1'
+      }, 0, result, ['address1']);
+      should.exist(result.addresses);
+      result.addresses['address1'].inputIndexes.should.deep.equal([0]);
+      result.addresses['address1'].outputIndexes.should.deep.equal([]);
     });
-    it('will give error from connectProcess', function(done) {
+    it('will push to inputIndexes', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._connectProcess = sinon.stub().callsArgWith(1, new Error('test'));
-      bitcoind.options = {
-        connect: [
-          {}
-        ]
+      var result = {
+        addresses: {
+          'address1': {
+            inputIndexes: [1]
+          }
+        }
       };
-      bitcoind.start(function(err) {
-        bitcoind._connectProcess.callCount.should.equal(1);
-        err.should.be.instanceof(Error);
-        err.message.should.equal('test');
-        done();
-      });
+      bitcoind._getAddressDetailsForInput({
+        address: 'address1'
+      }, 2, result, ['address1']);
+      should.exist(result.addresses);
+      result.addresses['address1'].inputIndexes.should.deep.equal([1, 2]);
     });
-    it('will push node from spawnChildProcess', function(done) {
+  });
+
+  describe('#_getAddressDetailsForOutput', function() {
+    it('will return if missing an address', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var node = {};
-      bitcoind._initChain = sinon.stub().callsArg(0);
-      bitcoind._spawnChildProcess = sinon.stub().callsArgWith(0, null, node);
-      bitcoind.options = {
-        spawn: {}
+      var result = {};
+      bitcoind._getAddressDetailsForOutput({}, 0, result, []);
+      should.not.exist(result.addresses);
+      should.not.exist(result.satoshis);
+    });
+    it('will only add address if it matches', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var result = {};
+      bitcoind._getAddressDetailsForOutput({
+        address: 'address1'
+      }, 0, result, ['address2']);
+      should.not.exist(result.addresses);
+      should.not.exist(result.satoshis);
+    });
+    it('will instantiate if outputIndexes not defined', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var result = {
+        addresses: {}
       };
-      bitcoind.start(function(err) {
-        should.not.exist(err);
-        bitcoind.nodes.length.should.equal(1);
-        done();
-      });
+      bitcoind._getAddressDetailsForOutput({
+        address: 'address1'
+      }, 0, result, ['address1']);
+      should.exist(result.addresses);
+      result.addresses['address1'].inputIndexes.should.deep.equal([]);
+      result.addresses['address1'].outputIndexes.should.deep.equal([0]);
     });
-    it('will push node from connectProcess', function(done) {
+    it('will push if outputIndexes defined', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._initChain = sinon.stub().callsArg(0);
-      var nodes = [{}];
-      bitcoind._connectProcess = sinon.stub().callsArgWith(1, null, nodes);
-      bitcoind.options = {
-        connect: [
-          {}
-        ]
+      var result = {
+        addresses: {
+          'address1': {
+            outputIndexes: [0]
+          }
+        }
       };
-      bitcoind.start(function(err) {
-        should.not.exist(err);
-        bitcoind._connectProcess.callCount.should.equal(1);
-        bitcoind.nodes.length.should.equal(1);
-        done();
-      });
+      bitcoind._getAddressDetailsForOutput({
+        address: 'address1'
+      }, 1, result, ['address1']);
+      should.exist(result.addresses);
+      result.addresses['address1'].outputIndexes.should.deep.equal([0, 1]);
+    });
+  });
+
+  describe('#_getAddressDetailsForTransaction', function() {
+    it('will calculate details for the transaction', function(done) {
+      /* jshint sub:true */
+      var tx = {
+        inputs: [
+          {
+            satoshis: 1000000000,
+            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          }
+        ],
+        outputs: [
+          {
+            satoshis: 100000000,
+            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          },
+          {
+            satoshis: 200000000,
+            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          },
+          {
+            satoshis: 50000000,
+            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          },
+          {
+            satoshis: 300000000,
+            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          },
+          {
+            satoshis: 349990000,
+            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          }
+        ],
+        locktime: 0
+      };
+      var bitcoind = new BitcoinService(baseConfig);
+      var addresses = ['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'];
+      var details = bitcoind._getAddressDetailsForTransaction(tx, addresses);
+      should.exist(details.addresses['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW']);
+      details.addresses['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'].inputIndexes.should.deep.equal([0]);
+      details.addresses['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'].outputIndexes.should.deep.equal([
+        0, 1, 2, 3, 4
+      ]);
+      details.satoshis.should.equal(-10000);
+      done();
     });
   });
 
-  describe('#isSynced', function() {
-    it('will give error from syncPercentage', function(done) {
+  describe('#_getAddressDetailedTransactions', function() {
+    it('will get detailed transaction info', function(done) {
+      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
+      var tx = {
+        height: 20,
+      };
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, new Error('test'));
-      bitcoind.isSynced(function(err) {
-        should.exist(err);
-        err.message.should.equal('test');
-        done();
+      bitcoind._getDetailedTransactions = sinon.stub().callsArgWith(1, null, [tx]);
+      bitcoind.height = 300;
+      var addresses = {};
+      bitcoind._getAddressDetailsForTransaction = sinon.stub().returns({
+        addresses: addresses,
+        satoshis: 1000,
       });
-    });
-    it('will give "true" if percentage is 100.00', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 100.00);
-      bitcoind.isSynced(function(err, synced) {
+      bitcoind._getAddressDetailedTransactions([txid], {}, function(err, items) {
         if (err) {
           return done(err);
         }
-        synced.should.equal(true);
+        bitcoind._getDetailedTransactions.args[0][0].should.deep.equal([txid]);
+        items.length.should.equal(1);
+        var details = items[0];
+        details.addresses.should.equal(addresses);
+        details.satoshis.should.equal(1000);
+        details.confirmations.should.equal(281);
+        details.tx.should.equal(tx);
         done();
       });
     });
-    it('will give "true" if percentage is 99.98', function(done) {
+    it('give error from _getDetailedTransactions', function(done) {
+      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 99.98);
-      bitcoind.isSynced(function(err, synced) {
-        if (err) {
-          return done(err);
-        }
-        synced.should.equal(true);
+      bitcoind._getDetailedTransactions = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind._getAddressDetailedTransactions([txid], {}, function(err) {
+        err.should.be.instanceof(Error);
         done();
       });
     });
-    it('will give "false" if percentage is 99.49', function(done) {
+  });
+
+  describe('#_getAddressStrings', function() {
+    it('will get address strings from bitcore addresses', function() {
+      var addresses = [
+        bitcore.Address('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i'),
+        bitcore.Address('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou'),
+      ];
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 99.49);
-      bitcoind.isSynced(function(err, synced) {
-        if (err) {
-          return done(err);
-        }
-        synced.should.equal(false);
-        done();
-      });
+      var strings = bitcoind._getAddressStrings(addresses);
+      strings[0].should.equal('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i');
+      strings[1].should.equal('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou');
     });
-    it('will give "false" if percentage is 1', function(done) {
+    it('will get address strings from strings', function() {
+      var addresses = [
+        '1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i',
+        '3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou',
+      ];
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.syncPercentage = sinon.stub().callsArgWith(0, null, 1);
-      bitcoind.isSynced(function(err, synced) {
-        if (err) {
-          return done(err);
-        }
-        synced.should.equal(false);
-        done();
-      });
+      var strings = bitcoind._getAddressStrings(addresses);
+      strings[0].should.equal('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i');
+      strings[1].should.equal('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou');
     });
-  });
-
-  describe('#syncPercentage', function() {
-    it('will give rpc error', function(done) {
+    it('will get address strings from mixture of types', function() {
+      var addresses = [
+        bitcore.Address('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i'),
+        '3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou',
+      ];
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockchainInfo = sinon.stub().callsArgWith(0, {message: 'error', code: -1});
-      bitcoind.nodes.push({
-        client: {
-          getBlockchainInfo: getBlockchainInfo
-        }
-      });
-      bitcoind.syncPercentage(function(err) {
-        should.exist(err);
-        err.should.be.an.instanceof(errors.RPCError);
-        done();
-      });
+      var strings = bitcoind._getAddressStrings(addresses);
+      strings[0].should.equal('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i');
+      strings[1].should.equal('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou');
     });
-    it('will call client getInfo and give result', function(done) {
+    it('will give error with unknown', function() {
+      var addresses = [
+        bitcore.Address('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i'),
+        0,
+      ];
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockchainInfo = sinon.stub().callsArgWith(0, null, {
-        result: {
-          verificationprogress: '0.983821387'
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getBlockchainInfo: getBlockchainInfo
-        }
-      });
-      bitcoind.syncPercentage(function(err, percentage) {
-        if (err) {
-          return done(err);
-        }
-        percentage.should.equal(98.3821387);
-        done();
-      });
+      (function() {
+        bitcoind._getAddressStrings(addresses);
+      }).should.throw(TypeError);
     });
   });
 
-  describe('#_normalizeAddressArg', function() {
-    it('will turn single address into array', function() {
+  describe('#_paginateTxids', function() {
+    it('slice txids based on "from" and "to" (3 to 13)', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var args = bitcoind._normalizeAddressArg('address');
-      args.should.deep.equal(['address']);
+      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      var paginated = bitcoind._paginateTxids(txids, 3, 13);
+      paginated.should.deep.equal([3, 4, 5, 6, 7, 8, 9, 10]);
     });
-    it('will keep an array as an array', function() {
+    it('slice txids based on "from" and "to" (0 to 3)', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var args = bitcoind._normalizeAddressArg(['address', 'address']);
-      args.should.deep.equal(['address', 'address']);
+      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      var paginated = bitcoind._paginateTxids(txids, 0, 3);
+      paginated.should.deep.equal([0, 1, 2]);
+    });
+    it('slice txids based on "from" and "to" (0 to 1)', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      var paginated = bitcoind._paginateTxids(txids, 0, 1);
+      paginated.should.deep.equal([0]);
+    });
+    it('will throw error if "from" is greater than "to"', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      (function() {
+        bitcoind._paginateTxids(txids, 1, 0);
+      }).should.throw('"from" (1) is expected to be less than "to"');
+    });
+    it('will handle string numbers', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      var paginated = bitcoind._paginateTxids(txids, '1', '3');
+      paginated.should.deep.equal([1, 2]);
     });
   });
 
-  describe('#getAddressBalance', function() {
-    it('will give rpc error', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.nodes.push({
-        client: {
-          getAddressBalance: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
-        }
+  describe('#getAddressHistory', function() {
+    var address = '12c6DSiU4Rq3P4ZxziKxzrL5LmMBrzjrJX';
+    it('will give a timeout error of the RPC request', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var client = new RpcClient({
+        protocol: 'http',
+        getTimeout: sinon.stub().returns(10)
+      });
+      var req = new EventEmitter();
+      req.setHeader = sinon.stub();
+      req.write = sinon.stub();
+      req.end = sinon.stub();
+      req.abort = sinon.stub();
+      client.httpProtocol = {request: sinon.stub().returns(req)};
+      bitcoind.nodes.push({client: client});
+      bitcoind.getAddressHistory(address, {queryMempool: false}, function(err) {
+        err.should.be.instanceof(errors.TimeoutError);
+        err.message.should.equal('RPC request "getaddresstxids" timed out after 10ms');
+        setImmediate(function() {
+          req.abort.callCount.should.equal(1);
+          done();
+        });
       });
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      var options = {};
-      bitcoind.getAddressBalance(address, options, function(err) {
-        err.should.be.instanceof(Error);
+    });
+    it('will give error with "from" and "to" range that exceeds max size', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getAddressHistory(address, {from: 0, to: 51}, function(err) {
+        should.exist(err);
+        err.message.match(/^\"from/);
         done();
       });
     });
-    it('will give balance', function(done) {
+    it('will give error with "from" and "to" order is reversed', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getAddressBalance = sinon.stub().callsArgWith(1, null, {
-        result: {
-          received: 100000,
-          balance: 10000
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getAddressBalance: getAddressBalance
-        }
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, []);
+      bitcoind.getAddressHistory(address, {from: 51, to: 0}, function(err) {
+        should.exist(err);
+        err.message.match(/^\"from/);
+        done();
       });
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      var options = {};
-      bitcoind.getAddressBalance(address, options, function(err, data) {
-        if (err) {
-          return done(err);
-        }
-        data.balance.should.equal(10000);
-        data.received.should.equal(100000);
-        bitcoind.getAddressBalance(address, options, function(err, data2) {
-          if (err) {
-            return done(err);
-          }
-          data2.balance.should.equal(10000);
-          data2.received.should.equal(100000);
-          getAddressBalance.callCount.should.equal(1);
-          done();
-        });
+    });
+    it('will give error from _getAddressDetailedTransactions', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, ['txid']);
+      bitcoind._getAddressDetailedTransactions = sinon.stub().callsArgWith(2, new Error('test'));
+      bitcoind.getAddressHistory(address, {}, function(err) {
+        should.exist(err);
+        err.message.should.equal('test');
+        done();
       });
     });
-  });
-
-  describe('#getAddressUnspentOutputs', function() {
-    it('will give rpc error', function(done) {
+    it('will give an error if length of addresses is too long', function(done) {
+      var addresses = [];
+      for (var i = 0; i < 101; i++) {
+        addresses.push(address);
+      }
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.nodes.push({
-        client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
-        }
+      bitcoind.maxAddressesQuery = 100;
+      bitcoind.getAddressHistory(addresses, {}, function(err) {
+        should.exist(err);
+        err.message.match(/Maximum/);
+        done();
       });
-      var options = {
-        queryMempool: false
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err) {
+    });
+    it('give error from getAddressTxids', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, new Error('test'));
+      bitcoind.getAddressHistory('address', {}, function(err) {
         should.exist(err);
-        err.should.be.instanceof(errors.RPCError);
+        err.should.be.instanceof(Error);
+        err.message.should.equal('test');
         done();
       });
     });
-    it('will give results from client getaddressutxos', function(done) {
+    it('will paginate', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var expectedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 1,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
-        }
-      ];
-      bitcoind.nodes.push({
-        client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
-            result: expectedUtxos
-          })
-        }
-      });
-      var options = {
-        queryMempool: false
+      bitcoind._getAddressDetailedTransactions = function(txids, options, callback) {
+        callback(null, txids);
       };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
+      var txids = ['one', 'two', 'three', 'four'];
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, txids);
+      bitcoind.getAddressHistory('address', {from: 1, to: 3}, function(err, data) {
         if (err) {
           return done(err);
         }
-        utxos.length.should.equal(1);
-        utxos.should.deep.equal(expectedUtxos);
+        data.items.length.should.equal(2);
+        data.items.should.deep.equal(['two', 'three']);
         done();
       });
     });
-    it('will use cache', function(done) {
+  });
+
+  describe('#getAddressSummary', function() {
+    var txid1 = '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8';
+    var txid2 = '35fafaf572341798b2ce2858755afa7c8800bb6b1e885d3e030b81255b5e172d';
+    var txid3 = '57b7842afc97a2b46575b490839df46e9273524c6ea59ba62e1e86477cf25247';
+    var memtxid1 = 'b1bfa8dbbde790cb46b9763ef3407c1a21c8264b67bfe224f462ec0e1f569e92';
+    var memtxid2 = 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce';
+    it('will handle error from getAddressTxids', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var expectedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 1,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
-        }
-      ];
-      var getAddressUtxos = sinon.stub().callsArgWith(1, null, {
-        result: expectedUtxos
-      });
       bitcoind.nodes.push({
         client: {
-          getAddressUtxos: getAddressUtxos
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: [
+              {
+                txid: '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8',
+              }
+            ]
+          })
         }
       });
-      var options = {
-        queryMempool: false
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-        if (err) {
-          return done(err);
-        }
-        utxos.length.should.equal(1);
-        utxos.should.deep.equal(expectedUtxos);
-        getAddressUtxos.callCount.should.equal(1);
-        bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-          if (err) {
-            return done(err);
-          }
-          utxos.length.should.equal(1);
-          utxos.should.deep.equal(expectedUtxos);
-          getAddressUtxos.callCount.should.equal(1);
-          done();
-        });
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, new Error('test'));
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {});
+      var address = '';
+      var options = {};
+      bitcoind.getAddressSummary(address, options, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(Error);
+        err.message.should.equal('test');
+        done();
       });
     });
-    it('will update with mempool results', function(done) {
-      var deltas = [
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 1
-        },
-        {
-          txid: 'f637384e9f81f18767ea50e00bce58fc9848b6588a1130529eebba22a410155f',
-          satoshis: 100000,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342833133
-        },
-        {
-          txid: 'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345',
-          satoshis: 400000,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 1,
-          timestamp: 1461342954813
-        }
-      ];
+    it('will handle error from getAddressBalance', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var confirmedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 1,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
-        }
-      ];
-      var expectedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          outputIndex: 1,
-          satoshis: 400000,
-          script: '76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac',
-          timestamp: 1461342954813,
-          txid: 'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345'
-        },
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          outputIndex: 0,
-          satoshis: 100000,
-          script: '76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac',
-          timestamp: 1461342833133,
-          txid: 'f637384e9f81f18767ea50e00bce58fc9848b6588a1130529eebba22a410155f'
-        }
-      ];
       bitcoind.nodes.push({
         client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
-            result: confirmedUtxos
-          }),
           getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: deltas
+            result: [
+              {
+                txid: '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8',
+              }
+            ]
           })
         }
       });
-      var options = {
-        queryMempool: true
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-        if (err) {
-          return done(err);
-        }
-        utxos.length.should.equal(2);
-        utxos.should.deep.equal(expectedUtxos);
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, {});
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, new Error('test'), {});
+      var address = '';
+      var options = {};
+      bitcoind.getAddressSummary(address, options, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(Error);
+        err.message.should.equal('test');
         done();
       });
     });
-    it('will update with mempool results with multiple outputs', function(done) {
-      var deltas = [
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 1
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 1,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 2
-        }
-      ];
+    it('will handle error from client getAddressMempool', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var confirmedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 1,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
-        },
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 2,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
+      bitcoind.nodes.push({
+        client: {
+          getAddressMempool: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
         }
-      ];
+      });
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, {});
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {});
+      var address = '';
+      var options = {};
+      bitcoind.getAddressSummary(address, options, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(Error);
+        err.message.should.equal('Test error');
+        done();
+      });
+    });
+    it('should set all properties', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
       bitcoind.nodes.push({
         client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
-            result: confirmedUtxos
-          }),
           getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: deltas
+            result: [
+              {
+                txid: memtxid1,
+                satoshis: -1000000
+              },
+              {
+                txid: memtxid2,
+                satoshis: 99999
+              }
+            ]
           })
         }
       });
-      var options = {
-        queryMempool: true
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-        if (err) {
-          return done(err);
-        }
-        utxos.length.should.equal(0);
+      sinon.spy(bitcoind, '_paginateTxids');
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
+        received: 30 * 1e8,
+        balance: 20 * 1e8
+      });
+      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
+      var options = {};
+      bitcoind.getAddressSummary(address, options, function(err, summary) {
+        bitcoind._paginateTxids.callCount.should.equal(1);
+        bitcoind._paginateTxids.args[0][1].should.equal(0);
+        bitcoind._paginateTxids.args[0][2].should.equal(1000);
+        summary.appearances.should.equal(3);
+        summary.totalReceived.should.equal(3000000000);
+        summary.totalSpent.should.equal(1000000000);
+        summary.balance.should.equal(2000000000);
+        summary.unconfirmedAppearances.should.equal(2);
+        summary.unconfirmedBalance.should.equal(-900001);
+        summary.txids.should.deep.equal([
+          'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
+          'b1bfa8dbbde790cb46b9763ef3407c1a21c8264b67bfe224f462ec0e1f569e92',
+          '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8',
+          '35fafaf572341798b2ce2858755afa7c8800bb6b1e885d3e030b81255b5e172d',
+          '57b7842afc97a2b46575b490839df46e9273524c6ea59ba62e1e86477cf25247'
+        ]);
         done();
       });
     });
-    it('three confirmed utxos -> one utxo after mempool', function(done) {
-      var deltas = [
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 0
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 1
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 1,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 2
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: 100000,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 1,
-          script: '76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac',
-          timestamp: 1461342833133
-        }
-      ];
+    it('will give error with "from" and "to" range that exceeds max size', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var confirmedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 0,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
-        },
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 1,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
-        },
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 2,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 7679241,
-          height: 207111
-        }
-      ];
       bitcoind.nodes.push({
         client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
-            result: confirmedUtxos
-          }),
           getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: deltas
+            result: [
+              {
+                txid: memtxid1,
+                satoshis: -1000000
+              },
+              {
+                txid: memtxid2,
+                satoshis: 99999
+              }
+            ]
           })
         }
       });
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
+        received: 30 * 1e8,
+        balance: 20 * 1e8
+      });
+      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
       var options = {
-        queryMempool: true
+        from: 0,
+        to: 1001
       };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-        if (err) {
-          return done(err);
-        }
-        utxos.length.should.equal(1);
+      bitcoind.getAddressSummary(address, options, function(err) {
+        should.exist(err);
+        err.message.match(/^\"from/);
         done();
       });
     });
-    it('spending utxos in the mempool', function(done) {
-      var deltas = [
-        {
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          satoshis: 7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707724
-        },
-        {
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          satoshis: 7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 1,
-          timestamp: 1461342707724
-        },
-        {
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          satoshis: 7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          timestamp: 1461342707724,
-          index: 2,
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 0
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 1
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: -7679241,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 1,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 2
-        },
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: 100000,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 1,
-          timestamp: 1461342833133
-        }
-      ];
+    it('will get from cache with noTxList', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var confirmedUtxos = [];
       bitcoind.nodes.push({
         client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
-            result: confirmedUtxos
-          }),
           getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: deltas
+            result: [
+              {
+                txid: memtxid1,
+                satoshis: -1000000
+              },
+              {
+                txid: memtxid2,
+                satoshis: 99999
+              }
+            ]
           })
         }
       });
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
+        received: 30 * 1e8,
+        balance: 20 * 1e8
+      });
+      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
       var options = {
-        queryMempool: true
+        noTxList: true
       };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-        if (err) {
-          return done(err);
-        }
-        utxos.length.should.equal(1);
-        utxos[0].address.should.equal(address);
-        utxos[0].txid.should.equal('e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce');
-        utxos[0].outputIndex.should.equal(1);
-        utxos[0].script.should.equal('76a914809dc14496f99b6deb722cf46d89d22f4beb8efd88ac');
-        utxos[0].timestamp.should.equal(1461342833133);
-        done();
+      function checkSummary(summary) {
+        summary.appearances.should.equal(3);
+        summary.totalReceived.should.equal(3000000000);
+        summary.totalSpent.should.equal(1000000000);
+        summary.balance.should.equal(2000000000);
+        summary.unconfirmedAppearances.should.equal(2);
+        summary.unconfirmedBalance.should.equal(-900001);
+        should.not.exist(summary.txids);
+      }
+      bitcoind.getAddressSummary(address, options, function(err, summary) {
+        checkSummary(summary);
+        bitcoind.getAddressTxids.callCount.should.equal(1);
+        bitcoind.getAddressBalance.callCount.should.equal(1);
+        bitcoind.getAddressSummary(address, options, function(err, summary) {
+          checkSummary(summary);
+          bitcoind.getAddressTxids.callCount.should.equal(1);
+          bitcoind.getAddressBalance.callCount.should.equal(1);
+          done();
+        });
       });
     });
-    it('will update with mempool results spending zero value output (likely never to happen)', function(done) {
-      var deltas = [
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: 0,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725,
-          prevtxid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          prevout: 1
-        }
-      ];
+    it('will skip querying the mempool with queryMempool set to false', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var confirmedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 1,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 0,
-          height: 207111
-        }
-      ];
+      var getAddressMempool = sinon.stub();
       bitcoind.nodes.push({
         client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
-            result: confirmedUtxos
-          }),
-          getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: deltas
-          })
+          getAddressMempool: getAddressMempool
         }
       });
+      sinon.spy(bitcoind, '_paginateTxids');
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
+        received: 30 * 1e8,
+        balance: 20 * 1e8
+      });
+      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
       var options = {
-        queryMempool: true
+        queryMempool: false
       };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-        if (err) {
-          return done(err);
-        }
-        utxos.length.should.equal(0);
+      bitcoind.getAddressSummary(address, options, function() {
+        getAddressMempool.callCount.should.equal(0);
         done();
       });
     });
-    it('will not filter results if mempool is not spending', function(done) {
-      var deltas = [
-        {
-          txid: 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          satoshis: 10000,
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          index: 0,
-          timestamp: 1461342707725
-        }
-      ];
+    it('will give error from _paginateTxids', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var confirmedUtxos = [
-        {
-          address: '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo',
-          txid: '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0',
-          outputIndex: 1,
-          script: '76a914f399b4b8894f1153b96fce29f05e6e116eb4c21788ac',
-          satoshis: 0,
-          height: 207111
-        }
-      ];
+      var getAddressMempool = sinon.stub();
       bitcoind.nodes.push({
         client: {
-          getAddressUtxos: sinon.stub().callsArgWith(1, null, {
-            result: confirmedUtxos
-          }),
-          getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: deltas
-          })
+          getAddressMempool: getAddressMempool
         }
       });
+      sinon.spy(bitcoind, '_paginateTxids');
+      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
+      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
+        received: 30 * 1e8,
+        balance: 20 * 1e8
+      });
+      bitcoind._paginateTxids = sinon.stub().throws(new Error('test'));
+      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
       var options = {
-        queryMempool: true
+        queryMempool: false
       };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err, utxos) {
-        if (err) {
-          return done(err);
-        }
-        utxos.length.should.equal(2);
+      bitcoind.getAddressSummary(address, options, function(err) {
+        err.should.be.instanceOf(Error);
+        err.message.should.equal('test');
         done();
       });
     });
-    it('it will handle error from getAddressMempool', function(done) {
+  });
+
+  describe('#_deriveXpubAddresses', function() {
+    it('will derive addresses of a chain with paths', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var hdPrivateKey = new bitcore.HDPrivateKey(bitcore.Networks.testnet);
+      var hdPublicKey = hdPrivateKey.hdPublicKey;
+      var addresses = bitcoind._deriveXpubAddresses(hdPublicKey, 1, 2, 2);
+      addresses.length.should.equal(2);
+      addresses[0].path.should.equal('m/1/2');
+      addresses[0].address.should.equal(
+        hdPrivateKey.derive(1).derive(2).publicKey.toAddress(bitcore.Networks.testnet).toString()
+      );
+      addresses[1].path.should.equal('m/1/3');
+    });
+  });
+
+  describe('#_getXpubAddressesUsage', function() {
+    it('will give rpc error from mempool', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, {code: -1, message: 'test'})
+          getAddressMempool: sinon.stub().callsArgWith(1, {message: 'test', code: -1})
         }
       });
-      var options = {
-        queryMempool: true
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err) {
-        err.should.be.instanceOf(Error);
+      bitcoind._getXpubAddressesUsage([{address: 'address1', path: 'm/0/0'}], function(err) {
+        err.should.be.instanceof(errors.RPCError);
         done();
       });
     });
-    it('should set query mempool if undefined', function(done) {
+    it('will give balances and mempool appearances per address', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getAddressMempool = sinon.stub().callsArgWith(1, {code: -1, message: 'test'});
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: getAddressMempool
+          getAddressMempool: sinon.stub().callsArgWith(1, null, {
+            result: [
+              {address: 'address2', txid: 'txid1', satoshis: 1000}
+            ]
+          })
         }
       });
-      var options = {};
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressUnspentOutputs(address, options, function(err) {
-        getAddressMempool.callCount.should.equal(1);
+      var getAddressBalance = sinon.stub();
+      getAddressBalance.withArgs('address1').callsArgWith(2, null, {received: 5000, balance: 2000});
+      getAddressBalance.withArgs('address2').callsArgWith(2, null, {received: 0, balance: 0});
+      bitcoind.getAddressBalance = getAddressBalance;
+      var derived = [
+        {address: 'address1', path: 'm/0/0'},
+        {address: 'address2', path: 'm/0/1'}
+      ];
+      bitcoind._getXpubAddressesUsage(derived, function(err, usage) {
+        if (err) {
+          return done(err);
+        }
+        usage.should.deep.equal([
+          {
+            address: 'address1',
+            path: 'm/0/0',
+            totalReceived: 5000,
+            totalSpent: 3000,
+            balance: 2000,
+            unconfirmedBalance: 0,
+            unconfirmedAppearances: 0
+          },
+          {
+            address: 'address2',
+            path: 'm/0/1',
+            totalReceived: 0,
+            totalSpent: 0,
+            balance: 0,
+            unconfirmedBalance: 1000,
+            unconfirmedAppearances: 1
+          }
+        ]);
         done();
       });
     });
   });
 
-  describe('#_getBalanceFromMempool', function() {
-    it('will sum satoshis', function() {
+  describe('#_discoverXpubChain', function() {
+    function usage(derived, used) {
+      return derived.map(function(item) {
+        var index = Number(item.path.split('/')[2]);
+        return {
+          address: item.address,
+          path: item.path,
+          totalReceived: used.indexOf(index) > -1 ? 1000 : 0,
+          unconfirmedAppearances: 0
+        };
+      });
+    }
+    it('will stop after gap limit of unused addresses', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var deltas = [
-        {
-          satoshis: -1000,
-        },
-        {
-          satoshis: 2000,
-        },
-        {
-          satoshis: -10,
+      var hdPublicKey = new bitcore.HDPrivateKey(bitcore.Networks.testnet).hdPublicKey;
+      sinon.spy(bitcoind, '_deriveXpubAddresses');
+      bitcoind._getXpubAddressesUsage = function(derived, callback) {
+        callback(null, usage(derived, [0, 4]));
+      };
+      var state = {gapLimit: 3, derived: 0};
+      bitcoind._discoverXpubChain(hdPublicKey, 0, state, function(err, result) {
+        if (err) {
+          return done(err);
         }
-      ];
-      var sum = bitcoind._getBalanceFromMempool(deltas);
-      sum.should.equal(990);
+        _.map(result.addresses, 'path').should.deep.equal(['m/0/0', 'm/0/4']);
+        result.nextIndex.should.equal(5);
+        bitcoind._deriveXpubAddresses.callCount.should.equal(3);
+        state.derived.should.equal(9);
+        done();
+      });
+    });
+    it('will give error if maximum number of addresses is exceeded', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.maxAddressesQuery = 5;
+      var hdPublicKey = new bitcore.HDPrivateKey(bitcore.Networks.testnet).hdPublicKey;
+      bitcoind._getXpubAddressesUsage = function(derived, callback) {
+        callback(null, usage(derived, [0, 1, 2]));
+      };
+      bitcoind._discoverXpubChain(hdPublicKey, 0, {gapLimit: 3, derived: 0}, function(err) {
+        err.should.be.instanceof(TypeError);
+        err.message.should.equal('Maximum number of addresses (5) exceeded');
+        done();
+      });
     });
   });
 
-  describe('#_getTxidsFromMempool', function() {
-    it('will filter to txids', function() {
+  describe('#_discoverXpubAddresses', function() {
+    it('will give error for invalid xpub', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var deltas = [
-        {
-          txid: 'txid0',
-        },
-        {
-          txid: 'txid1',
-        },
-        {
-          txid: 'txid2',
-        }
-      ];
-      var txids = bitcoind._getTxidsFromMempool(deltas);
-      txids.length.should.equal(3);
-      txids[0].should.equal('txid0');
-      txids[1].should.equal('txid1');
-      txids[2].should.equal('txid2');
+      bitcoind._discoverXpubAddresses('invalid', {}, function(err) {
+        should.exist(err);
+        done();
+      });
     });
-    it('will not include duplicates', function() {
+    it('will discover receive and change chains', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var deltas = [
-        {
-          txid: 'txid0',
-        },
-        {
-          txid: 'txid0',
-        },
-        {
-          txid: 'txid1',
+      var xpub = new bitcore.HDPrivateKey(bitcore.Networks.testnet).hdPublicKey.toString();
+      var discoverXpubChain = sinon.stub();
+      discoverXpubChain.onFirstCall().callsArgWith(3, null, {addresses: [{address: 'address1'}], nextIndex: 1});
+      discoverXpubChain.onSecondCall().callsArgWith(3, null, {addresses: [{address: 'address2'}], nextIndex: 3});
+      bitcoind._discoverXpubChain = discoverXpubChain;
+      bitcoind._discoverXpubAddresses(xpub, {gapLimit: 10}, function(err, discovered) {
+        if (err) {
+          return done(err);
         }
-      ];
-      var txids = bitcoind._getTxidsFromMempool(deltas);
-      txids.length.should.equal(2);
-      txids[0].should.equal('txid0');
-      txids[1].should.equal('txid1');
+        discoverXpubChain.args[0][1].should.equal(0);
+        discoverXpubChain.args[1][1].should.equal(1);
+        discoverXpubChain.args[0][2].gapLimit.should.equal(10);
+        discovered.should.deep.equal({
+          addresses: [{address: 'address1'}, {address: 'address2'}],
+          receiveIndex: 1,
+          changeIndex: 3
+        });
+        done();
+      });
     });
   });
 
-  describe('#_getHeightRangeQuery', function() {
-    it('will detect range query', function() {
+  describe('#getXpubSummary', function() {
+    var discovered = {
+      addresses: [
+        {address: 'address1', path: 'm/0/0'},
+        {address: 'address2', path: 'm/1/0'}
+      ],
+      receiveIndex: 1,
+      changeIndex: 1
+    };
+    it('will give error from discovery', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var options = {
-        start: 20,
-        end: 0
-      };
-      var rangeQuery = bitcoind._getHeightRangeQuery(options);
-      rangeQuery.should.equal(true);
+      bitcoind._discoverXpubAddresses = sinon.stub().callsArgWith(2, new Error('test'));
+      bitcoind.getXpubSummary('xpub', {}, function(err) {
+        err.message.should.equal('test');
+        done();
+      });
     });
-    it('will get range properties', function() {
+    it('will give summary with per-address breakdown', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var options = {
-        start: 20,
-        end: 0
-      };
-      var clone = {};
-      bitcoind._getHeightRangeQuery(options, clone);
-      clone.end.should.equal(20);
-      clone.start.should.equal(0);
+      bitcoind._discoverXpubAddresses = sinon.stub().callsArgWith(2, null, discovered);
+      bitcoind.getAddressSummary = sinon.stub().callsArgWith(2, null, {balance: 1000, txids: ['txid1']});
+      bitcoind.getXpubSummary('xpub', {}, function(err, summary) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getAddressSummary.args[0][0].should.deep.equal(['address1', 'address2']);
+        summary.should.deep.equal({
+          balance: 1000,
+          txids: ['txid1'],
+          addresses: discovered.addresses,
+          receiveIndex: 1,
+          changeIndex: 1
+        });
+        done();
+      });
     });
-    it('will throw error with invalid range', function() {
+    it('will give empty summary without used addresses', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var options = {
-        start: 0,
-        end: 20
-      };
-      (function() {
-        bitcoind._getHeightRangeQuery(options);
-      }).should.throw('"end" is expected');
+      bitcoind._discoverXpubAddresses = sinon.stub().callsArgWith(2, null, {
+        addresses: [],
+        receiveIndex: 0,
+        changeIndex: 0
+      });
+      bitcoind.getAddressSummary = sinon.stub();
+      bitcoind.getXpubSummary('xpub', {noTxList: true}, function(err, summary) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getAddressSummary.callCount.should.equal(0);
+        summary.balance.should.equal(0);
+        should.not.exist(summary.txids);
+        summary.addresses.should.deep.equal([]);
+        done();
+      });
     });
   });
 
-  describe('#getAddressTxids', function() {
-    it('will give error from _getHeightRangeQuery', function(done) {
+  describe('#getXpubUtxos', function() {
+    it('will include path for each utxo', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._getHeightRangeQuery = sinon.stub().throws(new Error('test'));
-      bitcoind.getAddressTxids('address', {}, function(err) {
-        err.should.be.instanceOf(Error);
-        err.message.should.equal('test');
+      bitcoind._discoverXpubAddresses = sinon.stub().callsArgWith(2, null, {
+        addresses: [{address: 'address1', path: 'm/0/3'}]
+      });
+      var utxo = {address: 'address1', txid: 'txid1', outputIndex: 0};
+      bitcoind.getAddressUnspentOutputs = sinon.stub().callsArgWith(2, null, [utxo]);
+      bitcoind.getXpubUtxos('xpub', {}, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.should.deep.equal([{path: 'm/0/3', address: 'address1', txid: 'txid1', outputIndex: 0}]);
+        should.not.exist(utxo.path);
+        done();
+      });
+    });
+    it('will give empty array without used addresses', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._discoverXpubAddresses = sinon.stub().callsArgWith(2, null, {addresses: []});
+      bitcoind.getXpubUtxos('xpub', {}, function(err, utxos) {
+        if (err) {
+          return done(err);
+        }
+        utxos.should.deep.equal([]);
+        done();
+      });
+    });
+  });
+
+  describe('#getXpubHistory', function() {
+    it('will include path for each item address', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._discoverXpubAddresses = sinon.stub().callsArgWith(2, null, {
+        addresses: [{address: 'address1', path: 'm/1/0'}]
+      });
+      bitcoind.getAddressHistory = sinon.stub().callsArgWith(2, null, {
+        totalCount: 1,
+        items: [
+          {
+            addresses: {
+              address1: {inputIndexes: [], outputIndexes: [0]}
+            }
+          }
+        ]
+      });
+      bitcoind.getXpubHistory('xpub', {from: 0, to: 10}, function(err, history) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getAddressHistory.args[0][1].should.deep.equal({from: 0, to: 10});
+        history.items[0].addresses.address1.path.should.equal('m/1/0');
+        done();
+      });
+    });
+    it('will give empty history without used addresses', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._discoverXpubAddresses = sinon.stub().callsArgWith(2, null, {addresses: []});
+      bitcoind.getXpubHistory('xpub', {}, function(err, history) {
+        if (err) {
+          return done(err);
+        }
+        history.should.deep.equal({totalCount: 0, items: []});
         done();
       });
     });
-    it('will give rpc error from mempool query', function() {
+  });
+
+  describe('#getRawBlock', function() {
+    var blockhash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
+    var blockhex = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+    it('will give rcp error from client getblockhash', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+          getBlockHash: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
         }
       });
-      var options = {};
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressTxids(address, options, function(err) {
+      bitcoind.getRawBlock(10, function(err) {
         should.exist(err);
         err.should.be.instanceof(errors.RPCError);
+        done();
       });
     });
-    it('will give rpc error from txids query', function() {
+    it('will give rcp error from client getblock', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.nodes.push({
         client: {
-          getAddressTxids: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+          getBlock: sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'})
         }
       });
-      var options = {
-        queryMempool: false
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressTxids(address, options, function(err) {
+      bitcoind.getRawBlock(blockhash, function(err) {
         should.exist(err);
         err.should.be.instanceof(errors.RPCError);
+        done();
       });
     });
-    it('will get txid results', function(done) {
-      var expectedTxids = [
-        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-        'f637384e9f81f18767ea50e00bce58fc9848b6588a1130529eebba22a410155f',
-        'f3c1ba3ef86a0420d6102e40e2cfc8682632ab95d09d86a27f5d466b9fa9da47',
-        '56fafeb01961831b926558d040c246b97709fd700adcaa916541270583e8e579',
-        'bc992ad772eb02864db07ef248d31fb3c6826d25f1153ebf8c79df9b7f70fcf2',
-        'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345',
-        'f35e7e2a2334e845946f3eaca76890d9a68f4393ccc9fe37a0c2fb035f66d2e9',
-        'edc080f2084eed362aa488ccc873a24c378dc0979aa29b05767517b70569414a',
-        'ed11a08e3102f9610bda44c80c46781d97936a4290691d87244b1b345b39a693',
-        'ec94d845c603f292a93b7c829811ac624b76e52b351617ca5a758e9d61a11681'
-      ];
+    it('will try all nodes for getblock', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
+      var getBlockWithError = sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'});
+      bitcoind.tryAllInterval = 1;
       bitcoind.nodes.push({
         client: {
-          getAddressTxids: sinon.stub().callsArgWith(1, null, {
-            result: expectedTxids.reverse()
+          getBlock: getBlockWithError
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlockWithError
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlock: sinon.stub().callsArgWith(2, null, {
+            result: blockhex
           })
         }
       });
-      var options = {
-        queryMempool: false
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressTxids(address, options, function(err, txids) {
+      bitcoind.getRawBlock(blockhash, function(err, buffer) {
         if (err) {
           return done(err);
         }
-        txids.length.should.equal(expectedTxids.length);
-        txids.should.deep.equal(expectedTxids);
+        buffer.should.be.instanceof(Buffer);
+        getBlockWithError.callCount.should.equal(2);
         done();
       });
     });
-    it('will get txid results from cache', function(done) {
-      var expectedTxids = [
-        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce'
-      ];
+    it('will get block from cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getAddressTxids = sinon.stub().callsArgWith(1, null, {
-        result: expectedTxids.reverse()
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: blockhex
       });
       bitcoind.nodes.push({
         client: {
-          getAddressTxids: getAddressTxids
+          getBlock: getBlock
         }
       });
-      var options = {
-        queryMempool: false
-      };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressTxids(address, options, function(err, txids) {
+      bitcoind.getRawBlock(blockhash, function(err, buffer) {
         if (err) {
           return done(err);
         }
-        getAddressTxids.callCount.should.equal(1);
-        txids.should.deep.equal(expectedTxids);
-
-        bitcoind.getAddressTxids(address, options, function(err, txids) {
+        buffer.should.be.instanceof(Buffer);
+        getBlock.callCount.should.equal(1);
+        bitcoind.getRawBlock(blockhash, function(err, buffer) {
           if (err) {
             return done(err);
           }
-          getAddressTxids.callCount.should.equal(1);
-          txids.should.deep.equal(expectedTxids);
+          buffer.should.be.instanceof(Buffer);
+          getBlock.callCount.should.equal(1);
           done();
         });
       });
     });
-    it('will get txid results WITHOUT cache if rangeQuery and exclude mempool', function(done) {
-      var expectedTxids = [
-        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce'
-      ];
+    it('will get block from the persistent cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getAddressMempool = sinon.stub();
-      var getAddressTxids = sinon.stub().callsArgWith(1, null, {
-        result: expectedTxids.reverse()
-      });
+      var getBlock = sinon.stub();
       bitcoind.nodes.push({
         client: {
-          getAddressTxids: getAddressTxids,
-          getAddressMempool: getAddressMempool
+          getBlock: getBlock
         }
       });
-      var options = {
-        queryMempool: true, // start and end will exclude mempool
-        start: 4,
-        end: 2
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, new Buffer(blockhex, 'hex'))
       };
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressTxids(address, options, function(err, txids) {
+      bitcoind.getRawBlock(blockhash, function(err, buffer) {
         if (err) {
           return done(err);
         }
-        getAddressTxids.callCount.should.equal(1);
-        getAddressMempool.callCount.should.equal(0);
-        txids.should.deep.equal(expectedTxids);
-
-        bitcoind.getAddressTxids(address, options, function(err, txids) {
-          if (err) {
-            return done(err);
-          }
-          getAddressTxids.callCount.should.equal(2);
-          getAddressMempool.callCount.should.equal(0);
-          txids.should.deep.equal(expectedTxids);
-          done();
-        });
+        buffer.toString('hex').should.equal(blockhex);
+        bitcoind.persistentCache.get.args[0][0].should.equal('rawBlock-' + blockhash);
+        getBlock.callCount.should.equal(0);
+        should.exist(bitcoind.rawBlockCache.get(blockhash));
+        done();
       });
     });
-    it('will get txid results from cache and live mempool', function(done) {
-      var expectedTxids = [
-        'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce'
-      ];
+    it('will write a buried block to the persistent cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getAddressTxids = sinon.stub().callsArgWith(1, null, {
-        result: expectedTxids.reverse()
-      });
-      var getAddressMempool = sinon.stub().callsArgWith(1, null, {
-        result: [
-          {
-            txid: 'bc992ad772eb02864db07ef248d31fb3c6826d25f1153ebf8c79df9b7f70fcf2'
-          },
-          {
-            txid: 'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345'
-          },
-          {
-            txid: 'f35e7e2a2334e845946f3eaca76890d9a68f4393ccc9fe37a0c2fb035f66d2e9'
-          }
-        ]
-      });
+      bitcoind.height = 200;
       bitcoind.nodes.push({
         client: {
-          getAddressTxids: getAddressTxids,
-          getAddressMempool: getAddressMempool
+          getBlock: sinon.stub().callsArgWith(2, null, {
+            result: blockhex
+          }),
+          getBlockHash: sinon.stub().callsArgWith(1, null, {
+            result: blockhash
+          })
         }
       });
-      var address = '1Cj4UZWnGWAJH1CweTMgPLQMn26WRMfXmo';
-      bitcoind.getAddressTxids(address, {queryMempool: false}, function(err, txids) {
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, null),
+        set: sinon.stub().callsArg(2)
+      };
+      bitcoind.getRawBlock(0, function(err) {
         if (err) {
           return done(err);
         }
-        getAddressTxids.callCount.should.equal(1);
-        txids.should.deep.equal(expectedTxids);
-
-        bitcoind.getAddressTxids(address, {queryMempool: true}, function(err, txids) {
-          if (err) {
-            return done(err);
-          }
-          getAddressTxids.callCount.should.equal(1);
-          txids.should.deep.equal([
-            'f35e7e2a2334e845946f3eaca76890d9a68f4393ccc9fe37a0c2fb035f66d2e9', // mempool
-            'f71bccef3a8f5609c7f016154922adbfe0194a96fb17a798c24077c18d0a9345', // mempool
-            'bc992ad772eb02864db07ef248d31fb3c6826d25f1153ebf8c79df9b7f70fcf2', // mempool
-            'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce' // confirmed
-          ]);
-          done();
-        });
-      });
-    });
-  });
-
-  describe('#_getConfirmationDetail', function() {
-    var sandbox = sinon.sandbox.create();
-    beforeEach(function() {
-      sandbox.stub(log, 'warn');
-    });
-    afterEach(function() {
-      sandbox.restore();
-    });
-    it('should get 0 confirmation', function() {
-      var tx = new Transaction(txhex);
-      tx.height = -1;
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.height = 10;
-      var confirmations = bitcoind._getConfirmationsDetail(tx);
-      confirmations.should.equal(0);
-    });
-    it('should get 1 confirmation', function() {
-      var tx = new Transaction(txhex);
-      tx.height = 10;
-      var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.height = 10;
-      var confirmations = bitcoind._getConfirmationsDetail(tx);
-      confirmations.should.equal(1);
-    });
-    it('should get 2 confirmation', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var tx = new Transaction(txhex);
-      bitcoind.height = 11;
-      tx.height = 10;
-      var confirmations = bitcoind._getConfirmationsDetail(tx);
-      confirmations.should.equal(2);
-    });
-    it('should get 0 confirmation with overflow', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var tx = new Transaction(txhex);
-      bitcoind.height = 3;
-      tx.height = 10;
-      var confirmations = bitcoind._getConfirmationsDetail(tx);
-      log.warn.callCount.should.equal(1);
-      confirmations.should.equal(0);
-    });
-    it('should get 1000 confirmation', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var tx = new Transaction(txhex);
-      bitcoind.height = 1000;
-      tx.height = 1;
-      var confirmations = bitcoind._getConfirmationsDetail(tx);
-      confirmations.should.equal(1000);
-    });
-  });
-
-  describe('#_getAddressDetailsForInput', function() {
-    it('will return if missing an address', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var result = {};
-      bitcoind._getAddressDetailsForInput({}, 0, result, []);
-      should.not.exist(result.addresses);
-      should.not.exist(result.satoshis);
-    });
-    it('will only add address if it matches', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var result = {};
-      bitcoind._getAddressDetailsForInput({
-        address: 'address1'
-      }, 0, result, ['address2']);
-      should.not.exist(result.addresses);
-      should.not.exist(result.satoshis);
-    });
-    it('will instantiate if outputIndexes not defined', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var result = {
-        addresses: {}
-      };
-      bitcoind._getAddressDetailsForInput({
-        address: 'address1'
-      }, 0, result, ['address1']);
-      should.exist(result.addresses);
-      result.addresses['address1'].inputIndexes.should.deep.equal([0]);
-      result.addresses['address1'].outputIndexes.should.deep.equal([]);
+        bitcoind.persistentCache.set.args[0][0].should.equal('rawBlock-' + blockhash);
+        done();
+      });
     });
-    it('will push to inputIndexes', function() {
+    it('will get block by height', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var result = {
-        addresses: {
-          'address1': {
-            inputIndexes: [1]
-          }
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: blockhex
+      });
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {
+        result: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f'
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
         }
-      };
-      bitcoind._getAddressDetailsForInput({
-        address: 'address1'
-      }, 2, result, ['address1']);
-      should.exist(result.addresses);
-      result.addresses['address1'].inputIndexes.should.deep.equal([1, 2]);
+      });
+      bitcoind.getRawBlock(0, function(err, buffer) {
+        if (err) {
+          return done(err);
+        }
+        buffer.should.be.instanceof(Buffer);
+        getBlock.callCount.should.equal(1);
+        getBlockHash.callCount.should.equal(1);
+        done();
+      });
     });
   });
 
-  describe('#_getAddressDetailsForOutput', function() {
-    it('will return if missing an address', function() {
+  describe('#getBlock', function() {
+    var blockhex = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+    it('will give an rpc error from client getblock', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var result = {};
-      bitcoind._getAddressDetailsForOutput({}, 0, result, []);
-      should.not.exist(result.addresses);
-      should.not.exist(result.satoshis);
+      var getBlock = sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'});
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {});
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.getBlock(0, function(err) {
+        err.should.be.instanceof(Error);
+        done();
+      });
     });
-    it('will only add address if it matches', function() {
+    it('will give an rpc error from client getblockhash', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var result = {};
-      bitcoind._getAddressDetailsForOutput({
-        address: 'address1'
-      }, 0, result, ['address2']);
-      should.not.exist(result.addresses);
-      should.not.exist(result.satoshis);
+      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.getBlock(0, function(err) {
+        err.should.be.instanceof(Error);
+        done();
+      });
     });
-    it('will instantiate if outputIndexes not defined', function() {
+    it('will getblock as bitcore object from height', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var result = {
-        addresses: {}
-      };
-      bitcoind._getAddressDetailsForOutput({
-        address: 'address1'
-      }, 0, result, ['address1']);
-      should.exist(result.addresses);
-      result.addresses['address1'].inputIndexes.should.deep.equal([]);
-      result.addresses['address1'].outputIndexes.should.deep.equal([0]);
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: blockhex
+      });
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {
+        result: '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b'
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.getBlock(0, function(err, block) {
+        should.not.exist(err);
+        getBlock.args[0][0].should.equal('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b');
+        getBlock.args[0][1].should.equal(false);
+        block.should.be.instanceof(bitcore.Block);
+        done();
+      });
     });
-    it('will push if outputIndexes defined', function() {
+    it('will getblock as bitcore object', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var result = {
-        addresses: {
-          'address1': {
-            outputIndexes: [0]
-          }
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: blockhex
+      });
+      var getBlockHash = sinon.stub();
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
         }
-      };
-      bitcoind._getAddressDetailsForOutput({
-        address: 'address1'
-      }, 1, result, ['address1']);
-      should.exist(result.addresses);
-      result.addresses['address1'].outputIndexes.should.deep.equal([0, 1]);
+      });
+      bitcoind.getBlock('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b', function(err, block) {
+        should.not.exist(err);
+        getBlockHash.callCount.should.equal(0);
+        getBlock.callCount.should.equal(1);
+        getBlock.args[0][0].should.equal('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b');
+        getBlock.args[0][1].should.equal(false);
+        block.should.be.instanceof(bitcore.Block);
+        done();
+      });
     });
-  });
-
-  describe('#_getAddressDetailsForTransaction', function() {
-    it('will calculate details for the transaction', function(done) {
-      /* jshint sub:true */
-      var tx = {
-        inputs: [
-          {
-            satoshis: 1000000000,
-            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
-          }
-        ],
-        outputs: [
-          {
-            satoshis: 100000000,
-            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
-          },
-          {
-            satoshis: 200000000,
-            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
-          },
-          {
-            satoshis: 50000000,
-            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
-          },
-          {
-            satoshis: 300000000,
-            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
-          },
-          {
-            satoshis: 349990000,
-            address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
-          }
-        ],
-        locktime: 0
-      };
+    it('will get block from cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var addresses = ['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'];
-      var details = bitcoind._getAddressDetailsForTransaction(tx, addresses);
-      should.exist(details.addresses['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW']);
-      details.addresses['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'].inputIndexes.should.deep.equal([0]);
-      details.addresses['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'].outputIndexes.should.deep.equal([
-        0, 1, 2, 3, 4
-      ]);
-      details.satoshis.should.equal(-10000);
-      done();
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: blockhex
+      });
+      var getBlockHash = sinon.stub();
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
+        }
+      });
+      var hash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
+      bitcoind.getBlock(hash, function(err, block) {
+        should.not.exist(err);
+        getBlockHash.callCount.should.equal(0);
+        getBlock.callCount.should.equal(1);
+        block.should.be.instanceof(bitcore.Block);
+        bitcoind.getBlock(hash, function(err, block) {
+          should.not.exist(err);
+          getBlockHash.callCount.should.equal(0);
+          getBlock.callCount.should.equal(1);
+          block.should.be.instanceof(bitcore.Block);
+          done();
+        });
+      });
     });
-  });
-
-  describe('#_getAddressDetailedTransaction', function() {
-    it('will get detailed transaction info', function(done) {
-      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
-      var tx = {
-        height: 20,
-      };
+    it('will get block from cache with height (but not height)', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, null, tx);
-      bitcoind.height = 300;
-      var addresses = {};
-      bitcoind._getAddressDetailsForTransaction = sinon.stub().returns({
-        addresses: addresses,
-        satoshis: 1000,
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: blockhex
       });
-      bitcoind._getAddressDetailedTransaction(txid, {}, function(err, details) {
-        if (err) {
-          return done(err);
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {
+        result: '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b'
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlock,
+          getBlockHash: getBlockHash
         }
-        details.addresses.should.equal(addresses);
-        details.satoshis.should.equal(1000);
-        details.confirmations.should.equal(281);
-        details.tx.should.equal(tx);
+      });
+      bitcoind.getBlock(0, function(err, block) {
+        should.not.exist(err);
+        getBlockHash.callCount.should.equal(1);
+        getBlock.callCount.should.equal(1);
+        block.should.be.instanceof(bitcore.Block);
+        bitcoind.getBlock(0, function(err, block) {
+          should.not.exist(err);
+          getBlockHash.callCount.should.equal(2);
+          getBlock.callCount.should.equal(1);
+          block.should.be.instanceof(bitcore.Block);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#getBlockHashesByTimestamp', function() {
+    it('should give an rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlockHashes = sinon.stub().callsArgWith(2, {message: 'error', code: -1});
+      bitcoind.nodes.push({
+        client: {
+          getBlockHashes: getBlockHashes
+        }
+      });
+      bitcoind.getBlockHashesByTimestamp(1441911000, 1441914000, function(err, hashes) {
+        should.exist(err);
+        err.message.should.equal('error');
         done();
       });
     });
-    it('give error from getDetailedTransaction', function(done) {
-      var txid = '46f24e0c274fc07708b781963576c4c5d5625d926dbb0a17fa865dcd9fe58ea0';
+    it('should get the correct block hashes', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.getDetailedTransaction = sinon.stub().callsArgWith(1, new Error('test'));
-      bitcoind._getAddressDetailedTransaction(txid, {}, function(err) {
-        err.should.be.instanceof(Error);
+      var block1 = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
+      var block2 = '000000000383752a55a0b2891ce018fd0fdc0b6352502772b034ec282b4a1bf6';
+      var getBlockHashes = sinon.stub().callsArgWith(2, null, {
+        result: [block2, block1]
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHashes: getBlockHashes
+        }
+      });
+      bitcoind.getBlockHashesByTimestamp(1441914000, 1441911000, function(err, hashes) {
+        should.not.exist(err);
+        hashes.should.deep.equal([block2, block1]);
         done();
       });
     });
   });
 
-  describe('#_getAddressStrings', function() {
-    it('will get address strings from bitcore addresses', function() {
-      var addresses = [
-        bitcore.Address('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i'),
-        bitcore.Address('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou'),
-      ];
+  describe('#getBlockHeader', function() {
+    var blockhash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
+    it('will give error from getBlockHash', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var strings = bitcoind._getAddressStrings(addresses);
-      strings[0].should.equal('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i');
-      strings[1].should.equal('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou');
+      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.getBlockHeader(10, function(err) {
+        err.should.be.instanceof(Error);
+      });
     });
-    it('will get address strings from strings', function() {
-      var addresses = [
-        '1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i',
-        '3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou',
-      ];
+    it('it will give rpc error from client getblockheader', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var strings = bitcoind._getAddressStrings(addresses);
-      strings[0].should.equal('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i');
-      strings[1].should.equal('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou');
+      var getBlockHeader = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      });
+      bitcoind.getBlockHeader(blockhash, function(err) {
+        err.should.be.instanceof(Error);
+      });
     });
-    it('will get address strings from mixture of types', function() {
-      var addresses = [
-        bitcore.Address('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i'),
-        '3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou',
-      ];
+    it('it will give rpc error from client getblockhash', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var strings = bitcoind._getAddressStrings(addresses);
-      strings[0].should.equal('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i');
-      strings[1].should.equal('3CMNFxN1oHBc4R1EpboAL5yzHGgE611Xou');
+      var getBlockHeader = sinon.stub();
+      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader,
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.getBlockHeader(0, function(err) {
+        err.should.be.instanceof(Error);
+      });
     });
-    it('will give error with unknown', function() {
-      var addresses = [
-        bitcore.Address('1AGNa15ZQXAZUgFiqJ2i7Z2DPU2J6hW62i'),
-        0,
-      ];
+    it('will give result from client getblockheader (from height)', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      (function() {
-        bitcoind._getAddressStrings(addresses);
-      }).should.throw(TypeError);
+      var result = {
+        hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
+        version: 536870912,
+        confirmations: 5,
+        height: 828781,
+        chainWork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
+        prevHash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
+        nextHash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
+        merkleRoot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
+        time: 1462979126,
+        medianTime: 1462976771,
+        nonce: 2981820714,
+        bits: '1a13ca10',
+        difficulty: 847779.0710240941
+      };
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
+        result: {
+          hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
+          version: 536870912,
+          confirmations: 5,
+          height: 828781,
+          chainwork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
+          previousblockhash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
+          nextblockhash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
+          merkleroot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
+          time: 1462979126,
+          mediantime: 1462976771,
+          nonce: 2981820714,
+          bits: '1a13ca10',
+          difficulty: 847779.0710240941
+        }
+      });
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {
+        result: blockhash
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader,
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.getBlockHeader(0, function(err, blockHeader) {
+        should.not.exist(err);
+        getBlockHeader.args[0][0].should.equal(blockhash);
+        blockHeader.should.deep.equal(result);
+      });
     });
-  });
-
-  describe('#_paginateTxids', function() {
-    it('slice txids based on "from" and "to" (3 to 13)', function() {
+    it('will give result from client getblockheader (from hash)', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-      var paginated = bitcoind._paginateTxids(txids, 3, 13);
-      paginated.should.deep.equal([3, 4, 5, 6, 7, 8, 9, 10]);
+      var result = {
+        hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
+        version: 536870912,
+        confirmations: 5,
+        height: 828781,
+        chainWork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
+        prevHash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
+        nextHash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
+        merkleRoot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
+        time: 1462979126,
+        medianTime: 1462976771,
+        nonce: 2981820714,
+        bits: '1a13ca10',
+        difficulty: 847779.0710240941
+      };
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
+        result: {
+          hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
+          version: 536870912,
+          confirmations: 5,
+          height: 828781,
+          chainwork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
+          previousblockhash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
+          nextblockhash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
+          merkleroot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
+          time: 1462979126,
+          mediantime: 1462976771,
+          nonce: 2981820714,
+          bits: '1a13ca10',
+          difficulty: 847779.0710240941
+        }
+      });
+      var getBlockHash = sinon.stub();
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader,
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.getBlockHeader(blockhash, function(err, blockHeader) {
+        should.not.exist(err);
+        getBlockHash.callCount.should.equal(0);
+        blockHeader.should.deep.equal(result);
+      });
     });
-    it('slice txids based on "from" and "to" (0 to 3)', function() {
+    it('will cache the header of a buried block', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-      var paginated = bitcoind._paginateTxids(txids, 0, 3);
-      paginated.should.deep.equal([0, 1, 2]);
+      bitcoind.height = 200;
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
+        result: {
+          hash: blockhash,
+          confirmations: 191,
+          height: 10
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      });
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, null),
+        set: sinon.stub().callsArg(2)
+      };
+      bitcoind.getBlockHeader(blockhash, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.persistentCache.set.args[0][0].should.equal('blockHeader-' + blockhash);
+        JSON.parse(bitcoind.persistentCache.set.args[0][1].toString()).height.should.equal(10);
+        bitcoind.height = 210;
+        bitcoind.getBlockHeader(blockhash, function(err, blockHeader) {
+          if (err) {
+            return done(err);
+          }
+          getBlockHeader.callCount.should.equal(1);
+          blockHeader.confirmations.should.equal(201);
+          done();
+        });
+      });
     });
-    it('slice txids based on "from" and "to" (0 to 1)', function() {
+    it('will cache in memory without persisting the header of a block that is not buried', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-      var paginated = bitcoind._paginateTxids(txids, 0, 1);
-      paginated.should.deep.equal([0]);
+      bitcoind.height = 200;
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
+        result: {
+          hash: blockhash,
+          confirmations: 11,
+          height: 190
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      });
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, null),
+        set: sinon.stub().callsArg(2)
+      };
+      bitcoind.getBlockHeader(blockhash, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.persistentCache.set.callCount.should.equal(0);
+        bitcoind.getBlockHeader(blockhash, function(err) {
+          if (err) {
+            return done(err);
+          }
+          getBlockHeader.callCount.should.equal(1);
+          done();
+        });
+      });
+    });
+    it('will cache the header of a block that is not buried without a persistent cache', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 200;
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
+        result: {
+          hash: blockhash,
+          confirmations: 1,
+          height: 200
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      });
+      bitcoind.getBlockHeader(blockhash, function(err) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind.getBlockHeader(blockhash, function(err) {
+          if (err) {
+            return done(err);
+          }
+          getBlockHeader.callCount.should.equal(1);
+          done();
+        });
+      });
     });
-    it('will throw error if "from" is greater than "to"', function() {
+    it('will not cache the header fetched before a new tip', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-      (function() {
-        bitcoind._paginateTxids(txids, 1, 0);
-      }).should.throw('"from" (1) is expected to be less than "to"');
+      bitcoind.height = 200;
+      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
+        result: {
+          hash: blockhash,
+          confirmations: 1,
+          height: 200
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: function(hash, callback) {
+            bitcoind.cacheGeneration++;
+            getBlockHeader(hash, callback);
+          }
+        }
+      });
+      bitcoind.getBlockHeader(blockhash, function(err) {
+        if (err) {
+          return done(err);
+        }
+        should.not.exist(bitcoind.blockHeaderCache.get(blockhash));
+        done();
+      });
     });
-    it('will handle string numbers', function() {
+    it('will get the header from the persistent cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var txids = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-      var paginated = bitcoind._paginateTxids(txids, '1', '3');
-      paginated.should.deep.equal([1, 2]);
+      bitcoind.height = 200;
+      var getBlockHeader = sinon.stub();
+      bitcoind.nodes.push({
+        client: {
+          getBlockHeader: getBlockHeader
+        }
+      });
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, new Buffer(JSON.stringify({
+          hash: blockhash,
+          confirmations: 91,
+          height: 10
+        })))
+      };
+      bitcoind.getBlockHeader(blockhash, function(err, blockHeader) {
+        if (err) {
+          return done(err);
+        }
+        getBlockHeader.callCount.should.equal(0);
+        blockHeader.hash.should.equal(blockhash);
+        blockHeader.confirmations.should.equal(191);
+        done();
+      });
     });
   });
 
-  describe('#getAddressHistory', function() {
-    var address = '12c6DSiU4Rq3P4ZxziKxzrL5LmMBrzjrJX';
-    it('will give error with "from" and "to" range that exceeds max size', function(done) {
+  describe('#_maybeGetBlockHash', function() {
+    it('will not get block hash with an address', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.getAddressHistory(address, {from: 0, to: 51}, function(err) {
-        should.exist(err);
-        err.message.match(/^\"from/);
+      var getBlockHash = sinon.stub();
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind._maybeGetBlockHash('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br', function(err, hash) {
+        if (err) {
+          return done(err);
+        }
+        getBlockHash.callCount.should.equal(0);
+        hash.should.equal('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br');
         done();
       });
     });
-    it('will give error with "from" and "to" order is reversed', function(done) {
+    it('will not get block hash with non zero-nine numeric string', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, []);
-      bitcoind.getAddressHistory(address, {from: 51, to: 0}, function(err) {
-        should.exist(err);
-        err.message.match(/^\"from/);
+      var getBlockHash = sinon.stub();
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind._maybeGetBlockHash('109a', function(err, hash) {
+        if (err) {
+          return done(err);
+        }
+        getBlockHash.callCount.should.equal(0);
+        hash.should.equal('109a');
         done();
       });
     });
-    it('will give error from _getAddressDetailedTransaction', function(done) {
+    it('will get the block hash if argument is a number', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, ['txid']);
-      bitcoind._getAddressDetailedTransaction = sinon.stub().callsArgWith(2, new Error('test'));
-      bitcoind.getAddressHistory(address, {}, function(err) {
-        should.exist(err);
-        err.message.should.equal('test');
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {
+        result: 'blockhash'
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind._maybeGetBlockHash(10, function(err, hash, height) {
+        if (err) {
+          return done(err);
+        }
+        hash.should.equal('blockhash');
+        height.should.equal(10);
+        getBlockHash.callCount.should.equal(1);
         done();
       });
     });
-    it('will give an error if length of addresses is too long', function(done) {
-      var addresses = [];
-      for (var i = 0; i < 101; i++) {
-        addresses.push(address);
-      }
+    it('will get the block hash from a node that has the height', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.maxAddressesQuery = 100;
-      bitcoind.getAddressHistory(addresses, {}, function(err) {
-        should.exist(err);
-        err.message.match(/Maximum/);
+      var getBlockHash1 = sinon.stub().callsArgWith(1, null, {result: 'blockhash1'});
+      var getBlockHash2 = sinon.stub().callsArgWith(1, null, {result: 'blockhash2'});
+      bitcoind.nodes.push({client: {getBlockHash: getBlockHash1}, health: {height: 9}});
+      bitcoind.nodes.push({client: {getBlockHash: getBlockHash2}, health: {height: 10}});
+      bitcoind._maybeGetBlockHash(10, function(err, hash) {
+        if (err) {
+          return done(err);
+        }
+        hash.should.equal('blockhash2');
+        getBlockHash1.callCount.should.equal(0);
         done();
       });
     });
-    it('give error from getAddressTxids', function(done) {
+    it('will get the block hash if argument is a number (as string)', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, new Error('test'));
-      bitcoind.getAddressHistory('address', {}, function(err) {
-        should.exist(err);
-        err.should.be.instanceof(Error);
-        err.message.should.equal('test');
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {
+        result: 'blockhash'
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind._maybeGetBlockHash('10', function(err, hash) {
+        if (err) {
+          return done(err);
+        }
+        hash.should.equal('blockhash');
+        getBlockHash.callCount.should.equal(1);
         done();
       });
     });
-    it('will paginate', function(done) {
+    it('will try multiple nodes if one fails', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._getAddressDetailedTransaction = function(txid, options, callback) {
-        callback(null, txid);
-      };
-      var txids = ['one', 'two', 'three', 'four'];
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, txids);
-      bitcoind.getAddressHistory('address', {from: 1, to: 3}, function(err, data) {
+      var getBlockHash = sinon.stub().callsArgWith(1, null, {
+        result: 'blockhash'
+      });
+      getBlockHash.onCall(0).callsArgWith(1, {code: -1, message: 'test'});
+      bitcoind.tryAllInterval = 1;
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind._maybeGetBlockHash(10, function(err, hash) {
         if (err) {
           return done(err);
         }
-        data.items.length.should.equal(2);
-        data.items.should.deep.equal(['two', 'three']);
+        hash.should.equal('blockhash');
+        getBlockHash.callCount.should.equal(2);
+        done();
+      });
+    });
+    it('will give error from getBlockHash', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'test'});
+      bitcoind.tryAllInterval = 1;
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlockHash: getBlockHash
+        }
+      });
+      bitcoind._maybeGetBlockHash(10, function(err, hash) {
+        getBlockHash.callCount.should.equal(2);
+        err.should.be.instanceOf(Error);
+        err.message.should.equal('test');
+        err.code.should.equal(-1);
         done();
       });
     });
   });
 
-  describe('#getAddressSummary', function() {
-    var txid1 = '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8';
-    var txid2 = '35fafaf572341798b2ce2858755afa7c8800bb6b1e885d3e030b81255b5e172d';
-    var txid3 = '57b7842afc97a2b46575b490839df46e9273524c6ea59ba62e1e86477cf25247';
-    var memtxid1 = 'b1bfa8dbbde790cb46b9763ef3407c1a21c8264b67bfe224f462ec0e1f569e92';
-    var memtxid2 = 'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce';
-    it('will handle error from getAddressTxids', function(done) {
+  describe('#getBlockOverview', function() {
+    var blockhash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
+    it('will handle error from maybeGetBlockHash', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._maybeGetBlockHash = sinon.stub().callsArgWith(1, new Error('test'));
+      bitcoind.getBlockOverview(blockhash, function(err) {
+        err.should.be.instanceOf(Error);
+        done();
+      });
+    });
+    it('will give error from client.getBlock', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
+      var getBlock = sinon.stub().callsArgWith(2, {code: -1, message: 'test'});
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: [
-              {
-                txid: '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8',
-              }
-            ]
-          })
+          getBlock: getBlock
+        }
+      });
+      bitcoind.getBlockOverview(blockhash, function(err) {
+        err.should.be.instanceOf(Error);
+        err.message.should.equal('test');
+        done();
+      });
+    });
+    it('will give expected result', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var blockResult = {
+        hash: blockhash,
+        version: 536870912,
+        confirmations: 5,
+        height: 828781,
+        chainwork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
+        previousblockhash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
+        nextblockhash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
+        merkleroot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
+        time: 1462979126,
+        mediantime: 1462976771,
+        nonce: 2981820714,
+        bits: '1a13ca10',
+        difficulty: 847779.0710240941
+      };
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: blockResult
+      });
+      bitcoind.nodes.push({
+        client: {
+          getBlock: getBlock
+        }
+      });
+      function checkBlock(blockOverview) {
+        blockOverview.hash.should.equal('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b');
+        blockOverview.version.should.equal(536870912);
+        blockOverview.confirmations.should.equal(5);
+        blockOverview.height.should.equal(828781);
+        blockOverview.chainWork.should.equal('00000000000000000000000000000000000000000000000ad467352c93bc6a3b');
+        blockOverview.prevHash.should.equal('0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9');
+        blockOverview.nextHash.should.equal('00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8');
+        blockOverview.merkleRoot.should.equal('124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9');
+        blockOverview.time.should.equal(1462979126);
+        blockOverview.medianTime.should.equal(1462976771);
+        blockOverview.nonce.should.equal(2981820714);
+        blockOverview.bits.should.equal('1a13ca10');
+        blockOverview.difficulty.should.equal(847779.0710240941);
+      }
+      bitcoind.getBlockOverview(blockhash, function(err, blockOverview) {
+        if (err) {
+          return done(err);
         }
-      });
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, new Error('test'));
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {});
-      var address = '';
-      var options = {};
-      bitcoind.getAddressSummary(address, options, function(err) {
-        should.exist(err);
-        err.should.be.instanceof(Error);
-        err.message.should.equal('test');
-        done();
+        checkBlock(blockOverview);
+        bitcoind.getBlockOverview(blockhash, function(err, blockOverview) {
+          checkBlock(blockOverview);
+          getBlock.callCount.should.equal(1);
+          done();
+        });
       });
     });
-    it('will handle error from getAddressBalance', function(done) {
+    it('will give confirmations of a cached block from the current height', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.nodes.push({
-        client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: [
-              {
-                txid: '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8',
-              }
-            ]
-          })
+      bitcoind.height = 828790;
+      var cached = {hash: blockhash, height: 828781, confirmations: 5};
+      bitcoind.blockOverviewCache.set(blockhash, cached);
+      bitcoind.getBlockOverview(blockhash, function(err, blockOverview) {
+        if (err) {
+          return done(err);
         }
-      });
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, {});
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, new Error('test'), {});
-      var address = '';
-      var options = {};
-      bitcoind.getAddressSummary(address, options, function(err) {
-        should.exist(err);
-        err.should.be.instanceof(Error);
-        err.message.should.equal('test');
+        blockOverview.confirmations.should.equal(10);
+        cached.confirmations.should.equal(5);
         done();
       });
     });
-    it('will handle error from client getAddressMempool', function(done) {
+  });
+
+  describe('#estimateFee', function() {
+    it('will give rpc error', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
+      var estimateFee = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+          estimateFee: estimateFee
         }
       });
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, {});
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {});
-      var address = '';
-      var options = {};
-      bitcoind.getAddressSummary(address, options, function(err) {
+      bitcoind.estimateFee(1, function(err) {
         should.exist(err);
-        err.should.be.instanceof(Error);
-        err.message.should.equal('Test error');
+        err.should.be.an.instanceof(errors.RPCError);
         done();
       });
     });
-    it('should set all properties', function(done) {
+    it('will call client estimateFee and give result', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
+      var estimateFee = sinon.stub().callsArgWith(1, null, {
+        result: -1
+      });
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: [
-              {
-                txid: memtxid1,
-                satoshis: -1000000
-              },
-              {
-                txid: memtxid2,
-                satoshis: 99999
-              }
-            ]
-          })
+          estimateFee: estimateFee
         }
       });
-      sinon.spy(bitcoind, '_paginateTxids');
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
-        received: 30 * 1e8,
-        balance: 20 * 1e8
-      });
-      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
-      var options = {};
-      bitcoind.getAddressSummary(address, options, function(err, summary) {
-        bitcoind._paginateTxids.callCount.should.equal(1);
-        bitcoind._paginateTxids.args[0][1].should.equal(0);
-        bitcoind._paginateTxids.args[0][2].should.equal(1000);
-        summary.appearances.should.equal(3);
-        summary.totalReceived.should.equal(3000000000);
-        summary.totalSpent.should.equal(1000000000);
-        summary.balance.should.equal(2000000000);
-        summary.unconfirmedAppearances.should.equal(2);
-        summary.unconfirmedBalance.should.equal(-900001);
-        summary.txids.should.deep.equal([
-          'e9dcf22807db77ac0276b03cc2d3a8b03c4837db8ac6650501ef45af1c807cce',
-          'b1bfa8dbbde790cb46b9763ef3407c1a21c8264b67bfe224f462ec0e1f569e92',
-          '70d9d441d7409aace8e0ffe24ff0190407b2fcb405799a266e0327017288d1f8',
-          '35fafaf572341798b2ce2858755afa7c8800bb6b1e885d3e030b81255b5e172d',
-          '57b7842afc97a2b46575b490839df46e9273524c6ea59ba62e1e86477cf25247'
-        ]);
+      bitcoind.estimateFee(1, function(err, feesPerKb) {
+        if (err) {
+          return done(err);
+        }
+        feesPerKb.should.equal(-1);
         done();
       });
     });
-    it('will give error with "from" and "to" range that exceeds max size', function(done) {
+  });
+
+  describe('#sendTransaction', function(done) {
+    var tx = bitcore.Transaction(txhex);
+    it('will give rpc error', function() {
       var bitcoind = new BitcoinService(baseConfig);
+      var sendRawTransaction = sinon.stub().callsArgWith(2, {message: 'error', code: -1});
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: [
-              {
-                txid: memtxid1,
-                satoshis: -1000000
-              },
-              {
-                txid: memtxid2,
-                satoshis: 99999
-              }
-            ]
-          })
+          sendRawTransaction: sendRawTransaction
         }
       });
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
-        received: 30 * 1e8,
-        balance: 20 * 1e8
-      });
-      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
-      var options = {
-        from: 0,
-        to: 1001
-      };
-      bitcoind.getAddressSummary(address, options, function(err) {
+      bitcoind.sendTransaction(txhex, function(err) {
         should.exist(err);
-        err.message.match(/^\"from/);
-        done();
+        err.should.be.an.instanceof(errors.RPCError);
       });
     });
-    it('will get from cache with noTxList', function(done) {
+    it('will send to client and get hash', function() {
       var bitcoind = new BitcoinService(baseConfig);
+      var sendRawTransaction = sinon.stub().callsArgWith(2, null, {
+        result: tx.hash
+      });
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: sinon.stub().callsArgWith(1, null, {
-            result: [
-              {
-                txid: memtxid1,
-                satoshis: -1000000
-              },
-              {
-                txid: memtxid2,
-                satoshis: 99999
-              }
-            ]
-          })
+          sendRawTransaction: sendRawTransaction
         }
       });
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
-        received: 30 * 1e8,
-        balance: 20 * 1e8
-      });
-      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
-      var options = {
-        noTxList: true
-      };
-      function checkSummary(summary) {
-        summary.appearances.should.equal(3);
-        summary.totalReceived.should.equal(3000000000);
-        summary.totalSpent.should.equal(1000000000);
-        summary.balance.should.equal(2000000000);
-        summary.unconfirmedAppearances.should.equal(2);
-        summary.unconfirmedBalance.should.equal(-900001);
-        should.not.exist(summary.txids);
-      }
-      bitcoind.getAddressSummary(address, options, function(err, summary) {
-        checkSummary(summary);
-        bitcoind.getAddressTxids.callCount.should.equal(1);
-        bitcoind.getAddressBalance.callCount.should.equal(1);
-        bitcoind.getAddressSummary(address, options, function(err, summary) {
-          checkSummary(summary);
-          bitcoind.getAddressTxids.callCount.should.equal(1);
-          bitcoind.getAddressBalance.callCount.should.equal(1);
-          done();
-        });
+      bitcoind.sendTransaction(txhex, function(err, hash) {
+        if (err) {
+          return done(err);
+        }
+        hash.should.equal(tx.hash);
       });
     });
-    it('will skip querying the mempool with queryMempool set to false', function(done) {
+    it('will send to client with absurd fees and get hash', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var getAddressMempool = sinon.stub();
+      var sendRawTransaction = sinon.stub().callsArgWith(2, null, {
+        result: tx.hash
+      });
       bitcoind.nodes.push({
         client: {
-          getAddressMempool: getAddressMempool
+          sendRawTransaction: sendRawTransaction
         }
       });
-      sinon.spy(bitcoind, '_paginateTxids');
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
-        received: 30 * 1e8,
-        balance: 20 * 1e8
-      });
-      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
-      var options = {
-        queryMempool: false
-      };
-      bitcoind.getAddressSummary(address, options, function() {
-        getAddressMempool.callCount.should.equal(0);
-        done();
+      bitcoind.sendTransaction(txhex, {allowAbsurdFees: true}, function(err, hash) {
+        if (err) {
+          return done(err);
+        }
+        hash.should.equal(tx.hash);
       });
     });
-    it('will give error from _paginateTxids', function(done) {
+    it('will broadcast to every node and give a report', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getAddressMempool = sinon.stub();
-      bitcoind.nodes.push({
-        client: {
-          getAddressMempool: getAddressMempool
+      var sendRawTransaction1 = sinon.stub().callsArgWith(2, null, {result: tx.hash});
+      var sendRawTransaction2 = sinon.stub().callsArgWith(2, {message: 'bad-txns-inputs-spent', code: -26});
+      bitcoind.nodes.push({client: {host: 'node1', port: 8231, sendRawTransaction: sendRawTransaction1}});
+      bitcoind.nodes.push({client: {host: 'node2', port: 8231, sendRawTransaction: sendRawTransaction2}});
+      bitcoind.sendTransaction(txhex, function(err, hash, report) {
+        if (err) {
+          return done(err);
         }
-      });
-      sinon.spy(bitcoind, '_paginateTxids');
-      bitcoind.getAddressTxids = sinon.stub().callsArgWith(2, null, [txid1, txid2, txid3]);
-      bitcoind.getAddressBalance = sinon.stub().callsArgWith(2, null, {
-        received: 30 * 1e8,
-        balance: 20 * 1e8
-      });
-      bitcoind._paginateTxids = sinon.stub().throws(new Error('test'));
-      var address = '3NbU8XzUgKyuCgYgZEKsBtUvkTm2r7Xgwj';
-      var options = {
-        queryMempool: false
-      };
-      bitcoind.getAddressSummary(address, options, function(err) {
-        err.should.be.instanceOf(Error);
-        err.message.should.equal('test');
+        hash.should.equal(tx.hash);
+        report.should.deep.equal([
+          {host: 'node1', port: 8231, accepted: true, error: null, code: null},
+          {host: 'node2', port: 8231, accepted: false, error: 'bad-txns-inputs-spent', code: -26}
+        ]);
+        bitcoind.pinnedTransactions.get(tx.hash).should.deep.equal([bitcoind.nodes[0]]);
         done();
       });
     });
-  });
-
-  describe('#getRawBlock', function() {
-    var blockhash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
-    var blockhex = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
-    it('will give rcp error from client getblockhash', function(done) {
+    it('will consider a transaction already in the chain as accepted', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.nodes.push({
-        client: {
-          getBlockHash: sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'})
+      var sendRawTransaction1 = sinon.stub().callsArgWith(2, {message: 'transaction already in block chain', code: -27});
+      var sendRawTransaction2 = sinon.stub().callsArgWith(2, null, {result: tx.hash});
+      bitcoind.nodes.push({client: {sendRawTransaction: sendRawTransaction1}});
+      bitcoind.nodes.push({client: {sendRawTransaction: sendRawTransaction2}});
+      bitcoind.sendTransaction(txhex, function(err, hash, report) {
+        if (err) {
+          return done(err);
         }
-      });
-      bitcoind.getRawBlock(10, function(err) {
-        should.exist(err);
-        err.should.be.instanceof(errors.RPCError);
+        hash.should.equal(tx.hash);
+        report[0].accepted.should.equal(true);
+        should.not.exist(bitcoind.pinnedTransactions.get(tx.hash));
         done();
       });
     });
-    it('will give rcp error from client getblock', function(done) {
+    it('will give error with report if no node accepted', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.nodes.push({
-        client: {
-          getBlock: sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'})
-        }
+      bitcoind.nodes.push({client: {sendRawTransaction: sinon.stub().callsArgWith(2, {message: 'error1', code: -26})}});
+      bitcoind.nodes.push({client: {sendRawTransaction: sinon.stub().callsArgWith(2, new Error('ECONNREFUSED'))}});
+      bitcoind.sendTransaction(txhex, function(err) {
+        err.should.be.an.instanceof(errors.RPCError);
+        err.message.should.equal('error1');
+        err.report.length.should.equal(2);
+        err.report[1].accepted.should.equal(false);
+        err.report[1].error.should.equal('ECONNREFUSED');
+        should.equal(err.report[1].code, null);
+        done();
       });
-      bitcoind.getRawBlock(blockhash, function(err) {
-        should.exist(err);
-        err.should.be.instanceof(errors.RPCError);
+    });
+    it('will prefer the rejection of a node to a connection error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var loading = {message: 'Loading block index...', code: -28};
+      var rejected = {message: 'missing-inputs', code: -25};
+      bitcoind.nodes.push({client: {sendRawTransaction: sinon.stub().callsArgWith(2, new Error('ECONNREFUSED'))}});
+      bitcoind.nodes.push({client: {sendRawTransaction: sinon.stub().callsArgWith(2, loading)}});
+      bitcoind.nodes.push({client: {sendRawTransaction: sinon.stub().callsArgWith(2, rejected)}});
+      bitcoind.sendTransaction(txhex, function(err) {
+        err.should.be.an.instanceof(errors.RPCError);
+        err.message.should.equal('missing-inputs');
+        err.code.should.equal(-25);
+        err.report.length.should.equal(3);
         done();
       });
     });
-    it('will try all nodes for getblock', function(done) {
+    it('will give the first error if no node rejected the transaction', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockWithError = sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'});
-      bitcoind.tryAllInterval = 1;
-      bitcoind.nodes.push({
-        client: {
-          getBlock: getBlockWithError
-        }
+      bitcoind.nodes.push({client: {sendRawTransaction: sinon.stub().callsArgWith(2, new Error('ECONNREFUSED'))}});
+      bitcoind.nodes.push({client: {sendRawTransaction: sinon.stub().callsArgWith(2, new Error('ETIMEDOUT'))}});
+      bitcoind.sendTransaction(txhex, function(err) {
+        err.should.be.an.instanceof(Error);
+        err.message.should.equal('ECONNREFUSED');
+        done();
       });
-      bitcoind.nodes.push({
-        client: {
-          getBlock: getBlockWithError
+    });
+    it('will not broadcast by default with a single node', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var sendRawTransaction = sinon.stub().callsArgWith(2, null, {result: tx.hash});
+      bitcoind.nodes.push({client: {sendRawTransaction: sendRawTransaction}});
+      bitcoind.sendTransaction(txhex, function(err, hash, report) {
+        if (err) {
+          return done(err);
         }
+        report.length.should.equal(1);
+        sendRawTransaction.callCount.should.equal(1);
+        done();
       });
-      bitcoind.nodes.push({
-        client: {
-          getBlock: sinon.stub().callsArgWith(2, null, {
-            result: blockhex
-          })
+    });
+    it('will not broadcast if disabled', function(done) {
+      var config = _.clone(baseConfig);
+      config.broadcastTransactions = false;
+      var bitcoind = new BitcoinService(config);
+      var sendRawTransaction1 = sinon.stub().callsArgWith(2, null, {result: tx.hash});
+      var sendRawTransaction2 = sinon.stub().callsArgWith(2, null, {result: tx.hash});
+      bitcoind.nodes.push({client: {sendRawTransaction: sendRawTransaction1}});
+      bitcoind.nodes.push({client: {sendRawTransaction: sendRawTransaction2}});
+      bitcoind.sendTransaction(txhex, function(err, hash, report) {
+        if (err) {
+          return done(err);
         }
+        report.length.should.equal(1);
+        sendRawTransaction2.callCount.should.equal(0);
+        done();
       });
-      bitcoind.getRawBlock(blockhash, function(err, buffer) {
+    });
+    it('will send to a single node without broadcast', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var sendRawTransaction1 = sinon.stub().callsArgWith(2, null, {result: tx.hash});
+      var sendRawTransaction2 = sinon.stub().callsArgWith(2, null, {result: tx.hash});
+      bitcoind.nodes.push({client: {sendRawTransaction: sendRawTransaction1}});
+      bitcoind.nodes.push({client: {sendRawTransaction: sendRawTransaction2}});
+      bitcoind.sendTransaction(txhex, {broadcast: false}, function(err, hash, report) {
         if (err) {
           return done(err);
         }
-        buffer.should.be.instanceof(Buffer);
-        getBlockWithError.callCount.should.equal(2);
+        hash.should.equal(tx.hash);
+        report.length.should.equal(1);
+        sendRawTransaction1.callCount.should.equal(1);
+        sendRawTransaction2.callCount.should.equal(0);
+        bitcoind.pinnedTransactions.get(tx.hash).should.deep.equal([bitcoind.nodes[0]]);
         done();
       });
     });
-    it('will get block from cache', function(done) {
+    it('missing callback will throw error', function() {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, null, {
-        result: blockhex
+      var sendRawTransaction = sinon.stub().callsArgWith(2, null, {
+        result: tx.hash
       });
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock
+          sendRawTransaction: sendRawTransaction
         }
       });
-      bitcoind.getRawBlock(blockhash, function(err, buffer) {
+      var transaction = bitcore.Transaction();
+      (function() {
+        bitcoind.sendTransaction(transaction);
+      }).should.throw(Error);
+    });
+  });
+
+  describe('#getRawTransaction', function() {
+    it('will make one request for concurrent calls with the same txid', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getRawTransaction = sinon.spy(function(txid, callback) {
+        setImmediate(function() {
+          callback(null, {result: txhex});
+        });
+      });
+      bitcoind.nodes.push({client: {getRawTransaction: getRawTransaction}});
+      var txs = [];
+      function callback(err, tx) {
         if (err) {
           return done(err);
         }
-        buffer.should.be.instanceof(Buffer);
-        getBlock.callCount.should.equal(1);
-        bitcoind.getRawBlock(blockhash, function(err, buffer) {
-          if (err) {
-            return done(err);
-          }
-          buffer.should.be.instanceof(Buffer);
-          getBlock.callCount.should.equal(1);
+        txs.push(tx);
+        if (txs.length === 3) {
+          getRawTransaction.callCount.should.equal(1);
+          txs[0].should.equal(txs[2]);
+          txs[1].toString('hex').should.equal(txhex);
           done();
-        });
-      });
+        }
+      }
+      bitcoind.getRawTransaction('txid', callback);
+      bitcoind.getRawTransaction('txid', callback);
+      bitcoind.getRawTransaction('txid', callback);
     });
-    it('will get block by height', function(done) {
+    it('will read a pinned transaction from the node that accepted it', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, null, {
-        result: blockhex
-      });
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {
-        result: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f'
-      });
-      bitcoind.nodes.push({
-        client: {
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
-        }
-      });
-      bitcoind.getRawBlock(0, function(err, buffer) {
+      var getRawTransaction1 = sinon.stub().callsArgWith(1, {message: 'No information available', code: -5});
+      var getRawTransaction2 = sinon.stub().callsArgWith(1, null, {result: txhex});
+      bitcoind.nodes.push({client: {getRawTransaction: getRawTransaction1}});
+      bitcoind.nodes.push({client: {getRawTransaction: getRawTransaction2}});
+      bitcoind._pinTransaction('txid', [bitcoind.nodes[1]]);
+      bitcoind.getRawTransaction('txid', function(err, tx) {
         if (err) {
           return done(err);
         }
-        buffer.should.be.instanceof(Buffer);
-        getBlock.callCount.should.equal(1);
-        getBlockHash.callCount.should.equal(1);
+        tx.toString('hex').should.equal(txhex);
+        getRawTransaction1.callCount.should.equal(0);
         done();
       });
     });
-  });
-
-  describe('#getBlock', function() {
-    var blockhex = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c0101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
-    it('will give an rpc error from client getblock', function(done) {
+    it('will give rpc error', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'});
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {});
+      var getRawTransaction = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlock(0, function(err) {
-        err.should.be.instanceof(Error);
+      bitcoind.getRawTransaction('txid', function(err) {
+        should.exist(err);
+        err.should.be.an.instanceof(errors.RPCError);
         done();
       });
     });
-    it('will give an rpc error from client getblockhash', function(done) {
+    it('will get transaction from the persistent cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      var getRawTransaction = sinon.stub();
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlock(0, function(err) {
-        err.should.be.instanceof(Error);
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, new Buffer(txhex, 'hex'))
+      };
+      bitcoind.getRawTransaction('txid', function(err, tx) {
+        if (err) {
+          return done(err);
+        }
+        tx.toString('hex').should.equal(txhex);
+        bitcoind.persistentCache.get.args[0][0].should.equal('rawTransaction-txid');
+        getRawTransaction.callCount.should.equal(0);
         done();
       });
     });
-    it('will getblock as bitcore object from height', function(done) {
+    it('will write a buried transaction to the persistent cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, null, {
-        result: blockhex
-      });
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {
-        result: '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b'
-      });
+      bitcoind.height = 200;
+      bitcoind.transactionDetailedCache.set('txid', {hex: txhex, height: 10});
+      var getRawTransaction = sinon.stub().callsArgWith(1, null, {result: txhex});
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlock(0, function(err, block) {
-        should.not.exist(err);
-        getBlock.args[0][0].should.equal('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b');
-        getBlock.args[0][1].should.equal(false);
-        block.should.be.instanceof(bitcore.Block);
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, null),
+        set: sinon.stub().callsArg(2)
+      };
+      bitcoind.getRawTransaction('txid', function(err, tx) {
+        if (err) {
+          return done(err);
+        }
+        getRawTransaction.args[0][0].should.equal('txid');
+        tx.toString('hex').should.equal(txhex);
+        bitcoind.persistentCache.set.args[0][0].should.equal('rawTransaction-txid');
+        bitcoind.persistentCache.set.args[0][1].toString('hex').should.equal(txhex);
         done();
       });
     });
-    it('will getblock as bitcore object', function(done) {
+    it('will not write a transaction with an unknown height to the persistent cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, null, {
-        result: blockhex
-      });
-      var getBlockHash = sinon.stub();
+      bitcoind.height = 200;
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
+          getRawTransaction: sinon.stub().callsArgWith(1, null, {result: txhex})
         }
       });
-      bitcoind.getBlock('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b', function(err, block) {
-        should.not.exist(err);
-        getBlockHash.callCount.should.equal(0);
-        getBlock.callCount.should.equal(1);
-        getBlock.args[0][0].should.equal('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b');
-        getBlock.args[0][1].should.equal(false);
-        block.should.be.instanceof(bitcore.Block);
+      bitcoind.persistentCache = {
+        get: sinon.stub().callsArgWith(1, null, null),
+        set: sinon.stub().callsArg(2)
+      };
+      bitcoind.getRawTransaction('txid', function(err, tx) {
+        if (err) {
+          return done(err);
+        }
+        tx.toString('hex').should.equal(txhex);
+        bitcoind.persistentCache.set.callCount.should.equal(0);
         done();
       });
     });
-    it('will get block from cache', function(done) {
+    it('will try all nodes', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, null, {
-        result: blockhex
+      bitcoind.tryAllInterval = 1;
+      var getRawTransactionWithError = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
+      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
+        result: txhex
       });
-      var getBlockHash = sinon.stub();
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransactionWithError
         }
       });
-      var hash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
-      bitcoind.getBlock(hash, function(err, block) {
-        should.not.exist(err);
-        getBlockHash.callCount.should.equal(0);
-        getBlock.callCount.should.equal(1);
-        block.should.be.instanceof(bitcore.Block);
-        bitcoind.getBlock(hash, function(err, block) {
-          should.not.exist(err);
-          getBlockHash.callCount.should.equal(0);
-          getBlock.callCount.should.equal(1);
-          block.should.be.instanceof(bitcore.Block);
-          done();
-        });
-      });
-    });
-    it('will get block from cache with height (but not height)', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, null, {
-        result: blockhex
-      });
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {
-        result: '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b'
-      });
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock,
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransactionWithError
         }
       });
-      bitcoind.getBlock(0, function(err, block) {
-        should.not.exist(err);
-        getBlockHash.callCount.should.equal(1);
-        getBlock.callCount.should.equal(1);
-        block.should.be.instanceof(bitcore.Block);
-        bitcoind.getBlock(0, function(err, block) {
-          should.not.exist(err);
-          getBlockHash.callCount.should.equal(2);
-          getBlock.callCount.should.equal(1);
-          block.should.be.instanceof(bitcore.Block);
-          done();
-        });
-      });
-    });
-  });
-
-  describe('#getBlockHashesByTimestamp', function() {
-    it('should give an rpc error', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHashes = sinon.stub().callsArgWith(2, {message: 'error', code: -1});
       bitcoind.nodes.push({
         client: {
-          getBlockHashes: getBlockHashes
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlockHashesByTimestamp(1441911000, 1441914000, function(err, hashes) {
-        should.exist(err);
-        err.message.should.equal('error');
-        done();
-      });
-    });
-    it('should get the correct block hashes', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var block1 = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
-      var block2 = '000000000383752a55a0b2891ce018fd0fdc0b6352502772b034ec282b4a1bf6';
-      var getBlockHashes = sinon.stub().callsArgWith(2, null, {
-        result: [block2, block1]
-      });
-      bitcoind.nodes.push({
-        client: {
-          getBlockHashes: getBlockHashes
+      bitcoind.getRawTransaction('txid', function(err, tx) {
+        if (err) {
+          return done(err);
         }
-      });
-      bitcoind.getBlockHashesByTimestamp(1441914000, 1441911000, function(err, hashes) {
-        should.not.exist(err);
-        hashes.should.deep.equal([block2, block1]);
+        should.exist(tx);
+        tx.should.be.an.instanceof(Buffer);
         done();
       });
     });
-  });
-
-  describe('#getBlockHeader', function() {
-    var blockhash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
-    it('will give error from getBlockHash', function() {
+    it('will get from cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
+        result: txhex
+      });
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlockHeader(10, function(err) {
-        err.should.be.instanceof(Error);
+      bitcoind.getRawTransaction('txid', function(err, tx) {
+        if (err) {
+          return done(err);
+        }
+        should.exist(tx);
+        tx.should.be.an.instanceof(Buffer);
+
+        bitcoind.getRawTransaction('txid', function(err, tx) {
+          should.exist(tx);
+          tx.should.be.an.instanceof(Buffer);
+          getRawTransaction.callCount.should.equal(1);
+          done();
+        });
       });
     });
-    it('it will give rpc error from client getblockheader', function() {
+  });
+
+  describe('#getTransaction', function() {
+    it('will give rpc error', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHeader = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      var getRawTransaction = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
       bitcoind.nodes.push({
         client: {
-          getBlockHeader: getBlockHeader
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlockHeader(blockhash, function(err) {
-        err.should.be.instanceof(Error);
+      bitcoind.getTransaction('txid', function(err) {
+        should.exist(err);
+        err.should.be.an.instanceof(errors.RPCError);
+        done();
       });
     });
-    it('it will give rpc error from client getblockhash', function() {
+    it('will try all nodes', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHeader = sinon.stub();
-      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'Test error'});
+      bitcoind.tryAllInterval = 1;
+      var getRawTransactionWithError = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
+      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
+        result: txhex
+      });
       bitcoind.nodes.push({
         client: {
-          getBlockHeader: getBlockHeader,
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransactionWithError
         }
       });
-      bitcoind.getBlockHeader(0, function(err) {
-        err.should.be.instanceof(Error);
-      });
-    });
-    it('will give result from client getblockheader (from height)', function() {
-      var bitcoind = new BitcoinService(baseConfig);
-      var result = {
-        hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
-        version: 536870912,
-        confirmations: 5,
-        height: 828781,
-        chainWork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
-        prevHash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
-        nextHash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
-        merkleRoot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
-        time: 1462979126,
-        medianTime: 1462976771,
-        nonce: 2981820714,
-        bits: '1a13ca10',
-        difficulty: 847779.0710240941
-      };
-      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
-        result: {
-          hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
-          version: 536870912,
-          confirmations: 5,
-          height: 828781,
-          chainwork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
-          previousblockhash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
-          nextblockhash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
-          merkleroot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
-          time: 1462979126,
-          mediantime: 1462976771,
-          nonce: 2981820714,
-          bits: '1a13ca10',
-          difficulty: 847779.0710240941
+      bitcoind.nodes.push({
+        client: {
+          getRawTransaction: getRawTransactionWithError
         }
       });
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {
-        result: blockhash
-      });
       bitcoind.nodes.push({
         client: {
-          getBlockHeader: getBlockHeader,
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlockHeader(0, function(err, blockHeader) {
-        should.not.exist(err);
-        getBlockHeader.args[0][0].should.equal(blockhash);
-        blockHeader.should.deep.equal(result);
+      bitcoind.getTransaction('txid', function(err, tx) {
+        if (err) {
+          return done(err);
+        }
+        should.exist(tx);
+        tx.should.be.an.instanceof(bitcore.Transaction);
+        done();
       });
     });
-    it('will give result from client getblockheader (from hash)', function() {
+    it('will get from cache', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var result = {
-        hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
-        version: 536870912,
-        confirmations: 5,
-        height: 828781,
-        chainWork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
-        prevHash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
-        nextHash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
-        merkleRoot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
-        time: 1462979126,
-        medianTime: 1462976771,
-        nonce: 2981820714,
-        bits: '1a13ca10',
-        difficulty: 847779.0710240941
-      };
-      var getBlockHeader = sinon.stub().callsArgWith(1, null, {
-        result: {
-          hash: '0000000000000a817cd3a74aec2f2246b59eb2cbb1ad730213e6c4a1d68ec2f6',
-          version: 536870912,
-          confirmations: 5,
-          height: 828781,
-          chainwork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
-          previousblockhash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
-          nextblockhash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
-          merkleroot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
-          time: 1462979126,
-          mediantime: 1462976771,
-          nonce: 2981820714,
-          bits: '1a13ca10',
-          difficulty: 847779.0710240941
-        }
+      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
+        result: txhex
       });
-      var getBlockHash = sinon.stub();
       bitcoind.nodes.push({
         client: {
-          getBlockHeader: getBlockHeader,
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind.getBlockHeader(blockhash, function(err, blockHeader) {
-        should.not.exist(err);
-        getBlockHash.callCount.should.equal(0);
-        blockHeader.should.deep.equal(result);
+      bitcoind.getTransaction('txid', function(err, tx) {
+        if (err) {
+          return done(err);
+        }
+        should.exist(tx);
+        tx.should.be.an.instanceof(bitcore.Transaction);
+
+        bitcoind.getTransaction('txid', function(err, tx) {
+          should.exist(tx);
+          tx.should.be.an.instanceof(bitcore.Transaction);
+          getRawTransaction.callCount.should.equal(1);
+          done();
+        });
+
       });
     });
   });
 
-  describe('#_maybeGetBlockHash', function() {
-    it('will not get block hash with an address', function(done) {
+  describe('#getDetailedTransaction', function() {
+    var txBuffer = new Buffer('01000000016f95980911e01c2c664b3e78299527a47933aac61a515930a8fe0213d1ac9abe01000000da0047304402200e71cda1f71e087c018759ba3427eb968a9ea0b1decd24147f91544629b17b4f0220555ee111ed0fc0f751ffebf097bdf40da0154466eb044e72b6b3dcd5f06807fa01483045022100c86d6c8b417bff6cc3bbf4854c16bba0aaca957e8f73e19f37216e2b06bb7bf802205a37be2f57a83a1b5a8cc511dc61466c11e9ba053c363302e7b99674be6a49fc0147522102632178d046673c9729d828cfee388e121f497707f810c131e0d3fc0fe0bd66d62103a0951ec7d3a9da9de171617026442fcd30f34d66100fab539853b43f508787d452aeffffffff0240420f000000000017a9148a31d53a448c18996e81ce67811e5fb7da21e4468738c9d6f90000000017a9148ce5408cfeaddb7ccb2545ded41ef478109454848700000000', 'hex');
+    var info = {
+      blockHash: '00000000000ec715852ea2ecae4dc8563f62d603c820f81ac284cd5be0a944d6',
+      height: 530482,
+      timestamp: 1439559434000,
+      buffer: txBuffer
+    };
+    var rpcRawTransaction = {
+      hex: txBuffer.toString('hex'),
+      blockhash: info.blockHash,
+      height: info.height,
+      version: 1,
+      locktime: 411451,
+      time: info.timestamp,
+      vin: [
+        {
+          valueSat: 110,
+          address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW',
+          txid: '3d003413c13eec3fa8ea1fe8bbff6f40718c66facffe2544d7516c9e2900cac2',
+          sequence: 0xFFFFFFFF,
+          vout: 0,
+          scriptSig: {
+            hex: 'scriptSigHex',
+            asm: 'scriptSigAsm'
+          }
+        }
+      ],
+      vout: [
+        {
+          spentTxId: '4316b98e7504073acd19308b4b8c9f4eeb5e811455c54c0ebfe276c0b1eb6315',
+          spentIndex: 2,
+          spentHeight: 100,
+          valueSat: 100,
+          scriptPubKey: {
+            hex: '76a9140b2f0a0c31bfe0406b0ccc1381fdbe311946dadc88ac',
+            asm: 'OP_DUP OP_HASH160 0b2f0a0c31bfe0406b0ccc1381fdbe311946dadc OP_EQUALVERIFY OP_CHECKSIG',
+            addresses: ['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW']
+          }
+        }
+      ]
+    };
+    it('should give a transaction with height and timestamp', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub();
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'})
         }
       });
-      bitcoind._maybeGetBlockHash('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br', function(err, hash) {
-        if (err) {
-          return done(err);
-        }
-        getBlockHash.callCount.should.equal(0);
-        hash.should.equal('2N2JD6wb56AfK4tfmM6PwdVmoYk2dCKf4Br');
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err) {
+        should.exist(err);
+        err.should.be.instanceof(errors.RPCError);
         done();
       });
     });
-    it('will not get block hash with non zero-nine numeric string', function(done) {
+    it('should give a transaction with all properties', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub();
+      var getRawTransaction = sinon.stub().callsArgWith(2, null, {
+        result: rpcRawTransaction
+      });
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: getRawTransaction
         }
       });
-      bitcoind._maybeGetBlockHash('109a', function(err, hash) {
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      function checkTx(tx) {
+        /* jshint maxstatements: 30 */
+        should.exist(tx);
+        should.not.exist(tx.coinbase);
+        should.equal(tx.hex, txBuffer.toString('hex'));
+        should.equal(tx.blockHash, '00000000000ec715852ea2ecae4dc8563f62d603c820f81ac284cd5be0a944d6');
+        should.equal(tx.height, 530482);
+        should.equal(tx.blockTimestamp, 1439559434000);
+        should.equal(tx.version, 1);
+        should.equal(tx.locktime, 411451);
+        should.equal(tx.feeSatoshis, 10);
+        should.equal(tx.inputSatoshis, 110);
+        should.equal(tx.outputSatoshis, 100);
+        should.equal(tx.hash, txid);
+        var input = tx.inputs[0];
+        should.equal(input.prevTxId, '3d003413c13eec3fa8ea1fe8bbff6f40718c66facffe2544d7516c9e2900cac2');
+        should.equal(input.outputIndex, 0);
+        should.equal(input.satoshis, 110);
+        should.equal(input.sequence, 0xFFFFFFFF);
+        should.equal(input.script, 'scriptSigHex');
+        should.equal(input.scriptAsm, 'scriptSigAsm');
+        should.equal(input.address, 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW');
+        var output = tx.outputs[0];
+        should.equal(output.satoshis, 100);
+        should.equal(output.script, '76a9140b2f0a0c31bfe0406b0ccc1381fdbe311946dadc88ac');
+        should.equal(output.scriptAsm, 'OP_DUP OP_HASH160 0b2f0a0c31bfe0406b0ccc1381fdbe311946dadc OP_EQUALVERIFY OP_CHECKSIG');
+        should.equal(output.address, 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW');
+        should.equal(output.spentTxId, '4316b98e7504073acd19308b4b8c9f4eeb5e811455c54c0ebfe276c0b1eb6315');
+        should.equal(output.spentIndex, 2);
+        should.equal(output.spentHeight, 100);
+      }
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
         if (err) {
           return done(err);
         }
-        getBlockHash.callCount.should.equal(0);
-        hash.should.equal('109a');
-        done();
+        checkTx(tx);
+        bitcoind.getDetailedTransaction(txid, function(err, tx) {
+          if (err) {
+            return done(err);
+          }
+          checkTx(tx);
+          getRawTransaction.callCount.should.equal(1);
+          done();
+        });
       });
     });
-    it('will get the block hash if argument is a number', function(done) {
+    it('will decode sidechain outputs and ceased sidechain withdrawals', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {
-        result: 'blockhash'
-      });
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      rawTransaction.version = -4;
+      rawTransaction.vsc_ccout = [
+        {
+          scid: 'scid1',
+          n: 0,
+          withdrawalEpochLength: 100,
+          value: 0.00000003,
+          address: 'scaddress1'
+        }
+      ];
+      rawTransaction.vft_ccout = [
+        {
+          scid: 'scid2',
+          n: 1,
+          value: 0.00000002,
+          valueZat: 2,
+          address: 'scaddress2',
+          mcReturnAddress: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+        }
+      ];
+      rawTransaction.vmbtr_out = [
+        {
+          scid: 'scid2',
+          n: 0,
+          mcDestinationAddress: {
+            taddr: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          },
+          scFee: 0.00000001
+        }
+      ];
+      rawTransaction.vcsw_ccin = [
+        {
+          scId: 'scid3',
+          value: 0.0000005,
+          valueZat: 50,
+          nullifier: 'nullifier',
+          scriptPubKey: {
+            hex: '76a9140b2f0a0c31bfe0406b0ccc1381fdbe311946dadc88ac',
+            asm: 'OP_DUP OP_HASH160 0b2f0a0c31bfe0406b0ccc1381fdbe311946dadc OP_EQUALVERIFY OP_CHECKSIG',
+            addresses: ['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW']
+          }
+        }
+      ];
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
         }
       });
-      bitcoind._maybeGetBlockHash(10, function(err, hash) {
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
         if (err) {
           return done(err);
         }
-        hash.should.equal('blockhash');
-        getBlockHash.callCount.should.equal(1);
+        tx.sidechainCreations.should.deep.equal([
+          {
+            scid: 'scid1',
+            outputIndex: 0,
+            satoshis: 3,
+            address: 'scaddress1',
+            withdrawalEpochLength: 100,
+            customData: null
+          }
+        ]);
+        tx.forwardTransfers.should.deep.equal([
+          {
+            scid: 'scid2',
+            outputIndex: 1,
+            satoshis: 2,
+            address: 'scaddress2',
+            mcReturnAddress: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW'
+          }
+        ]);
+        tx.backwardTransferRequests.should.deep.equal([
+          {
+            scid: 'scid2',
+            outputIndex: 0,
+            mcDestinationAddress: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW',
+            scFeeSatoshis: 1
+          }
+        ]);
+        tx.ceasedSidechainWithdrawals.length.should.equal(1);
+        tx.ceasedSidechainWithdrawals[0].scid.should.equal('scid3');
+        tx.ceasedSidechainWithdrawals[0].satoshis.should.equal(50);
+        tx.ceasedSidechainWithdrawals[0].address.should.equal('mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW');
+        tx.inputSatoshis.should.equal(160);
+        tx.outputSatoshis.should.equal(106);
+        tx.feeSatoshis.should.equal(54);
         done();
       });
     });
-    it('will get the block hash if argument is a number (as string)', function(done) {
+    it('will decode certificate with backward transfers', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {
-        result: 'blockhash'
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      rawTransaction.version = -5;
+      rawTransaction.cert = {
+        scid: 'scid1',
+        epochNumber: 3,
+        quality: 7,
+        endEpochCumScTxCommTreeRoot: 'root',
+        ftScFee: 0.0000001,
+        mbtrScFee: 0
+      };
+      rawTransaction.vout.push({
+        valueSat: 500,
+        backwardTransfer: true,
+        scriptPubKey: {
+          hex: '76a9140b2f0a0c31bfe0406b0ccc1381fdbe311946dadc88ac',
+          asm: 'OP_DUP OP_HASH160 0b2f0a0c31bfe0406b0ccc1381fdbe311946dadc OP_EQUALVERIFY OP_CHECKSIG',
+          addresses: ['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW']
+        }
       });
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
         }
       });
-      bitcoind._maybeGetBlockHash('10', function(err, hash) {
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
         if (err) {
           return done(err);
         }
-        hash.should.equal('blockhash');
-        getBlockHash.callCount.should.equal(1);
+        tx.certificate.should.deep.equal({
+          scid: 'scid1',
+          epochNumber: 3,
+          quality: 7,
+          endEpochCumScTxCommTreeRoot: 'root',
+          ftScFeeSatoshis: 10,
+          mbtrScFeeSatoshis: 0,
+          backwardTransferSatoshis: 500,
+          backwardTransfers: [
+            {
+              outputIndex: 1,
+              address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW',
+              satoshis: 500
+            }
+          ]
+        });
+        should.not.exist(tx.outputs[0].backwardTransfer);
+        tx.outputs[1].backwardTransfer.should.equal(true);
+        tx.inputSatoshis.should.equal(110);
+        tx.outputSatoshis.should.equal(600);
+        tx.feeSatoshis.should.equal(10);
         done();
       });
     });
-    it('will try multiple nodes if one fails', function(done) {
+    it('should set coinbase to true', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub().callsArgWith(1, null, {
-        result: 'blockhash'
-      });
-      getBlockHash.onCall(0).callsArgWith(1, {code: -1, message: 'test'});
-      bitcoind.tryAllInterval = 1;
-      bitcoind.nodes.push({
-        client: {
-          getBlockHash: getBlockHash
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      delete rawTransaction.vin[0];
+      rawTransaction.vin = [
+        {
+          coinbase: 'abcdef'
         }
-      });
+      ];
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
         }
       });
-      bitcoind._maybeGetBlockHash(10, function(err, hash) {
-        if (err) {
-          return done(err);
-        }
-        hash.should.equal('blockhash');
-        getBlockHash.callCount.should.equal(2);
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
+        should.exist(tx);
+        should.equal(tx.coinbase, true);
         done();
       });
     });
-    it('will give error from getBlockHash', function(done) {
+    it('will not include address if address length is zero', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlockHash = sinon.stub().callsArgWith(1, {code: -1, message: 'test'});
-      bitcoind.tryAllInterval = 1;
-      bitcoind.nodes.push({
-        client: {
-          getBlockHash: getBlockHash
-        }
-      });
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      rawTransaction.vout[0].scriptPubKey.addresses = [];
       bitcoind.nodes.push({
         client: {
-          getBlockHash: getBlockHash
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
         }
       });
-      bitcoind._maybeGetBlockHash(10, function(err, hash) {
-        getBlockHash.callCount.should.equal(2);
-        err.should.be.instanceOf(Error);
-        err.message.should.equal('test');
-        err.code.should.equal(-1);
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
+        should.exist(tx);
+        should.equal(tx.outputs[0].address, null);
         done();
       });
     });
-  });
-
-  describe('#getBlockOverview', function() {
-    var blockhash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
-    it('will handle error from maybeGetBlockHash', function(done) {
+    it('will not include address if address length is greater than 1', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind._maybeGetBlockHash = sinon.stub().callsArgWith(1, new Error('test'));
-      bitcoind.getBlockOverview(blockhash, function(err) {
-        err.should.be.instanceOf(Error);
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      rawTransaction.vout[0].scriptPubKey.addresses = ['one', 'two'];
+      bitcoind.nodes.push({
+        client: {
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
+        }
+      });
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
+        should.exist(tx);
+        should.equal(tx.outputs[0].address, null);
         done();
       });
     });
-    it('will give error from client.getBlock', function(done) {
+    it('will handle scriptPubKey.addresses not being set', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getBlock = sinon.stub().callsArgWith(2, {code: -1, message: 'test'});
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      delete rawTransaction.vout[0].scriptPubKey['addresses'];
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
         }
       });
-      bitcoind.getBlockOverview(blockhash, function(err) {
-        err.should.be.instanceOf(Error);
-        err.message.should.equal('test');
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
+        should.exist(tx);
+        should.equal(tx.outputs[0].address, null);
         done();
       });
     });
-    it('will give expected result', function(done) {
+    it('will not include script if input missing scriptSig or coinbase', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var blockResult = {
-        hash: blockhash,
-        version: 536870912,
-        confirmations: 5,
-        height: 828781,
-        chainwork: '00000000000000000000000000000000000000000000000ad467352c93bc6a3b',
-        previousblockhash: '0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9',
-        nextblockhash: '00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8',
-        merkleroot: '124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9',
-        time: 1462979126,
-        mediantime: 1462976771,
-        nonce: 2981820714,
-        bits: '1a13ca10',
-        difficulty: 847779.0710240941
-      };
-      var getBlock = sinon.stub().callsArgWith(2, null, {
-        result: blockResult
-      });
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      delete rawTransaction.vin[0].scriptSig;
+      delete rawTransaction.vin[0].coinbase;
       bitcoind.nodes.push({
         client: {
-          getBlock: getBlock
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
         }
       });
-      function checkBlock(blockOverview) {
-        blockOverview.hash.should.equal('00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b');
-        blockOverview.version.should.equal(536870912);
-        blockOverview.confirmations.should.equal(5);
-        blockOverview.height.should.equal(828781);
-        blockOverview.chainWork.should.equal('00000000000000000000000000000000000000000000000ad467352c93bc6a3b');
-        blockOverview.prevHash.should.equal('0000000000000504235b2aff578a48470dbf6b94dafa9b3703bbf0ed554c9dd9');
-        blockOverview.nextHash.should.equal('00000000000000eedd967ec155f237f033686f0924d574b946caf1b0e89551b8');
-        blockOverview.merkleRoot.should.equal('124e0f3fb5aa268f102b0447002dd9700988fc570efcb3e0b5b396ac7db437a9');
-        blockOverview.time.should.equal(1462979126);
-        blockOverview.medianTime.should.equal(1462976771);
-        blockOverview.nonce.should.equal(2981820714);
-        blockOverview.bits.should.equal('1a13ca10');
-        blockOverview.difficulty.should.equal(847779.0710240941);
-      }
-      bitcoind.getBlockOverview(blockhash, function(err, blockOverview) {
-        if (err) {
-          return done(err);
-        }
-        checkBlock(blockOverview);
-        bitcoind.getBlockOverview(blockhash, function(err, blockOverview) {
-          checkBlock(blockOverview);
-          getBlock.callCount.should.equal(1);
-          done();
-        });
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
+        should.exist(tx);
+        should.equal(tx.inputs[0].script, null);
+        done();
       });
     });
-  });
-
-  describe('#estimateFee', function() {
-    it('will give rpc error', function(done) {
+    it('will set height to -1 if missing height', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var estimateFee = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
+      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
+      delete rawTransaction.height;
       bitcoind.nodes.push({
         client: {
-          estimateFee: estimateFee
+          getRawTransaction: sinon.stub().callsArgWith(2, null, {
+            result: rawTransaction
+          })
         }
       });
-      bitcoind.estimateFee(1, function(err) {
-        should.exist(err);
-        err.should.be.an.instanceof(errors.RPCError);
+      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
+      bitcoind.getDetailedTransaction(txid, function(err, tx) {
+        should.exist(tx);
+        should.equal(tx.height, -1);
         done();
       });
     });
-    it('will call client estimateFee and give result', function(done) {
+  });
+
+  describe('#_getDetailedTransactions', function() {
+    function rawTransaction(txid) {
+      return {
+        hex: '00',
+        txid: txid,
+        version: 1,
+        locktime: 0,
+        height: 10,
+        vin: [{valueSat: 200, txid: 'prev', vout: 0, sequence: 0}],
+        vout: [{valueSat: 100, scriptPubKey: {hex: '', asm: '', addresses: ['address']}}]
+      };
+    }
+    it('will batch the transactions that are not cached', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var estimateFee = sinon.stub().callsArgWith(1, null, {
-        result: -1
-      });
-      bitcoind.nodes.push({
-        client: {
-          estimateFee: estimateFee
+      var cached = {hash: 'txid1'};
+      bitcoind.transactionDetailedCache.set('txid1', cached);
+      bitcoind._batchRPC = sinon.stub().callsArgWith(3, null, [rawTransaction('txid2'), rawTransaction('txid3')]);
+      bitcoind._getDetailedTransactions(['txid2', 'txid1', 'txid3', 'txid2'], function(err, txs) {
+        if (err) {
+          return done(err);
         }
+        bitcoind._batchRPC.args[0][0].should.equal('getrawtransaction');
+        bitcoind._batchRPC.args[0][1].should.deep.equal([['txid2', 1], ['txid3', 1]]);
+        bitcoind._batchRPC.args[0][2].should.deep.equal({txids: ['txid2', 'txid3']});
+        _.map(txs, 'hash').should.deep.equal(['txid2', 'txid1', 'txid3', 'txid2']);
+        txs[1].should.equal(cached);
+        txs[0].feeSatoshis.should.equal(100);
+        bitcoind.transactionDetailedCache.get('txid3').should.equal(txs[2]);
+        done();
       });
-      bitcoind.estimateFee(1, function(err, feesPerKb) {
+    });
+    it('will write the buried transactions to the persistent cache', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.height = 200;
+      bitcoind.persistentCache = {
+        set: sinon.stub().callsArg(2)
+      };
+      var unconfirmed = rawTransaction('txid2');
+      unconfirmed.height = -1;
+      bitcoind._batchRPC = sinon.stub().callsArgWith(3, null, [rawTransaction('txid1'), unconfirmed]);
+      bitcoind._getDetailedTransactions(['txid1', 'txid2'], function(err) {
         if (err) {
           return done(err);
         }
-        feesPerKb.should.equal(-1);
+        bitcoind.persistentCache.set.callCount.should.equal(1);
+        bitcoind.persistentCache.set.args[0][0].should.equal('rawTransaction-txid1');
+        bitcoind.persistentCache.set.args[0][1].toString('hex').should.equal('00');
+        done();
+      });
+    });
+    it('will give the error of the batch', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._batchRPC = sinon.stub().callsArgWith(3, new Error('test'));
+      bitcoind._getDetailedTransactions(['txid1'], function(err) {
+        err.message.should.equal('test');
         done();
       });
     });
   });
 
-  describe('#sendTransaction', function(done) {
-    var tx = bitcore.Transaction(txhex);
-    it('will give rpc error', function() {
+  describe('#getMempoolInfo', function() {
+    it('will give summary of the mempool', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var sendRawTransaction = sinon.stub().callsArgWith(2, {message: 'error', code: -1});
-      bitcoind.nodes.push({
-        client: {
-          sendRawTransaction: sendRawTransaction
+      bitcoind.mempool.transactions = {
+        txid1: {size: 200, feeSatoshis: 10000},
+        txid2: {size: 251, feeSatoshis: null}
+      };
+      bitcoind.mempool.addresses = {
+        address1: ['txid1'],
+        address2: ['txid1', 'txid2']
+      };
+      bitcoind.getMempoolInfo(function(err, info) {
+        if (err) {
+          return done(err);
         }
-      });
-      bitcoind.sendTransaction(txhex, function(err) {
-        should.exist(err);
-        err.should.be.an.instanceof(errors.RPCError);
+        info.should.deep.equal({
+          size: 2,
+          bytes: 451,
+          feeSatoshis: 10000,
+          addresses: 2
+        });
+        done();
       });
     });
-    it('will send to client and get hash', function() {
+  });
+
+  describe('#getMempoolTransactions', function() {
+    it('will give the mempool transactions', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var sendRawTransaction = sinon.stub().callsArgWith(2, null, {
-        result: tx.hash
-      });
-      bitcoind.nodes.push({
-        client: {
-          sendRawTransaction: sendRawTransaction
+      bitcoind.mempool.transactions = {
+        txid1: {
+          txid: 'txid1',
+          tx: {},
+          size: 200,
+          feeSatoshis: 10000,
+          time: 1463070382,
+          addresses: ['address1']
         }
-      });
-      bitcoind.sendTransaction(txhex, function(err, hash) {
+      };
+      bitcoind.getMempoolTransactions(function(err, transactions) {
         if (err) {
           return done(err);
         }
-        hash.should.equal(tx.hash);
+        transactions.should.deep.equal([
+          {
+            txid: 'txid1',
+            size: 200,
+            feeSatoshis: 10000,
+            time: 1463070382,
+            addresses: ['address1']
+          }
+        ]);
+        done();
       });
     });
-    it('will send to client with absurd fees and get hash', function() {
+  });
+
+  describe('#getMempoolTxidsForAddress', function() {
+    it('will give txids for multiple addresses without duplicates', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var sendRawTransaction = sinon.stub().callsArgWith(2, null, {
-        result: tx.hash
-      });
-      bitcoind.nodes.push({
-        client: {
-          sendRawTransaction: sendRawTransaction
-        }
-      });
-      bitcoind.sendTransaction(txhex, {allowAbsurdFees: true}, function(err, hash) {
+      bitcoind.mempool.addresses = {
+        address1: ['txid1', 'txid2'],
+        address2: ['txid2', 'txid3']
+      };
+      bitcoind.getMempoolTxidsForAddress(['address1', 'address2', 'address3'], function(err, txids) {
         if (err) {
           return done(err);
         }
-        hash.should.equal(tx.hash);
+        txids.should.deep.equal(['txid1', 'txid2', 'txid3']);
+        done();
       });
     });
-    it('missing callback will throw error', function() {
+    it('will give error with invalid address argument', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var sendRawTransaction = sinon.stub().callsArgWith(2, null, {
-        result: tx.hash
-      });
-      bitcoind.nodes.push({
-        client: {
-          sendRawTransaction: sendRawTransaction
-        }
+      bitcoind.getMempoolTxidsForAddress([{}], function(err) {
+        err.should.be.instanceof(TypeError);
+        done();
       });
-      var transaction = bitcore.Transaction();
-      (function() {
-        bitcoind.sendTransaction(transaction);
-      }).should.throw(Error);
     });
   });
 
-  describe('#getRawTransaction', function() {
-    it('will give rpc error', function(done) {
+  describe('#_sendBatch', function() {
+    function createClient(responses) {
+      var client = {
+        getblockhash: sinon.stub(),
+        batch: sinon.spy(function(batchFn, callback) {
+          batchFn();
+          callback(null, responses(client.getblockhash.args));
+        })
+      };
+      return client;
+    }
+    it('will send the requests in a batch and give the results in order', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getRawTransaction = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransaction
-        }
+      var client = createClient(function(calls) {
+        calls.should.deep.equal([[10], [11]]);
+        return [{id: 0, result: 'hash10', error: null}, {id: 1, result: 'hash11', error: null}];
       });
-      bitcoind.getRawTransaction('txid', function(err) {
-        should.exist(err);
-        err.should.be.an.instanceof(errors.RPCError);
+      bitcoind._sendBatch(client, 'getblockhash', [[10], [11]], function(err, results) {
+        if (err) {
+          return done(err);
+        }
+        client.batch.callCount.should.equal(1);
+        results.should.deep.equal(['hash10', 'hash11']);
         done();
       });
     });
-    it('will try all nodes', function(done) {
+    it('will give the rpc error of a request', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.tryAllInterval = 1;
-      var getRawTransactionWithError = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
-      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
-        result: txhex
+      var client = createClient(function() {
+        return [
+          {id: 0, result: 'hash10', error: null},
+          {id: 1, result: null, error: {code: -8, message: 'out of range'}}
+        ];
       });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransactionWithError
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransactionWithError
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransaction
-        }
+      bitcoind._sendBatch(client, 'getblockhash', [[10], [11]], function(err) {
+        err.should.be.instanceof(errors.RPCError);
+        err.code.should.equal(-8);
+        done();
       });
-      bitcoind.getRawTransaction('txid', function(err, tx) {
-        if (err) {
-          return done(err);
-        }
-        should.exist(tx);
-        tx.should.be.an.instanceof(Buffer);
+    });
+    it('will give the error of the batch', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var batchError = new Error('test');
+      var client = {batch: sinon.stub().callsArgWith(1, batchError)};
+      bitcoind._sendBatch(client, 'getblockhash', [[10]], function(err) {
+        err.should.equal(batchError);
         done();
       });
     });
-    it('will get from cache', function(done) {
+  });
+
+  describe('#_coalesce', function() {
+    it('will give the result of a request in flight to every call with the key', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
-        result: txhex
+      var request = sinon.stub();
+      var callback1 = sinon.stub();
+      bitcoind._coalesce('key', request, callback1);
+      bitcoind._coalesce('key', request, function(err, result) {
+        should.not.exist(err);
+        result.should.equal('result');
+        request.callCount.should.equal(1);
+        callback1.callCount.should.equal(1);
+        callback1.args[0].should.deep.equal([null, 'result']);
+        should.not.exist(bitcoind.inFlightRequests.key);
+        done();
       });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransaction
+      request.args[0][0](null, 'result');
+    });
+    it('will give an error to every call with the key', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var request = sinon.stub();
+      var callback1 = sinon.stub();
+      var callback2 = sinon.stub();
+      bitcoind._coalesce('key', request, callback1);
+      bitcoind._coalesce('key', request, callback2);
+      var error = new Error('test');
+      request.args[0][0](error);
+      callback1.args[0][0].should.equal(error);
+      callback2.args[0][0].should.equal(error);
+    });
+    it('will make a new request after the request in flight', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var request = sinon.stub().callsArgWith(0, null, 'result');
+      var callback = sinon.stub();
+      bitcoind._coalesce('key', request, callback);
+      bitcoind._coalesce('key', request, callback);
+      request.callCount.should.equal(2);
+      callback.callCount.should.equal(2);
+    });
+    it('will make a request for each key', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var request = sinon.stub();
+      bitcoind._coalesce('key1', request, sinon.stub());
+      bitcoind._coalesce('key2', request, sinon.stub());
+      request.callCount.should.equal(2);
+    });
+  });
+
+  describe('#_coalesceMany', function() {
+    it('will only request the keys that are not in flight', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var single = sinon.stub();
+      bitcoind._coalesce('prefix:b', single, sinon.stub());
+      var request = sinon.stub();
+      bitcoind._coalesceMany('prefix:', ['a', 'b', 'c'], request, function(err, results) {
+        if (err) {
+          return done(err);
         }
+        results.should.deep.equal(['resultA', 'resultB', 'resultC']);
+        Object.keys(bitcoind.inFlightRequests).length.should.equal(0);
+        done();
       });
-      bitcoind.getRawTransaction('txid', function(err, tx) {
+      request.callCount.should.equal(1);
+      request.args[0][0].should.deep.equal(['a', 'c']);
+      request.args[0][1](null, ['resultA', 'resultC']);
+      single.args[0][0](null, 'resultB');
+    });
+    it('will share the request with later calls', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var request = sinon.stub();
+      var single = sinon.stub();
+      var callback1 = sinon.stub();
+      var callback2 = sinon.stub();
+      bitcoind._coalesceMany('prefix:', ['a', 'b'], request, callback1);
+      bitcoind._coalesce('prefix:a', single, callback2);
+      request.args[0][1](null, ['resultA', 'resultB']);
+      single.callCount.should.equal(0);
+      callback1.args[0].should.deep.equal([null, ['resultA', 'resultB']]);
+      callback2.args[0].should.deep.equal([null, 'resultA']);
+    });
+    it('will give an error to every key', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var request = sinon.stub();
+      var callback1 = sinon.stub();
+      var callback2 = sinon.stub();
+      bitcoind._coalesceMany('prefix:', ['a', 'b'], request, callback1);
+      bitcoind._coalesce('prefix:b', sinon.stub(), callback2);
+      var error = new Error('test');
+      request.args[0][1](error);
+      callback1.args[0][0].should.equal(error);
+      callback2.args[0][0].should.equal(error);
+      Object.keys(bitcoind.inFlightRequests).length.should.equal(0);
+    });
+    it('will not make a request without keys', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var request = sinon.stub();
+      bitcoind._coalesceMany('prefix:', [], request, function(err, results) {
         if (err) {
           return done(err);
         }
-        should.exist(tx);
-        tx.should.be.an.instanceof(Buffer);
-
-        bitcoind.getRawTransaction('txid', function(err, tx) {
-          should.exist(tx);
-          tx.should.be.an.instanceof(Buffer);
-          getRawTransaction.callCount.should.equal(1);
-          done();
-        });
+        request.callCount.should.equal(0);
+        results.should.deep.equal([]);
+        done();
       });
     });
   });
 
-  describe('#getTransaction', function() {
-    it('will give rpc error', function(done) {
-      var bitcoind = new BitcoinService(baseConfig);
-      var getRawTransaction = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransaction
-        }
+  describe('#_batchRPC', function() {
+    it('will split the requests into batches of the max size', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.maxBatchSize = 2;
+      bitcoind.nodes.push({client: {}});
+      bitcoind._sendBatch = sinon.spy(function(client, method, paramsList, callback) {
+        setImmediate(function() {
+          callback(null, paramsList.map(function(params) {
+            return method + params[0];
+          }));
+        });
       });
-      bitcoind.getTransaction('txid', function(err) {
-        should.exist(err);
-        err.should.be.an.instanceof(errors.RPCError);
+      bitcoind._batchRPC('getblockhash', [[1], [2], [3], [4], [5]], function(err, results) {
+        if (err) {
+          return done(err);
+        }
+        bitcoind._sendBatch.callCount.should.equal(3);
+        bitcoind._sendBatch.args[2][2].should.deep.equal([[5]]);
+        results.should.deep.equal([
+          'getblockhash1', 'getblockhash2', 'getblockhash3', 'getblockhash4', 'getblockhash5'
+        ]);
         done();
       });
     });
-    it('will try all nodes', function(done) {
+    it('will try a batch with the next node', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.tryAllInterval = 1;
-      var getRawTransactionWithError = sinon.stub().callsArgWith(1, {message: 'error', code: -1});
-      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
-        result: txhex
-      });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransactionWithError
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransactionWithError
-        }
-      });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransaction
-        }
-      });
-      bitcoind.getTransaction('txid', function(err, tx) {
+      var node1 = {client: {}};
+      var node2 = {client: {}};
+      bitcoind.nodes.push(node1, node2);
+      bitcoind._sendBatch = sinon.stub();
+      bitcoind._sendBatch.onCall(0).callsArgWith(3, connectionError('ECONNREFUSED'));
+      bitcoind._sendBatch.onCall(1).callsArgWith(3, null, ['hash']);
+      bitcoind._batchRPC('getblockhash', [[1]], {height: 1}, function(err, results) {
         if (err) {
           return done(err);
         }
-        should.exist(tx);
-        tx.should.be.an.instanceof(bitcore.Transaction);
+        bitcoind._sendBatch.args[0][0].should.equal(node1.client);
+        bitcoind._sendBatch.args[1][0].should.equal(node2.client);
+        results.should.deep.equal(['hash']);
         done();
       });
     });
-    it('will get from cache', function(done) {
+    it('will give the error of a batch', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getRawTransaction = sinon.stub().callsArgWith(1, null, {
-        result: txhex
-      });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransaction
-        }
+      bitcoind.nodes.push({client: {}});
+      bitcoind._sendBatch = sinon.stub().callsArgWith(3, new Error('test'));
+      bitcoind._batchRPC('getblockhash', [[1]], function(err) {
+        err.message.should.equal('test');
+        done();
       });
-      bitcoind.getTransaction('txid', function(err, tx) {
+    });
+    it('will not send a request without params', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._sendBatch = sinon.stub();
+      bitcoind._batchRPC('getblockhash', [], function(err, results) {
         if (err) {
           return done(err);
         }
-        should.exist(tx);
-        tx.should.be.an.instanceof(bitcore.Transaction);
-
-        bitcoind.getTransaction('txid', function(err, tx) {
-          should.exist(tx);
-          tx.should.be.an.instanceof(bitcore.Transaction);
-          getRawTransaction.callCount.should.equal(1);
-          done();
-        });
-
+        results.should.deep.equal([]);
+        bitcoind._sendBatch.callCount.should.equal(0);
+        done();
       });
     });
   });
 
-  describe('#getDetailedTransaction', function() {
-    var txBuffer = new Buffer('01000000016f95980911e01c2c664b3e78299527a47933aac61a515930a8fe0213d1ac9abe01000000da0047304402200e71cda1f71e087c018759ba3427eb968a9ea0b1decd24147f91544629b17b4f0220555ee111ed0fc0f751ffebf097bdf40da0154466eb044e72b6b3dcd5f06807fa01483045022100c86d6c8b417bff6cc3bbf4854c16bba0aaca957e8f73e19f37216e2b06bb7bf802205a37be2f57a83a1b5a8cc511dc61466c11e9ba053c363302e7b99674be6a49fc0147522102632178d046673c9729d828cfee388e121f497707f810c131e0d3fc0fe0bd66d62103a0951ec7d3a9da9de171617026442fcd30f34d66100fab539853b43f508787d452aeffffffff0240420f000000000017a9148a31d53a448c18996e81ce67811e5fb7da21e4468738c9d6f90000000017a9148ce5408cfeaddb7ccb2545ded41ef478109454848700000000', 'hex');
-    var info = {
-      blockHash: '00000000000ec715852ea2ecae4dc8563f62d603c820f81ac284cd5be0a944d6',
-      height: 530482,
-      timestamp: 1439559434000,
-      buffer: txBuffer
-    };
-    var rpcRawTransaction = {
-      hex: txBuffer.toString('hex'),
-      blockhash: info.blockHash,
-      height: info.height,
-      version: 1,
-      locktime: 411451,
-      time: info.timestamp,
-      vin: [
-        {
-          valueSat: 110,
-          address: 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW',
-          txid: '3d003413c13eec3fa8ea1fe8bbff6f40718c66facffe2544d7516c9e2900cac2',
-          sequence: 0xFFFFFFFF,
-          vout: 0,
-          scriptSig: {
-            hex: 'scriptSigHex',
-            asm: 'scriptSigAsm'
-          }
-        }
-      ],
-      vout: [
-        {
-          spentTxId: '4316b98e7504073acd19308b4b8c9f4eeb5e811455c54c0ebfe276c0b1eb6315',
-          spentIndex: 2,
-          spentHeight: 100,
-          valueSat: 100,
-          scriptPubKey: {
-            hex: '76a9140b2f0a0c31bfe0406b0ccc1381fdbe311946dadc88ac',
-            asm: 'OP_DUP OP_HASH160 0b2f0a0c31bfe0406b0ccc1381fdbe311946dadc OP_EQUALVERIFY OP_CHECKSIG',
-            addresses: ['mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW']
-          }
+  describe('#_getBlockHashes', function() {
+    it('will batch getblockhash for the heights', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._batchRPC = sinon.stub().callsArgWith(3, null, ['hash12', 'hash11']);
+      bitcoind._getBlockHashes([12, 11], function(err, hashes) {
+        if (err) {
+          return done(err);
         }
-      ]
+        bitcoind._batchRPC.args[0][0].should.equal('getblockhash');
+        bitcoind._batchRPC.args[0][1].should.deep.equal([[12], [11]]);
+        bitcoind._batchRPC.args[0][2].should.deep.equal({height: 12});
+        hashes.should.deep.equal(['hash12', 'hash11']);
+        done();
+      });
+    });
+  });
+
+  describe('#getSidechains', function() {
+    var scinfo = {
+      scid: '0a85efb37d1130009f1b588dcddd26626bbb159ae4a19a703715277b51033144',
+      balance: 1.5,
+      epoch: 3,
+      endEpochHeight: 460,
+      state: 'ALIVE',
+      ceasingHeight: 482,
+      creatingTxHash: 'b4e1ba7bd2c0d8bbaa1dbbf1c5bfeb7c4fe7f2ffd2ec1d1ee1abb0e98e12ad47',
+      createdAtBlockHeight: 400,
+      withdrawalEpochLength: 20,
+      lastCertificateEpoch: 2,
+      lastCertificateQuality: 7,
+      lastCertificateHash: '5cf7a5ac40b01a3fbb18fd2e4e9e04d81f0e5e6da4ab45a8765d8ad3f1e2b6d3',
+      lastCertificateAmount: 0.25
     };
-    it('should give a transaction with height and timestamp', function(done) {
+    it('will give sidechains', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: sinon.stub().callsArgWith(2, {code: -1, message: 'Test error'})
+      var getScInfo = sinon.stub().callsArgWith(5, null, {
+        result: {totalItems: 1, from: 0, to: 1, items: [scinfo]}
+      });
+      bitcoind.nodes.push({client: {getScInfo: getScInfo}});
+      bitcoind.getSidechains({onlyAlive: true, from: 0, to: 10}, function(err, result) {
+        if (err) {
+          return done(err);
         }
+        getScInfo.args[0].slice(0, 5).should.deep.equal(['*', true, true, 0, 10]);
+        result.totalCount.should.equal(1);
+        result.items.length.should.equal(1);
+        result.items[0].scid.should.equal(scinfo.scid);
+        result.items[0].ceased.should.equal(false);
+        result.items[0].balanceSatoshis.should.equal(150000000);
+        result.items[0].lastCertificate.should.deep.equal({
+          epoch: 2,
+          quality: 7,
+          hash: scinfo.lastCertificateHash,
+          amountSatoshis: 25000000
+        });
+        done();
       });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      bitcoind.getDetailedTransaction(txid, function(err) {
-        should.exist(err);
+    });
+    it('will give rpc error', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getScInfo = sinon.stub().callsArgWith(3, {code: -1, message: 'Test error'});
+      bitcoind.nodes.push({client: {getScInfo: getScInfo}});
+      bitcoind.getSidechains({}, function(err) {
+        getScInfo.args[0].slice(0, 3).should.deep.equal(['*', false, true]);
         err.should.be.instanceof(errors.RPCError);
         done();
       });
     });
-    it('should give a transaction with all properties', function(done) {
+  });
+
+  describe('#getSidechain', function() {
+    it('will give a ceased sidechain', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var getRawTransaction = sinon.stub().callsArgWith(2, null, {
-        result: rpcRawTransaction
+      var scid = '0a85efb37d1130009f1b588dcddd26626bbb159ae4a19a703715277b51033144';
+      var getScInfo = sinon.stub().callsArgWith(3, null, {
+        result: {totalItems: 1, items: [{scid: scid, state: 'CEASED', balance: 0}]}
       });
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: getRawTransaction
+      bitcoind.nodes.push({client: {getScInfo: getScInfo}});
+      bitcoind.getSidechain(scid, function(err, sidechain) {
+        if (err) {
+          return done(err);
         }
+        getScInfo.args[0].slice(0, 3).should.deep.equal([scid, false, true]);
+        sidechain.scid.should.equal(scid);
+        sidechain.ceased.should.equal(true);
+        sidechain.balanceSatoshis.should.equal(0);
+        should.equal(sidechain.lastCertificate.amountSatoshis, null);
+        done();
       });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      function checkTx(tx) {
-        /* jshint maxstatements: 30 */
-        should.exist(tx);
-        should.not.exist(tx.coinbase);
-        should.equal(tx.hex, txBuffer.toString('hex'));
-        should.equal(tx.blockHash, '00000000000ec715852ea2ecae4dc8563f62d603c820f81ac284cd5be0a944d6');
-        should.equal(tx.height, 530482);
-        should.equal(tx.blockTimestamp, 1439559434000);
-        should.equal(tx.version, 1);
-        should.equal(tx.locktime, 411451);
-        should.equal(tx.feeSatoshis, 10);
-        should.equal(tx.inputSatoshis, 110);
-        should.equal(tx.outputSatoshis, 100);
-        should.equal(tx.hash, txid);
-        var input = tx.inputs[0];
-        should.equal(input.prevTxId, '3d003413c13eec3fa8ea1fe8bbff6f40718c66facffe2544d7516c9e2900cac2');
-        should.equal(input.outputIndex, 0);
-        should.equal(input.satoshis, 110);
-        should.equal(input.sequence, 0xFFFFFFFF);
-        should.equal(input.script, 'scriptSigHex');
-        should.equal(input.scriptAsm, 'scriptSigAsm');
-        should.equal(input.address, 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW');
-        var output = tx.outputs[0];
-        should.equal(output.satoshis, 100);
-        should.equal(output.script, '76a9140b2f0a0c31bfe0406b0ccc1381fdbe311946dadc88ac');
-        should.equal(output.scriptAsm, 'OP_DUP OP_HASH160 0b2f0a0c31bfe0406b0ccc1381fdbe311946dadc OP_EQUALVERIFY OP_CHECKSIG');
-        should.equal(output.address, 'mgY65WSfEmsyYaYPQaXhmXMeBhwp4EcsQW');
-        should.equal(output.spentTxId, '4316b98e7504073acd19308b4b8c9f4eeb5e811455c54c0ebfe276c0b1eb6315');
-        should.equal(output.spentIndex, 2);
-        should.equal(output.spentHeight, 100);
-      }
-      bitcoind.getDetailedTransaction(txid, function(err, tx) {
+    });
+    it('will give error if not found', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getScInfo = sinon.stub().callsArgWith(3, null, {result: {totalItems: 0, items: []}});
+      bitcoind.nodes.push({client: {getScInfo: getScInfo}});
+      bitcoind.getSidechain('abc', function(err) {
+        err.should.be.instanceof(Error);
+        err.message.should.match(/Sidechain not found/);
+        done();
+      });
+    });
+  });
+
+  describe('#_getBlockSidechainData', function() {
+    it('will collect sidechain creations, forward transfers and certificates', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var getBlock = sinon.stub().callsArgWith(2, null, {
+        result: {hash: 'blockhash', height: 400, tx: ['tx1', 'tx2'], cert: ['cert1']}
+      });
+      bitcoind.nodes.push({client: {getBlock: getBlock}});
+      var txs = {
+        tx1: {hash: 'tx1'},
+        tx2: {
+          hash: 'tx2',
+          sidechainCreations: [{scid: 'sc1', satoshis: 100}],
+          forwardTransfers: [{scid: 'sc2', satoshis: 200}]
+        },
+        cert1: {hash: 'cert1', certificate: {scid: 'sc2', epochNumber: 1}}
+      };
+      bitcoind._getDetailedTransactions = function(txids, callback) {
+        callback(null, txids.map(function(txid) {
+          return txs[txid];
+        }));
+      };
+      bitcoind._getBlockSidechainData('blockhash', function(err, data) {
         if (err) {
           return done(err);
         }
-        checkTx(tx);
-        bitcoind.getDetailedTransaction(txid, function(err, tx) {
+        getBlock.args[0][1].should.equal(true);
+        data.sidechainCreations.should.deep.equal([
+          {txid: 'tx2', blockHash: 'blockhash', height: 400, scid: 'sc1', satoshis: 100}
+        ]);
+        data.forwardTransfers.should.deep.equal([
+          {txid: 'tx2', blockHash: 'blockhash', height: 400, scid: 'sc2', satoshis: 200}
+        ]);
+        data.certificates.should.deep.equal([
+          {txid: 'cert1', blockHash: 'blockhash', height: 400, scid: 'sc2', epochNumber: 1}
+        ]);
+        bitcoind._getBlockSidechainData('blockhash', function(err, cached) {
           if (err) {
             return done(err);
           }
-          checkTx(tx);
-          getRawTransaction.callCount.should.equal(1);
+          cached.should.equal(data);
+          getBlock.callCount.should.equal(1);
           done();
         });
       });
     });
-    it('should set coinbase to true', function(done) {
+    it('will give rpc error from getBlock', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
-      delete rawTransaction.vin[0];
-      rawTransaction.vin = [
-        {
-          coinbase: 'abcdef'
-        }
-      ];
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: sinon.stub().callsArgWith(2, null, {
-            result: rawTransaction
-          })
-        }
-      });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      bitcoind.getDetailedTransaction(txid, function(err, tx) {
-        should.exist(tx);
-        should.equal(tx.coinbase, true);
+      bitcoind.tryAllInterval = 1;
+      var getBlock = sinon.stub().callsArgWith(2, {code: -5, message: 'Test error'});
+      bitcoind.nodes.push({client: {getBlock: getBlock}});
+      bitcoind._getBlockSidechainData('blockhash', function(err) {
+        err.should.be.instanceof(errors.RPCError);
         done();
       });
     });
-    it('will not include address if address length is zero', function(done) {
+  });
+
+  describe('#getSidechainForwardTransfers', function() {
+    it('will give forward transfers for the sidechain within the range', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
-      rawTransaction.vout[0].scriptPubKey.addresses = [];
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: sinon.stub().callsArgWith(2, null, {
-            result: rawTransaction
-          })
+      bitcoind._getBlockHashes = function(heights, callback) {
+        callback(null, heights.map(function(height) {
+          return 'hash' + height;
+        }));
+      };
+      bitcoind._getBlockSidechainData = function(blockhash, callback) {
+        callback(null, {
+          forwardTransfers: [
+            {scid: 'sc1', blockHash: blockhash},
+            {scid: 'sc2', blockHash: blockhash}
+          ]
+        });
+      };
+      bitcoind.getSidechainForwardTransfers('sc1', {start: 12, end: 11}, function(err, transfers) {
+        if (err) {
+          return done(err);
         }
-      });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      bitcoind.getDetailedTransaction(txid, function(err, tx) {
-        should.exist(tx);
-        should.equal(tx.outputs[0].address, null);
+        transfers.should.deep.equal([
+          {scid: 'sc1', blockHash: 'hash12'},
+          {scid: 'sc1', blockHash: 'hash11'}
+        ]);
         done();
       });
     });
-    it('will not include address if address length is greater than 1', function(done) {
+    it('will default to the most recent blocks', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
-      rawTransaction.vout[0].scriptPubKey.addresses = ['one', 'two'];
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: sinon.stub().callsArgWith(2, null, {
-            result: rawTransaction
-          })
+      bitcoind.height = 150;
+      bitcoind.maxSidechainBlocks = 2;
+      bitcoind._getBlockHashes = sinon.stub().callsArgWith(1, null, ['hash150', 'hash149']);
+      bitcoind._getBlockSidechainData = sinon.stub().callsArgWith(1, null, {forwardTransfers: []});
+      bitcoind.getSidechainForwardTransfers('sc1', {}, function(err, transfers) {
+        if (err) {
+          return done(err);
         }
-      });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      bitcoind.getDetailedTransaction(txid, function(err, tx) {
-        should.exist(tx);
-        should.equal(tx.outputs[0].address, null);
+        transfers.should.deep.equal([]);
+        bitcoind._getBlockHashes.callCount.should.equal(1);
+        bitcoind._getBlockHashes.args[0][0].should.deep.equal([150, 149]);
+        bitcoind._getBlockSidechainData.callCount.should.equal(2);
         done();
       });
     });
-    it('will handle scriptPubKey.addresses not being set', function(done) {
+    it('will give error if the range is too large', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
-      delete rawTransaction.vout[0].scriptPubKey['addresses'];
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: sinon.stub().callsArgWith(2, null, {
-            result: rawTransaction
-          })
-        }
-      });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      bitcoind.getDetailedTransaction(txid, function(err, tx) {
-        should.exist(tx);
-        should.equal(tx.outputs[0].address, null);
+      bitcoind.maxSidechainBlocks = 2;
+      bitcoind.getSidechainForwardTransfers('sc1', {start: 10, end: 1}, function(err) {
+        err.should.be.instanceof(TypeError);
+        err.message.should.match(/Maximum/);
         done();
       });
     });
-    it('will not include script if input missing scriptSig or coinbase', function(done) {
+    it('will give error if end is greater than start', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
-      delete rawTransaction.vin[0].scriptSig;
-      delete rawTransaction.vin[0].coinbase;
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: sinon.stub().callsArgWith(2, null, {
-            result: rawTransaction
-          })
-        }
-      });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      bitcoind.getDetailedTransaction(txid, function(err, tx) {
-        should.exist(tx);
-        should.equal(tx.inputs[0].script, null);
+      bitcoind.getSidechainForwardTransfers('sc1', {start: 1, end: 10}, function(err) {
+        err.should.be.instanceof(TypeError);
         done();
       });
     });
-    it('will set height to -1 if missing height', function(done) {
+    it('will give error if start or end is not a height', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
-      var rawTransaction = JSON.parse((JSON.stringify(rpcRawTransaction)));
-      delete rawTransaction.height;
-      bitcoind.nodes.push({
-        client: {
-          getRawTransaction: sinon.stub().callsArgWith(2, null, {
-            result: rawTransaction
-          })
-        }
+      bitcoind.getSidechainForwardTransfers('sc1', {start: 10, end: 'abc'}, function(err) {
+        err.should.be.instanceof(TypeError);
+        err.message.should.equal('"start" and "end" are expected to be block heights');
+        bitcoind.getSidechainForwardTransfers('sc1', {start: -1, end: 0}, function(err) {
+          err.should.be.instanceof(TypeError);
+          done();
+        });
       });
-      var txid = '2d950d00494caf6bfc5fff2a3f839f0eb50f663ae85ce092bc5f9d45296ae91f';
-      bitcoind.getDetailedTransaction(txid, function(err, tx) {
-        should.exist(tx);
-        should.equal(tx.height, -1);
-        done();
+    });
+  });
+
+  describe('#_notifySidechainEvents', function() {
+    var sandbox = sinon.sandbox.create();
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will emit sidechain creations and certificates to subscribers', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      var creation = {scid: 'sc1', txid: 'tx1'};
+      var certificate = {scid: 'sc1', txid: 'cert1'};
+      bitcoind._getBlockSidechainData = sinon.stub().callsArgWith(1, null, {
+        sidechainCreations: [creation],
+        forwardTransfers: [],
+        certificates: [certificate]
       });
+      var emitter = new EventEmitter();
+      var created = sinon.stub();
+      var certified = sinon.stub();
+      emitter.on('bitcoind/sidechaincreated', created);
+      emitter.on('bitcoind/certificate', certified);
+      bitcoind.subscriptions.sidechaincreated.push(emitter);
+      bitcoind.subscriptions.certificate.push(emitter);
+      var emitted = sinon.stub();
+      bitcoind.on('certificate', emitted);
+      bitcoind._hasSidechainSubscribers().should.equal(true);
+      bitcoind._notifySidechainEvents('blockhash');
+      created.callCount.should.equal(1);
+      created.args[0][0].should.equal(creation);
+      certified.callCount.should.equal(1);
+      certified.args[0][0].should.equal(certificate);
+      emitted.callCount.should.equal(1);
+    });
+    it('will log error', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._getBlockSidechainData = sinon.stub().callsArgWith(1, new Error('test'));
+      sandbox.stub(log, 'error');
+      bitcoind._notifySidechainEvents('blockhash');
+      log.error.callCount.should.equal(1);
+    });
+    it('will not have subscribers by default', function() {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind._hasSidechainSubscribers().should.equal(false);
     });
   });
 
@@ -4982,6 +10744,33 @@ describe('Bitcoin Service', function() {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.stop(done);
     });
+    it('will cancel the RPC requests of the nodes', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var client = {cancelRequests: sinon.stub()};
+      bitcoind.nodes.push({client: client});
+      bitcoind.stop(function(err) {
+        if (err) {
+          return done(err);
+        }
+        client.cancelRequests.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('will close the persistent cache', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      var persistentCache = {
+        close: sinon.stub().callsArg(0)
+      };
+      bitcoind.persistentCache = persistentCache;
+      bitcoind.stop(function(err) {
+        if (err) {
+          return done(err);
+        }
+        persistentCache.close.callCount.should.equal(1);
+        should.equal(bitcoind.persistentCache, null);
+        done();
+      });
+    });
     it('will exit spawned process', function(done) {
       var bitcoind = new BitcoinService(baseConfig);
       bitcoind.spawn = {};
@@ -5006,19 +10795,85 @@ describe('Bitcoin Service', function() {
       bitcoind.spawn.process.kill.args[0][0].should.equal('SIGINT');
       bitcoind.spawn.process.emit('exit', 1);
     });
-    it('will stop after timeout', function(done) {
+    it('will give error if the process does not exit after every signal', function(done) {
+      var sandbox = sinon.sandbox.create();
+      sandbox.stub(log, 'warn');
       var bitcoind = new BitcoinService(baseConfig);
-      bitcoind.shutdownTimeout = 300;
+      bitcoind.shutdownSteps = [
+        {signal: 'SIGINT', timeout: 30},
+        {signal: 'SIGKILL', timeout: 30}
+      ];
       bitcoind.spawn = {};
       bitcoind.spawn.process = new EventEmitter();
       bitcoind.spawn.process.kill = sinon.stub();
       bitcoind.stop(function(err) {
+        sandbox.restore();
         err.should.be.instanceof(Error);
+        err.message.should.equal('zend process did not exit');
+        _.map(bitcoind.spawn.process.kill.args, 0).should.deep.equal(['SIGINT', 'SIGKILL']);
         done();
       });
       bitcoind.spawn.process.kill.callCount.should.equal(1);
       bitcoind.spawn.process.kill.args[0][0].should.equal('SIGINT');
     });
+    it('will escalate to SIGTERM', function(done) {
+      var sandbox = sinon.sandbox.create();
+      sandbox.stub(log, 'warn');
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.shutdownSteps = [
+        {signal: 'SIGINT', timeout: 10},
+        {signal: 'SIGTERM', timeout: 1000}
+      ];
+      bitcoind.spawn = {};
+      bitcoind.spawn.process = new EventEmitter();
+      bitcoind.spawn.process.kill = sinon.spy(function(signal) {
+        if (signal === 'SIGTERM') {
+          bitcoind.spawn.process.emit('exit', null, 'SIGTERM');
+        }
+      });
+      bitcoind.stop(function(err) {
+        sandbox.restore();
+        should.not.exist(err);
+        bitcoind.spawn.process.kill.callCount.should.equal(2);
+        done();
+      });
+    });
+    it('will escalate to SIGKILL', function(done) {
+      var sandbox = sinon.sandbox.create();
+      sandbox.stub(log, 'warn');
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.shutdownSteps = [
+        {signal: 'SIGINT', timeout: 10},
+        {signal: 'SIGTERM', timeout: 10},
+        {signal: 'SIGKILL', timeout: 1000}
+      ];
+      bitcoind.spawn = {};
+      bitcoind.spawn.process = new EventEmitter();
+      bitcoind.spawn.process.kill = sinon.spy(function(signal) {
+        if (signal === 'SIGKILL') {
+          bitcoind.spawn.process.emit('exit', null, 'SIGKILL');
+        }
+      });
+      bitcoind.stop(function(err) {
+        log.warn.callCount.should.equal(2);
+        sandbox.restore();
+        should.not.exist(err);
+        _.map(bitcoind.spawn.process.kill.args, 0).should.deep.equal(['SIGINT', 'SIGTERM', 'SIGKILL']);
+        done();
+      });
+    });
+    it('will callback if the process already exited', function(done) {
+      var bitcoind = new BitcoinService(baseConfig);
+      bitcoind.spawn = {};
+      bitcoind.spawn.process = new EventEmitter();
+      bitcoind.spawn.process.exitCode = 1;
+      bitcoind.spawn.process.kill = sinon.stub();
+      bitcoind.stop(function(err) {
+        should.not.exist(err);
+        bitcoind.spawn.process.kill.callCount.should.equal(0);
+        done();
+      });
+    });
   });
 
 });
@@ -0,0 +1,179 @@
+'use strict';
+
+var should = require('chai').should();
+var zenconf = require('../lib/zenconf');
+
+describe('zen.conf', function() {
+
+  describe('#parseLine', function() {
+    it('will skip blank lines and comments', function() {
+      zenconf.parseLine('').should.deep.equal({});
+      zenconf.parseLine('   ').should.deep.equal({});
+      zenconf.parseLine('# txindex=1').should.deep.equal({});
+      zenconf.parseLine('invalid').should.deep.equal({});
+    });
+    it('will parse a section header', function() {
+      zenconf.parseLine('[test]').should.deep.equal({header: 'test'});
+      zenconf.parseLine(' [ regtest ] # local').should.deep.equal({header: 'regtest'});
+    });
+    it('will only split on the first equal sign', function() {
+      var line = zenconf.parseLine('rpcpassword=abc=def');
+      line.key.should.equal('rpcpassword');
+      line.value.should.equal('abc=def');
+    });
+    it('will trim whitespace and inline comments', function() {
+      zenconf.parseLine('  rpcuser = bitcoin  # the user').should.deep.equal({
+        key: 'rpcuser',
+        value: 'bitcoin',
+        section: null,
+        comment: '# the user'
+      });
+    });
+    it('will give values as strings', function() {
+      zenconf.parseLine('rpcport=8231').value.should.equal('8231');
+      zenconf.parseLine('rpcpassword=0123').value.should.equal('0123');
+      zenconf.parseLine('rpcpassword=0').value.should.equal('0');
+      zenconf.parseLine('rpcpassword=').value.should.equal('');
+    });
+    it('will parse quoted values', function() {
+      var line = zenconf.parseLine('rpcpassword="a#b \\"c\\"" # quoted');
+      line.value.should.equal('a#b "c"');
+      line.comment.should.equal('# quoted');
+      zenconf.parseLine('rpcpassword=\'123\'').value.should.equal('123');
+    });
+    it('will parse a section prefix', function() {
+      var line = zenconf.parseLine('regtest.rpcport=18231');
+      line.key.should.equal('rpcport');
+      line.section.should.equal('regtest');
+      should.equal(zenconf.parseLine('rpcport=18231').section, null);
+    });
+  });
+
+  describe('#parse', function() {
+    it('will give the options with sections', function() {
+      var text = 'server=1\r\naddnode=a\n\n[test]\nrpcport=18231\n[]\naddnode=b\nmain.rpcport=8231\n';
+      zenconf.parse(text).should.deep.equal([
+        {key: 'server', value: '1', section: null},
+        {key: 'addnode', value: 'a', section: null},
+        {key: 'rpcport', value: '18231', section: 'test'},
+        {key: 'addnode', value: 'b', section: null},
+        {key: 'rpcport', value: '8231', section: 'main'}
+      ]);
+    });
+  });
+
+  describe('#getOptions', function() {
+    var entries = zenconf.parse([
+      'rpcport=1',
+      'rpcport=2',
+      'addnode=a',
+      'addnode=b',
+      'rpcallowip=127.0.0.1',
+      '[test]',
+      'rpcport=3',
+      'addnode=c',
+      '[regtest]',
+      'rpcport=4'
+    ].join('\n'));
+    it('will keep the first value of single value options', function() {
+      zenconf.getOptions(entries).rpcport.should.equal('1');
+    });
+    it('will give repeated multi value options as an array', function() {
+      var options = zenconf.getOptions(entries);
+      options.addnode.should.deep.equal(['a', 'b']);
+      options.rpcallowip.should.equal('127.0.0.1');
+    });
+    it('will give precedence to the network section', function() {
+      var options = zenconf.getOptions(entries, 'test');
+      options.rpcport.should.equal('3');
+      options.addnode.should.deep.equal(['c', 'a', 'b']);
+      zenconf.getOptions(entries, 'regtest').rpcport.should.equal('4');
+      zenconf.getOptions(entries, 'main').rpcport.should.equal('1');
+    });
+  });
+
+  describe('#stringify', function() {
+    it('will format options', function() {
+      zenconf.stringify({
+        server: 1,
+        addnode: ['a', 'b'],
+        rpcpassword: 'a#b'
+      }).should.equal('server=1\naddnode=a\naddnode=b\nrpcpassword="a#b"\n');
+    });
+    it('will give an empty string without options', function() {
+      zenconf.stringify({}).should.equal('');
+    });
+    it('will give values that parse the same', function() {
+      var values = ['a#b', ' a', 'a ', '"a"', '\'a\'', 'a\\"b'];
+      values.forEach(function(value) {
+        zenconf.parse(zenconf.stringify({rpcpassword: value}))[0].value.should.equal(value);
+      });
+    });
+  });
+
+  describe('#set', function() {
+    var text = [
+      '# Horizen',
+      'server=1',
+      'rpcport=8231 # livenet',
+      'addnode=a',
+      '',
+      '# peers',
+      'addnode=b',
+      '',
+      '[test]',
+      'rpcport=18231',
+      ''
+    ].join('\n');
+    it('will replace an option and keep the comments', function() {
+      zenconf.set(text, 'rpcport', 9000).should.equal(text.replace('8231 #', '9000 #'));
+    });
+    it('will replace every value of an option', function() {
+      var result = zenconf.set(text, 'addnode', ['c', 'd']);
+      result.should.equal([
+        '# Horizen',
+        'server=1',
+        'rpcport=8231 # livenet',
+        'addnode=c',
+        'addnode=d',
+        '',
+        '# peers',
+        '',
+        '[test]',
+        'rpcport=18231',
+        ''
+      ].join('\n'));
+    });
+    it('will remove an option', function() {
+      zenconf.set(text, 'server', null).should.equal(text.replace('server=1\n', ''));
+    });
+    it('will add an option to the options for every network', function() {
+      var result = zenconf.set(text, 'txindex', 1);
+      result.should.equal(text.replace('addnode=b\n', 'addnode=b\ntxindex=1\n'));
+    });
+    it('will add an option to a section', function() {
+      var result = zenconf.set(text, 'txindex', 1, 'test');
+      result.should.equal(text + 'txindex=1\n');
+    });
+    it('will replace an option of a section', function() {
+      var result = zenconf.set(text, 'rpcport', 18000, 'test');
+      result.should.equal(text.replace('18231', '18000'));
+      zenconf.set('test.rpcport=1\n', 'rpcport', 2, 'test').should.equal('test.rpcport=2\n');
+    });
+    it('will add a section', function() {
+      var result = zenconf.set(text, 'rpcport', 18444, 'regtest');
+      result.should.equal(text + '\n[regtest]\nrpcport=18444\n');
+      zenconf.set('', 'rpcport', 18444, 'regtest').should.equal('[regtest]\nrpcport=18444\n');
+    });
+    it('will add an option to an empty file', function() {
+      zenconf.set('', 'server', 1).should.equal('server=1\n');
+    });
+    it('will add an option before the first section', function() {
+      zenconf.set('[test]\nrpcport=1\n', 'server', 1).should.equal('server=1\n[test]\nrpcport=1\n');
+    });
+    it('will not change the file when removing a missing option', function() {
+      zenconf.set(text, 'txindex', null).should.equal(text);
+    });
+  });
+
+});